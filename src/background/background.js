@@ -2,7 +2,9 @@
 // ABOUTME: Manages Chrome AI API sessions, user preferences, and extension lifecycle
 
 const AIService = require('../lib/services/ai-service')
+const ModelManager = require('../lib/services/model-manager')
 const TextAnalyzer = require('../lib/services/text-analyzer')
+const UsageMetrics = require('../lib/services/usage-metrics')
 const UserPreferences = require('../lib/models/user-preferences')
 const { ExtensionState } = require('../lib/models/extension-state')
 
@@ -11,12 +13,8 @@ class BackgroundScript {
     this.extensionState = ExtensionState.createInactive()
     this.userPreferences = null
     this.sessionCleanupInterval = null
+    this.activeAnalyses = new Map()
     this.isInitialized = false
-    this.analytics = {
-      analysisCount: 0,
-      acceptanceRate: 0,
-      averageProcessingTime: 0
-    }
   }
 
   async initialize () {
@@ -28,6 +26,15 @@ class BackgroundScript {
       // Load user preferences
       await this._loadUserPreferences()
 
+      // Load usage metrics saved by earlier service worker instances
+      await UsageMetrics.initialize()
+
+      // Drop history that expired while the extension was not running
+      await this._applyHistoryRetention()
+
+      // Check on-device model readiness
+      await this._initializeModelStatus()
+
       // Set up message handling
       this._setupMessageHandling()
 
@@ -57,6 +64,11 @@ class BackgroundScript {
       this.sessionCleanupInterval = null
     }
 
+    // Abort any analyses still in flight
+    for (const requestId of Array.from(this.activeAnalyses.keys())) {
+      this._cancelAnalysis(requestId)
+    }
+
     // Clean up AI sessions
     await AIService.cleanup()
 
@@ -75,6 +87,18 @@ class BackgroundScript {
     }
   }
 
+  async _initializeModelStatus () {
+    try {
+      await ModelManager.initialize()
+
+      ModelManager.onStatusChange(() => {
+        this._broadcastModelStatus()
+      })
+    } catch (error) {
+      console.warn('Failed to check model availability:', error)
+    }
+  }
+
   _setupMessageHandling () {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       this._handleMessage(message, sender, sendResponse)
@@ -90,6 +114,12 @@ class BackgroundScript {
         contexts: ['editable']
       })
 
+      chrome.contextMenus.create({
+        id: 'isitclear-analyze-selection',
+        title: 'Check selected text for clarity',
+        contexts: ['selection']
+      })
+
       chrome.contextMenus.create({
         id: 'isitclear-settings',
         title: 'IsItClear Settings',
@@ -123,6 +153,17 @@ class BackgroundScript {
     chrome.tabs.onActivated.addListener((activeInfo) => {
       this._handleTabActivated(activeInfo)
     })
+
+    // Cancel in-flight analyses when their tab navigates or closes
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+      if (changeInfo.url || changeInfo.status === 'loading') {
+        this._cancelAnalysesForTab(tabId)
+      }
+    })
+
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      this._cancelAnalysesForTab(tabId)
+    })
   }
 
   _setupMaintenance () {
@@ -141,12 +182,19 @@ class BackgroundScript {
     try {
       switch (message.type) {
       case 'ANALYZE_TEXT':
-        const result = await this._handleAnalyzeText(message.payload)
+        const result = await this._handleAnalyzeText(message.payload, sender)
         sendResponse(result)
         break
 
+      case 'CANCEL_ANALYSIS':
+        sendResponse({
+          success: true,
+          cancelled: this._cancelAnalysis(message.payload?.requestId)
+        })
+        break
+
       case 'USER_ACTION':
-        await this._handleUserAction(message.payload)
+        await this._handleUserAction(message.payload, sender)
         sendResponse({ success: true })
         break
 
@@ -165,21 +213,66 @@ class BackgroundScript {
       case 'GET_ANALYTICS':
         sendResponse({
           success: true,
-          analytics: this.analytics
+          analytics: UsageMetrics.getSummary()
+        })
+        break
+
+      case 'RESET_ANALYTICS':
+        await UsageMetrics.reset()
+        sendResponse({ success: true, analytics: UsageMetrics.getSummary() })
+        break
+
+      case 'GET_HISTORY':
+        sendResponse({
+          success: true,
+          history: await TextAnalyzer.searchHistory(message.payload || {})
+        })
+        break
+
+      case 'GET_HISTORY_ENTRY':
+        sendResponse({
+          success: true,
+          entry: await TextAnalyzer.getHistoryById(message.payload?.id)
         })
         break
 
+      case 'CLEAR_HISTORY':
+        await TextAnalyzer.clearHistory()
+        sendResponse({ success: true })
+        break
+
       case 'GET_EXTENSION_STATE':
         sendResponse({
           success: true,
           state: this.extensionState.toJSON(),
           aiServiceStatus: {
             sessionCount: AIService.getSessionCount(),
-            availableApis: AIService.getAvailableApis()
+            availableApis: AIService.getAvailableApis(),
+            modelStatus: ModelManager.getStatus(),
+            overallModelStatus: ModelManager.getOverallStatus()
           }
         })
         break
 
+      case 'GET_MODEL_STATUS':
+        if (message.payload?.refresh) {
+          await ModelManager.refreshAvailability()
+        }
+        sendResponse({
+          success: true,
+          status: ModelManager.getStatus(),
+          overall: ModelManager.getOverallStatus()
+        })
+        break
+
+      case 'DOWNLOAD_MODEL':
+        sendResponse(await this._handleDownloadModel(message.payload))
+        break
+
+      case 'FRAME_MESSAGE':
+        sendResponse(await this._relayFrameMessage(message.payload, sender))
+        break
+
       default:
         sendResponse({ success: false, error: 'Unknown message type' })
       }
@@ -189,58 +282,188 @@ class BackgroundScript {
     }
   }
 
-  async _handleAnalyzeText (payload) {
+  async _handleAnalyzeText (payload, sender = {}) {
+    const metricsContext = {
+      url: this._getSenderUrl(sender),
+      fieldType: payload && payload.fieldType
+    }
+
     try {
-      const { text, fieldType, fieldContext, userPreferences: clientPrefs } = payload
+      const {
+        text,
+        fieldType,
+        fieldContext,
+        userPreferences: clientPrefs,
+        requestId,
+        stream,
+        selectionContext,
+        characterLimit
+      } = payload
 
       // Update user preferences if provided
       if (clientPrefs) {
         this.userPreferences = UserPreferences.fromJSON(clientPrefs)
       }
 
+      // Register the request so it can be cancelled while in flight
+      const controller = new AbortController()
+      if (requestId) {
+        this._cancelAnalysis(requestId)
+        this.activeAnalyses.set(requestId, {
+          controller,
+          tabId: sender.tab ? sender.tab.id : null
+        })
+      }
+
       // Start analysis
-      this.analytics.analysisCount++
       const startTime = Date.now()
 
-      const result = await TextAnalyzer.analyzeText(text, {
-        fieldType,
-        fieldContext,
-        userPreferences: this.userPreferences
-      })
+      let result = null
+      try {
+        result = await TextAnalyzer.analyzeText(text, {
+          fieldType,
+          fieldContext,
+          userPreferences: this.userPreferences,
+          onChunk: stream ? this._createChunkForwarder(sender, requestId) : null,
+          signal: controller.signal,
+          surroundingText: selectionContext,
+          characterLimit,
+          url: metricsContext.url
+        })
+      } catch (error) {
+        if (controller.signal.aborted) {
+          await UsageMetrics.recordAnalysis('cancelled', metricsContext)
+          return { success: false, cancelled: true, requestId, error: 'Analysis was cancelled' }
+        }
+        throw error
+      } finally {
+        if (requestId && this.activeAnalyses.get(requestId)?.controller === controller) {
+          this.activeAnalyses.delete(requestId)
+        }
+      }
 
       // Update analytics
-      const processingTime = Date.now() - startTime
-      this._updateAnalytics('analysis_completed', { processingTime })
+      await UsageMetrics.recordAnalysis('completed', {
+        ...metricsContext,
+        processingTime: Date.now() - startTime,
+        apiUsed: result.improvementType
+      })
 
       return {
         success: true,
+        requestId,
         result
       }
     } catch (error) {
       console.error('Error analyzing text:', error)
-      this._updateAnalytics('analysis_failed', { error: error.message })
+      await UsageMetrics.recordAnalysis('failed', {
+        ...metricsContext,
+        errorCode: this._getErrorCode(error)
+      })
 
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        modelStatus: ModelManager.getOverallStatus()
       }
     }
   }
 
-  async _handleUserAction (payload) {
-    const { action, analysisResult } = payload
+  async _handleDownloadModel (payload = {}) {
+    const apiType = payload.apiType || 'rewriter'
+
+    try {
+      const status = await ModelManager.checkAvailability(apiType)
+      if (status.state !== 'downloadable') {
+        return { success: status.state !== 'unavailable', status }
+      }
+
+      // Progress is reported through MODEL_STATUS_CHANGED broadcasts
+      ModelManager.startDownload(apiType).catch((error) => {
+        console.error(`Failed to download ${apiType} model:`, error)
+      })
+
+      return { success: true, status: ModelManager.getStatus()[apiType] }
+    } catch (error) {
+      console.error('Error starting model download:', error)
+      return { success: false, error: error.message }
+    }
+  }
+
+  _broadcastModelStatus () {
+    chrome.runtime.sendMessage({
+      type: 'MODEL_STATUS_CHANGED',
+      payload: {
+        status: ModelManager.getStatus(),
+        overall: ModelManager.getOverallStatus()
+      }
+    }).catch(() => {
+      // No popup or options page is listening
+    })
+  }
+
+  _cancelAnalysis (requestId) {
+    const analysis = requestId ? this.activeAnalyses.get(requestId) : null
+    if (!analysis) return false
+
+    analysis.controller.abort()
+    this.activeAnalyses.delete(requestId)
+    return true
+  }
+
+  _cancelAnalysesForTab (tabId) {
+    for (const [requestId, analysis] of this.activeAnalyses) {
+      if (analysis.tabId === tabId) {
+        this._cancelAnalysis(requestId)
+      }
+    }
+  }
+
+  async _relayFrameMessage (payload = {}, sender = {}) {
+    if (!sender.tab || !payload.message) {
+      return { success: false, error: 'Frame messages must come from a tab' }
+    }
+
+    // Frames can only reach frames of their own tab, which learn the sender's frame id
+    const { targetFrameId = 0, message } = payload
+    const response = await chrome.tabs.sendMessage(sender.tab.id, {
+      ...message,
+      payload: { ...message.payload, sourceFrameId: sender.frameId || 0 }
+    }, { frameId: targetFrameId })
+
+    return response || { success: false, error: 'The target frame did not respond' }
+  }
+
+  _createChunkForwarder (sender, requestId) {
+    if (!sender.tab) return null
+
+    return (partialText) => {
+      chrome.tabs.sendMessage(sender.tab.id, {
+        type: 'ANALYSIS_CHUNK',
+        payload: { requestId, partialText }
+      }, { frameId: sender.frameId || 0 }).catch(() => {
+        // Tab may have navigated away mid-stream
+      })
+    }
+  }
+
+  async _handleUserAction (payload, sender = {}) {
+    const { action, analysisResult, applied = null, fieldContext } = payload
 
     // Update analytics
-    this._updateAnalytics('user_action', { action, analysisResult })
-
-    // Handle specific actions
-    switch (action) {
-    case 'accept':
-      this._updateAcceptanceRate(true)
-      break
-    case 'reject':
-      this._updateAcceptanceRate(false)
-      break
+    await UsageMetrics.recordUserAction(action, {
+      url: this._getSenderUrl(sender),
+      fieldType: fieldContext && fieldContext.fieldType
+    })
+
+    // Remember what the user decided, and accepted, so history can be filtered by outcome
+    const outcome = { accept: 'accepted', reject: 'rejected', undo: 'undone' }[action]
+    if (outcome && analysisResult && analysisResult.historyId) {
+      try {
+        await TextAnalyzer.recordOutcome(analysisResult.historyId, outcome, applied)
+      } catch (error) {
+        console.warn('Failed to record history outcome:', error)
+      }
     }
   }
 
@@ -249,6 +472,9 @@ class BackgroundScript {
       this.userPreferences = UserPreferences.fromJSON(newPreferences)
       await this.userPreferences.saveToStorage()
 
+      // A shorter retention period takes effect immediately
+      await this._applyHistoryRetention()
+
       // Notify all content scripts about preferences update
       const tabs = await chrome.tabs.query({})
       for (const tab of tabs) {
@@ -272,11 +498,20 @@ class BackgroundScript {
   // Event handlers
   async _handleContextMenuClick (info, tab) {
     try {
-      if (info.menuItemId === 'isitclear-analyze') {
+      // Selections inside a field are rewritten in place instead of shown in a popover
+      const analyzeField = info.menuItemId === 'isitclear-analyze' ||
+        (info.menuItemId === 'isitclear-analyze-selection' && info.editable)
+
+      if (analyzeField) {
         await chrome.tabs.sendMessage(tab.id, {
           type: 'CONTEXT_MENU_CLICKED',
           payload: { autoAnalyze: true }
-        })
+        }, { frameId: info.frameId || 0 })
+      } else if (info.menuItemId === 'isitclear-analyze-selection') {
+        await chrome.tabs.sendMessage(tab.id, {
+          type: 'ANALYZE_SELECTION',
+          payload: { selectionText: info.selectionText || '' }
+        }, { frameId: info.frameId || 0 })
       } else if (info.menuItemId === 'isitclear-settings') {
         chrome.runtime.openOptionsPage()
       }
@@ -300,6 +535,12 @@ class BackgroundScript {
       case 'accept-suggestion':
         // This would be handled by content script
         break
+
+      case 'undo-suggestion':
+        await chrome.tabs.sendMessage(tab.id, {
+          type: 'UNDO_LAST_SUGGESTION'
+        })
+        break
       }
     } catch (error) {
       console.error('Error handling keyboard command:', error)
@@ -329,29 +570,16 @@ class BackgroundScript {
   }
 
   // Analytics and maintenance
-  _updateAnalytics (event, data = {}) {
-    switch (event) {
-    case 'analysis_completed':
-      if (data.processingTime) {
-        this.analytics.averageProcessingTime =
-            (this.analytics.averageProcessingTime + data.processingTime) / 2
-      }
-      break
-
-    case 'analysis_failed':
-      // Log failure for debugging
-      console.warn('Analysis failed:', data.error)
-      break
-    }
+  _getSenderUrl (sender = {}) {
+    // Metrics are grouped by the page the user is on, even for fields inside frames
+    return (sender.tab && sender.tab.url) || sender.url || null
   }
 
-  _updateAcceptanceRate (accepted) {
-    const totalActions = this.analytics.analysisCount
-    if (totalActions === 0) return
+  _getErrorCode (error) {
+    if (error.code) return error.code
 
-    const currentAccepted = this.analytics.acceptanceRate * (totalActions - 1)
-    const newAccepted = accepted ? currentAccepted + 1 : currentAccepted
-    this.analytics.acceptanceRate = newAccepted / totalActions
+    // Some services throw their error code as the message
+    return /^[A-Z][A-Z_]+$/.test(error.message) ? error.message : 'ANALYSIS_FAILED'
   }
 
   async _performMaintenance () {
@@ -363,16 +591,20 @@ class BackgroundScript {
     // Clean up extension state
     await this.extensionState.performMaintenance()
 
-    // Clean up text analyzer history if it gets too large
-    const stats = TextAnalyzer.getAnalysisStatistics()
-    if (stats.totalAnalyses > 100) {
-      // Could implement history cleanup here
-      console.log('Analysis history is getting large:', stats.totalAnalyses)
-    }
+    // Drop history older than the user's retention period
+    await this._applyHistoryRetention()
 
     console.log('Background maintenance completed')
   }
 
+  async _applyHistoryRetention () {
+    try {
+      await TextAnalyzer.applyHistoryRetention(this.userPreferences.historyRetentionDays)
+    } catch (error) {
+      console.warn('Failed to apply history retention:', error)
+    }
+  }
+
   _showWelcomeNotification () {
     chrome.notifications.create({
       type: 'basic',
@@ -388,10 +620,11 @@ class BackgroundScript {
       isInitialized: this.isInitialized,
       extensionState: this.extensionState.toJSON(),
       userPreferences: this.userPreferences ? this.userPreferences.toJSON() : null,
-      analytics: this.analytics,
+      analytics: UsageMetrics.getSummary(),
       aiServiceStatus: {
         sessionCount: AIService.getSessionCount(),
-        availableApis: AIService.getAvailableApis()
+        availableApis: AIService.getAvailableApis(),
+        modelStatus: ModelManager.getStatus()
       }
     }
   }
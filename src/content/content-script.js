@@ -3,7 +3,13 @@
 
 const InputDetector = require('../lib/services/input-detector')
 const TextAnalyzer = require('../lib/services/text-analyzer')
+const TextDiff = require('../lib/services/text-diff')
+const FrameCoordinator = require('../lib/services/frame-coordinator')
 const ClarityOverlay = require('../lib/components/clarity-overlay')
+const FrameOverlay = require('../lib/components/frame-overlay')
+const UndoToast = require('../lib/components/undo-toast')
+const SelectionResult = require('../lib/components/selection-result')
+const ActionProcessor = require('../lib/services/action-processor')
 const UserPreferences = require('../lib/models/user-preferences')
 const { ExtensionState } = require('../lib/models/extension-state')
 
@@ -17,6 +23,21 @@ class ContentScript {
     this.contextMenuHandler = null
     this.isInitialized = false
     this.processingInProgress = false
+    this.currentRequestId = null
+    this.textChangeHandler = null
+    this.textChangeTarget = null
+    this.modelStatusPoller = null
+    this.undoToast = null
+    this.undoStacks = new WeakMap()
+    this.lastUndoTarget = null
+    this.maxUndoDepth = 10
+    this.undoShortcut = 'Alt+Shift+Z'
+    // Replacements that write the field directly, leaving nothing for the browser to undo
+    this.historyBypassingStrategies = ['nativeSetter', 'selection', 'dom']
+    this.selectionResult = null
+    this.selectionRequestId = null
+    this.maxSelectionContextLength = 1500
+    this.childFrameReplyMs = 500
   }
 
   async initialize () {
@@ -28,6 +49,8 @@ class ContentScript {
 
       // Create overlay
       this._createOverlay()
+      this._createUndoToast()
+      this._createSelectionResult()
 
       // Set up input field detection
       this._setupInputDetection()
@@ -37,6 +60,7 @@ class ContentScript {
 
       // Set up message handling
       this._setupMessageHandling()
+      FrameCoordinator.initialize()
 
       // Set up context menu
       this._setupContextMenu()
@@ -50,6 +74,9 @@ class ContentScript {
   }
 
   async cleanup () {
+    this._cancelCurrentAnalysis('navigation')
+    this._stopModelStatusPolling()
+
     if (this.inputDetectorCleanup) {
       this.inputDetectorCleanup()
       this.inputDetectorCleanup = null
@@ -60,6 +87,19 @@ class ContentScript {
       this.overlay = null
     }
 
+    FrameCoordinator.cleanup()
+
+    if (this.undoToast) {
+      this.undoToast.destroy()
+      this.undoToast = null
+    }
+
+    if (this.selectionResult) {
+      this._cancelSelectionAnalysis()
+      this.selectionResult.destroy()
+      this.selectionResult = null
+    }
+
     if (this.keyboardShortcutHandler) {
       document.removeEventListener('keydown', this.keyboardShortcutHandler)
       this.keyboardShortcutHandler = null
@@ -85,13 +125,58 @@ class ContentScript {
   }
 
   _createOverlay () {
-    this.overlay = new ClarityOverlay()
+    // Overlays inside small frames get clipped, so child frames render through the top frame
+    this.overlay = FrameCoordinator.isTopFrame()
+      ? new ClarityOverlay()
+      : new FrameOverlay(() => new ClarityOverlay())
+    this.overlay.setShowChangeDetails(this.userPreferences.showChangeDetails)
 
     this.overlay.setCallbacks({
-      onAnalyze: (targetElement) => this._handleAnalyzeRequest(targetElement),
-      onAccept: (analysisResult, targetElement) => this._handleAcceptSuggestion(analysisResult, targetElement),
-      onReject: (analysisResult, targetElement) => this._handleRejectSuggestion(analysisResult, targetElement),
-      onClose: () => this._handleCloseOverlay()
+      onAnalyze: this._routeToOwningFrame('analyze', (targetElement) =>
+        this._handleAnalyzeRequest(targetElement)),
+      onAccept: this._routeToOwningFrame('accept', (analysisResult, targetElement, selection) =>
+        this._handleAcceptSuggestion(analysisResult, targetElement, selection)),
+      onReject: this._routeToOwningFrame('reject', (analysisResult, targetElement) =>
+        this._handleRejectSuggestion(analysisResult, targetElement)),
+      onClose: this._routeToOwningFrame('close', () => this._handleCloseOverlay()),
+      onDownloadModel: this._routeToOwningFrame('download-model', () => this._handleDownloadModel())
+    })
+  }
+
+  _routeToOwningFrame (action, handler) {
+    return (...args) => {
+      // Fields in child frames are shown here through a stand-in, but edited by their own frame
+      const targetElement = this.overlay.currentTargetElement
+      if (!FrameCoordinator.isRemoteTarget(targetElement)) {
+        return handler(...args)
+      }
+
+      // An accept carries the candidate on screen, which may not be the top-ranked one
+      const isAccept = action === 'accept'
+      return FrameCoordinator.sendToFrame(targetElement.frameId, {
+        type: 'FRAME_OVERLAY_ACTION',
+        payload: {
+          action,
+          analysisResult: isAccept ? args[0] : null,
+          changeSelection: isAccept ? args[2] : null
+        }
+      }).catch((error) => {
+        console.warn('Failed to reach the frame that owns the field:', error)
+      })
+    }
+  }
+
+  _createUndoToast () {
+    this.undoToast = new UndoToast()
+    this.undoToast.setCallbacks({
+      onUndo: () => this._handleUndo(this.lastUndoTarget)
+    })
+  }
+
+  _createSelectionResult () {
+    this.selectionResult = new SelectionResult()
+    this.selectionResult.setCallbacks({
+      onClose: () => this._cancelSelectionAnalysis()
     })
   }
 
@@ -111,6 +196,10 @@ class ContentScript {
       if (this._matchesKeyboardShortcut(event)) {
         event.preventDefault()
         this._handleKeyboardShortcut(event)
+      } else if (this._matchesNativeUndo(event)) {
+        // The suggestion was written without an editing command, so Ctrl+Z would skip it
+        event.preventDefault()
+        this._handleUndo(InputDetector.getEventTarget(event))
       }
     }
 
@@ -122,7 +211,7 @@ class ContentScript {
     // This sets up the handler for when context menu items are clicked
     this.contextMenuHandler = (event) => {
       // Store the target element for potential context menu action
-      this._contextMenuTarget = event.target
+      this._contextMenuTarget = InputDetector.getEventTarget(event)
     }
 
     document.addEventListener('contextmenu', this.contextMenuHandler, true)
@@ -164,8 +253,11 @@ class ContentScript {
   async _handleAnalyzeRequest (targetElement) {
     if (this.processingInProgress) return
 
+    const requestId = this._generateRequestId()
+
     try {
       this.processingInProgress = true
+      this.currentRequestId = requestId
       this.overlay.showLoading('Analyzing text...')
 
       // Get current text from element
@@ -176,54 +268,257 @@ class ContentScript {
         return
       }
 
+      // A highlighted span is rewritten on its own, with its paragraph as context
+      const selection = this._getSelectionScope(fieldData)
+      if (selection) {
+        this.overlay.showLoading('Analyzing selected text...')
+      }
+
+      // The rewrite has to fit what the field accepts, less the text around a selection
+      const characterLimit = this._getCharacterBudget(fieldData, selection)
+      this.overlay.setCharacterLimit(characterLimit)
+      if (characterLimit === 0) {
+        this.overlay.showError('The rest of the field already uses its whole character limit')
+        return
+      }
+
       // Start processing
       this.extensionState.startProcessing()
 
+      // Editing the field while the model runs makes the result stale
+      this._watchForTextChanges(targetElement)
+
       // Request analysis from background script (which manages AI sessions)
       const response = await this._sendMessage({
         type: 'ANALYZE_TEXT',
         payload: {
-          text: fieldData.text,
+          text: selection ? selection.text : fieldData.text,
           fieldType: fieldData.fieldType,
           fieldContext: fieldData.element,
-          userPreferences: this.userPreferences.toJSON()
+          userPreferences: this.userPreferences.toJSON(),
+          requestId,
+          stream: true,
+          selectionContext: selection ? selection.context : null,
+          characterLimit
         }
       })
 
+      // A cancelled or superseded request must not touch the overlay
+      if (requestId !== this.currentRequestId || response.cancelled) return
+
       if (response.success) {
-        // Update overlay with results
-        this.overlay.updateWithAnalysisResult(response.result)
+        // Update overlay with results, remembering where a selection sits in the field
+        const result = selection
+          ? { ...response.result, selection: { start: selection.start, end: selection.end } }
+          : response.result
+        this.overlay.updateWithAnalysisResult(result)
         this.extensionState.completeProcessing()
+      } else if (response.modelStatus && response.modelStatus.state !== 'ready') {
+        // Explain why the model cannot run instead of showing a generic error
+        this._showModelStatus(response.modelStatus)
+        this.extensionState.setError(new Error(response.error), 'MODEL_NOT_READY')
       } else {
         this.overlay.showError(response.error || 'Analysis failed')
         this.extensionState.setError(new Error(response.error), 'ANALYSIS_FAILED')
       }
     } catch (error) {
+      if (requestId !== this.currentRequestId) return
+
       console.error('Error during text analysis:', error)
       this.overlay.showError('Failed to analyze text')
       this.extensionState.setError(error, 'ANALYSIS_REQUEST_ERROR')
     } finally {
-      this.processingInProgress = false
+      if (requestId === this.currentRequestId) {
+        this._stopWatchingTextChanges()
+        this.processingInProgress = false
+        this.currentRequestId = null
+      }
+    }
+  }
+
+  _cancelCurrentAnalysis (reason) {
+    const requestId = this.currentRequestId
+    if (!requestId) return false
+
+    this._stopWatchingTextChanges()
+    this.processingInProgress = false
+    this.currentRequestId = null
+
+    this._sendMessage({
+      type: 'CANCEL_ANALYSIS',
+      payload: { requestId, reason }
+    }).catch((error) => {
+      console.warn('Failed to cancel analysis:', error)
+    })
+
+    return true
+  }
+
+  _watchForTextChanges (targetElement) {
+    this._stopWatchingTextChanges()
+
+    this.textChangeHandler = () => {
+      if (this._cancelCurrentAnalysis('text_changed')) {
+        this.overlay.reset()
+      }
+    }
+
+    targetElement.addEventListener('input', this.textChangeHandler)
+    this.textChangeTarget = targetElement
+  }
+
+  _stopWatchingTextChanges () {
+    if (this.textChangeTarget && this.textChangeHandler) {
+      this.textChangeTarget.removeEventListener('input', this.textChangeHandler)
+    }
+
+    this.textChangeHandler = null
+    this.textChangeTarget = null
+  }
+
+  _handleAnalysisChunk (payload) {
+    if (payload && payload.requestId && payload.requestId === this.selectionRequestId) {
+      this.selectionResult.showPartialResult(payload.partialText)
+      return
+    }
+
+    // Ignore chunks from requests that are no longer current
+    if (!payload || payload.requestId !== this.currentRequestId) return
+
+    this.overlay.showPartialResult(payload.partialText)
+  }
+
+  async _handleSelectionAnalysis (payload = {}) {
+    const selection = window.getSelection()
+    const range = selection && selection.rangeCount > 0 ? selection.getRangeAt(0) : null
+
+    // Chrome collapses whitespace in the menu's selectionText, so prefer the live selection
+    const text = (selection ? selection.toString() : '').trim() ||
+      (payload.selectionText || '').trim()
+    if (!text) return false
+
+    this._cancelSelectionAnalysis()
+    const requestId = this._generateRequestId()
+    this.selectionRequestId = requestId
+    this.selectionResult.showLoading(range ? range.getBoundingClientRect() : null)
+
+    try {
+      const response = await this._sendMessage({
+        type: 'ANALYZE_TEXT',
+        payload: {
+          text,
+          fieldType: 'selection',
+          fieldContext: 'page-selection',
+          userPreferences: this.userPreferences.toJSON(),
+          requestId,
+          stream: true,
+          selectionContext: this._getSelectionParagraph(range, text)
+        }
+      })
+
+      // Closing the popover or a newer selection makes this response irrelevant
+      if (requestId !== this.selectionRequestId || response.cancelled) return false
+
+      if (!response.success) {
+        this.selectionResult.showError(response.error || 'Analysis failed')
+        return false
+      }
+
+      this.selectionResult.showResult(response.result)
+      return true
+    } catch (error) {
+      if (requestId !== this.selectionRequestId) return false
+
+      console.error('Error analyzing selected text:', error)
+      this.selectionResult.showError('Failed to analyze the selected text')
+      return false
+    } finally {
+      if (requestId === this.selectionRequestId) {
+        this.selectionRequestId = null
+      }
     }
   }
 
-  async _handleAcceptSuggestion (analysisResult, targetElement) {
+  _cancelSelectionAnalysis () {
+    const requestId = this.selectionRequestId
+    if (!requestId) return false
+
+    this.selectionRequestId = null
+    this._sendMessage({
+      type: 'CANCEL_ANALYSIS',
+      payload: { requestId, reason: 'selection_closed' }
+    }).catch((error) => {
+      console.warn('Failed to cancel selection analysis:', error)
+    })
+
+    return true
+  }
+
+  _getSelectionParagraph (range, text) {
+    if (!range) return null
+
+    const node = range.commonAncestorContainer
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement
+    const block = element &&
+      element.closest('p, li, blockquote, dd, td, pre, h1, h2, h3, h4, h5, h6')
+    const paragraph = block ? block.textContent.replace(/\s+/g, ' ').trim() : ''
+
+    // Context only helps when it adds to the selection and stays small enough to send
+    if (!paragraph || paragraph === text || paragraph.length > this.maxSelectionContextLength) {
+      return null
+    }
+    return paragraph
+  }
+
+  async _handleAcceptSuggestion (analysisResult, targetElement, changeSelection = null) {
     try {
-      // Replace text in the element
-      await InputDetector.replaceText(targetElement, analysisResult.improvedText, true)
+      // Remember what the field held so the suggestion can be undone
+      const previousField = await InputDetector.detectField(targetElement)
+
+      // Replace text in the element with the full suggestion or the changes the user kept
+      const acceptedText = this._resolveAcceptedText(analysisResult, changeSelection)
+      const fieldText = this._mergeIntoField(previousField.text, analysisResult, acceptedText)
+      const strategy = await InputDetector.replaceText(
+        targetElement,
+        fieldText,
+        !analysisResult.selection
+      )
+
+      if (analysisResult.selection) {
+        // Leave the caret after the rewritten span rather than where the selection began
+        InputDetector.setCursorPosition(
+          targetElement,
+          analysisResult.selection.start + acceptedText.length
+        )
+      }
 
-      // Update extension state
-      this.extensionState.completeProcessing()
+      this._pushUndoEntry(targetElement, {
+        originalText: previousField.text,
+        cursorPosition: previousField.cursorPosition,
+        appliedText: fieldText,
+        bypassedNativeHistory: this.historyBypassingStrategies.includes(strategy),
+        analysisResult
+      })
+
+      // Update extension state (the analysis usually completed it already)
+      if (this.extensionState.isProcessing()) {
+        this.extensionState.completeProcessing()
+      }
 
-      // Hide overlay
+      // Hide overlay and offer to undo
       this.overlay.hide()
+      this.undoToast.show('Suggestion applied.', { shortcut: this.undoShortcut })
 
-      // Send analytics event
+      // Send analytics event, with what went into the field so history can re-apply it
       this._sendMessage({
         type: 'USER_ACTION',
         payload: {
           action: 'accept',
           analysisResult,
+          applied: {
+            improvedText: acceptedText,
+            changes: changeSelection ? changeSelection.acceptedChanges : analysisResult.changes
+          },
           fieldContext: await InputDetector.detectField(targetElement)
         }
       })
@@ -233,13 +528,155 @@ class ContentScript {
     }
   }
 
+  async _handleUndo (targetElement = null) {
+    const element = targetElement && this.undoStacks.has(targetElement)
+      ? targetElement
+      : this.lastUndoTarget
+    const stack = element ? this.undoStacks.get(element) : null
+    if (!stack || stack.length === 0) return false
+
+    const entry = stack.pop()
+
+    try {
+      // Restoring over later edits would silently throw the user's typing away
+      const currentField = await InputDetector.detectField(element)
+      if (currentField.text !== entry.appliedText) {
+        this.undoStacks.delete(element)
+        this.undoToast.show('The text has changed since the suggestion was applied.', {
+          canUndo: false
+        })
+        return false
+      }
+
+      const { result } = await ActionProcessor.processUserAction({
+        actionType: 'undo',
+        improvementId: entry.improvementId,
+        timestamp: new Date(),
+        previousState: entry
+      })
+
+      await InputDetector.replaceText(element, result.textRestored, false)
+      InputDetector.setCursorPosition(element, result.cursorPosition)
+      element.focus()
+
+      this.undoToast.show('Original text restored.', { canUndo: false })
+
+      // Send analytics event
+      this._sendMessage({
+        type: 'USER_ACTION',
+        payload: {
+          action: 'undo',
+          analysisResult: entry.analysisResult,
+          fieldContext: currentField
+        }
+      }).catch((error) => {
+        console.warn('Failed to report undo:', error)
+      })
+
+      return true
+    } catch (error) {
+      console.error('Error undoing suggestion:', error)
+      this.undoToast.show('Could not restore the original text.', { canUndo: false })
+      return false
+    }
+  }
+
+  _pushUndoEntry (element, entry) {
+    const stack = this.undoStacks.get(element) || []
+
+    stack.push({
+      ...entry,
+      improvementId: entry.analysisResult?.textContentId || this._generateRequestId()
+    })
+
+    // Only the most recent suggestions per field are worth keeping
+    if (stack.length > this.maxUndoDepth) {
+      stack.shift()
+    }
+
+    this.undoStacks.set(element, stack)
+    this.lastUndoTarget = element
+  }
+
+  canUndo (element = this.lastUndoTarget) {
+    const stack = element ? this.undoStacks.get(element) : null
+    return !!stack && stack.length > 0
+  }
+
+  _replyWithoutActiveField (sendResponse) {
+    const response = { success: false, error: 'No active input field' }
+    const activeElement = InputDetector.getActiveElement()
+
+    // With focus inside a child frame, give that frame time to answer with its field first
+    if (activeElement && /^i?frame$/i.test(activeElement.tagName)) {
+      setTimeout(() => sendResponse(response), this.childFrameReplyMs)
+    } else {
+      sendResponse(response)
+    }
+  }
+
+  async _handleApplyHistoryEntry (entry) {
+    const element = InputDetector.getActiveElement()
+    if (!entry || !InputDetector.isValidInputField(element)) {
+      return { success: false, error: 'No active input field' }
+    }
+
+    // A past improvement only fits where its original text still appears
+    const field = await InputDetector.detectField(element)
+    const start = field.text.indexOf(entry.originalText)
+    if (start === -1) {
+      return { success: false, error: 'The field does not contain the original text' }
+    }
+
+    // Show it as a suggestion so the user reviews it and can undo it like any other
+    this.overlay.show(element)
+    this.overlay.setCharacterLimit(this._getCharacterBudget(field, {
+      text: entry.originalText
+    }))
+    this.overlay.updateWithAnalysisResult({
+      originalText: entry.originalText,
+      improvedText: entry.improvedText,
+      changes: entry.changes,
+      confidenceScore: entry.confidenceScore,
+      processingTime: entry.processingTime,
+      improvementType: entry.improvementType,
+      historyId: entry.id,
+      selection: { start, end: start + entry.originalText.length }
+    })
+
+    return { success: true }
+  }
+
+  _resolveAcceptedText (analysisResult, changeSelection) {
+    if (!changeSelection || changeSelection.rejectedChanges.length === 0) {
+      return analysisResult.improvedText
+    }
+
+    return TextDiff.applyChanges(analysisResult.originalText, changeSelection.acceptedChanges)
+  }
+
+  _mergeIntoField (fieldText, analysisResult, acceptedText) {
+    const { selection } = analysisResult
+    if (!selection) {
+      return acceptedText
+    }
+
+    if (fieldText.slice(selection.start, selection.end) !== analysisResult.originalText) {
+      throw new Error('The selected text has changed since it was analyzed')
+    }
+
+    return fieldText.slice(0, selection.start) + acceptedText + fieldText.slice(selection.end)
+  }
+
   async _handleRejectSuggestion (analysisResult, targetElement) {
     try {
       // Just hide overlay, keep original text
       this.overlay.hide()
 
-      // Update extension state
-      this.extensionState.completeProcessing()
+      // Update extension state (the analysis usually completed it already)
+      if (this.extensionState.isProcessing()) {
+        this.extensionState.completeProcessing()
+      }
 
       // Send analytics event
       this._sendMessage({
@@ -255,13 +692,71 @@ class ContentScript {
     }
   }
 
+  async _handleDownloadModel () {
+    try {
+      const response = await this._sendMessage({
+        type: 'DOWNLOAD_MODEL',
+        payload: { apiType: 'rewriter' }
+      })
+
+      if (!response.success) {
+        this.overlay.showError(response.error || 'Model download is not possible on this device')
+        return
+      }
+
+      this._showModelStatus(response.status)
+    } catch (error) {
+      console.error('Error starting model download:', error)
+      this.overlay.showError('Failed to start model download')
+    }
+  }
+
+  _showModelStatus (modelStatus) {
+    this.overlay.showModelStatus(modelStatus)
+
+    if (modelStatus.state === 'downloading') {
+      this._startModelStatusPolling()
+    } else {
+      this._stopModelStatusPolling()
+    }
+  }
+
+  _startModelStatusPolling () {
+    if (this.modelStatusPoller) return
+
+    this.modelStatusPoller = setInterval(async () => {
+      if (!this.overlay || !this.overlay.isVisible) {
+        this._stopModelStatusPolling()
+        return
+      }
+
+      try {
+        const response = await this._sendMessage({ type: 'GET_MODEL_STATUS' })
+        if (response.success) {
+          this._showModelStatus(response.overall)
+        }
+      } catch (error) {
+        this._stopModelStatusPolling()
+      }
+    }, 1000)
+  }
+
+  _stopModelStatusPolling () {
+    if (this.modelStatusPoller) {
+      clearInterval(this.modelStatusPoller)
+      this.modelStatusPoller = null
+    }
+  }
+
   _handleCloseOverlay () {
+    this._stopModelStatusPolling()
+    this._cancelCurrentAnalysis('overlay_closed')
     this.overlay.hide()
     this.extensionState.deactivate()
   }
 
   _handleKeyboardShortcut (event) {
-    const activeElement = document.activeElement
+    const activeElement = InputDetector.getActiveElement()
 
     if (InputDetector.isValidInputField(activeElement)) {
       if (this.overlay.isVisible) {
@@ -281,7 +776,7 @@ class ContentScript {
         break
 
       case 'ANALYZE_CURRENT_FIELD':
-        const activeElement = document.activeElement
+        const activeElement = InputDetector.getActiveElement()
         if (InputDetector.isValidInputField(activeElement)) {
           this.overlay.show(activeElement)
           await this._handleAnalyzeRequest(activeElement)
@@ -291,11 +786,44 @@ class ContentScript {
         }
         break
 
+      case 'ANALYZE_SELECTION':
+        sendResponse({ success: await this._handleSelectionAnalysis(message.payload) })
+        break
+
+      case 'APPLY_HISTORY_ENTRY':
+        // Every frame receives this and the first answer wins, so only the field's frame answers
+        if (InputDetector.isValidInputField(InputDetector.getActiveElement())) {
+          sendResponse(await this._handleApplyHistoryEntry(message.payload))
+        } else if (FrameCoordinator.isTopFrame()) {
+          this._replyWithoutActiveField(sendResponse)
+        }
+        break
+
+      case 'UNDO_LAST_SUGGESTION':
+        sendResponse({ success: await this._handleUndo(InputDetector.getActiveElement()) })
+        break
+
+      case 'ANALYSIS_CHUNK':
+        this._handleAnalysisChunk(message.payload)
+        sendResponse({ success: true })
+        break
+
       case 'PREFERENCES_UPDATED':
         await this._handlePreferencesUpdate(message.payload)
         sendResponse({ success: true })
         break
 
+      case 'FRAME_OVERLAY_CALL':
+        sendResponse({ success: true, handled: this._handleFrameOverlayCall(message.payload) })
+        break
+
+      case 'FRAME_OVERLAY_ACTION':
+        sendResponse({
+          success: true,
+          handled: !!this.overlay.handleAction && this.overlay.handleAction(message.payload)
+        })
+        break
+
       case 'GET_STATE':
         sendResponse({
           success: true,
@@ -313,6 +841,27 @@ class ContentScript {
     }
   }
 
+  _handleFrameOverlayCall ({ method, args = [], sourceFrameId }) {
+    if (!FrameCoordinator.isTopFrame()) return false
+
+    if (method === 'show') {
+      const [rect, analysisResult] = args
+      this.overlay.show(FrameCoordinator.createRemoteTarget(sourceFrameId, rect), analysisResult)
+      return true
+    }
+
+    // A frame whose overlay was since taken over by another field must not touch it
+    const targetElement = this.overlay.currentTargetElement
+    const ownsOverlay = FrameCoordinator.isRemoteTarget(targetElement) &&
+      targetElement.frameId === sourceFrameId
+    if (!ownsOverlay || !FrameCoordinator.overlayMethods.includes(method)) {
+      return false
+    }
+
+    this.overlay[method](...args)
+    return true
+  }
+
   async _handleContextMenuAction (payload) {
     if (this._contextMenuTarget && InputDetector.isValidInputField(this._contextMenuTarget)) {
       this.overlay.show(this._contextMenuTarget)
@@ -327,6 +876,10 @@ class ContentScript {
     try {
       this.userPreferences = UserPreferences.fromJSON(newPreferences)
 
+      if (this.overlay) {
+        this.overlay.setShowChangeDetails(this.userPreferences.showChangeDetails)
+      }
+
       // Update keyboard shortcut if changed
       if (this.keyboardShortcutHandler) {
         document.removeEventListener('keydown', this.keyboardShortcutHandler, true)
@@ -371,6 +924,58 @@ class ContentScript {
     return true
   }
 
+  _matchesNativeUndo (event) {
+    const isUndoKey = (event.ctrlKey || event.metaKey) && !event.shiftKey && !event.altKey &&
+      (event.key || '').toLowerCase() === 'z'
+    const target = InputDetector.getEventTarget(event)
+    if (!isUndoKey || !this.undoStacks.has(target)) return false
+
+    // Only take over while the field still shows a suggestion the browser cannot undo
+    const stack = this.undoStacks.get(target)
+    const entry = stack[stack.length - 1]
+    return !!entry && entry.bypassedNativeHistory &&
+      InputDetector.getText(target) === entry.appliedText
+  }
+
+  _getSelectionScope (fieldData) {
+    const { text } = fieldData
+    let start = fieldData.selectionStart || 0
+    let end = Math.min(fieldData.selectionEnd || 0, text.length)
+
+    // Surrounding whitespace is not part of what the user meant to rewrite
+    while (start < end && /\s/.test(text[start])) start++
+    while (end > start && /\s/.test(text[end - 1])) end--
+
+    // Nothing selected, or everything selected, means a normal whole-field analysis
+    if (start >= end || (start === 0 && end === text.length)) {
+      return null
+    }
+
+    const paragraphStart = start > 0 ? text.lastIndexOf('\n', start - 1) + 1 : 0
+    const nextBreak = text.indexOf('\n', end)
+    const paragraphEnd = nextBreak === -1 ? text.length : nextBreak
+
+    return {
+      start,
+      end,
+      text: text.slice(start, end),
+      context: text.slice(paragraphStart, paragraphEnd)
+    }
+  }
+
+  _getCharacterBudget (fieldData, selection) {
+    if (!fieldData.characterLimit) return null
+    if (!selection) return fieldData.characterLimit
+
+    // No room left is still a limit, and the one a selection rewrite most needs to respect
+    const budget = fieldData.characterLimit - (fieldData.text.length - selection.text.length)
+    return Math.max(budget, 0)
+  }
+
+  _generateRequestId () {
+    return `request_${Date.now()}_${Math.random().toString(36).substring(2)}`
+  }
+
   _countWords (text) {
     if (!text) return 0
     return text.trim().split(/\s+/).filter(word => word.length > 0).length
@@ -0,0 +1,175 @@
+// ABOUTME: Page-world script that applies edits through rich-text editors' own JavaScript APIs
+// ABOUTME: Content scripts cannot see editor instances, so they ask this bridge via DOM events
+
+// Must match EDITOR_EDIT_EVENT in editor-adapters.js; this script cannot require modules
+const EDITOR_EDIT_EVENT = 'isitclear:editor-edit'
+
+class EditorBridge {
+  constructor () {
+    this.editHandler = null
+
+    // Each handler edits the current selection of its editor and reports whether it could
+    this.editors = {
+      prosemirror: (root, range, text) => this._editProseMirror(root, range, text),
+      quill: (root, range, text) => this._editQuill(root, range, text),
+      ckeditor: (root, range, text) => this._editCKEditor(root, range, text),
+      tinymce: (root, range, text) => this._editTinyMCE(root, range, text)
+    }
+  }
+
+  initialize () {
+    if (this.editHandler) return
+
+    this.editHandler = (event) => this._handleEditRequest(event)
+    document.addEventListener(EDITOR_EDIT_EVENT, this.editHandler, true)
+  }
+
+  cleanup () {
+    if (this.editHandler) {
+      document.removeEventListener(EDITOR_EDIT_EVENT, this.editHandler, true)
+      this.editHandler = null
+    }
+  }
+
+  // Private methods
+  _handleEditRequest (event) {
+    try {
+      // Only strings cross between the worlds reliably, so the request arrives as JSON
+      const { editor, text } = JSON.parse(event.detail)
+      const handler = this.editors[editor]
+      const root = typeof event.composedPath === 'function'
+        ? event.composedPath()[0]
+        : event.target
+      const range = this._getSelectedRange(root)
+
+      // Cancelling the event is how the content script learns the edit was applied
+      if (handler && range && handler(root, range, text)) {
+        event.preventDefault()
+      }
+    } catch (error) {
+      console.warn('Editor API edit failed, falling back to input events:', error)
+    }
+  }
+
+  _getSelectedRange (root) {
+    // The content script selects the text to replace before asking
+    const scope = root.getRootNode()
+    const selection = typeof scope.getSelection === 'function'
+      ? scope.getSelection()
+      : root.ownerDocument.getSelection()
+    return selection && selection.rangeCount > 0 ? selection.getRangeAt(0) : null
+  }
+
+  _editProseMirror (root, range, text) {
+    // Tiptap exposes its editor on the editable element
+    const view = root.editor && root.editor.view
+    if (!view || typeof view.posAtDOM !== 'function') {
+      return false
+    }
+
+    const from = view.posAtDOM(range.startContainer, range.startOffset)
+    const to = view.posAtDOM(range.endContainer, range.endOffset)
+    view.dispatch(view.state.tr.insertText(text, from, to))
+    return true
+  }
+
+  _editQuill (root, range, text) {
+    const quill = root.parentNode && root.parentNode.__quill
+    if (!quill || range.startContainer.nodeType !== 3 || range.endContainer.nodeType !== 3) {
+      return false
+    }
+
+    const indexOf = (textNode, offset) => {
+      const blot = quill.constructor.find && quill.constructor.find(textNode)
+      return blot ? quill.getIndex(blot) + offset : null
+    }
+
+    const from = indexOf(range.startContainer, range.startOffset)
+    const to = indexOf(range.endContainer, range.endOffset)
+    if (from === null || to === null) {
+      return false
+    }
+
+    const format = quill.getFormat(from, Math.max(to - from, 1))
+    quill.deleteText(from, to - from, 'user')
+    if (text) {
+      quill.insertText(from, text, format, 'user')
+    }
+    return true
+  }
+
+  _editCKEditor (root, range, text) {
+    const editor = root.ckeditorInstance
+    if (!editor) {
+      return false
+    }
+
+    const toModel = (node, offset) => {
+      const viewPosition = editor.editing.view.domConverter.domPositionToView(node, offset)
+      return viewPosition ? editor.editing.mapper.toModelPosition(viewPosition) : null
+    }
+
+    const start = toModel(range.startContainer, range.startOffset)
+    const end = toModel(range.endContainer, range.endOffset)
+    if (!start || !end) {
+      return false
+    }
+
+    editor.model.change(writer => {
+      const modelRange = writer.createRange(start, end)
+      if (!text) {
+        editor.model.deleteContent(writer.createSelection(modelRange))
+        return
+      }
+
+      const styled = start.textNode || start.nodeAfter
+      const attributes = styled && styled.is('$text') ? styled.getAttributes() : []
+      editor.model.insertContent(writer.createText(text, attributes), modelRange)
+    })
+    return true
+  }
+
+  _editTinyMCE (root, range, text) {
+    const editor = this._findTinyMCEEditor(root)
+    if (!editor) {
+      return false
+    }
+
+    const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    editor.undoManager.transact(() => {
+      editor.selection.setRng(range)
+      editor.selection.setContent(escaped)
+    })
+    return true
+  }
+
+  _findTinyMCEEditor (root) {
+    const view = root.ownerDocument.defaultView
+    let tinymce = view && view.tinymce
+
+    if (!tinymce && view) {
+      try {
+        // Iframe editors keep the tinymce global on the embedding page
+        tinymce = view.parent && view.parent.tinymce
+      } catch (error) {
+        // A cross-origin parent throws a SecurityError, and its editors are out of reach
+        return null
+      }
+    }
+
+    if (!tinymce || typeof tinymce.get !== 'function') {
+      return null
+    }
+
+    const editors = [].concat(tinymce.get() || [])
+    return editors.find(editor => editor.getBody() === root) || null
+  }
+}
+
+const editorBridge = new EditorBridge()
+editorBridge.initialize()
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = editorBridge
+}
@@ -1,22 +1,34 @@
 // ABOUTME: UI overlay component for displaying clarity suggestions and user interaction
 // ABOUTME: Creates and manages the floating overlay interface for text improvement
 
+const TextDiff = require('../services/text-diff')
+const InputDetector = require('../services/input-detector')
+const { createShadowHost } = require('./shadow-host')
+
 class ClarityOverlay {
   constructor () {
+    this.host = null
     this.overlay = null
     this.currentTargetElement = null
     this.currentAnalysisResult = null
     this.isVisible = false
     this.eventListeners = []
+    this.showChangeDetails = true
+    this.rejectedChanges = new Set()
+    this.meaningConfirmed = false
+    this.candidateIndex = 0
+    this.characterLimit = null
 
     // Configuration
     this.config = {
       overlayId: 'isitclear-overlay',
+      hostTagName: 'isitclear-overlay-host',
       className: 'isitclear-overlay',
       zIndex: 999999,
       maxWidth: 400,
       borderRadius: '8px',
-      animationDuration: '200ms'
+      animationDuration: '200ms',
+      maxNotes: 5
     }
 
     // Callbacks
@@ -24,8 +36,7 @@ class ClarityOverlay {
     this.onAccept = null
     this.onReject = null
     this.onClose = null
-
-    this._createStyles()
+    this.onDownloadModel = null
   }
 
   // Main interface methods
@@ -36,6 +47,9 @@ class ClarityOverlay {
 
     this.currentTargetElement = targetElement
     this.currentAnalysisResult = analysisResult
+    this.rejectedChanges.clear()
+    this.meaningConfirmed = false
+    this.candidateIndex = 0
 
     if (!this.overlay) {
       this._createOverlay()
@@ -58,11 +72,12 @@ class ClarityOverlay {
   destroy () {
     this.hide()
 
-    if (this.overlay && this.overlay.parentNode) {
-      this.overlay.parentNode.removeChild(this.overlay)
+    if (this.host && this.host.parentNode) {
+      this.host.parentNode.removeChild(this.host)
     }
 
     this._removeEventListeners()
+    this.host = null
     this.overlay = null
     this.currentTargetElement = null
     this.currentAnalysisResult = null
@@ -71,12 +86,46 @@ class ClarityOverlay {
   // Content update methods
   updateWithAnalysisResult (analysisResult) {
     this.currentAnalysisResult = analysisResult
+    this.rejectedChanges.clear()
+    this.meaningConfirmed = false
+    this.candidateIndex = 0
 
     if (this.overlay && this.isVisible) {
       this._updateContent(analysisResult)
     }
   }
 
+  showPartialResult (partialText) {
+    if (!this.overlay || !this.isVisible || !partialText) return
+
+    // Update the streaming text in place to avoid re-rendering on every chunk
+    const streamingText = this.overlay.querySelector(
+      `.${this.config.className}__improvement-text--streaming`
+    )
+    if (streamingText) {
+      streamingText.textContent = partialText
+
+      const counter = this.overlay.querySelector(`.${this.config.className}__character-count`)
+      if (counter) {
+        counter.outerHTML = this._renderCharacterCount(partialText.length)
+      }
+      return
+    }
+
+    this._updateContent({ improvedText: partialText }, { isStreaming: true })
+  }
+
+  reset () {
+    this.currentAnalysisResult = null
+    this.rejectedChanges.clear()
+    this.meaningConfirmed = false
+    this.candidateIndex = 0
+
+    if (this.overlay) {
+      this._updateContent(null)
+    }
+  }
+
   showLoading (message = 'Analyzing text...') {
     if (this.overlay) {
       this._updateContent(null, { isLoading: true, loadingMessage: message })
@@ -92,6 +141,12 @@ class ClarityOverlay {
     }
   }
 
+  showModelStatus (modelStatus) {
+    if (this.overlay && modelStatus) {
+      this._updateContent(null, { isModelStatus: true, modelStatus })
+    }
+  }
+
   showEmpty (message = 'No text to analyze') {
     if (this.overlay) {
       this._updateContent(null, { isEmpty: true, emptyMessage: message })
@@ -100,12 +155,17 @@ class ClarityOverlay {
 
   // Private methods - Overlay creation
   _createOverlay () {
+    const { host, shadowRoot } = createShadowHost(this.config.hostTagName, this.config.zIndex)
+    this.host = host
+    shadowRoot.appendChild(this._createStyles())
+
     this.overlay = document.createElement('div')
     this.overlay.id = this.config.overlayId
     this.overlay.className = this.config.className
+    shadowRoot.appendChild(this.overlay)
 
-    // Add to document
-    document.body.appendChild(this.overlay)
+    // A transformed body would become the containing block of the fixed overlay
+    document.documentElement.appendChild(this.host)
 
     // Set up event listeners
     this._setupEventListeners()
@@ -114,13 +174,7 @@ class ClarityOverlay {
   }
 
   _createStyles () {
-    // Check if styles already exist
-    if (document.getElementById('isitclear-styles')) {
-      return
-    }
-
     const style = document.createElement('style')
-    style.id = 'isitclear-styles'
     style.textContent = `
       .${this.config.className} {
         position: fixed;
@@ -240,6 +294,192 @@ class ClarityOverlay {
         line-height: 1.5;
       }
       
+      .${this.config.className}__improvement-text--streaming::after {
+        content: '▍';
+        margin-left: 1px;
+        color: #007bff;
+        animation: isitclear-blink 1s step-end infinite;
+      }
+      
+      @keyframes isitclear-blink {
+        50% { opacity: 0; }
+      }
+      
+      .${this.config.className}__streaming-status {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        font-size: 12px;
+        color: #6c757d;
+        font-style: italic;
+        margin-top: 8px;
+      }
+      
+      .${this.config.className}__diff {
+        white-space: pre-wrap;
+        max-height: 240px;
+        overflow-y: auto;
+      }
+      
+      .${this.config.className}__change {
+        cursor: pointer;
+        border-radius: 2px;
+      }
+      
+      .${this.config.className}__change:hover,
+      .${this.config.className}__change:focus {
+        outline: 1px dashed #6c757d;
+        outline-offset: 1px;
+      }
+      
+      .${this.config.className}__removed {
+        color: #b02a37;
+        background: #f8d7da;
+        text-decoration: line-through;
+      }
+      
+      .${this.config.className}__added {
+        color: #146c43;
+        background: #d1e7dd;
+        text-decoration: none;
+      }
+      
+      .${this.config.className}__change--rejected .${this.config.className}__removed {
+        color: inherit;
+        background: none;
+        text-decoration: none;
+      }
+      
+      .${this.config.className}__change--rejected .${this.config.className}__added {
+        display: none;
+      }
+      
+      .${this.config.className}__diff-summary {
+        font-size: 12px;
+        color: #6c757d;
+        margin-top: 8px;
+      }
+      
+      .${this.config.className}__verification {
+        font-size: 12px;
+        color: #664d03;
+        background: #fff3cd;
+        border: 1px solid #ffecb5;
+        border-radius: 4px;
+        padding: 8px;
+        margin-top: 8px;
+      }
+      
+      .${this.config.className}__verification-title {
+        font-weight: 600;
+      }
+      
+      .${this.config.className}__verification-list {
+        margin: 4px 0 8px;
+        padding-left: 16px;
+      }
+      
+      .${this.config.className}__violation-value {
+        font-family: monospace;
+      }
+      
+      .${this.config.className}__readability {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 12px;
+        color: #495057;
+        margin-top: 8px;
+      }
+      
+      .${this.config.className}__readability th,
+      .${this.config.className}__readability td {
+        padding: 2px 4px;
+        text-align: right;
+        font-weight: normal;
+      }
+      
+      .${this.config.className}__readability th[scope="row"] {
+        text-align: left;
+      }
+      
+      .${this.config.className}__metric--better {
+        color: #146c43;
+      }
+      
+      .${this.config.className}__metric--worse {
+        color: #b02a37;
+      }
+      
+      .${this.config.className}__character-count {
+        font-size: 12px;
+        color: #6c757d;
+        text-align: right;
+        margin-top: 4px;
+      }
+      
+      .${this.config.className}__character-count--over {
+        color: #b02a37;
+        font-weight: 600;
+      }
+      
+      .${this.config.className}__candidates {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        font-size: 12px;
+        color: #495057;
+        margin-bottom: 8px;
+      }
+      
+      .${this.config.className}__candidate-nav {
+        padding: 0 8px;
+        border: 1px solid #dee2e6;
+        border-radius: 4px;
+        background: #ffffff;
+        color: #495057;
+        cursor: pointer;
+        font-size: 14px;
+      }
+      
+      .${this.config.className}__candidate-nav:disabled {
+        opacity: 0.4;
+        cursor: default;
+      }
+      
+      .${this.config.className}__reading-target {
+        font-size: 12px;
+        margin-top: 4px;
+      }
+      
+      .${this.config.className}__reading-target--met {
+        color: #146c43;
+      }
+      
+      .${this.config.className}__reading-target--missed {
+        color: #b02a37;
+      }
+      
+      .${this.config.className}__notes {
+        font-size: 12px;
+        color: #495057;
+        margin-top: 8px;
+      }
+      
+      .${this.config.className}__notes-title {
+        font-weight: 600;
+        margin-bottom: 4px;
+      }
+      
+      .${this.config.className}__notes-list {
+        margin: 0;
+        padding-left: 16px;
+      }
+      
+      .${this.config.className}__note-phrase {
+        font-style: italic;
+        margin-right: 4px;
+      }
+      
       .${this.config.className}__confidence {
         display: flex;
         align-items: center;
@@ -314,6 +554,35 @@ class ClarityOverlay {
         pointer-events: none;
       }
       
+      .${this.config.className}__model-status {
+        color: #495057;
+        padding: 4px 0 12px;
+      }
+      
+      .${this.config.className}__model-status-title {
+        font-weight: 600;
+        margin-bottom: 4px;
+      }
+      
+      .${this.config.className}__model-status-detail {
+        font-size: 12px;
+        color: #6c757d;
+      }
+      
+      .${this.config.className}__progress-bar {
+        height: 6px;
+        background: #e9ecef;
+        border-radius: 3px;
+        overflow: hidden;
+        margin-top: 8px;
+      }
+      
+      .${this.config.className}__progress-fill {
+        height: 100%;
+        background: #007bff;
+        transition: width 0.3s ease;
+      }
+      
       .${this.config.className}__feedback-message {
         text-align: center;
         color: #6c757d;
@@ -322,7 +591,7 @@ class ClarityOverlay {
       }
     `
 
-    document.head.appendChild(style)
+    return style
   }
 
   // Content rendering methods
@@ -338,8 +607,11 @@ class ClarityOverlay {
       content.innerHTML = this._renderError(state.errorMessage)
     } else if (state.isEmpty) {
       content.innerHTML = this._renderEmpty(state.emptyMessage)
+    } else if (state.isModelStatus) {
+      content.innerHTML = this._renderModelStatus(state.modelStatus)
     } else if (analysisResult) {
-      content.innerHTML = this._renderAnalysisResult(analysisResult)
+      const displayedResult = this._getDisplayedResult(analysisResult)
+      content.innerHTML = this._renderAnalysisResult(displayedResult, state)
     } else {
       content.innerHTML = this._renderInitial()
     }
@@ -376,14 +648,101 @@ class ClarityOverlay {
     `
   }
 
-  _renderAnalysisResult (analysisResult) {
+  _renderModelStatus (modelStatus) {
+    const progress = modelStatus.progress || 0
+    const views = {
+      unavailable: {
+        title: 'On-device AI is not available',
+        detail: modelStatus.reason || 'This device or Chrome version cannot run Gemini Nano.'
+      },
+      downloadable: {
+        title: 'The AI model needs to be downloaded',
+        detail: 'Gemini Nano runs locally once downloaded. This happens only once.',
+        action: 'download-model',
+        actionLabel: 'Download Model'
+      },
+      downloading: {
+        title: `Downloading AI model... ${progress}%`,
+        detail: 'You can keep working while the model downloads.',
+        showProgress: true
+      },
+      ready: {
+        title: 'The AI model is ready',
+        detail: 'Try analyzing your text again.',
+        action: 'analyze',
+        actionLabel: 'Analyze for Clarity'
+      }
+    }
+    const view = views[modelStatus.state] || views.unavailable
+    const cls = this.config.className
+
+    const progressBar = view.showProgress
+      ? `<div class="${cls}__progress-bar">
+           <div class="${cls}__progress-fill" style="width: ${progress}%"></div>
+         </div>`
+      : ''
+
+    const actionButton = view.action
+      ? `<button class="${cls}__button ${cls}__button--primary"
+                 data-action="${view.action}">${view.actionLabel}</button>`
+      : ''
+
+    return `
+      <div class="${cls}__model-status">
+        <div class="${cls}__model-status-title">${this._escapeHtml(view.title)}</div>
+        <div class="${cls}__model-status-detail">${this._escapeHtml(view.detail)}</div>
+        ${progressBar}
+      </div>
+      <div class="${cls}__actions">
+        <button class="${cls}__button" data-action="close">Close</button>
+        ${actionButton}
+      </div>
+    `
+  }
+
+  _renderAnalysisResult (analysisResult, state = {}) {
+    if (state.isStreaming) {
+      return `
+        <div class="${this.config.className}__improvement">
+          <div class="${this.config.className}__improvement-text
+                      ${this.config.className}__improvement-text--streaming">
+            ${this._escapeHtml(analysisResult.improvedText)}
+          </div>
+          ${this._renderCharacterCount(analysisResult.improvedText.length)}
+          <div class="${this.config.className}__streaming-status">
+            <div class="${this.config.className}__spinner"></div>
+            <span>Writing clearer version...</span>
+          </div>
+        </div>
+      `
+    }
+
     const confidencePercent = Math.round(analysisResult.confidenceScore * 100)
+    const showDiff = this._canShowInlineDiff(analysisResult)
+    const totalChanges = showDiff ? analysisResult.changes.length : 0
+    const acceptedCount = totalChanges - this.rejectedChanges.size
+
+    const improvement = showDiff
+      ? this._renderInlineDiff(analysisResult) + `
+        <div class="${this.config.className}__diff-summary">
+          ${acceptedCount} of ${totalChanges} changes selected. Click a change to keep your wording.
+        </div>`
+      : `<div class="${this.config.className}__improvement-text">
+          ${this._escapeHtml(analysisResult.improvedText)}
+        </div>`
+
+    const needsReview = this._requiresMeaningReview(analysisResult)
+
+    const acceptLabel = acceptedCount < totalChanges
+      ? `Accept ${acceptedCount} of ${totalChanges}`
+      : 'Accept'
 
     return `
       <div class="${this.config.className}__improvement">
-        <div class="${this.config.className}__improvement-text">
-          ${this._escapeHtml(analysisResult.improvedText)}
-        </div>
+        ${this._renderCandidatePager(analysisResult.candidates)}
+        ${improvement}
+        ${this._renderCharacterCount(this._getAcceptedText(analysisResult, showDiff).length)}
+        ${this._renderVerification(analysisResult.verification)}
         <div class="${this.config.className}__confidence">
           <span>Confidence:</span>
           <div class="${this.config.className}__confidence-bar">
@@ -392,15 +751,220 @@ class ClarityOverlay {
           </div>
           <span>${confidencePercent}%</span>
         </div>
+        ${this._renderReadability(analysisResult.readability, analysisResult.readingTarget)}
+        ${this._renderStyleCheck(analysisResult.styleCheck)}
+        ${this._renderNotes(analysisResult.notes)}
       </div>
       <div class="${this.config.className}__actions">
         <button class="${this.config.className}__button" data-action="reject">Reject</button>
         <button class="${this.config.className}__button ${this.config.className}__button--primary" 
-                data-action="accept">Accept</button>
+                data-action="accept"
+                ${(showDiff && acceptedCount === 0) || needsReview ? 'disabled' : ''}>
+          ${acceptLabel}
+        </button>
+      </div>
+    `
+  }
+
+  _renderCandidatePager (candidates) {
+    if (!Array.isArray(candidates) || candidates.length < 2) {
+      return ''
+    }
+
+    const cls = this.config.className
+    const index = this._getCandidateIndex(candidates)
+    const label = candidates[index].variation
+
+    return `
+      <div class="${cls}__candidates" aria-live="polite">
+        <button class="${cls}__candidate-nav" data-action="previous-candidate"
+                aria-label="Previous suggestion" ${index === 0 ? 'disabled' : ''}>‹</button>
+        <span class="${cls}__candidate-label">
+          ${index + 1} of ${candidates.length}${label ? ` · ${this._escapeHtml(label)}` : ''}
+        </span>
+        <button class="${cls}__candidate-nav" data-action="next-candidate"
+                aria-label="Next suggestion"
+                ${index === candidates.length - 1 ? 'disabled' : ''}>›</button>
       </div>
     `
   }
 
+  _renderCharacterCount (length) {
+    if (this.characterLimit === null) return ''
+
+    const cls = this.config.className
+    const over = length > this.characterLimit ? ` ${cls}__character-count--over` : ''
+    return `<div class="${cls}__character-count${over}">${length}/${this.characterLimit}</div>`
+  }
+
+  _renderVerification (verification) {
+    if (!verification || verification.passed) {
+      return ''
+    }
+
+    const cls = this.config.className
+    const items = verification.violations.map(violation => `
+      <li>
+        ${this._escapeHtml(violation.reason)}:
+        <span class="${cls}__violation-value">${this._escapeHtml(violation.value)}</span>
+      </li>`).join('')
+
+    // Accepting stays blocked until the user says they have checked the list
+    const confirm = this.meaningConfirmed
+      ? ''
+      : `<button class="${cls}__button" data-action="confirm-meaning">I have checked these</button>`
+
+    return `
+      <div class="${cls}__verification" role="alert">
+        <div class="${cls}__verification-title">This rewrite may have changed the meaning</div>
+        <ul class="${cls}__verification-list">${items}</ul>
+        ${confirm}
+      </div>
+    `
+  }
+
+  _renderReadability (readability, readingTarget = null) {
+    if (!readability || !readability.original || !readability.improved) {
+      return ''
+    }
+
+    const cls = this.config.className
+    // Higher reading ease is better; for every other metric lower is better
+    const metrics = [
+      { key: 'fleschReadingEase', label: 'Reading ease', higherIsBetter: true },
+      { key: 'fleschKincaidGrade', label: 'Grade level' },
+      { key: 'averageSentenceLength', label: 'Words per sentence' },
+      { key: 'complexWordPercentage', label: 'Complex words', unit: '%' },
+      { key: 'passiveSentenceCount', label: 'Passive sentences' }
+    ]
+
+    const rows = metrics.map(({ key, label, higherIsBetter, unit = '' }) => {
+      const before = readability.original[key]
+      const after = readability.improved[key]
+      const improved = (after > before) === Boolean(higherIsBetter)
+      const trend = after === before
+        ? ''
+        : `${cls}__metric--${improved ? 'better' : 'worse'}`
+
+      return `
+        <tr>
+          <th scope="row">${label}</th>
+          <td>${before}${unit}</td>
+          <td class="${trend}">${after}${unit}</td>
+        </tr>`
+    }).join('')
+
+    return `
+      <table class="${cls}__readability">
+        <thead>
+          <tr><th></th><th scope="col">Before</th><th scope="col">After</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${this._renderReadingTarget(readingTarget)}
+    `
+  }
+
+  _renderReadingTarget (readingTarget) {
+    if (!readingTarget) return ''
+
+    const cls = this.config.className
+    const { targetGrade, achievedGrade, met } = readingTarget
+    const verdict = met ? 'within' : 'above'
+
+    return `
+      <div class="${cls}__reading-target ${cls}__reading-target--${met ? 'met' : 'missed'}">
+        Grade ${achievedGrade}, ${verdict} the target of grade ${targetGrade}
+      </div>
+    `
+  }
+
+  _renderStyleCheck (styleCheck) {
+    if (!styleCheck) return ''
+
+    return this._renderNotes(styleCheck.violations, {
+      title: `Style guide: ${styleCheck.name}`,
+      limit: styleCheck.violations.length
+    })
+  }
+
+  _renderNotes (notes, { title = 'Also consider', limit = this.config.maxNotes } = {}) {
+    if (!Array.isArray(notes) || notes.length === 0) {
+      return ''
+    }
+
+    const cls = this.config.className
+    const items = notes.slice(0, limit).map(note => {
+      const phrase = note.suggestion
+        ? `${note.originalPhrase} → ${note.suggestion}`
+        : note.originalPhrase
+
+      return `
+      <li class="${cls}__note">
+        <span class="${cls}__note-phrase">${this._escapeHtml(phrase)}</span>
+        ${this._escapeHtml(note.reason)}
+      </li>`
+    }).join('')
+
+    return `
+      <div class="${cls}__notes">
+        <div class="${cls}__notes-title">${this._escapeHtml(title)}</div>
+        <ul class="${cls}__notes-list">${items}</ul>
+      </div>
+    `
+  }
+
+  _renderInlineDiff (analysisResult) {
+    const cls = this.config.className
+    const { originalText, changes } = analysisResult
+    const ordered = changes
+      .map((change, index) => ({ change, index }))
+      .sort((a, b) => a.change.startPosition - b.change.startPosition)
+
+    let cursor = 0
+    const parts = []
+
+    ordered.forEach(({ change, index }) => {
+      const rejected = this.rejectedChanges.has(index)
+      const removed = change.originalPhrase
+        ? `<del class="${cls}__removed">${this._escapeHtml(change.originalPhrase)}</del>`
+        : ''
+      const added = change.improvedPhrase
+        ? `<ins class="${cls}__added">${this._escapeHtml(change.improvedPhrase)}</ins>`
+        : ''
+
+      parts.push(this._escapeHtml(originalText.slice(cursor, change.startPosition)))
+      parts.push(
+        `<span class="${cls}__change${rejected ? ` ${cls}__change--rejected` : ''}" ` +
+        `data-action="toggle-change" data-change-index="${index}" role="button" tabindex="0" ` +
+        `aria-pressed="${!rejected}" title="${this._escapeAttribute(change.reason)}">` +
+        `${removed}${added}</span>`
+      )
+      cursor = change.endPosition
+    })
+
+    parts.push(this._escapeHtml(originalText.slice(cursor)))
+
+    // No whitespace inside the container: it renders with pre-wrap
+    return `<div class="${cls}__improvement-text ${cls}__diff">${parts.join('')}</div>`
+  }
+
+  _canShowInlineDiff (analysisResult) {
+    if (!this.showChangeDetails || typeof analysisResult.originalText !== 'string') {
+      return false
+    }
+
+    const { originalText, changes } = analysisResult
+    if (!Array.isArray(changes) || changes.length === 0) {
+      return false
+    }
+
+    // Only trust changes whose positions line up with the original text
+    return changes.every(change =>
+      originalText.slice(change.startPosition, change.endPosition) === change.originalPhrase
+    )
+  }
+
   _renderInitial () {
     return `
       <div class="${this.config.className}__feedback-message">
@@ -426,7 +990,7 @@ class ClarityOverlay {
   _positionOverlay (targetElement) {
     if (!this.overlay || !targetElement) return
 
-    const targetRect = targetElement.getBoundingClientRect()
+    const targetRect = this._getAnchorRect(targetElement)
     const overlayRect = this.overlay.getBoundingClientRect()
     const viewportWidth = window.innerWidth
     const viewportHeight = window.innerHeight
@@ -459,6 +1023,23 @@ class ClarityOverlay {
     this.overlay.style.top = `${top}px`
   }
 
+  _getAnchorRect (targetElement) {
+    let element = targetElement
+    let rect = element.getBoundingClientRect()
+
+    // Design systems often visually hide the native field inside a web component and draw
+    // their own, so anchor to the nearest shadow host that is actually laid out
+    while (rect.width === 0 && rect.height === 0) {
+      const root = element.getRootNode ? element.getRootNode() : null
+      if (!root || !root.host) break
+
+      element = root.host
+      rect = element.getBoundingClientRect()
+    }
+
+    return rect
+  }
+
   // Animation methods
   _showOverlay () {
     if (!this.overlay) return
@@ -488,36 +1069,70 @@ class ClarityOverlay {
   _setupEventListeners () {
     // Click handler for overlay actions
     const clickHandler = (event) => {
-      const action = event.target.dataset.action
-      if (!action) return
+      // Changes wrap their text in nested elements, so look up from the click target
+      const actionElement = event.target.closest('[data-action]')
+      if (!actionElement || !this.overlay.contains(actionElement)) return
 
       event.preventDefault()
       event.stopPropagation()
 
-      this._handleAction(action, event)
+      this._handleAction(actionElement.dataset.action, event)
     }
 
-    // Close on outside click
+    // Pressing a button must not take focus, or the field's text selection, away
+    const mousedownHandler = (event) => {
+      if (event.target.closest('button[data-action]')) {
+        event.preventDefault()
+      }
+    }
+
+    // Changes are focusable, so let the keyboard toggle them too
+    const toggleKeyHandler = (event) => {
+      const isToggleKey = event.key === 'Enter' || event.key === ' '
+      if (isToggleKey && this.isVisible && event.target.dataset?.action === 'toggle-change') {
+        event.preventDefault()
+        this._handleAction('toggle-change', event)
+      }
+    }
+
+    // Close on outside click. The document only sees the host for clicks inside the shadow root
     const outsideClickHandler = (event) => {
-      if (this.overlay && this.isVisible && !this.overlay.contains(event.target)) {
-        this.hide()
+      if (this.overlay && this.isVisible && event.target !== this.host) {
+        this._handleAction('close', event)
       }
     }
 
     // Close on escape key
     const keyHandler = (event) => {
-      if (event.key === 'Escape' && this.isVisible) {
-        this.hide()
+      if (this.isVisible && event.key === 'Escape') {
+        this._handleAction('close', event)
+      }
+    }
+
+    // Page through suggestions with the arrow keys, but only while focus is in the overlay
+    const candidateKeyHandler = (event) => {
+      if (this.isVisible && this._isCandidateKey(event)) {
+        event.preventDefault()
+        this._handleAction(
+          event.key === 'ArrowLeft' ? 'previous-candidate' : 'next-candidate',
+          event
+        )
       }
     }
 
     this.overlay.addEventListener('click', clickHandler)
+    this.overlay.addEventListener('mousedown', mousedownHandler)
+    this.overlay.addEventListener('keydown', toggleKeyHandler)
+    this.overlay.addEventListener('keydown', candidateKeyHandler)
     document.addEventListener('click', outsideClickHandler)
     document.addEventListener('keydown', keyHandler)
 
     // Store for cleanup
     this.eventListeners = [
       { element: this.overlay, event: 'click', handler: clickHandler },
+      { element: this.overlay, event: 'mousedown', handler: mousedownHandler },
+      { element: this.overlay, event: 'keydown', handler: toggleKeyHandler },
+      { element: this.overlay, event: 'keydown', handler: candidateKeyHandler },
       { element: document, event: 'click', handler: outsideClickHandler },
       { element: document, event: 'keydown', handler: keyHandler }
     ]
@@ -539,17 +1154,44 @@ class ClarityOverlay {
       break
 
     case 'accept':
-      if (this.onAccept) {
-        this.onAccept(this.currentAnalysisResult, this.currentTargetElement)
+      if (this.onAccept && !this._requiresMeaningReview(this._getDisplayedResult())) {
+        this.onAccept(
+          this._getDisplayedResult(),
+          this.currentTargetElement,
+          this.getChangeSelection()
+        )
       }
       break
 
+    case 'toggle-change':
+      this._toggleChange(event)
+      break
+
+    case 'previous-candidate':
+      this._showCandidate(this.candidateIndex - 1)
+      break
+
+    case 'next-candidate':
+      this._showCandidate(this.candidateIndex + 1)
+      break
+
+    case 'confirm-meaning':
+      this.meaningConfirmed = true
+      this._updateContent(this.currentAnalysisResult)
+      break
+
     case 'reject':
       if (this.onReject) {
         this.onReject(this.currentAnalysisResult, this.currentTargetElement)
       }
       break
 
+    case 'download-model':
+      if (this.onDownloadModel) {
+        this.onDownloadModel(this.currentTargetElement)
+      }
+      break
+
     case 'close':
       this.hide()
       if (this.onClose) {
@@ -559,6 +1201,77 @@ class ClarityOverlay {
     }
   }
 
+  _toggleChange (event) {
+    const changeElement = event.target.closest('[data-change-index]')
+    if (!changeElement || !this.currentAnalysisResult) return
+
+    const index = Number(changeElement.dataset.changeIndex)
+    if (this.rejectedChanges.has(index)) {
+      this.rejectedChanges.delete(index)
+    } else {
+      this.rejectedChanges.add(index)
+    }
+
+    this._updateContent(this.currentAnalysisResult)
+
+    // Re-rendering drops focus, so return it to the same change for keyboard users
+    const refreshed = this.overlay.querySelector(`[data-change-index="${index}"]`)
+    if (refreshed && event.type === 'keydown') {
+      refreshed.focus()
+    }
+  }
+
+  _showCandidate (index) {
+    const candidates = this.currentAnalysisResult && this.currentAnalysisResult.candidates
+    if (!Array.isArray(candidates) || index < 0 || index >= candidates.length) return
+
+    // Kept changes and the meaning check belong to the candidate they were made on
+    this.candidateIndex = index
+    this.rejectedChanges.clear()
+    this.meaningConfirmed = false
+    this._updateContent(this.currentAnalysisResult)
+  }
+
+  _getCandidateIndex (candidates) {
+    return Math.min(this.candidateIndex, candidates.length - 1)
+  }
+
+  _getDisplayedResult (analysisResult = this.currentAnalysisResult) {
+    const candidates = analysisResult && analysisResult.candidates
+    if (!Array.isArray(candidates) || candidates.length < 2) {
+      return analysisResult
+    }
+
+    return { ...analysisResult, ...candidates[this._getCandidateIndex(candidates)] }
+  }
+
+  _isCandidateKey (event) {
+    if (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight') return false
+    if (event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return false
+
+    // Arrows typed in fields still move the caret, even in fields inside shadow roots
+    const target = InputDetector.getEventTarget(event)
+    const isEditable = target && (target.isContentEditable ||
+      ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+    const candidates = this.currentAnalysisResult && this.currentAnalysisResult.candidates
+    return !isEditable && Array.isArray(candidates) && candidates.length > 1
+  }
+
+  _getAcceptedText (analysisResult, showDiff) {
+    if (!showDiff || this.rejectedChanges.size === 0) {
+      return analysisResult.improvedText
+    }
+
+    // Keeping the user's wording changes the length that would go into the field
+    const accepted = analysisResult.changes.filter((_, index) => !this.rejectedChanges.has(index))
+    return TextDiff.applyChanges(analysisResult.originalText, accepted)
+  }
+
+  _requiresMeaningReview (analysisResult) {
+    const verification = analysisResult && analysisResult.verification
+    return Boolean(verification && !verification.passed && !this.meaningConfirmed)
+  }
+
   // Utility methods
   _escapeHtml (text) {
     const div = document.createElement('div')
@@ -566,12 +1279,29 @@ class ClarityOverlay {
     return div.innerHTML
   }
 
+  _escapeAttribute (text) {
+    return this._escapeHtml(text).replace(/"/g, '&quot;')
+  }
+
   // Public configuration methods
   setCallbacks (callbacks) {
     this.onAnalyze = callbacks.onAnalyze || null
     this.onAccept = callbacks.onAccept || null
     this.onReject = callbacks.onReject || null
     this.onClose = callbacks.onClose || null
+    this.onDownloadModel = callbacks.onDownloadModel || null
+  }
+
+  setShowChangeDetails (enabled) {
+    this.showChangeDetails = enabled !== false
+
+    if (this.overlay && this.isVisible && this.currentAnalysisResult) {
+      this._updateContent(this.currentAnalysisResult)
+    }
+  }
+
+  setCharacterLimit (limit) {
+    this.characterLimit = Number.isInteger(limit) && limit >= 0 ? limit : null
   }
 
   updateConfig (config) {
@@ -579,6 +1309,20 @@ class ClarityOverlay {
   }
 
   // State query methods
+  getChangeSelection () {
+    const analysisResult = this._getDisplayedResult()
+    if (!analysisResult || !this._canShowInlineDiff(analysisResult)) {
+      return null
+    }
+
+    const isRejected = (_, index) => this.rejectedChanges.has(index)
+
+    return {
+      acceptedChanges: analysisResult.changes.filter((change, index) => !isRejected(change, index)),
+      rejectedChanges: analysisResult.changes.filter(isRejected)
+    }
+  }
+
   getState () {
     return {
       isVisible: this.isVisible,
@@ -0,0 +1,212 @@
+// ABOUTME: Overlay stand-in for child frames that renders through the top frame's overlay
+// ABOUTME: Forwards overlay calls upwards and replays the user's choices against the local field
+
+const FrameCoordinator = require('../services/frame-coordinator')
+
+class FrameOverlay {
+  constructor (createLocalOverlay) {
+    this.createLocalOverlay = createLocalOverlay
+    this.localOverlay = null
+    this.currentTargetElement = null
+    this.currentAnalysisResult = null
+    this.isVisible = false
+    this.showChangeDetails = true
+    this.characterLimit = null
+    this.pendingCalls = Promise.resolve()
+
+    // Callbacks
+    this.onAnalyze = null
+    this.onAccept = null
+    this.onReject = null
+    this.onClose = null
+    this.onDownloadModel = null
+  }
+
+  // Main interface methods, mirroring ClarityOverlay
+  show (targetElement, analysisResult = null) {
+    if (!targetElement) {
+      throw new Error('Target element is required')
+    }
+
+    this.currentTargetElement = targetElement
+    this.currentAnalysisResult = analysisResult
+    this.isVisible = true
+    return this._forward('show', targetElement, analysisResult)
+  }
+
+  hide () {
+    if (!this.isVisible) return this.pendingCalls
+
+    this.isVisible = false
+    return this._forward('hide')
+  }
+
+  destroy () {
+    this.hide()
+
+    if (this.localOverlay) {
+      this.localOverlay.destroy()
+      this.localOverlay = null
+    }
+    this.currentTargetElement = null
+    this.currentAnalysisResult = null
+  }
+
+  updateWithAnalysisResult (analysisResult) {
+    this.currentAnalysisResult = analysisResult
+    return this._forward('updateWithAnalysisResult', analysisResult)
+  }
+
+  showPartialResult (partialText) {
+    return this._forward('showPartialResult', partialText)
+  }
+
+  reset () {
+    this.currentAnalysisResult = null
+    return this._forward('reset')
+  }
+
+  showLoading (message = 'Analyzing text...') {
+    return this._forward('showLoading', message)
+  }
+
+  showError (error) {
+    // Errors do not survive the trip between frames, their messages do
+    return this._forward('showError', typeof error === 'string' ? error : error.message)
+  }
+
+  showModelStatus (modelStatus) {
+    return this._forward('showModelStatus', modelStatus)
+  }
+
+  showEmpty (message = 'No text to analyze') {
+    return this._forward('showEmpty', message)
+  }
+
+  // Called with the action the user took in the top frame's overlay
+  handleAction ({ action, analysisResult = null, changeSelection = null }) {
+    const targetElement = this.currentTargetElement
+    if (!targetElement) return false
+
+    switch (action) {
+    case 'analyze':
+      if (this.onAnalyze) this.onAnalyze(targetElement)
+      break
+
+    case 'accept':
+      if (this.onAccept) {
+        this.onAccept(analysisResult || this.currentAnalysisResult, targetElement, changeSelection)
+      }
+      break
+
+    case 'reject':
+      if (this.onReject) this.onReject(this.currentAnalysisResult, targetElement)
+      break
+
+    case 'download-model':
+      if (this.onDownloadModel) this.onDownloadModel(targetElement)
+      break
+
+    case 'close':
+      this.isVisible = false
+      if (this.onClose) this.onClose()
+      break
+
+    default:
+      return false
+    }
+
+    return true
+  }
+
+  // Public configuration methods
+  setCallbacks (callbacks) {
+    this.onAnalyze = callbacks.onAnalyze || null
+    this.onAccept = callbacks.onAccept || null
+    this.onReject = callbacks.onReject || null
+    this.onClose = callbacks.onClose || null
+    this.onDownloadModel = callbacks.onDownloadModel || null
+
+    if (this.localOverlay) {
+      this.localOverlay.setCallbacks(callbacks)
+    }
+  }
+
+  setShowChangeDetails (enabled) {
+    // The top frame's overlay follows the same preferences, so this only matters locally
+    this.showChangeDetails = enabled !== false
+
+    if (this.localOverlay) {
+      this.localOverlay.setShowChangeDetails(this.showChangeDetails)
+    }
+  }
+
+  setCharacterLimit (limit) {
+    // The limit belongs to this frame's field, so the top frame's overlay needs it too
+    this.characterLimit = limit
+    return this._forward('setCharacterLimit', limit)
+  }
+
+  getState () {
+    return {
+      isVisible: this.isVisible,
+      hasAnalysisResult: !!this.currentAnalysisResult,
+      targetElement: this.currentTargetElement,
+      rendersInTopFrame: !this.localOverlay
+    }
+  }
+
+  // Private methods
+  _forward (method, ...args) {
+    // Measuring the field is async, so queue calls to keep them in order
+    this.pendingCalls = this.pendingCalls.then(async () => {
+      if (this.localOverlay) {
+        this.localOverlay[method](...args)
+        return
+      }
+
+      try {
+        const payloadArgs = method === 'show'
+          ? [await FrameCoordinator.getRectInTopFrame(args[0]), args[1]]
+          : args
+        const response = await FrameCoordinator.sendToTop({
+          type: 'FRAME_OVERLAY_CALL',
+          payload: { method, args: payloadArgs }
+        })
+
+        if (!response || !response.success) {
+          throw new Error((response && response.error) || 'The top frame did not respond')
+        }
+      } catch (error) {
+        // Without the top frame's help the overlay stays in this frame, even if it gets clipped
+        console.warn('Showing the overlay inside the frame:', error.message)
+        this._useLocalOverlay()
+
+        if (method !== 'show' && method !== 'hide') {
+          this.localOverlay[method](...args)
+        }
+      }
+    })
+
+    return this.pendingCalls
+  }
+
+  _useLocalOverlay () {
+    this.localOverlay = this.createLocalOverlay()
+    this.localOverlay.setShowChangeDetails(this.showChangeDetails)
+    this.localOverlay.setCharacterLimit(this.characterLimit)
+    this.localOverlay.setCallbacks({
+      onAnalyze: this.onAnalyze,
+      onAccept: this.onAccept,
+      onReject: this.onReject,
+      onClose: this.onClose,
+      onDownloadModel: this.onDownloadModel
+    })
+
+    if (this.isVisible && this.currentTargetElement) {
+      this.localOverlay.show(this.currentTargetElement, this.currentAnalysisResult)
+    }
+  }
+}
+
+module.exports = FrameOverlay
@@ -0,0 +1,346 @@
+// ABOUTME: Popover that shows a clearer version of text selected on a read-only page
+// ABOUTME: Anchors to the selection, streams the rewrite and offers copy-to-clipboard
+
+const { createShadowHost } = require('./shadow-host')
+
+class SelectionResult {
+  constructor () {
+    this.host = null
+    this.panel = null
+    this.isVisible = false
+    this.currentResult = null
+    this.anchorRect = null
+    this.eventListeners = []
+
+    // Configuration
+    this.config = {
+      panelId: 'isitclear-selection-result',
+      hostTagName: 'isitclear-selection-host',
+      className: 'isitclear-selection',
+      zIndex: 1000000,
+      maxWidth: 380,
+      copiedResetMs: 2000
+    }
+
+    // Callbacks
+    this.onCopy = null
+    this.onClose = null
+  }
+
+  // Main interface methods
+  showLoading (anchorRect = null, message = 'Checking the selected text...') {
+    this.currentResult = null
+    this._render(`<p class="${this.config.className}__status">${this._escapeHtml(message)}</p>`)
+    this._show(anchorRect)
+  }
+
+  showPartialResult (partialText) {
+    if (!this.isVisible || this.currentResult) return
+
+    const cls = this.config.className
+    const text = this._escapeHtml(partialText)
+    this._render(`<p class="${cls}__text ${cls}__text--partial">${text}</p>`)
+  }
+
+  showResult (analysisResult) {
+    this.currentResult = analysisResult
+    const cls = this.config.className
+    const unchanged = analysisResult.improvedText.trim() === analysisResult.originalText.trim()
+
+    this._render(`
+      ${unchanged ? `<p class="${cls}__status">This text is already clear.</p>` : ''}
+      <p class="${cls}__text">${this._escapeHtml(analysisResult.improvedText)}</p>
+      <div class="${cls}__actions">
+        <button class="${cls}__button" data-action="copy">Copy</button>
+      </div>
+    `)
+    this._show(this.anchorRect)
+  }
+
+  showError (message) {
+    this.currentResult = null
+    const cls = this.config.className
+    this._render(`<p class="${cls}__status ${cls}__status--error">${this._escapeHtml(message)}</p>`)
+    this._show(this.anchorRect)
+  }
+
+  hide () {
+    if (this.panel) {
+      this.panel.classList.remove('visible')
+    }
+    this._removeEventListeners()
+
+    if (this.isVisible && this.onClose) {
+      this.onClose()
+    }
+    this.isVisible = false
+  }
+
+  destroy () {
+    this.hide()
+
+    if (this.host && this.host.parentNode) {
+      this.host.parentNode.removeChild(this.host)
+    }
+    this.host = null
+    this.panel = null
+    this.currentResult = null
+  }
+
+  setCallbacks (callbacks) {
+    this.onCopy = callbacks.onCopy || null
+    this.onClose = callbacks.onClose || null
+  }
+
+  async copyResult () {
+    if (!this.currentResult) return false
+
+    const copied = await this._copyToClipboard(this.currentResult.improvedText)
+    this._setCopyLabel(copied ? 'Copied' : 'Copy failed')
+
+    if (copied && this.onCopy) {
+      this.onCopy(this.currentResult)
+    }
+    return copied
+  }
+
+  // Private methods
+  _render (bodyHtml) {
+    if (!this.panel) {
+      this._createPanel()
+    }
+
+    const cls = this.config.className
+    this.panel.innerHTML = `
+      <div class="${cls}__header">
+        <span class="${cls}__title">Clearer version</span>
+        <button class="${cls}__close" data-action="close" aria-label="Close">×</button>
+      </div>
+      <div class="${cls}__body">${bodyHtml}</div>
+    `
+  }
+
+  _show (anchorRect) {
+    this.anchorRect = anchorRect
+    this.panel.classList.add('visible')
+    this._position(anchorRect)
+
+    if (!this.isVisible) {
+      this._setupEventListeners()
+    }
+    this.isVisible = true
+  }
+
+  _createPanel () {
+    // Built when a selection is first checked, so pages that never use it stay untouched
+    const { host, shadowRoot } = createShadowHost(this.config.hostTagName, this.config.zIndex)
+    this.host = host
+    shadowRoot.appendChild(this._createStyles())
+
+    this.panel = document.createElement('div')
+    this.panel.id = this.config.panelId
+    this.panel.className = this.config.className
+    this.panel.setAttribute('role', 'dialog')
+    this.panel.setAttribute('aria-label', 'Clearer version of the selected text')
+
+    shadowRoot.appendChild(this.panel)
+    document.documentElement.appendChild(this.host)
+  }
+
+  _position (anchorRect) {
+    const viewportWidth = window.innerWidth
+    const viewportHeight = window.innerHeight
+    const panelRect = this.panel.getBoundingClientRect()
+
+    // Without a selection to anchor to, sit in the top right corner
+    if (!anchorRect) {
+      this.panel.style.left = `${Math.max(16, viewportWidth - panelRect.width - 16)}px`
+      this.panel.style.top = '16px'
+      return
+    }
+
+    let left = Math.min(anchorRect.left, viewportWidth - panelRect.width - 16)
+    let top = anchorRect.bottom + 8
+
+    if (top + panelRect.height > viewportHeight - 16) {
+      top = anchorRect.top - panelRect.height - 8
+    }
+
+    left = Math.max(16, left)
+    top = Math.max(16, top)
+
+    this.panel.style.left = `${left}px`
+    this.panel.style.top = `${top}px`
+  }
+
+  _setupEventListeners () {
+    const clickHandler = (event) => {
+      const actionElement = event.target.closest('[data-action]')
+      if (!actionElement) return
+
+      event.preventDefault()
+      event.stopPropagation()
+
+      if (actionElement.dataset.action === 'copy') {
+        this.copyResult()
+      } else if (actionElement.dataset.action === 'close') {
+        this.hide()
+      }
+    }
+
+    // The document only sees the host for clicks inside the shadow root
+    const outsideClickHandler = (event) => {
+      if (this.isVisible && event.target !== this.host) {
+        this.hide()
+      }
+    }
+
+    const keyHandler = (event) => {
+      if (event.key === 'Escape' && this.isVisible) {
+        this.hide()
+      }
+    }
+
+    this.panel.addEventListener('click', clickHandler)
+    document.addEventListener('click', outsideClickHandler)
+    document.addEventListener('keydown', keyHandler)
+
+    this.eventListeners = [
+      { element: this.panel, event: 'click', handler: clickHandler },
+      { element: document, event: 'click', handler: outsideClickHandler },
+      { element: document, event: 'keydown', handler: keyHandler }
+    ]
+  }
+
+  _removeEventListeners () {
+    this.eventListeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler)
+    })
+    this.eventListeners = []
+  }
+
+  async _copyToClipboard (text) {
+    try {
+      if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+        await navigator.clipboard.writeText(text)
+        return true
+      }
+    } catch (error) {
+      console.warn('Clipboard API copy failed, falling back:', error)
+    }
+
+    // Pages without clipboard permission still allow a copy command from a user gesture
+    const textarea = document.createElement('textarea')
+    textarea.value = text
+    textarea.setAttribute('readonly', '')
+    textarea.style.position = 'fixed'
+    textarea.style.opacity = '0'
+    document.body.appendChild(textarea)
+    textarea.select()
+
+    try {
+      return typeof document.execCommand === 'function' && document.execCommand('copy')
+    } finally {
+      document.body.removeChild(textarea)
+    }
+  }
+
+  _setCopyLabel (label) {
+    const button = this.panel && this.panel.querySelector('[data-action="copy"]')
+    if (!button) return
+
+    button.textContent = label
+    setTimeout(() => {
+      button.textContent = 'Copy'
+    }, this.config.copiedResetMs)
+  }
+
+  _createStyles () {
+    const cls = this.config.className
+    const style = document.createElement('style')
+    style.textContent = `
+      .${cls} {
+        position: fixed;
+        z-index: ${this.config.zIndex};
+        max-width: ${this.config.maxWidth}px;
+        background: #ffffff;
+        border: 1px solid #e1e5e9;
+        border-radius: 8px;
+        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.15);
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+        font-size: 14px;
+        line-height: 1.5;
+        color: #333333;
+        display: none;
+      }
+
+      .${cls}.visible {
+        display: block;
+      }
+
+      .${cls}__header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 8px 12px;
+        border-bottom: 1px solid #e1e5e9;
+        font-weight: 600;
+      }
+
+      .${cls}__close {
+        background: none;
+        border: none;
+        font-size: 18px;
+        cursor: pointer;
+        color: #6c757d;
+      }
+
+      .${cls}__body {
+        padding: 12px;
+      }
+
+      .${cls}__text {
+        margin: 0 0 12px;
+        white-space: pre-wrap;
+      }
+
+      .${cls}__text--partial {
+        color: #6c757d;
+      }
+
+      .${cls}__status {
+        margin: 0 0 8px;
+        color: #6c757d;
+      }
+
+      .${cls}__status--error {
+        color: #dc3545;
+      }
+
+      .${cls}__actions {
+        display: flex;
+        justify-content: flex-end;
+      }
+
+      .${cls}__button {
+        padding: 6px 12px;
+        border: none;
+        border-radius: 4px;
+        background: #007bff;
+        color: #ffffff;
+        font-size: 13px;
+        cursor: pointer;
+      }
+    `
+
+    return style
+  }
+
+  _escapeHtml (text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML
+  }
+}
+
+module.exports = SelectionResult
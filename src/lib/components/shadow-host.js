@@ -0,0 +1,32 @@
+// ABOUTME: Creates the page-isolated hosts that the extension's floating UI renders into
+// ABOUTME: Pins the host element's own styles and attaches a closed shadow root to it
+
+function createShadowHost (tagName, zIndex) {
+  const host = document.createElement(tagName)
+
+  // Page rules still match the host itself, and only inline !important declarations beat them
+  const declarations = {
+    all: 'initial',
+    display: 'block',
+    position: 'fixed',
+    top: '0',
+    left: '0',
+    width: '0',
+    height: '0',
+    overflow: 'visible',
+    transform: 'none',
+    filter: 'none',
+    'z-index': String(zIndex)
+  }
+
+  Object.entries(declarations).forEach(([property, value]) => {
+    host.style.setProperty(property, value, 'important')
+  })
+
+  // A closed shadow root keeps page CSS and scripts out, and our styles in
+  const shadowRoot = host.attachShadow({ mode: 'closed' })
+
+  return { host, shadowRoot }
+}
+
+module.exports = { createShadowHost }
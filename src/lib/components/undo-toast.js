@@ -0,0 +1,162 @@
+// ABOUTME: Toast component offering to undo a suggestion that was just applied
+// ABOUTME: Shows a short-lived message with an Undo button and keyboard shortcut hint
+
+const { createShadowHost } = require('./shadow-host')
+
+class UndoToast {
+  constructor () {
+    this.host = null
+    this.toast = null
+    this.hideTimer = null
+    this.isVisible = false
+
+    // Configuration
+    this.config = {
+      toastId: 'isitclear-undo-toast',
+      hostTagName: 'isitclear-toast-host',
+      className: 'isitclear-toast',
+      zIndex: 1000000,
+      durationMs: 8000
+    }
+
+    // Callbacks
+    this.onUndo = null
+  }
+
+  // Main interface methods
+  show (message, options = {}) {
+    if (!this.toast) {
+      this._createToast()
+    }
+
+    const cls = this.config.className
+    const shortcutHint = options.shortcut
+      ? `<span class="${cls}__shortcut">${this._escapeHtml(options.shortcut)}</span>`
+      : ''
+    const undoButton = options.canUndo === false
+      ? ''
+      : `<button class="${cls}__button" data-action="undo">Undo</button>${shortcutHint}`
+
+    this.toast.innerHTML = `
+      <span class="${cls}__message">${this._escapeHtml(message)}</span>
+      ${undoButton}
+    `
+
+    this.toast.classList.add('visible')
+    this.isVisible = true
+
+    clearTimeout(this.hideTimer)
+    this.hideTimer = setTimeout(() => this.hide(), options.durationMs || this.config.durationMs)
+  }
+
+  hide () {
+    clearTimeout(this.hideTimer)
+    this.hideTimer = null
+
+    if (this.toast) {
+      this.toast.classList.remove('visible')
+    }
+    this.isVisible = false
+  }
+
+  destroy () {
+    this.hide()
+
+    if (this.host && this.host.parentNode) {
+      this.host.parentNode.removeChild(this.host)
+    }
+    this.host = null
+    this.toast = null
+  }
+
+  setCallbacks (callbacks) {
+    this.onUndo = callbacks.onUndo || null
+  }
+
+  // Private methods
+  _createToast () {
+    // Most pages never apply a suggestion, so nothing is added to them until one is
+    const { host, shadowRoot } = createShadowHost(this.config.hostTagName, this.config.zIndex)
+    this.host = host
+    shadowRoot.appendChild(this._createStyles())
+
+    this.toast = document.createElement('div')
+    this.toast.id = this.config.toastId
+    this.toast.className = this.config.className
+    this.toast.setAttribute('role', 'status')
+    this.toast.setAttribute('aria-live', 'polite')
+
+    this.toast.addEventListener('click', (event) => {
+      if (event.target.dataset.action !== 'undo') return
+
+      event.preventDefault()
+      event.stopPropagation()
+      this.hide()
+
+      if (this.onUndo) {
+        this.onUndo()
+      }
+    })
+
+    shadowRoot.appendChild(this.toast)
+    document.documentElement.appendChild(this.host)
+  }
+
+  _createStyles () {
+    const cls = this.config.className
+    const style = document.createElement('style')
+    style.textContent = `
+      .${cls} {
+        position: fixed;
+        bottom: 24px;
+        left: 50%;
+        transform: translate(-50%, 16px);
+        z-index: ${this.config.zIndex};
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        padding: 10px 16px;
+        background: #2c3e50;
+        color: #ffffff;
+        border-radius: 6px;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+        font-size: 13px;
+        opacity: 0;
+        pointer-events: none;
+        transition: opacity 200ms ease, transform 200ms ease;
+      }
+
+      .${cls}.visible {
+        opacity: 1;
+        transform: translate(-50%, 0);
+        pointer-events: auto;
+      }
+
+      .${cls}__button {
+        background: none;
+        border: none;
+        color: #8ec5ff;
+        font-weight: 600;
+        font-size: 13px;
+        cursor: pointer;
+        padding: 0;
+      }
+
+      .${cls}__shortcut {
+        color: #adb5bd;
+        font-size: 11px;
+      }
+    `
+
+    return style
+  }
+
+  _escapeHtml (text) {
+    const div = document.createElement('div')
+    div.textContent = text
+    return div.innerHTML
+  }
+}
+
+module.exports = UndoToast
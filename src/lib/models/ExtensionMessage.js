@@ -17,6 +17,8 @@ export class ExtensionMessage {
       'INPUT_DETECTED',
       'ANALYZE_TEXT',
       'ANALYSIS_RESULT',
+      'ANALYSIS_CHUNK',
+      'CANCEL_ANALYSIS',
       'USER_ACTION',
       'UI_UPDATE',
       'ERROR',
@@ -57,6 +59,8 @@ export function validateExtensionMessage (message) {
     'INPUT_DETECTED',
     'ANALYZE_TEXT',
     'ANALYSIS_RESULT',
+    'ANALYSIS_CHUNK',
+    'CANCEL_ANALYSIS',
     'USER_ACTION',
     'UI_UPDATE',
     'ERROR',
@@ -22,10 +22,6 @@ export class TextContent {
       throw new Error('Original text must not be empty')
     }
 
-    if (data.originalText.length > 5000) {
-      throw new Error('Original text exceeds maximum length of 5000 characters')
-    }
-
     if (!['input', 'textarea', 'contenteditable'].includes(data.fieldType)) {
       throw new Error('Field type must be one of: input, textarea, contenteditable')
     }
@@ -54,7 +50,7 @@ export class TextContent {
   }
 
   isAnalyzable () {
-    return this.state === 'created' && this.wordCount >= 1 && this.originalText.length <= 5000
+    return this.state === 'created' && this.wordCount >= 1
   }
 
   toJSON () {
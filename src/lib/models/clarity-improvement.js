@@ -19,14 +19,19 @@ class ChangeDetail {
       throw new Error(`Invalid change type: ${this.changeType}. Must be one of: ${validChangeTypes.join(', ')}`)
     }
 
-    if (!this.originalPhrase || typeof this.originalPhrase !== 'string') {
+    if (typeof this.originalPhrase !== 'string') {
       throw new Error('originalPhrase is required and must be a string')
     }
 
-    if (!this.improvedPhrase || typeof this.improvedPhrase !== 'string') {
+    if (typeof this.improvedPhrase !== 'string') {
       throw new Error('improvedPhrase is required and must be a string')
     }
 
+    // An empty side marks a pure insertion or deletion, but not both
+    if (!this.originalPhrase && !this.improvedPhrase) {
+      throw new Error('originalPhrase and improvedPhrase must not both be empty')
+    }
+
     if (this.originalPhrase === this.improvedPhrase) {
       throw new Error('originalPhrase and improvedPhrase must not be identical')
     }
@@ -43,7 +48,9 @@ class ChangeDetail {
       throw new Error('endPosition must be a non-negative number')
     }
 
-    if (this.startPosition >= this.endPosition) {
+    // Insertions sit at a single point in the original text
+    if (this.startPosition > this.endPosition ||
+        (this.originalPhrase && this.startPosition === this.endPosition)) {
       throw new Error('startPosition must be less than endPosition')
     }
   }
@@ -89,7 +96,7 @@ class ClarityImprovement {
       throw new Error('improvedText is required and must not be empty')
     }
 
-    const validImprovementTypes = ['rewriter', 'prompt']
+    const validImprovementTypes = ['rewriter', 'prompt', 'linter']
     if (!validImprovementTypes.includes(this.improvementType)) {
       throw new Error(`improvementType must be one of: ${validImprovementTypes.join(', ')}`)
     }
@@ -282,7 +289,7 @@ class ClarityImprovement {
 
   // Validation helpers
   static isValidImprovementType (type) {
-    return ['rewriter', 'prompt'].includes(type)
+    return ['rewriter', 'prompt', 'linter'].includes(type)
   }
 
   static isValidChangeType (type) {
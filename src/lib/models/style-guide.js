@@ -0,0 +1,197 @@
+// ABOUTME: StyleGuide model for a team's writing rules imported from a JSON or YAML file
+// ABOUTME: Validates the rules, turns them into prompt instructions and checks text against them
+
+const YamlParser = require('../services/yaml-parser')
+const ClarityLinter = require('../services/clarity-linter')
+
+const RULE_NAMES = {
+  bannedWords: 'Banned words',
+  preferredSpellings: 'Preferred spellings',
+  oxfordComma: 'Oxford comma',
+  maxSentenceWords: 'Sentence length limit',
+  voice: 'Active voice'
+}
+
+const VOICES = ['active', 'any']
+
+// "red, green and blue" lacks the serial comma; "red, green, and blue" has it
+const LIST_WITHOUT_SERIAL_COMMA = /\b[\w-]+, (?:[\w-]+ ){0,2}?[\w-]+ (?:and|or) [\w-]+/g
+const LIST_WITH_SERIAL_COMMA = /\b[\w-]+, (?:[\w-]+ ){0,2}?[\w-]+, (?:and|or) [\w-]+/g
+
+class StyleGuide {
+  constructor (rules = {}) {
+    const unknown = Object.keys(rules).filter(key => key !== 'name' && !RULE_NAMES[key])
+    if (unknown.length > 0) {
+      throw new Error(`Unknown style guide rule: ${unknown.join(', ')}`)
+    }
+
+    this.name = rules.name || 'Style guide'
+    this.bannedWords = rules.bannedWords || []
+    this.preferredSpellings = rules.preferredSpellings || {}
+    this.oxfordComma = rules.oxfordComma ?? null
+    this.maxSentenceWords = rules.maxSentenceWords ?? null
+    this.voice = rules.voice || 'any'
+
+    this._validate()
+  }
+
+  _validate () {
+    if (typeof this.name !== 'string' || this.name.trim().length === 0) {
+      throw new Error('name must be a non-empty string')
+    }
+
+    if (!Array.isArray(this.bannedWords) ||
+        !this.bannedWords.every(word => typeof word === 'string' && word.trim().length > 0)) {
+      throw new Error('bannedWords must be a list of words')
+    }
+
+    if (typeof this.preferredSpellings !== 'object' || Array.isArray(this.preferredSpellings) ||
+        !Object.values(this.preferredSpellings).every(value => typeof value === 'string')) {
+      throw new Error('preferredSpellings must map each spelling to the preferred one')
+    }
+
+    if (this.oxfordComma !== null && typeof this.oxfordComma !== 'boolean') {
+      throw new Error('oxfordComma must be true or false')
+    }
+
+    if (this.maxSentenceWords !== null &&
+        (!Number.isInteger(this.maxSentenceWords) ||
+         this.maxSentenceWords < 5 ||
+         this.maxSentenceWords > 100)) {
+      throw new Error('maxSentenceWords must be an integer between 5 and 100')
+    }
+
+    if (!VOICES.includes(this.voice)) {
+      throw new Error(`voice must be one of: ${VOICES.join(', ')}`)
+    }
+  }
+
+  // Prompt instructions
+  getInstructions () {
+    const instructions = []
+
+    if (this.bannedWords.length > 0) {
+      instructions.push(`Never use these words: ${this.bannedWords.join(', ')}.`)
+    }
+
+    const spellings = Object.entries(this.preferredSpellings)
+    if (spellings.length > 0) {
+      const pairs = spellings.map(([spelling, preferred]) => `"${preferred}" not "${spelling}"`)
+      instructions.push(`Use these spellings: ${pairs.join(', ')}.`)
+    }
+
+    if (this.oxfordComma === true) {
+      instructions.push('Put a comma before "and" or "or" at the end of a list.')
+    } else if (this.oxfordComma === false) {
+      instructions.push('Do not put a comma before "and" or "or" at the end of a list.')
+    }
+
+    if (this.maxSentenceWords !== null) {
+      instructions.push(`Keep every sentence under ${this.maxSentenceWords} words.`)
+    }
+
+    if (this.voice === 'active') {
+      instructions.push('Write in the active voice.')
+    }
+
+    return instructions
+  }
+
+  // Local enforcement
+  check (text) {
+    if (typeof text !== 'string' || text.length === 0) return []
+
+    const violations = []
+    const addMatches = (rule, pattern, suggest = () => null) => {
+      for (const match of text.matchAll(pattern)) {
+        violations.push(this._createViolation(rule, match[0], match.index, suggest(match[0])))
+      }
+    }
+
+    if (this.bannedWords.length > 0) {
+      addMatches('bannedWords', this._createWordPattern(this.bannedWords))
+    }
+
+    const spellings = Object.keys(this.preferredSpellings)
+    if (spellings.length > 0) {
+      const preferred = new Map(spellings.map(spelling =>
+        [spelling.toLowerCase(), this.preferredSpellings[spelling]]))
+      addMatches('preferredSpellings', this._createWordPattern(spellings),
+        match => preferred.get(match.toLowerCase()))
+    }
+
+    if (this.oxfordComma === true) {
+      addMatches('oxfordComma', LIST_WITHOUT_SERIAL_COMMA)
+    } else if (this.oxfordComma === false) {
+      addMatches('oxfordComma', LIST_WITH_SERIAL_COMMA)
+    }
+
+    if (this.maxSentenceWords !== null) {
+      for (const match of text.matchAll(/[^.!?\n]+[.!?]*/g)) {
+        const sentence = match[0].trim()
+        if (sentence.split(/\s+/).length > this.maxSentenceWords) {
+          const start = match.index + match[0].indexOf(sentence)
+          violations.push(this._createViolation('maxSentenceWords', sentence, start))
+        }
+      }
+    }
+
+    if (this.voice === 'active') {
+      ClarityLinter.findPassiveVoice(text).forEach(match => {
+        violations.push(this._createViolation('voice', match.value, match.start))
+      })
+    }
+
+    return violations.sort((a, b) => a.startPosition - b.startPosition)
+  }
+
+  _createViolation (rule, phrase, start, suggestion = null) {
+    return {
+      rule,
+      originalPhrase: phrase,
+      suggestion,
+      // The overlay shows the rule's name so the user can look it up in the guide
+      reason: RULE_NAMES[rule],
+      startPosition: start,
+      endPosition: start + phrase.length
+    }
+  }
+
+  _createWordPattern (words) {
+    const alternatives = [...words]
+      .sort((a, b) => b.length - a.length)
+      .map(word => word.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+
+    return new RegExp(`(?<![\\w-])(?:${alternatives.join('|')})(?![\\w-])`, 'gi')
+  }
+
+  // Serialization methods
+  toJSON () {
+    return {
+      name: this.name,
+      bannedWords: [...this.bannedWords],
+      preferredSpellings: { ...this.preferredSpellings },
+      oxfordComma: this.oxfordComma,
+      maxSentenceWords: this.maxSentenceWords,
+      voice: this.voice
+    }
+  }
+
+  static fromJSON (data) {
+    return new StyleGuide(data || {})
+  }
+
+  static parse (content, fileName = '') {
+    // JSON is tried first for .json files and anything that looks like an object
+    const looksLikeJson = /\.json$/i.test(fileName) || /^\s*\{/.test(content)
+    const rules = looksLikeJson ? JSON.parse(content) : YamlParser.parse(content)
+
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      throw new Error('A style guide must be a set of rules')
+    }
+
+    return new StyleGuide(rules)
+  }
+}
+
+module.exports = StyleGuide
@@ -22,13 +22,10 @@ class TextContent {
       throw new Error('originalText must not be empty (minimum 1 character)')
     }
 
-    if (this.originalText.length > 5000) {
-      throw new Error('originalText maximum length is 5000 characters (based on AI model limits)')
-    }
-
-    const validFieldTypes = ['input', 'textarea', 'contenteditable']
+    // 'selection' is text highlighted on a page outside any editable field
+    const validFieldTypes = ['input', 'textarea', 'contenteditable', 'selection']
     if (!validFieldTypes.includes(this.fieldType)) {
-      throw new Error('fieldType must be one of the three supported types: input, textarea, contenteditable')
+      throw new Error('fieldType must be one of: input, textarea, contenteditable, selection')
     }
 
     if (!this.fieldContext) {
@@ -1,6 +1,8 @@
 // ABOUTME: UserPreferences model for storing user configuration and behavior preferences
 // ABOUTME: Handles preference validation, persistence, and default value management
 
+const StyleGuide = require('./style-guide')
+
 class UserPreferences {
   constructor (preferences = {}) {
     // Set defaults
@@ -8,9 +10,17 @@ class UserPreferences {
     this.keyboardShortcut = preferences.keyboardShortcut || 'Ctrl+Shift+C'
     this.autoActivateMinWords = preferences.autoActivateMinWords || 3
     this.preferredTone = preferences.preferredTone || 'neutral'
+    this.preferredLength = preferences.preferredLength || 'as-is'
+    this.targetAudience = preferences.targetAudience || 'general'
+    this.targetGrade = preferences.targetGrade ?? null
     this.showChangeDetails = preferences.showChangeDetails !== undefined ? preferences.showChangeDetails : true
     this.enabledDomains = preferences.enabledDomains || []
     this.disabledDomains = preferences.disabledDomains || []
+    this.historyRetentionDays = preferences.historyRetentionDays || 30
+    this.rewriteCandidates = preferences.rewriteCandidates || 1
+    this.protectedTerms = preferences.protectedTerms || []
+    this.glossary = preferences.glossary || []
+    this.styleGuide = preferences.styleGuide || null
     this.lastModified = new Date()
 
     this._validate()
@@ -37,6 +47,21 @@ class UserPreferences {
       throw new Error(`preferredTone must be one of: ${validTones.join(', ')}`)
     }
 
+    const validLengths = ['shorter', 'as-is', 'longer']
+    if (!validLengths.includes(this.preferredLength)) {
+      throw new Error(`preferredLength must be one of: ${validLengths.join(', ')}`)
+    }
+
+    const validAudiences = ['general', 'executive', 'non-native', 'customer-support', 'technical']
+    if (!validAudiences.includes(this.targetAudience)) {
+      throw new Error(`targetAudience must be one of: ${validAudiences.join(', ')}`)
+    }
+
+    if (this.targetGrade !== null &&
+        (!Number.isInteger(this.targetGrade) || this.targetGrade < 1 || this.targetGrade > 16)) {
+      throw new Error('targetGrade must be an integer between 1 and 16, or null')
+    }
+
     if (typeof this.showChangeDetails !== 'boolean') {
       throw new Error('showChangeDetails must be a boolean')
     }
@@ -49,6 +74,33 @@ class UserPreferences {
       throw new Error('disabledDomains must be an array')
     }
 
+    if (!Number.isInteger(this.historyRetentionDays) ||
+        this.historyRetentionDays < 1 ||
+        this.historyRetentionDays > 365) {
+      throw new Error('historyRetentionDays must be an integer between 1 and 365')
+    }
+
+    if (!Number.isInteger(this.rewriteCandidates) ||
+        this.rewriteCandidates < 1 ||
+        this.rewriteCandidates > 5) {
+      throw new Error('rewriteCandidates must be an integer between 1 and 5')
+    }
+
+    if (!Array.isArray(this.protectedTerms) ||
+        !this.protectedTerms.every(term => this._isValidTerm(term))) {
+      throw new Error('protectedTerms must be an array of non-empty terms')
+    }
+
+    if (!Array.isArray(this.glossary) || !this.glossary.every(entry =>
+      entry && this._isValidTerm(entry.term) && this._isValidTerm(entry.replacement))) {
+      throw new Error('glossary must be an array of { term, replacement } entries')
+    }
+
+    // Keep only plain rules, so the guide survives storage and export
+    if (this.styleGuide !== null) {
+      this.styleGuide = StyleGuide.fromJSON(this.styleGuide).toJSON()
+    }
+
     // Validate domain patterns
     this.enabledDomains.forEach(domain => {
       if (!this._isValidDomainPattern(domain)) {
@@ -86,6 +138,10 @@ class UserPreferences {
     return domainPattern.test(domain) || urlPattern.test(domain)
   }
 
+  _isValidTerm (term) {
+    return typeof term === 'string' && term.trim().length > 0 && term.length <= 100
+  }
+
   // Preference management methods
   updateActivationMethod (method) {
     const validMethods = ['auto', 'shortcut', 'manual']
@@ -113,6 +169,32 @@ class UserPreferences {
     this.lastModified = new Date()
   }
 
+  updatePreferredLength (length) {
+    const validLengths = ['shorter', 'as-is', 'longer']
+    if (!validLengths.includes(length)) {
+      throw new Error(`Invalid length: ${length}`)
+    }
+    this.preferredLength = length
+    this.lastModified = new Date()
+  }
+
+  updateTargetAudience (audience) {
+    const validAudiences = ['general', 'executive', 'non-native', 'customer-support', 'technical']
+    if (!validAudiences.includes(audience)) {
+      throw new Error(`Invalid audience: ${audience}`)
+    }
+    this.targetAudience = audience
+    this.lastModified = new Date()
+  }
+
+  updateTargetGrade (grade) {
+    if (grade !== null && (!Number.isInteger(grade) || grade < 1 || grade > 16)) {
+      throw new Error('Target reading grade must be between 1 and 16')
+    }
+    this.targetGrade = grade
+    this.lastModified = new Date()
+  }
+
   updateAutoActivateMinWords (minWords) {
     if (typeof minWords !== 'number' || minWords < 1 || minWords > 100) {
       throw new Error('Min words must be between 1 and 100')
@@ -121,6 +203,80 @@ class UserPreferences {
     this.lastModified = new Date()
   }
 
+  updateHistoryRetentionDays (days) {
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      throw new Error('History retention must be between 1 and 365 days')
+    }
+    this.historyRetentionDays = days
+    this.lastModified = new Date()
+  }
+
+  updateRewriteCandidates (count) {
+    if (!Number.isInteger(count) || count < 1 || count > 5) {
+      throw new Error('Suggestions to compare must be between 1 and 5')
+    }
+    this.rewriteCandidates = count
+    this.lastModified = new Date()
+  }
+
+  addProtectedTerm (term) {
+    if (!this._isValidTerm(term)) {
+      throw new Error('Protected term must be between 1 and 100 characters')
+    }
+
+    const trimmed = term.trim()
+    if (!this.protectedTerms.includes(trimmed)) {
+      this.protectedTerms.push(trimmed)
+      this.lastModified = new Date()
+    }
+  }
+
+  removeProtectedTerm (term) {
+    const index = this.protectedTerms.indexOf(term)
+    if (index > -1) {
+      this.protectedTerms.splice(index, 1)
+      this.lastModified = new Date()
+    }
+  }
+
+  setGlossaryEntry (term, replacement) {
+    if (!this._isValidTerm(term) || !this._isValidTerm(replacement)) {
+      throw new Error('Glossary terms must be between 1 and 100 characters')
+    }
+
+    // Terms match case-insensitively, so "Utilize" replaces an existing "utilize"
+    const entry = { term: term.trim(), replacement: replacement.trim() }
+    const index = this._findGlossaryIndex(entry.term)
+    if (index > -1) {
+      this.glossary[index] = entry
+    } else {
+      this.glossary.push(entry)
+    }
+    this.lastModified = new Date()
+  }
+
+  removeGlossaryEntry (term) {
+    const index = this._findGlossaryIndex(term)
+    if (index > -1) {
+      this.glossary.splice(index, 1)
+      this.lastModified = new Date()
+    }
+  }
+
+  _findGlossaryIndex (term) {
+    const key = term.trim().toLowerCase()
+    return this.glossary.findIndex(entry => entry.term.toLowerCase() === key)
+  }
+
+  updateStyleGuide (styleGuide) {
+    this.styleGuide = styleGuide ? StyleGuide.fromJSON(styleGuide).toJSON() : null
+    this.lastModified = new Date()
+  }
+
+  getStyleGuide () {
+    return this.styleGuide ? StyleGuide.fromJSON(this.styleGuide) : null
+  }
+
   toggleChangeDetails () {
     this.showChangeDetails = !this.showChangeDetails
     this.lastModified = new Date()
@@ -249,7 +405,7 @@ class UserPreferences {
     return {
       tone: toneMapping[this.preferredTone] || 'as-is',
       format: 'plain-text',
-      length: 'as-is'
+      length: this.preferredLength
     }
   }
 
@@ -260,9 +416,17 @@ class UserPreferences {
       keyboardShortcut: this.keyboardShortcut,
       autoActivateMinWords: this.autoActivateMinWords,
       preferredTone: this.preferredTone,
+      preferredLength: this.preferredLength,
+      targetAudience: this.targetAudience,
+      targetGrade: this.targetGrade,
       showChangeDetails: this.showChangeDetails,
       enabledDomains: [...this.enabledDomains],
       disabledDomains: [...this.disabledDomains],
+      historyRetentionDays: this.historyRetentionDays,
+      rewriteCandidates: this.rewriteCandidates,
+      protectedTerms: [...this.protectedTerms],
+      glossary: this.glossary.map(entry => ({ ...entry })),
+      styleGuide: this.styleGuide,
       lastModified: this.lastModified.toISOString()
     }
   }
@@ -273,9 +437,17 @@ class UserPreferences {
       keyboardShortcut: data.keyboardShortcut,
       autoActivateMinWords: data.autoActivateMinWords,
       preferredTone: data.preferredTone,
+      preferredLength: data.preferredLength,
+      targetAudience: data.targetAudience,
+      targetGrade: data.targetGrade ?? null,
       showChangeDetails: data.showChangeDetails,
       enabledDomains: data.enabledDomains || [],
-      disabledDomains: data.disabledDomains || []
+      disabledDomains: data.disabledDomains || [],
+      historyRetentionDays: data.historyRetentionDays,
+      rewriteCandidates: data.rewriteCandidates,
+      protectedTerms: data.protectedTerms || [],
+      glossary: data.glossary || [],
+      styleGuide: data.styleGuide || null
     })
 
     preferences.lastModified = new Date(data.lastModified)
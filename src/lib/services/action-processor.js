@@ -1,5 +1,5 @@
 // ABOUTME: Action processor for handling user interactions with clarity improvements
-// ABOUTME: Processes accept, reject, and analyze actions with proper validation
+// ABOUTME: Processes accept, reject, analyze, and undo actions with proper validation
 
 class ActionProcessor {
   constructor () {
@@ -13,12 +13,14 @@ class ActionProcessor {
     this.validators.set('accept', this._validateAcceptAction.bind(this))
     this.validators.set('reject', this._validateRejectAction.bind(this))
     this.validators.set('analyze', this._validateAnalyzeAction.bind(this))
+    this.validators.set('undo', this._validateUndoAction.bind(this))
   }
 
   _initializeHandlers () {
     this.handlers.set('accept', this._handleAcceptAction.bind(this))
     this.handlers.set('reject', this._handleRejectAction.bind(this))
     this.handlers.set('analyze', this._handleAnalyzeAction.bind(this))
+    this.handlers.set('undo', this._handleUndoAction.bind(this))
   }
 
   async processUserAction (userAction) {
@@ -75,6 +77,22 @@ class ActionProcessor {
     }
   }
 
+  _validateUndoAction (action) {
+    if (!action.previousState || typeof action.previousState !== 'object') {
+      throw new Error('Undo action requires the previous field state')
+    }
+
+    const { previousState } = action
+    if (typeof previousState.originalText !== 'string') {
+      throw new Error('Previous state must include the original text')
+    }
+
+    if (previousState.cursorPosition !== undefined &&
+        (typeof previousState.cursorPosition !== 'number' || previousState.cursorPosition < 0)) {
+      throw new Error('Cursor position must be a non-negative number')
+    }
+  }
+
   async _handleAcceptAction (action) {
     const { improvementId, improvementData, timestamp } = action
 
@@ -107,6 +125,27 @@ class ActionProcessor {
     }
   }
 
+  _handleUndoAction (action) {
+    const { improvementId, previousState, timestamp } = action
+    const { originalText } = previousState
+
+    // Restore the caret where it was before the suggestion, clamped to the restored text
+    const savedPosition = previousState.cursorPosition ?? originalText.length
+    const cursorPosition = Math.min(savedPosition, originalText.length)
+
+    return {
+      success: true,
+      actionType: 'undo',
+      improvementId,
+      processedAt: timestamp,
+      result: {
+        textRestored: originalText,
+        cursorPosition,
+        processingTime: Date.now() - timestamp.getTime()
+      }
+    }
+  }
+
   async _handleAnalyzeAction (action) {
     const { improvementId, textContent, timestamp } = action
 
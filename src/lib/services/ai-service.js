@@ -1,12 +1,36 @@
 // ABOUTME: Chrome AI API service for integrating with Rewriter and Prompt APIs
 // ABOUTME: Handles session management, fallback logic, and error handling for AI operations
 
+const TextDiff = require('./text-diff')
+
+// Who the rewrite is for, phrased to complete "Write for ..."
+const AUDIENCE_DESCRIPTIONS = {
+  executive: 'busy executives: lead with the conclusion and any decision needed, then stop',
+  'non-native': 'readers whose first language is not English: use common words, short ' +
+    'sentences and no idioms or slang',
+  'customer-support': 'a customer who asked for help: be friendly, specific and clear about ' +
+    'the next steps',
+  technical: 'technical peers: keep precise terms and details, and cut the rest'
+}
+
+// Alternatives vary one setting from the user's, so each reads noticeably differently
+const CANDIDATE_VARIATIONS = [
+  { label: 'Shorter', parameters: { length: 'shorter' } },
+  { label: 'More casual', parameters: { tone: 'more-casual' } },
+  { label: 'More formal', parameters: { tone: 'more-formal' } },
+  { label: 'Longer', parameters: { length: 'longer' } }
+]
+
 class AIService {
   constructor () {
     this.sessions = new Map()
     this.fallbackEnabled = true
+    this.streamingEnabled = true
     this.maxRetries = 3
     this.sessionTimeout = 300000 // 5 minutes
+    this.defaultInputQuota = 1250 // ~5000 characters when a session cannot report its quota
+    this.charsPerToken = 4
+    this.maxCandidates = CANDIDATE_VARIATIONS.length + 1
   }
 
   // Session creation and management
@@ -97,27 +121,56 @@ class AIService {
     try {
       this._validateAnalysisRequest(request)
 
-      const { text, apiType, parameters = {} } = request
+      const {
+        text,
+        apiType,
+        parameters = {},
+        context,
+        onChunk = null,
+        signal = null,
+        candidateCount = 1
+      } = request
+      const callOptions = {
+        onChunk,
+        signal,
+        surroundingText: context?.surroundingText || null,
+        instructions: this._createInstructions(context)
+      }
       let result = null
 
+      this._throwIfAborted(signal)
+
+      // Longer text has to be split by the caller before it reaches the model
+      await this._assertFitsInputQuota(apiType, text, parameters, context)
+
       // Try primary API first
       if (apiType === 'rewriter') {
-        result = await this._analyzeWithRewriter(text, parameters)
+        result = await this._analyzeWithRewriter(text, parameters, callOptions)
       } else if (apiType === 'prompt') {
-        result = await this._analyzeWithPrompt(text, parameters)
+        result = await this._analyzeWithPrompt(text, parameters, callOptions)
       }
 
       // If primary API failed and fallback is enabled
       if (!result && this.fallbackEnabled) {
+        this._throwIfAborted(signal)
+
+        // The other API wraps the text differently and may have a smaller quota
+        await this._assertFitsInputQuota(
+          apiType === 'rewriter' ? 'prompt' : 'rewriter',
+          text,
+          parameters,
+          context
+        )
+
         if (apiType === 'rewriter') {
           console.log('Rewriter failed, falling back to Prompt API')
-          result = await this._analyzeWithPrompt(text, parameters)
+          result = await this._analyzeWithPrompt(text, parameters, callOptions)
           if (result) {
             result.apiUsed = 'prompt'
           }
         } else if (apiType === 'prompt') {
           console.log('Prompt failed, falling back to Rewriter API')
-          result = await this._analyzeWithRewriter(text, parameters)
+          result = await this._analyzeWithRewriter(text, parameters, callOptions)
           if (result) {
             result.apiUsed = 'rewriter'
           }
@@ -129,12 +182,24 @@ class AIService {
         return this._createErrorResponse('API_UNAVAILABLE', 'No AI APIs available for text analysis')
       }
 
+      if (candidateCount > 1) {
+        result.alternatives = await this._generateAlternatives(text, result, parameters, {
+          ...callOptions,
+          onChunk: null,
+          count: Math.min(candidateCount, this.maxCandidates) - 1
+        })
+      }
+
       return result
     } catch (error) {
       if (error.message === 'Text cannot be empty') {
         throw error
       }
 
+      if (this._isAbortError(error, request?.signal)) {
+        return this._createErrorResponse('ANALYSIS_CANCELLED', 'Analysis was cancelled')
+      }
+
       if (error.message === 'TEXT_TOO_LONG') {
         throw error
       }
@@ -143,7 +208,15 @@ class AIService {
     }
   }
 
-  async _analyzeWithRewriter (text, parameters = {}) {
+  async _analyzeWithRewriter (text, parameters = {}, options = {}) {
+    const {
+      onChunk = null,
+      signal = null,
+      surroundingText = null,
+      instructions = {},
+      sessionParameters = parameters
+    } = options
+
     if (typeof Rewriter === 'undefined') {
       return null
     }
@@ -151,19 +224,37 @@ class AIService {
     try {
       const startTime = Date.now()
 
-      // Create or reuse session
-      const rewriterSession = await this._getOrCreateSession('rewriter', parameters)
+      // Create or reuse the session the input budget was measured against
+      const rewriterSession = await this._getOrCreateSession(
+        'rewriter',
+        this._getSessionParameters('rewriter', sessionParameters, instructions)
+      )
 
       // Validate parameters
       const validatedParams = this._validateRewriterParameters(parameters)
 
-      // Perform rewrite
-      const improvedText = await rewriterSession.rewrite(text, {
-        context: 'Improve text clarity and readability',
+      const rewriteOptions = {
+        context: this._createRewriterContext(surroundingText, instructions),
         ...validatedParams
-      })
+      }
+
+      if (signal) {
+        rewriteOptions.signal = signal
+      }
+
+      // Perform rewrite, streaming partial output when the caller wants it
+      const improvedText = this._shouldStream(rewriterSession, 'rewriteStreaming', onChunk)
+        ? await this._consumeStream(
+          rewriterSession.rewriteStreaming(text, rewriteOptions),
+          onChunk,
+          signal
+        )
+        : await rewriterSession.rewrite(text, rewriteOptions)
+
+      this._throwIfAborted(signal)
 
-      const processingTime = Date.now() - startTime
+      // ClarityImprovement requires a positive time, and a cached rewrite can take under 1ms
+      const processingTime = Math.max(Date.now() - startTime, 1)
 
       return {
         success: true,
@@ -174,12 +265,24 @@ class AIService {
         changes: this._generateChangeDetails(text, improvedText)
       }
     } catch (error) {
+      if (this._isAbortError(error, signal)) {
+        throw error
+      }
+
       console.error('Rewriter API error:', error)
       return null
     }
   }
 
-  async _analyzeWithPrompt (text, parameters = {}) {
+  async _analyzeWithPrompt (text, parameters = {}, options = {}) {
+    const {
+      onChunk = null,
+      signal = null,
+      surroundingText = null,
+      instructions = {},
+      sessionParameters = parameters
+    } = options
+
     if (typeof Prompt === 'undefined') {
       return null
     }
@@ -188,15 +291,28 @@ class AIService {
       const startTime = Date.now()
 
       // Create or reuse session
-      const promptSession = await this._getOrCreateSession('prompt', parameters)
+      const promptSession = await this._getOrCreateSession('prompt', sessionParameters)
 
       // Create clarity-focused prompt
-      const clarityPrompt = this._createClarityPrompt(text, parameters)
+      const clarityPrompt = this._createClarityPrompt(
+        text,
+        parameters,
+        surroundingText,
+        instructions
+      )
+
+      // Only pass call options when there is something to pass
+      const promptArgs = signal ? [clarityPrompt, { signal }] : [clarityPrompt]
+
+      // Perform analysis, streaming partial output when the caller wants it
+      const improvedText = this._shouldStream(promptSession, 'promptStreaming', onChunk)
+        ? await this._consumeStream(promptSession.promptStreaming(...promptArgs), onChunk, signal)
+        : await promptSession.prompt(...promptArgs)
 
-      // Perform analysis
-      const improvedText = await promptSession.prompt(clarityPrompt)
+      this._throwIfAborted(signal)
 
-      const processingTime = Date.now() - startTime
+      // ClarityImprovement requires a positive time, and a cached rewrite can take under 1ms
+      const processingTime = Math.max(Date.now() - startTime, 1)
 
       return {
         success: true,
@@ -207,11 +323,169 @@ class AIService {
         changes: this._generateChangeDetails(text, improvedText)
       }
     } catch (error) {
+      if (this._isAbortError(error, signal)) {
+        throw error
+      }
+
       console.error('Prompt API error:', error)
       return null
     }
   }
 
+  // Alternative candidates
+  async _generateAlternatives (text, primary, parameters, options) {
+    const { count, ...callOptions } = options
+    const analyze = primary.apiUsed === 'prompt'
+      ? this._analyzeWithPrompt
+      : this._analyzeWithRewriter
+    const seen = new Set([primary.improvedText.trim()])
+    const alternatives = []
+
+    // One call at a time, like chunks, so the model never runs several rewrites at once.
+    // Variations only change the call, so they share the first rewrite's session
+    for (const variation of this._getCandidateVariations(parameters)) {
+      if (alternatives.length >= count) break
+      this._throwIfAborted(callOptions.signal)
+
+      const result = await analyze.call(
+        this,
+        text,
+        { ...parameters, ...variation.parameters },
+        { ...callOptions, sessionParameters: parameters }
+      )
+
+      // A failed or repeated rewrite is skipped and the next variation takes its place
+      if (!result || seen.has(result.improvedText.trim())) continue
+
+      seen.add(result.improvedText.trim())
+      alternatives.push({ ...result, variation: variation.label })
+    }
+
+    return alternatives
+  }
+
+  _getCandidateVariations (parameters = {}) {
+    // A variation that matches the user's own settings would only repeat the first rewrite
+    return CANDIDATE_VARIATIONS.filter(variation =>
+      Object.entries(variation.parameters).some(([key, value]) => parameters[key] !== value)
+    )
+  }
+
+  // Streaming helpers
+  _shouldStream (session, methodName, onChunk) {
+    return this.streamingEnabled &&
+      typeof onChunk === 'function' &&
+      typeof session[methodName] === 'function'
+  }
+
+  async _consumeStream (stream, onChunk, signal = null) {
+    let accumulated = ''
+
+    const handleChunk = (chunk) => {
+      // Early Chrome builds emit the full text so far, newer builds emit deltas
+      accumulated = chunk.startsWith(accumulated) ? chunk : accumulated + chunk
+
+      try {
+        onChunk(accumulated)
+      } catch (error) {
+        console.warn('Streaming chunk handler failed:', error)
+      }
+    }
+
+    if (typeof stream.getReader === 'function') {
+      const reader = stream.getReader()
+      while (true) {
+        this._throwIfAborted(signal)
+        const { done, value } = await reader.read()
+        if (done) break
+        handleChunk(String(value))
+      }
+    } else {
+      for await (const chunk of stream) {
+        this._throwIfAborted(signal)
+        handleChunk(String(chunk))
+      }
+    }
+
+    return accumulated
+  }
+
+  // Cancellation helpers
+  _throwIfAborted (signal) {
+    if (signal && signal.aborted) {
+      const error = new Error('Analysis was cancelled')
+      error.name = 'AbortError'
+      throw error
+    }
+  }
+
+  _isAbortError (error, signal) {
+    return error?.name === 'AbortError' || !!(signal && signal.aborted)
+  }
+
+  // Input quota helpers
+  async getInputBudget (apiType, parameters = {}, context = null) {
+    const instructions = this._createInstructions(context)
+    const surroundingText = context?.surroundingText || null
+    let session = null
+
+    try {
+      // Measure against the session that will run the request, so it is only created once
+      session = await this._getOrCreateSession(
+        apiType,
+        this._getSessionParameters(apiType, parameters, instructions)
+      )
+    } catch (error) {
+      // Without a session the quota falls back to a character-based estimate
+      session = null
+    }
+
+    const quota = typeof session?.inputQuota === 'number' && session.inputQuota > 0
+      ? session.inputQuota
+      : this.defaultInputQuota
+
+    // The quota covers everything sent with the text, not just the text itself
+    return {
+      quota,
+      measure: (text) => apiType === 'prompt'
+        ? this._measureInputUsage(
+          session,
+          this._createClarityPrompt(text, parameters, surroundingText, instructions)
+        )
+        : this._measureInputUsage(session, text, {
+          context: this._createRewriterContext(surroundingText, instructions)
+        })
+    }
+  }
+
+  async _assertFitsInputQuota (apiType, text, parameters, context) {
+    const budget = await this.getInputBudget(apiType, parameters, context)
+    if (await budget.measure(text) > budget.quota) {
+      throw new Error('TEXT_TOO_LONG')
+    }
+  }
+
+  _getSessionParameters (apiType, parameters = {}, instructions = {}) {
+    // The audience is fixed per rewriter session through its shared context
+    const sharedContext = apiType === 'rewriter' ? this._describeAudience(instructions) : null
+    return sharedContext ? { ...parameters, sharedContext } : parameters
+  }
+
+  async _measureInputUsage (session, input, options = null) {
+    if (session && typeof session.measureInputUsage === 'function') {
+      try {
+        return options
+          ? await session.measureInputUsage(input, options)
+          : await session.measureInputUsage(input)
+      } catch (error) {
+        console.warn('Failed to measure input usage, estimating instead:', error)
+      }
+    }
+
+    const context = (options && options.context) || ''
+    return Math.ceil((input.length + context.length) / this.charsPerToken)
+  }
+
   async _getOrCreateSession (apiType, parameters) {
     // Find existing session of the right type
     for (const [sessionId, sessionData] of this.sessions) {
@@ -232,7 +506,8 @@ class AIService {
     return sessionData.session
   }
 
-  _createClarityPrompt (text, parameters = {}) {
+  _createClarityPrompt (text, parameters = {}, surroundingText = null, instructions = {}) {
+    const { styleInstructions = [], characterLimit = null } = instructions
     const tone = parameters.tone || 'neutral'
     const length = parameters.length || 'as-is'
 
@@ -258,9 +533,70 @@ Please provide only the improved text without any explanations.`
       prompt += '\nExpand the text for more clarity.'
     }
 
+    const audience = this._describeAudience(instructions)
+    if (audience) {
+      prompt += `\n${audience}`
+    }
+
+    if (characterLimit) {
+      prompt += `\nUse at most ${characterLimit} characters, including spaces.`
+    }
+
+    if (styleInstructions.length > 0) {
+      prompt += '\nFollow the team style guide:\n' +
+        styleInstructions.map(instruction => `- ${instruction}`).join('\n')
+    }
+
+    if (surroundingText) {
+      prompt += '\nThe text is an excerpt from the paragraph below. ' +
+        'Keep it consistent with the paragraph, but return only the improved excerpt.' +
+        `\n\nParagraph: "${surroundingText}"`
+    }
+
     return prompt
   }
 
+  _createRewriterContext (surroundingText = null, instructions = {}) {
+    const { styleInstructions = [], characterLimit = null } = instructions
+    let context = 'Improve text clarity and readability'
+
+    if (characterLimit) {
+      context += ` in at most ${characterLimit} characters`
+    }
+
+    if (styleInstructions.length > 0) {
+      context += `. Follow the team style guide: ${styleInstructions.join(' ')}`
+    }
+
+    // The excerpt is rewritten on its own, so the paragraph keeps it in tone and tense
+    return surroundingText
+      ? `${context}. The text is an excerpt from this paragraph: "${surroundingText}"`
+      : context
+  }
+
+  _createInstructions (context = null) {
+    return {
+      styleInstructions: context?.styleInstructions || [],
+      characterLimit: context?.characterLimit || null,
+      audience: context?.audience || null,
+      targetGrade: context?.targetGrade || null
+    }
+  }
+
+  _describeAudience ({ audience = null, targetGrade = null } = {}) {
+    const sentences = []
+
+    if (AUDIENCE_DESCRIPTIONS[audience]) {
+      sentences.push(`Write for ${AUDIENCE_DESCRIPTIONS[audience]}.`)
+    }
+
+    if (targetGrade) {
+      sentences.push(`Aim for a US school grade ${targetGrade} reading level or lower.`)
+    }
+
+    return sentences.length > 0 ? sentences.join(' ') : null
+  }
+
   // Validation methods
   _validateSessionRequest (request) {
     if (!request || typeof request !== 'object') {
@@ -294,10 +630,6 @@ Please provide only the improved text without any explanations.`
       throw new Error('Text must be a string')
     }
 
-    if (request.text.length > 5000) {
-      throw new Error('TEXT_TOO_LONG')
-    }
-
     if (!request.apiType) {
       throw new Error('Missing required parameter: apiType')
     }
@@ -372,21 +704,7 @@ Please provide only the improved text without any explanations.`
   }
 
   _generateChangeDetails (originalText, improvedText) {
-    // Simple change detection - in a real implementation, this would be more sophisticated
-    const changes = []
-
-    if (originalText !== improvedText) {
-      changes.push({
-        changeType: 'clarity',
-        originalPhrase: originalText.length > 50 ? originalText.substring(0, 47) + '...' : originalText,
-        improvedPhrase: improvedText.length > 50 ? improvedText.substring(0, 47) + '...' : improvedText,
-        reason: 'Overall clarity improvement',
-        startPosition: 0,
-        endPosition: originalText.length
-      })
-    }
-
-    return changes
+    return TextDiff.generateChangeDetails(originalText, improvedText)
   }
 
   _createErrorResponse (code, message) {
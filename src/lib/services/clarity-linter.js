@@ -0,0 +1,344 @@
+// ABOUTME: Deterministic clarity linter that works offline, without any on-device model
+// ABOUTME: Flags filler, redundancy, nominalizations, weasel words, passives and long sentences
+
+const TextDiff = require('./text-diff')
+
+const REDUNDANT_PHRASES = {
+  'in order to': 'to',
+  'due to the fact that': 'because',
+  'in spite of the fact that': 'although',
+  'at this point in time': 'now',
+  'in the event that': 'if',
+  'for the purpose of': 'for',
+  'with regard to': 'about',
+  'a large number of': 'many',
+  'the majority of': 'most',
+  'each and every': 'every',
+  'first and foremost': 'first',
+  'end result': 'result',
+  'final outcome': 'outcome',
+  'past history': 'history',
+  'advance planning': 'planning',
+  'close proximity': 'proximity',
+  'absolutely essential': 'essential',
+  'basic fundamentals': 'fundamentals',
+  'future plans': 'plans'
+}
+
+const NOMINALIZATIONS = {
+  'make a decision': 'decide',
+  'made a decision': 'decided',
+  'reach a conclusion': 'conclude',
+  'reached a conclusion': 'concluded',
+  'give consideration to': 'consider',
+  'take into consideration': 'consider',
+  'conduct an investigation of': 'investigate',
+  'conduct an investigation': 'investigate',
+  'perform an analysis of': 'analyze',
+  'make an assumption': 'assume',
+  'make a recommendation': 'recommend',
+  'have a discussion about': 'discuss',
+  'provide assistance to': 'help',
+  'come to an agreement': 'agree',
+  'give an explanation of': 'explain',
+  'make reference to': 'refer to',
+  'is in need of': 'needs'
+}
+
+const FILLER_WORDS = [
+  'basically', 'actually', 'literally', 'really', 'very', 'totally', 'honestly', 'essentially'
+]
+
+const WEASEL_WORDS = ['arguably', 'clearly', 'obviously', 'undoubtedly', 'virtually', 'supposedly']
+
+const VAGUE_ATTRIBUTIONS = [
+  'some people say', 'many people believe', 'it is believed', 'it is said', 'experts agree',
+  'studies show', 'research shows', 'it has been suggested'
+]
+
+const IRREGULAR_PARTICIPLES = [
+  'known', 'written', 'done', 'made', 'given', 'taken', 'seen', 'shown', 'built', 'sent',
+  'found', 'held', 'told', 'paid', 'kept', 'brought', 'chosen', 'broken', 'spoken', 'driven',
+  'forgotten', 'begun', 'drawn', 'grown', 'thrown', 'understood', 'sold', 'bought', 'caught',
+  'taught', 'thought', 'won', 'lost', 'led'
+]
+
+const PASSIVE_PATTERN = new RegExp(
+  '\\b(?:am|is|are|was|were|be|been|being)\\s+(?:\\w+ly\\s+)?' +
+  `(?:\\w+ed|${IRREGULAR_PARTICIPLES.join('|')})\\b`,
+  'gi'
+)
+
+class ClarityLinter {
+  constructor () {
+    this.config = {
+      maxSentenceWords: 25,
+      minSplitWords: 6,
+      confidenceScore: 0.7
+    }
+  }
+
+  // Main linting methods
+  lint (text) {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      return { changes: [], warnings: [] }
+    }
+
+    const changes = []
+    const warnings = []
+
+    // Earlier rules win when two suggestions touch the same words
+    const addChange = (change) => {
+      const overlaps = changes.some(existing =>
+        change.startPosition < existing.endPosition && existing.startPosition < change.endPosition
+      )
+      if (!overlaps) {
+        changes.push(change)
+      }
+      return !overlaps
+    }
+
+    this._findPhraseReplacements(text, REDUNDANT_PHRASES, {
+      rule: 'redundant-phrase',
+      changeType: 'conciseness',
+      reason: (phrase, replacement) => `"${phrase}" says the same as "${replacement}"`
+    }).forEach(addChange)
+
+    this._findPhraseReplacements(text, NOMINALIZATIONS, {
+      rule: 'nominalization',
+      changeType: 'word-choice',
+      reason: (phrase, replacement) => `Use the verb "${replacement}" instead of "${phrase}"`
+    }).forEach(addChange)
+
+    this._findRemovableWords(text, FILLER_WORDS, {
+      rule: 'filler-word',
+      changeType: 'conciseness',
+      reason: word => `"${word}" adds length without adding meaning`
+    }).forEach(addChange)
+
+    this._findRemovableWords(text, WEASEL_WORDS, {
+      rule: 'weasel-word',
+      changeType: 'clarity',
+      reason: word => `"${word}" asserts certainty instead of showing it`
+    }).forEach(addChange)
+
+    this._findSentences(text).forEach(sentence => {
+      if (sentence.wordCount <= this.config.maxSentenceWords) return
+
+      const split = this._findSentenceSplit(text, sentence)
+      if (!split || !addChange(split)) {
+        warnings.push(this._createWarning(text, sentence.start, sentence.end, {
+          rule: 'long-sentence',
+          changeType: 'sentence-structure',
+          reason: `This sentence has ${sentence.wordCount} words; consider splitting it`
+        }))
+      }
+    })
+
+    const attributions = this._findMatches(text, this._createPhrasePattern(VAGUE_ATTRIBUTIONS))
+    attributions.forEach(match => {
+      warnings.push(this._createWarning(text, match.start, match.end, {
+        rule: 'weasel-word',
+        changeType: 'clarity',
+        reason: 'Vague attribution; say who says it or cite the source'
+      }))
+    })
+
+    // "it is believed" is already flagged as an attribution, not as passive voice too
+    this.findPassiveVoice(text)
+      .filter(match => !attributions.some(a => match.start < a.end && a.start < match.end))
+      .forEach(match => {
+        warnings.push(this._createWarning(text, match.start, match.end, {
+          rule: 'passive-voice',
+          changeType: 'sentence-structure',
+          reason: 'Passive voice hides who acts; consider naming the actor'
+        }))
+      })
+
+    const byPosition = (a, b) => a.startPosition - b.startPosition
+    return { changes: changes.sort(byPosition), warnings: warnings.sort(byPosition) }
+  }
+
+  analyze (text) {
+    const startTime = Date.now()
+    const { changes, warnings } = this.lint(text)
+
+    if (changes.length === 0) {
+      return {
+        success: false,
+        warnings,
+        error: { code: 'NO_LINT_CHANGES', message: 'No clarity issues could be fixed offline' }
+      }
+    }
+
+    return {
+      success: true,
+      improvedText: TextDiff.applyChanges(text, changes),
+      confidenceScore: this.config.confidenceScore,
+      // ClarityImprovement requires a positive time, and linting often takes under 1ms
+      processingTime: Math.max(Date.now() - startTime, 1),
+      apiUsed: 'linter',
+      changes
+    }
+  }
+
+  review (text) {
+    // Everything still worth a look in a suggestion, fixable or not
+    const { changes, warnings } = this.lint(text)
+
+    return [...changes, ...warnings]
+      .sort((a, b) => a.startPosition - b.startPosition)
+      .map(({ rule, changeType, originalPhrase, reason, startPosition, endPosition }) => ({
+        rule, changeType, originalPhrase, reason, startPosition, endPosition
+      }))
+  }
+
+  hasPassiveVoice (text) {
+    // search() ignores the shared pattern's lastIndex, unlike test()
+    return typeof text === 'string' && text.search(PASSIVE_PATTERN) !== -1
+  }
+
+  findPassiveVoice (text) {
+    return typeof text === 'string' ? this._findMatches(text, PASSIVE_PATTERN) : []
+  }
+
+  // Rule helpers
+  _findPhraseReplacements (text, replacements, { rule, changeType, reason }) {
+    const pattern = this._createPhrasePattern(Object.keys(replacements))
+
+    return this._findMatches(text, pattern).map(match => {
+      const replacement = this._matchCase(match.value, replacements[match.value.toLowerCase()])
+
+      return {
+        rule,
+        changeType,
+        originalPhrase: match.value,
+        improvedPhrase: replacement,
+        reason: reason(match.value.toLowerCase(), replacement.toLowerCase()),
+        startPosition: match.start,
+        endPosition: match.end
+      }
+    })
+  }
+
+  _findRemovableWords (text, words, { rule, changeType, reason }) {
+    // The word goes together with a trailing comma and the space after it
+    const pattern = new RegExp(`\\b(?:${words.join('|')})\\b,?\\s+(?=\\w)`, 'gi')
+
+    return this._findMatches(text, pattern).map(match => {
+      const word = match.value.replace(/[,\s]+$/, '')
+      const change = {
+        rule,
+        changeType,
+        originalPhrase: match.value,
+        improvedPhrase: '',
+        reason: reason(word.toLowerCase()),
+        startPosition: match.start,
+        endPosition: match.end
+      }
+
+      // Removing a sentence's first word moves the capital to the next one
+      if (this._isSentenceStart(text, match.start)) {
+        const nextLetter = text[match.end]
+        change.originalPhrase += nextLetter
+        change.improvedPhrase = nextLetter.toUpperCase()
+        change.endPosition += 1
+      }
+
+      return change
+    })
+  }
+
+  _findSentenceSplit (text, sentence) {
+    const sentenceText = text.slice(sentence.start, sentence.end)
+    const pattern = /(?:;|,\s+(?:and|but|so))\s+([a-z])/gi
+    const middle = sentence.wordCount / 2
+    let best = null
+
+    for (const match of sentenceText.matchAll(pattern)) {
+      const wordsBefore = this._countWords(sentenceText.slice(0, match.index))
+      const wordsAfter = sentence.wordCount - wordsBefore
+      if (wordsBefore < this.config.minSplitWords || wordsAfter < this.config.minSplitWords) {
+        continue
+      }
+
+      const distance = Math.abs(wordsBefore - middle)
+      if (!best || distance < best.distance) {
+        best = { match, distance }
+      }
+    }
+
+    if (!best) return null
+
+    // Replace the joint through the next word's first letter, which becomes a capital
+    const start = sentence.start + best.match.index
+    const originalPhrase = best.match[0]
+    return {
+      rule: 'long-sentence',
+      changeType: 'sentence-structure',
+      originalPhrase,
+      improvedPhrase: `. ${best.match[1].toUpperCase()}`,
+      reason: `Split a ${sentence.wordCount}-word sentence in two`,
+      startPosition: start,
+      endPosition: start + originalPhrase.length
+    }
+  }
+
+  _findSentences (text) {
+    return Array.from(text.matchAll(/[^.!?\n]+(?:[.!?]+|$)/g), match => {
+      const leading = match[0].length - match[0].trimStart().length
+      const start = match.index + leading
+      const end = match.index + match[0].trimEnd().length
+
+      return { start, end, wordCount: this._countWords(text.slice(start, end)) }
+    }).filter(sentence => sentence.end > sentence.start)
+  }
+
+  _createWarning (text, start, end, { rule, changeType, reason }) {
+    return {
+      rule,
+      changeType,
+      originalPhrase: text.slice(start, end),
+      reason,
+      startPosition: start,
+      endPosition: end
+    }
+  }
+
+  // Utility methods
+  _findMatches (text, pattern) {
+    return Array.from(text.matchAll(pattern), match => ({
+      value: match[0],
+      start: match.index,
+      end: match.index + match[0].length
+    }))
+  }
+
+  _createPhrasePattern (phrases) {
+    // Longer phrases first, so "conduct an investigation of" beats "conduct an investigation"
+    const alternatives = [...phrases]
+      .sort((a, b) => b.length - a.length)
+      .map(phrase => phrase.replace(/\s+/g, '\\s+'))
+
+    return new RegExp(`\\b(?:${alternatives.join('|')})\\b`, 'gi')
+  }
+
+  _matchCase (original, replacement) {
+    return /^[A-Z]/.test(original)
+      ? replacement.charAt(0).toUpperCase() + replacement.slice(1)
+      : replacement
+  }
+
+  _isSentenceStart (text, position) {
+    const before = text.slice(0, position).trimEnd()
+    return before.length === 0 || /[.!?]["')\]]*$/.test(before)
+  }
+
+  _countWords (text) {
+    const words = text.trim().split(/\s+/).filter(Boolean)
+    return words.length
+  }
+}
+
+// Export singleton instance
+module.exports = new ClarityLinter()
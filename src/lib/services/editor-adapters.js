@@ -0,0 +1,315 @@
+// ABOUTME: Adapters for rich-text editors that read text with DOM mappings and apply scoped edits
+// ABOUTME: Edits go through each editor's API or input pipeline so formatting and state survive
+
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE',
+  'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'OL', 'P', 'PRE',
+  'SECTION', 'TABLE', 'TD', 'TH', 'TR', 'UL'
+])
+
+// Handled by the page-world editor bridge, which can reach the editors' JavaScript instances
+const EDITOR_EDIT_EVENT = 'isitclear:editor-edit'
+
+class EditorAdapter {
+  constructor (options = {}) {
+    this.name = options.name || 'contenteditable'
+    this.rootSelector = options.rootSelector || '[contenteditable]'
+    this.ignoredSelector = ['[contenteditable="false"]', 'script', 'style', options.ignoredSelector]
+      .filter(Boolean)
+      .join(', ')
+
+    // Editors that rebuild the DOM from their own model revert direct DOM edits
+    this.allowDomFallback = options.allowDomFallback !== false
+
+    // Editors whose API the page-world bridge knows how to drive
+    this.hasEditorApi = options.hasEditorApi === true
+  }
+
+  // Detection methods
+  matches (element) {
+    return Boolean(this.getRoot(element))
+  }
+
+  getRoot (element) {
+    if (!element || typeof element.closest !== 'function') {
+      return null
+    }
+    return element.closest(this.rootSelector)
+  }
+
+  // Text mapping methods
+  extractText (root) {
+    const mapping = { text: '', segments: [] }
+    this._walk(root, mapping)
+    return mapping
+  }
+
+  createRange (root, mapping, start, end = start) {
+    const range = root.ownerDocument.createRange()
+    const startPoint = this._pointAt(root, mapping, start, false)
+    const endPoint = this._pointAt(root, mapping, end, true)
+
+    range.setStart(startPoint.node, startPoint.offset)
+    range.setEnd(endPoint.node, endPoint.offset)
+    return range
+  }
+
+  offsetOf (mapping, node, offset) {
+    const segment = mapping.segments.find(candidate => candidate.node === node)
+    return segment ? segment.start + Math.min(offset, segment.end - segment.start) : null
+  }
+
+  // Editing methods
+  applyChanges (root, changes) {
+    const methods = []
+
+    // Apply from the end so earlier offsets stay valid while the editor re-renders
+    const ordered = [...changes].sort((a, b) => b.startPosition - a.startPosition)
+    for (const change of ordered) {
+      const mapping = this.extractText(root)
+      const range = this.createRange(root, mapping, change.startPosition, change.endPosition)
+      methods.push(this.replaceRange(root, range, change.improvedPhrase))
+    }
+
+    return methods
+  }
+
+  replaceRange (root, range, text) {
+    if (this.replaceWithEditorApi(root, range, text)) {
+      return 'api'
+    }
+
+    const doc = root.ownerDocument
+    this._select(root, range)
+
+    // Editing commands run through the editor's own input handling and undo history
+    if (typeof doc.execCommand === 'function' &&
+        doc.execCommand(text ? 'insertText' : 'delete', false, text)) {
+      return 'execCommand'
+    }
+
+    const beforeInput = this._createInputEvent('beforeinput', text, true)
+    if (!root.dispatchEvent(beforeInput)) {
+      return 'beforeinput'
+    }
+
+    if (!this.allowDomFallback) {
+      throw new Error(`The ${this.name} editor did not accept the edit`)
+    }
+
+    this._replaceDomRange(range, text)
+    root.dispatchEvent(this._createInputEvent('input', text, false))
+    return 'dom'
+  }
+
+  replaceWithEditorApi (root, range, text) {
+    if (!this.hasEditorApi) {
+      return false
+    }
+
+    // Editor instances live in the page's world, out of reach of content scripts, so the
+    // bridge edits the selection there and cancels the request once the edit is applied
+    this._select(root, range)
+    const request = new CustomEvent(EDITOR_EDIT_EVENT, {
+      bubbles: true,
+      composed: true,
+      cancelable: true,
+      detail: JSON.stringify({ editor: this.name, text })
+    })
+    return !root.dispatchEvent(request)
+  }
+
+  // Helper methods
+  _walk (node, mapping) {
+    for (const child of Array.from(node.childNodes)) {
+      if (child.nodeType === 3) {
+        const start = mapping.text.length
+        mapping.text += child.data
+        mapping.segments.push({ node: child, start, end: mapping.text.length })
+        continue
+      }
+
+      if (child.nodeType !== 1 || child.matches(this.ignoredSelector)) {
+        continue
+      }
+
+      if (child.tagName === 'BR') {
+        if (!this._isPlaceholderBreak(child)) {
+          mapping.text += '\n'
+        }
+        continue
+      }
+
+      const isBlock = BLOCK_TAGS.has(child.tagName)
+      if (isBlock && mapping.text.length > 0 && !mapping.text.endsWith('\n')) {
+        mapping.text += '\n'
+      }
+
+      const lengthBefore = mapping.text.length
+      this._walk(child, mapping)
+
+      // An empty block is still a visible empty line
+      if (isBlock && mapping.text.length === lengthBefore && lengthBefore > 0) {
+        mapping.text += '\n'
+      }
+    }
+  }
+
+  _isPlaceholderBreak (br) {
+    // A trailing <br> only keeps an empty or final line open, it is not a line break
+    let next = br.nextSibling
+    while (next && next.nodeType === 3 && next.data === '') {
+      next = next.nextSibling
+    }
+    return !next && BLOCK_TAGS.has(br.parentNode.tagName)
+  }
+
+  _pointAt (root, mapping, offset, isEnd) {
+    const { segments } = mapping
+
+    // Start points prefer the following node and end points the preceding one, so
+    // replacements inherit the formatting of the text they replace
+    const inside = segments.find(segment => isEnd
+      ? offset > segment.start && offset <= segment.end
+      : offset >= segment.start && offset < segment.end)
+    const touching = inside || segments.find(segment =>
+      offset >= segment.start && offset <= segment.end)
+
+    if (touching) {
+      return { node: touching.node, offset: offset - touching.start }
+    }
+
+    // Offsets inside synthetic line breaks resolve to the next text node
+    const next = segments.find(segment => segment.start >= offset)
+    if (next) {
+      return { node: next.node, offset: 0 }
+    }
+
+    const last = segments[segments.length - 1]
+    return last
+      ? { node: last.node, offset: last.node.data.length }
+      : { node: root, offset: root.childNodes.length }
+  }
+
+  _select (root, range) {
+    const selection = root.ownerDocument.getSelection()
+    selection.removeAllRanges()
+    selection.addRange(range)
+  }
+
+  _replaceDomRange (range, text) {
+    range.deleteContents()
+
+    // Insert into the surviving text node so the replacement keeps its formatting
+    const container = range.startContainer
+    if (container.nodeType === 3) {
+      container.insertData(range.startOffset, text)
+    } else if (text) {
+      range.insertNode(container.ownerDocument.createTextNode(text))
+    }
+  }
+
+  _createInputEvent (type, text, cancelable) {
+    const init = {
+      bubbles: true,
+      cancelable,
+      inputType: text ? 'insertText' : 'deleteContent',
+      data: text
+    }
+
+    return typeof InputEvent === 'function' ? new InputEvent(type, init) : new Event(type, init)
+  }
+}
+
+class ProseMirrorAdapter extends EditorAdapter {
+  constructor () {
+    super({
+      name: 'prosemirror',
+      rootSelector: '.ProseMirror',
+      ignoredSelector: [
+        'img.ProseMirror-separator',
+        'br.ProseMirror-trailingBreak',
+        '.ProseMirror-widget'
+      ].join(', '),
+      hasEditorApi: true
+    })
+  }
+}
+
+class QuillAdapter extends EditorAdapter {
+  constructor () {
+    super({
+      name: 'quill',
+      rootSelector: '.ql-editor',
+      ignoredSelector: '.ql-cursor, .ql-clipboard',
+      hasEditorApi: true
+    })
+  }
+}
+
+class DraftAdapter extends EditorAdapter {
+  constructor () {
+    // Draft.js re-renders from its EditorState and only learns about edits from input events
+    super({
+      name: 'draft',
+      rootSelector: '.public-DraftEditor-content',
+      allowDomFallback: false
+    })
+  }
+}
+
+class CKEditorAdapter extends EditorAdapter {
+  constructor () {
+    super({
+      name: 'ckeditor',
+      rootSelector: '.ck-editor__editable',
+      ignoredSelector: 'br[data-cke-filler], .ck-fake-selection-container, .ck-widget__type-around',
+      allowDomFallback: false,
+      hasEditorApi: true
+    })
+  }
+}
+
+class TinyMCEAdapter extends EditorAdapter {
+  constructor () {
+    super({
+      name: 'tinymce',
+      rootSelector: '.mce-content-body',
+      ignoredSelector: '[data-mce-bogus]',
+      hasEditorApi: true
+    })
+  }
+}
+
+class LexicalAdapter extends EditorAdapter {
+  constructor () {
+    // Lexical reconciles the DOM from its state, so edits must arrive as input events
+    super({
+      name: 'lexical',
+      rootSelector: '[data-lexical-editor="true"]',
+      ignoredSelector: '[data-lexical-decorator="true"]',
+      allowDomFallback: false
+    })
+  }
+}
+
+const createEditorAdapters = () => [
+  new ProseMirrorAdapter(),
+  new QuillAdapter(),
+  new DraftAdapter(),
+  new CKEditorAdapter(),
+  new TinyMCEAdapter(),
+  new LexicalAdapter()
+]
+
+module.exports = {
+  EDITOR_EDIT_EVENT,
+  EditorAdapter,
+  ProseMirrorAdapter,
+  QuillAdapter,
+  DraftAdapter,
+  CKEditorAdapter,
+  TinyMCEAdapter,
+  LexicalAdapter,
+  createEditorAdapters
+}
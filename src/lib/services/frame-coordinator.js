@@ -0,0 +1,192 @@
+// ABOUTME: Coordinates the content scripts of a tab's frames so one overlay serves them all
+// ABOUTME: Maps child frame coordinates to the top viewport and relays messages via background
+
+const InputDetector = require('./input-detector')
+
+// Marks window messages as ours, since pages post plenty of their own
+const MESSAGE_SOURCE = 'isitclear-frame'
+
+class FrameCoordinator {
+  constructor () {
+    this.messageHandler = null
+    // Frame elements by the window they hold, so repeated offset requests skip the DOM walk
+    this.frameElements = new WeakMap()
+
+    // Overlay methods a child frame may call on the top frame's overlay
+    this.overlayMethods = [
+      'hide',
+      'reset',
+      'showLoading',
+      'showError',
+      'showEmpty',
+      'showModelStatus',
+      'showPartialResult',
+      'setCharacterLimit',
+      'updateWithAnalysisResult'
+    ]
+
+    this.config = {
+      offsetTimeoutMs: 1000
+    }
+  }
+
+  initialize () {
+    if (this.messageHandler) return
+
+    // Every frame answers its children, so nested frames can add up their offsets
+    this.messageHandler = (event) => this._handleWindowMessage(event)
+    window.addEventListener('message', this.messageHandler)
+  }
+
+  cleanup () {
+    if (this.messageHandler) {
+      window.removeEventListener('message', this.messageHandler)
+      this.messageHandler = null
+    }
+  }
+
+  isTopFrame () {
+    try {
+      return window.top === window
+    } catch (error) {
+      return false
+    }
+  }
+
+  // Geometry
+  async getRectInTopFrame (element) {
+    const rect = element.getBoundingClientRect()
+    const offset = await this.getFrameOffset()
+
+    return {
+      left: rect.left + offset.left,
+      top: rect.top + offset.top,
+      right: rect.right + offset.left,
+      bottom: rect.bottom + offset.top,
+      width: rect.width,
+      height: rect.height
+    }
+  }
+
+  getFrameOffset () {
+    if (this.isTopFrame()) {
+      return Promise.resolve({ left: 0, top: 0 })
+    }
+
+    // Cross-origin frames cannot read their own position, so ask the parent for it
+    const id = `offset_${Date.now()}_${Math.random().toString(36).substring(2)}`
+
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timer)
+        window.removeEventListener('message', handler)
+      }
+
+      const handler = (event) => {
+        const data = event.data
+        if (event.source !== window.parent || !data || data.source !== MESSAGE_SOURCE ||
+            data.type !== 'frame-offset' || data.id !== id) {
+          return
+        }
+
+        cleanup()
+        resolve({ left: data.left, top: data.top })
+      }
+
+      const timer = setTimeout(() => {
+        cleanup()
+        reject(new Error('The parent frame did not report the position of this frame'))
+      }, this.config.offsetTimeoutMs)
+
+      window.addEventListener('message', handler)
+      window.parent.postMessage({ source: MESSAGE_SOURCE, type: 'frame-offset-request', id }, '*')
+    })
+  }
+
+  // Messaging between frames
+  sendToTop (message) {
+    return this.sendToFrame(0, message)
+  }
+
+  sendToFrame (frameId, message) {
+    // Page scripts can read window messages, so field text only travels through the background
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({
+        type: 'FRAME_MESSAGE',
+        payload: { targetFrameId: frameId, message }
+      }, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message))
+        } else {
+          resolve(response)
+        }
+      })
+    })
+  }
+
+  // Stand-ins for fields that live in another frame
+  createRemoteTarget (frameId, rect) {
+    return {
+      isRemoteTarget: true,
+      frameId,
+      getBoundingClientRect: () => rect
+    }
+  }
+
+  isRemoteTarget (target) {
+    return !!target && target.isRemoteTarget === true
+  }
+
+  // Private methods
+  async _handleWindowMessage (event) {
+    const data = event.data
+    if (!data || data.source !== MESSAGE_SOURCE || data.type !== 'frame-offset-request') return
+
+    const frame = this._findFrameElement(event.source)
+    if (!frame) return
+
+    try {
+      const frameOffset = this._getContentOffset(frame)
+      const ownOffset = await this.getFrameOffset()
+
+      event.source.postMessage({
+        source: MESSAGE_SOURCE,
+        type: 'frame-offset',
+        id: data.id,
+        left: frameOffset.left + ownOffset.left,
+        top: frameOffset.top + ownOffset.top
+      }, event.origin && event.origin !== 'null' ? event.origin : '*')
+    } catch (error) {
+      console.warn('Failed to report the position of a child frame:', error)
+    }
+  }
+
+  _findFrameElement (frameWindow) {
+    if (!frameWindow) return null
+
+    const cached = this.frameElements.get(frameWindow)
+    if (cached && cached.isConnected && cached.contentWindow === frameWindow) {
+      return cached
+    }
+
+    const frames = InputDetector.querySelectorAllDeep('iframe, frame')
+    const frame = frames.find(element => element.contentWindow === frameWindow) || null
+    if (frame) {
+      this.frameElements.set(frameWindow, frame)
+    }
+    return frame
+  }
+
+  _getContentOffset (frame) {
+    // The child's viewport starts inside the frame's border and padding
+    const rect = frame.getBoundingClientRect()
+    const style = window.getComputedStyle(frame)
+
+    return {
+      left: rect.left + (frame.clientLeft || 0) + (parseFloat(style.paddingLeft) || 0),
+      top: rect.top + (frame.clientTop || 0) + (parseFloat(style.paddingTop) || 0)
+    }
+  }
+}
+
+module.exports = new FrameCoordinator()
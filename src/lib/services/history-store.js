@@ -0,0 +1,214 @@
+// ABOUTME: Analysis history service persisting past improvements in IndexedDB
+// ABOUTME: Supports retention limits, full-text search and filtering by domain, date and outcome
+
+const DB_NAME = 'isitclear'
+const DB_VERSION = 1
+const STORE_NAME = 'analysisHistory'
+const OUTCOMES = ['pending', 'accepted', 'rejected', 'undone']
+const DAY_MS = 24 * 60 * 60 * 1000
+
+class HistoryStore {
+  constructor () {
+    this.dbPromise = null
+    this.config = {
+      retentionDays: 30,
+      maxEntries: 1000,
+      defaultLimit: 50
+    }
+  }
+
+  configure (options = {}) {
+    Object.assign(this.config, options)
+  }
+
+  isAvailable () {
+    return typeof indexedDB !== 'undefined'
+  }
+
+  // Entry management
+  createRecord (entry) {
+    return {
+      id: entry.id || this._generateId(),
+      timestamp: entry.timestamp || Date.now(),
+      originalText: entry.originalText,
+      improvedText: entry.improvedText,
+      changes: entry.changes || [],
+      confidenceScore: entry.confidenceScore,
+      processingTime: entry.processingTime,
+      improvementType: entry.improvementType,
+      summary: entry.summary || null,
+      domain: this._extractDomain(entry.url),
+      fieldType: entry.fieldType || null,
+      outcome: entry.outcome || 'pending'
+    }
+  }
+
+  async addEntry (entry) {
+    const record = this.createRecord(entry)
+
+    await this._withStore('readwrite', store => store.put(record))
+    return record
+  }
+
+  async getEntry (id) {
+    const entry = await this._withStore('readonly', store => store.get(id))
+    return entry || null
+  }
+
+  async updateOutcome (id, outcome, applied = null) {
+    if (!OUTCOMES.includes(outcome)) {
+      throw new Error(`outcome must be one of: ${OUTCOMES.join(', ')}`)
+    }
+
+    const entry = await this.getEntry(id)
+    if (!entry) return null
+
+    entry.outcome = outcome
+
+    // An accepted entry keeps the candidate and changes that went into the field
+    if (applied) {
+      entry.improvedText = applied.improvedText
+      entry.changes = applied.changes || []
+    }
+    await this._withStore('readwrite', store => store.put(entry))
+    return entry
+  }
+
+  async clear () {
+    await this._withStore('readwrite', store => store.clear())
+  }
+
+  // Search
+  async search (filters = {}) {
+    const limit = filters.limit || this.config.defaultLimit
+    const db = await this._open()
+
+    return new Promise((resolve, reject) => {
+      const results = []
+      const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME)
+      const index = store.index('timestamp')
+      const range = this._createTimeRange(filters.from, filters.to)
+
+      // Walk newest first so the limit keeps the most recent matches
+      const request = index.openCursor(range, 'prev')
+      request.onsuccess = () => {
+        const cursor = request.result
+        if (!cursor || results.length >= limit) {
+          resolve(results)
+          return
+        }
+
+        if (this.matchesFilters(cursor.value, filters)) {
+          results.push(cursor.value)
+        }
+        cursor.continue()
+      }
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  matchesFilters (entry, filters = {}) {
+    if (filters.domain && entry.domain !== filters.domain) return false
+    if (filters.outcome && entry.outcome !== filters.outcome) return false
+    if (filters.from && entry.timestamp < filters.from) return false
+    if (filters.to && entry.timestamp > filters.to) return false
+
+    // Every search term must appear in either version of the text
+    const terms = (filters.query || '').toLowerCase().split(/\s+/).filter(Boolean)
+    const haystack = `${entry.originalText}\n${entry.improvedText}`.toLowerCase()
+    return terms.every(term => haystack.includes(term))
+  }
+
+  // Retention
+  async applyRetention (now = Date.now()) {
+    const db = await this._open()
+    const cutoff = now - this.config.retentionDays * DAY_MS
+
+    return new Promise((resolve, reject) => {
+      let kept = 0
+      let removed = 0
+      const transaction = db.transaction(STORE_NAME, 'readwrite')
+      const index = transaction.objectStore(STORE_NAME).index('timestamp')
+
+      // Newest first: everything past the entry limit or the retention window goes
+      const request = index.openCursor(null, 'prev')
+      request.onsuccess = () => {
+        const cursor = request.result
+        if (!cursor) return
+
+        if (cursor.value.timestamp < cutoff || kept >= this.config.maxEntries) {
+          cursor.delete()
+          removed++
+        } else {
+          kept++
+        }
+        cursor.continue()
+      }
+      transaction.oncomplete = () => resolve({ kept, removed })
+      transaction.onerror = () => reject(transaction.error)
+    })
+  }
+
+  // Database access
+  _open () {
+    if (!this.isAvailable()) {
+      return Promise.reject(new Error('IndexedDB is not available'))
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' })
+          store.createIndex('timestamp', 'timestamp')
+          store.createIndex('domain', 'domain')
+          store.createIndex('outcome', 'outcome')
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => {
+          this.dbPromise = null
+          reject(request.error)
+        }
+      })
+    }
+
+    return this.dbPromise
+  }
+
+  async _withStore (mode, operation) {
+    const db = await this._open()
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode)
+      const request = operation(transaction.objectStore(STORE_NAME))
+
+      transaction.oncomplete = () => resolve(request.result)
+      transaction.onerror = () => reject(transaction.error)
+    })
+  }
+
+  _createTimeRange (from, to) {
+    if (from && to) return IDBKeyRange.bound(from, to)
+    if (from) return IDBKeyRange.lowerBound(from)
+    if (to) return IDBKeyRange.upperBound(to)
+    return null
+  }
+
+  // Utility methods
+  _generateId () {
+    return `analysis_${Date.now()}_${Math.random().toString(36).substring(2)}`
+  }
+
+  _extractDomain (url) {
+    if (!url) return null
+
+    try {
+      return new URL(url).hostname || null
+    } catch (error) {
+      return null
+    }
+  }
+}
+
+module.exports = new HistoryStore()
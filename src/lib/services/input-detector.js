@@ -2,6 +2,21 @@
 // ABOUTME: Handles DOM interaction, field validation, and cursor/selection management
 
 const TextContent = require('../models/text-content')
+const TextReplacer = require('./text-replacer')
+const TextDiff = require('./text-diff')
+const { createEditorAdapters } = require('./editor-adapters')
+
+// Joins the selectors of a shadow host chain, e.g. "lightning-textarea >>> textarea"
+const SHADOW_SELECTOR_SEPARATOR = ' >>> '
+
+// Composers on these sites enforce a limit in script rather than with maxlength
+const KNOWN_CHARACTER_LIMITS = {
+  'twitter.com': 280,
+  'x.com': 280,
+  'bsky.app': 300,
+  'threads.net': 500,
+  'mastodon.social': 500
+}
 
 class InputDetector {
   constructor () {
@@ -24,6 +39,9 @@ class InputDetector {
       'textarea[readonly]',
       '[contenteditable="false"]'
     ]
+
+    // Checked in order, so registered adapters take precedence over the built-in ones
+    this.editorAdapters = createEditorAdapters()
   }
 
   // Main detection methods
@@ -80,10 +98,27 @@ class InputDetector {
       text,
       cursorPosition: cursorInfo.cursorPosition,
       selectionStart: cursorInfo.selectionStart,
-      selectionEnd: cursorInfo.selectionEnd
+      selectionEnd: cursorInfo.selectionEnd,
+      characterLimit: this.getCharacterLimit(element)
     }
   }
 
+  getCharacterLimit (element, hostname = window.location.hostname) {
+    // The attribute, since the maxLength property's default differs between engines
+    const maxLength = Number(element.getAttribute && element.getAttribute('maxlength'))
+    if (Number.isInteger(maxLength) && maxLength > 0) {
+      return maxLength
+    }
+
+    // Single-line inputs on these sites are search boxes, not composers
+    if (this._determineFieldType(element) === 'input') {
+      return null
+    }
+
+    const site = String(hostname || '').toLowerCase().replace(/^(?:www|mobile)\./, '')
+    return KNOWN_CHARACTER_LIMITS[site] || null
+  }
+
   _determineFieldType (element) {
     const tagName = element.tagName.toLowerCase()
 
@@ -100,13 +135,19 @@ class InputDetector {
     }
 
     // Fallback
-    if (element.isContentEditable) {
+    if (element.isContentEditable || this._hasEditableAttribute(element)) {
       return 'contenteditable'
     }
 
     return 'input' // Default fallback
   }
 
+  _hasEditableAttribute (element) {
+    // Not every DOM implementation reflects contentEditable, so read the attribute
+    const value = element.getAttribute ? element.getAttribute('contenteditable') : null
+    return value !== null && value !== 'false'
+  }
+
   _extractText (element) {
     const fieldType = this._determineFieldType(element)
 
@@ -115,6 +156,11 @@ class InputDetector {
     }
 
     if (fieldType === 'contenteditable') {
+      const mapping = this.getTextMapping(element)
+      if (mapping) {
+        return mapping.text
+      }
+
       // For contenteditable, prefer textContent for plain text
       return element.textContent || element.innerText || ''
     }
@@ -144,13 +190,19 @@ class InputDetector {
 
     if (fieldType === 'contenteditable') {
       try {
-        const selection = window.getSelection()
+        const selection = this._getShadowSelection(element) || window.getSelection()
         if (selection.rangeCount > 0) {
           const range = selection.getRangeAt(0)
+          const mapping = this.getTextMapping(element)
+          const selectionStart =
+            this._getTextOffset(element, mapping, range.startContainer, range.startOffset)
+          const selectionEnd =
+            this._getTextOffset(element, mapping, range.endContainer, range.endOffset)
+
           return {
-            cursorPosition: range.startOffset,
-            selectionStart: range.startOffset,
-            selectionEnd: range.endOffset
+            cursorPosition: selectionStart,
+            selectionStart,
+            selectionEnd
           }
         }
       } catch (error) {
@@ -165,7 +217,44 @@ class InputDetector {
     }
   }
 
+  _getTextOffset (element, mapping, node, offset) {
+    if (mapping) {
+      return mapping.adapter.offsetOf(mapping, node, offset) ?? offset
+    }
+
+    // Range offsets are relative to their node, so measure the text in front of it
+    if (node && element.contains(node)) {
+      const range = element.ownerDocument.createRange()
+      range.selectNodeContents(element)
+      range.setEnd(node, offset)
+      return range.toString().length
+    }
+
+    return offset
+  }
+
+  _getShadowSelection (element) {
+    // Chrome only reports selections inside a shadow tree through its shadow root
+    const root = element.getRootNode ? element.getRootNode() : null
+    if (root && root.host && typeof root.getSelection === 'function') {
+      return root.getSelection()
+    }
+    return null
+  }
+
   _generateSelector (element) {
+    const selector = this._generateLocalSelector(element)
+
+    // Plain selectors stop at shadow boundaries, so prefix the host's selector
+    const root = element.getRootNode ? element.getRootNode() : null
+    if (root && root.host) {
+      return `${this._generateSelector(root.host)}${SHADOW_SELECTOR_SEPARATOR}${selector}`
+    }
+
+    return selector
+  }
+
+  _generateLocalSelector (element) {
     // Generate CSS selector for element identification
     if (element.id) {
       return `#${element.id}`
@@ -213,14 +302,60 @@ class InputDetector {
   // Field discovery methods
   findAllInputFields (rootElement = document) {
     const selector = this.supportedSelectors.join(', ')
-    const elements = rootElement.querySelectorAll(selector)
+    const elements = this.querySelectorAllDeep(selector, rootElement)
 
-    return Array.from(elements).filter(element => {
+    return elements.filter(element => {
       // Double-check with our validation logic
       return this.isValidInputField(element)
     })
   }
 
+  querySelectorAllDeep (selector, rootElement = document) {
+    const elements = Array.from(rootElement.querySelectorAll(selector))
+
+    // Closed shadow roots are out of reach, but open ones are walked like the light DOM
+    rootElement.querySelectorAll('*').forEach(element => {
+      if (element.shadowRoot) {
+        elements.push(...this.querySelectorAllDeep(selector, element.shadowRoot))
+      }
+    })
+
+    return elements
+  }
+
+  querySelectorDeep (selector, rootElement = document) {
+    // Resolves selectors from _generateSelector, stepping into each host's open shadow root
+    const parts = selector.split(SHADOW_SELECTOR_SEPARATOR.trim()).map(part => part.trim())
+    let scope = rootElement
+    let element = null
+
+    for (const part of parts) {
+      element = scope ? scope.querySelector(part) : null
+      if (!element) {
+        return null
+      }
+      scope = element.shadowRoot
+    }
+
+    return element
+  }
+
+  getActiveElement (rootElement = document) {
+    // Focus inside a web component leaves activeElement on its host
+    let element = rootElement.activeElement
+    while (element && element.shadowRoot && element.shadowRoot.activeElement) {
+      element = element.shadowRoot.activeElement
+    }
+    return element || null
+  }
+
+  getEventTarget (event) {
+    // Events from shadow trees are retargeted to the host once they reach the document,
+    // and the composed path is only available while the event is being dispatched
+    const path = typeof event.composedPath === 'function' ? event.composedPath() : []
+    return path[0] || event.target
+  }
+
   findInputFieldsInViewport () {
     const allFields = this.findAllInputFields()
 
@@ -253,48 +388,101 @@ class InputDetector {
     const fieldType = this._determineFieldType(element)
     const originalCursorPos = preserveCursor ? this._getCursorInfo(element).cursorPosition : 0
 
+    const adapter = fieldType === 'contenteditable' ? this.getEditorAdapter(element) : null
+    const strategy = adapter
+      ? this._replaceWithEditorAdapter(adapter, element, newText)
+      : TextReplacer.replace(element, newText, fieldType)
+
+    if (preserveCursor) {
+      // Adjust cursor position if new text is shorter
+      this.setCursorPosition(element, originalCursorPos)
+    }
+
     if (fieldType === 'textarea' || fieldType === 'input') {
-      element.value = newText
-
-      if (preserveCursor) {
-        // Adjust cursor position if new text is shorter
-        const newCursorPos = Math.min(originalCursorPos, newText.length)
-        try {
-          element.setSelectionRange(newCursorPos, newCursorPos)
-        } catch (error) {
-          // Some input types don't support setSelectionRange
-        }
+      // Editing commands only fire input, but form libraries also listen for change
+      element.dispatchEvent(new Event('change', { bubbles: true }))
+    }
+
+    return strategy
+  }
+
+  getText (element) {
+    return this.isValidInputField(element) ? this._extractText(element) : ''
+  }
+
+  setCursorPosition (element, position) {
+    const fieldType = this._determineFieldType(element)
+    const cursorPosition = Math.max(0, Math.min(position, this._extractText(element).length))
+
+    if (fieldType === 'textarea' || fieldType === 'input') {
+      try {
+        element.setSelectionRange(cursorPosition, cursorPosition)
+      } catch (error) {
+        // Some input types don't support setSelectionRange
       }
+      return
+    }
 
-      // Trigger input event to notify other scripts
-      element.dispatchEvent(new Event('input', { bubbles: true }))
-    } else if (fieldType === 'contenteditable') {
-      element.textContent = newText
-
-      if (preserveCursor) {
-        try {
-          // Set cursor position in contenteditable
-          const range = document.createRange()
-          const selection = window.getSelection()
-
-          if (element.firstChild) {
-            const newCursorPos = Math.min(originalCursorPos, newText.length)
-            range.setStart(element.firstChild, newCursorPos)
-            range.setEnd(element.firstChild, newCursorPos)
-            selection.removeAllRanges()
-            selection.addRange(range)
-          }
-        } catch (error) {
-          console.warn('Failed to restore cursor position:', error)
-        }
+    try {
+      const mapping = this.getTextMapping(element)
+      if (mapping) {
+        const range = mapping.adapter.createRange(mapping.root, mapping, cursorPosition)
+        const selection = element.ownerDocument.getSelection()
+        selection.removeAllRanges()
+        selection.addRange(range)
+        return
+      }
+
+      // Set cursor position in contenteditable
+      if (element.firstChild) {
+        const range = document.createRange()
+        const selection = window.getSelection()
+        range.setStart(element.firstChild, cursorPosition)
+        range.setEnd(element.firstChild, cursorPosition)
+        selection.removeAllRanges()
+        selection.addRange(range)
       }
+    } catch (error) {
+      console.warn('Failed to restore cursor position:', error)
+    }
+  }
+
+  // Rich-text editor adapters
+  registerEditorAdapter (adapter) {
+    if (!adapter || !adapter.name || typeof adapter.matches !== 'function') {
+      throw new Error('Editor adapter must have a name and a matches method')
+    }
 
-      // Trigger input event
-      element.dispatchEvent(new Event('input', { bubbles: true }))
+    this.editorAdapters = [adapter, ...this.editorAdapters.filter(existing => {
+      return existing.name !== adapter.name
+    })]
+  }
+
+  getEditorAdapter (element) {
+    return this.editorAdapters.find(adapter => adapter.matches(element)) || null
+  }
+
+  getTextMapping (element) {
+    const adapter = this.getEditorAdapter(element)
+    if (!adapter) {
+      return null
     }
 
-    // Trigger change event as well
-    element.dispatchEvent(new Event('change', { bubbles: true }))
+    const root = adapter.getRoot(element)
+    return { adapter, root, ...adapter.extractText(root) }
+  }
+
+  _replaceWithEditorAdapter (adapter, element, newText) {
+    const root = adapter.getRoot(element)
+    const currentText = adapter.extractText(root).text
+
+    // Only the changed words are rewritten so the surrounding formatting stays put
+    const hunks = TextDiff.diff(currentText, newText)
+    root.focus()
+    const methods = adapter.applyChanges(root, hunks)
+
+    // Edits written straight into the DOM are missing from the editor's undo history
+    return methods.includes('dom') ? 'dom' : adapter.name
   }
 
   // Event handling setup
@@ -312,9 +500,9 @@ class InputDetector {
         clearTimeout(debounceTimer)
       }
 
-      debounceTimer = setTimeout(async () => {
-        const element = event.target
+      const element = this.getEventTarget(event)
 
+      debounceTimer = setTimeout(async () => {
         if (this.isValidInputField(element)) {
           try {
             const fieldData = await this.detectField(element)
@@ -370,7 +558,9 @@ class InputDetector {
 
     // Find labels by 'for' attribute
     if (element.id) {
-      const labelElements = document.querySelectorAll(`label[for="${element.id}"]`)
+      // Ids are scoped to the shadow root the field lives in
+      const root = element.getRootNode ? element.getRootNode() : document
+      const labelElements = root.querySelectorAll(`label[for="${element.id}"]`)
       labels.push(...Array.from(labelElements).map(label => label.textContent.trim()))
     }
 
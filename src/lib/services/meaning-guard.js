@@ -0,0 +1,174 @@
+// ABOUTME: Meaning-preservation guard verifying that a rewrite kept the facts of the original
+// ABOUTME: Checks numbers, dates, money, links, emails, mentions, names, negations and quotes
+
+const MONTHS = 'Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|' +
+  'Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?'
+const WEEKDAYS = 'Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday'
+
+// Order matters: each kind is masked out before the next is looked for,
+// so the digits of a URL or a date are not reported again as bare numbers
+const FACT_PATTERNS = [
+  { type: 'url', pattern: /\b(?:https?:\/\/|www\.)[^\s<>"']+[^\s<>"'.,;:!?)]/gi },
+  { type: 'email', pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/gi },
+  { type: 'mention', pattern: /(?<![\w@])@\w+/g },
+  {
+    type: 'currency',
+    pattern: new RegExp(
+      '[$€£¥]\\s?\\d[\\d,]*(?:\\.\\d+)?(?:\\s?(?:k|m|bn|million|billion)\\b)?' +
+      '|\\b\\d[\\d,]*(?:\\.\\d+)?\\s?(?:USD|EUR|GBP|dollars|euros|pounds)\\b',
+      'gi'
+    )
+  },
+  {
+    type: 'date',
+    pattern: new RegExp(
+      `\\b(?:(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?` +
+      `|\\d{1,2}(?:st|nd|rd|th)?\\s+(?:${MONTHS})(?:\\s+\\d{4})?` +
+      `|\\d{4}-\\d{2}-\\d{2}|\\d{1,2}\\/\\d{1,2}\\/\\d{2,4}|${WEEKDAYS})\\b`,
+      'gi'
+    )
+  },
+  { type: 'number', pattern: /\b\d+(?:[.,]\d+)*%?/g }
+]
+
+const NEGATION_PATTERN =
+  /\b(?:not|no|never|none|nobody|nothing|neither|nor|without|cannot)\b|n't\b/gi
+const QUOTE_PATTERN = /"([^"\n]+)"|“([^”\n]+)”/g
+const PROPER_NOUN_PATTERN = /\b(?:[A-Z][a-z]+(?:[A-Z][a-z]+)*|[A-Z]{2,})\b/g
+
+const REASONS = {
+  url: 'A link from the original is missing',
+  email: 'An email address from the original is missing',
+  mention: 'A mention from the original is missing',
+  currency: 'An amount of money changed or is missing',
+  date: 'A date changed or is missing',
+  number: 'A number changed or is missing',
+  'proper-noun': 'A name from the original is missing',
+  quote: 'A quotation was changed or dropped',
+  negation: 'A negation was dropped, which may reverse the meaning',
+  'protected-term': 'A protected term was changed'
+}
+
+class MeaningGuard {
+  constructor () {
+    this.config = {
+      penaltyPerViolation: 0.15,
+      minConfidence: 0.1
+    }
+  }
+
+  verify (originalText, improvedText, options = {}) {
+    const original = this._extractFacts(originalText || '')
+    const improved = this._extractFacts(improvedText || '')
+    const protectedTerms = options.protectedTerms || []
+    const violations = []
+
+    // Facts compare by normalized key ("$1,200" and "$1200" match) but report as written
+    Object.keys(original.facts).forEach(type => {
+      const kept = new Set(improved.facts[type].map(fact => fact.key))
+      const reported = new Set()
+
+      original.facts[type].forEach(({ key, value }) => {
+        if (!kept.has(key) && !reported.has(key)) {
+          reported.add(key)
+          violations.push(this._createViolation(type, value))
+        }
+      })
+    })
+
+    // Names and quotes must survive verbatim, so look for them in the whole rewrite
+    original.properNouns.forEach(name => {
+      if (protectedTerms.includes(name)) return
+      if (!new RegExp(`\\b${name}\\b`).test(improvedText)) {
+        violations.push(this._createViolation('proper-noun', name))
+      }
+    })
+
+    original.quotes.forEach(quote => {
+      if (!improved.quotes.includes(quote)) {
+        violations.push(this._createViolation('quote', quote))
+      }
+    })
+
+    // Protected terms were hidden from the model, so any change means it mangled a placeholder
+    protectedTerms
+      .filter(term => originalText.includes(term) && !(improvedText || '').includes(term))
+      .forEach(term => {
+        violations.push(this._createViolation('protected-term', term))
+      })
+
+    if (improved.negations < original.negations) {
+      violations.push(this._createViolation('negation',
+        `${original.negations} → ${improved.negations}`))
+    }
+
+    return { passed: violations.length === 0, violations }
+  }
+
+  adjustConfidence (confidenceScore, verification) {
+    if (!verification || verification.passed) return confidenceScore
+
+    const penalty = verification.violations.length * this.config.penaltyPerViolation
+    return Math.max(this.config.minConfidence, confidenceScore - penalty)
+  }
+
+  // Fact extraction
+  _extractFacts (text) {
+    const facts = {}
+    let remaining = text
+
+    FACT_PATTERNS.forEach(({ type, pattern }) => {
+      facts[type] = []
+      remaining = remaining.replace(pattern, match => {
+        facts[type].push({ key: this._normalize(type, match), value: match })
+        return ' '.repeat(match.length)
+      })
+    })
+
+    const quotes = Array.from(text.matchAll(QUOTE_PATTERN), match => match[1] || match[2])
+
+    return {
+      facts,
+      quotes,
+      properNouns: this._findProperNouns(remaining),
+      negations: (text.match(NEGATION_PATTERN) || []).length
+    }
+  }
+
+  _findProperNouns (text) {
+    const names = new Set()
+
+    for (const match of text.matchAll(PROPER_NOUN_PATTERN)) {
+      // A capital after a sentence break is ordinary capitalization, not a name
+      const before = text.slice(0, match.index).trimEnd()
+      const startsSentence = before.length === 0 || /[.!?:"“(\n]$/.test(before)
+
+      if (!startsSentence && match[0] !== 'I') {
+        names.add(match[0])
+      }
+    }
+
+    return [...names]
+  }
+
+  _normalize (type, value) {
+    switch (type) {
+    case 'number':
+    case 'currency':
+      return value.replace(/[,\s]/g, '').toLowerCase()
+    case 'url':
+      return value.replace(/\/$/, '')
+    case 'date':
+      return value.replace(/\s+/g, ' ').toLowerCase()
+    default:
+      return value.toLowerCase()
+    }
+  }
+
+  _createViolation (type, value) {
+    return { type, value, reason: REASONS[type] }
+  }
+}
+
+// Export singleton instance
+module.exports = new MeaningGuard()
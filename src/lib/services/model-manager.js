@@ -0,0 +1,245 @@
+// ABOUTME: Model readiness service tracking on-device Gemini Nano availability per AI API
+// ABOUTME: Checks availability, triggers and monitors model downloads, and persists status
+
+const API_TYPES = ['rewriter', 'prompt']
+
+class ModelManager {
+  constructor () {
+    this.status = {}
+    this.listeners = new Set()
+    this.downloads = new Map()
+    this.storageKey = 'modelStatus'
+
+    API_TYPES.forEach(apiType => {
+      this.status[apiType] = this._createStatus(apiType, 'unavailable')
+    })
+  }
+
+  async initialize () {
+    await this._loadFromStorage()
+    return this.refreshAvailability()
+  }
+
+  // Availability checks
+  async checkAvailability (apiType) {
+    this._validateApiType(apiType)
+
+    // A running download reports its own progress
+    if (this.downloads.has(apiType)) {
+      return { ...this.status[apiType] }
+    }
+
+    const api = this._getApi(apiType)
+    if (!api) {
+      return this._setStatus(apiType, 'unavailable', {
+        reason: `${apiType} API is not available in this browser`
+      })
+    }
+
+    try {
+      // Builds without an availability check only expose the API once the model is usable
+      if (typeof api.availability !== 'function') {
+        return this._setStatus(apiType, 'ready')
+      }
+
+      const availability = await api.availability()
+      return this._setStatus(apiType, this._mapAvailability(availability))
+    } catch (error) {
+      return this._setStatus(apiType, 'unavailable', { reason: error.message })
+    }
+  }
+
+  async refreshAvailability () {
+    await Promise.all(API_TYPES.map(apiType => this.checkAvailability(apiType)))
+    return this.getStatus()
+  }
+
+  // Download management
+  async startDownload (apiType) {
+    this._validateApiType(apiType)
+
+    if (this.downloads.has(apiType)) {
+      return this.downloads.get(apiType)
+    }
+
+    const current = await this.checkAvailability(apiType)
+    if (current.state === 'ready') {
+      return current
+    }
+
+    if (current.state === 'unavailable') {
+      throw new Error(`The ${apiType} model cannot be downloaded on this device`)
+    }
+
+    const download = this._runDownload(apiType, this._getApi(apiType))
+      .finally(() => this.downloads.delete(apiType))
+
+    this.downloads.set(apiType, download)
+    return download
+  }
+
+  isDownloading (apiType) {
+    return this.downloads.has(apiType)
+  }
+
+  async _runDownload (apiType, api) {
+    this._setStatus(apiType, 'downloading', { progress: 0 })
+
+    try {
+      // Creating a session is what triggers the download in Chrome
+      const session = await api.create({
+        monitor: (monitor) => {
+          monitor.addEventListener('downloadprogress', (event) => {
+            this._setStatus(apiType, 'downloading', { progress: this._toPercent(event) })
+          })
+        }
+      })
+
+      if (session && typeof session.destroy === 'function') {
+        session.destroy()
+      }
+
+      return this._setStatus(apiType, 'ready')
+    } catch (error) {
+      this._setStatus(apiType, 'downloadable', { reason: error.message })
+      throw error
+    }
+  }
+
+  // Status queries
+  getStatus () {
+    const status = {}
+    API_TYPES.forEach(apiType => {
+      status[apiType] = { ...this.status[apiType] }
+    })
+    return status
+  }
+
+  getOverallStatus () {
+    // The most usable API decides what the user sees
+    const statuses = API_TYPES.map(apiType => this.status[apiType])
+    const priorityOrder = ['ready', 'downloading', 'downloadable']
+
+    for (const state of priorityOrder) {
+      const match = statuses.find(status => status.state === state)
+      if (match) {
+        return { ...match }
+      }
+    }
+
+    return { ...statuses[0] }
+  }
+
+  isReady (apiType) {
+    return this.status[apiType]?.state === 'ready'
+  }
+
+  onStatusChange (callback) {
+    this.listeners.add(callback)
+    return () => this.listeners.delete(callback)
+  }
+
+  // Helper methods
+  _getApi (apiType) {
+    if (apiType === 'rewriter') {
+      return typeof Rewriter !== 'undefined' ? Rewriter : null
+    }
+    if (apiType === 'prompt') {
+      return typeof Prompt !== 'undefined' ? Prompt : null
+    }
+    return null
+  }
+
+  _validateApiType (apiType) {
+    if (!API_TYPES.includes(apiType)) {
+      throw new Error('Invalid API type')
+    }
+  }
+
+  _mapAvailability (availability) {
+    switch (availability) {
+    case 'available':
+    case 'readily':
+      return 'ready'
+    case 'downloadable':
+    case 'after-download':
+      return 'downloadable'
+    case 'downloading':
+      return 'downloading'
+    default:
+      return 'unavailable'
+    }
+  }
+
+  _toPercent (event) {
+    // Current builds report a 0-1 fraction, earlier ones reported bytes
+    const fraction = event.total ? event.loaded / event.total : event.loaded
+    return Math.max(0, Math.min(100, Math.round((fraction || 0) * 100)))
+  }
+
+  _createStatus (apiType, state, details = {}) {
+    return {
+      apiType,
+      state,
+      progress: state === 'downloading' ? (details.progress ?? null) : null,
+      reason: details.reason || null,
+      updatedAt: new Date().toISOString()
+    }
+  }
+
+  _setStatus (apiType, state, details = {}) {
+    const previous = this.status[apiType]
+    const next = this._createStatus(apiType, state, details)
+    this.status[apiType] = next
+
+    if (previous.state !== next.state || previous.progress !== next.progress) {
+      this._notifyListeners(next)
+      this._saveToStorage()
+    }
+
+    return { ...next }
+  }
+
+  _notifyListeners (status) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(status, this.getStatus())
+      } catch (error) {
+        console.warn('Model status listener failed:', error)
+      }
+    })
+  }
+
+  // Storage integration
+  async _saveToStorage () {
+    if (typeof chrome === 'undefined' || !chrome.storage) return
+
+    try {
+      await chrome.storage.local.set({ [this.storageKey]: this.getStatus() })
+    } catch (error) {
+      console.warn('Failed to persist model status:', error)
+    }
+  }
+
+  async _loadFromStorage () {
+    if (typeof chrome === 'undefined' || !chrome.storage) return
+
+    try {
+      const result = await chrome.storage.local.get(this.storageKey)
+      const saved = result && result[this.storageKey]
+      if (!saved) return
+
+      API_TYPES.forEach(apiType => {
+        // Progress saved by a previous worker is stale until availability is re-checked
+        if (saved[apiType] && saved[apiType].state !== 'downloading') {
+          this.status[apiType] = { ...this.status[apiType], ...saved[apiType] }
+        }
+      })
+    } catch (error) {
+      console.warn('Failed to load model status:', error)
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ModelManager()
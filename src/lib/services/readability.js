@@ -0,0 +1,92 @@
+// ABOUTME: Readability service computing standard metrics locally for any piece of text
+// ABOUTME: Reports Flesch scores, sentence length, complex words and passive sentences
+
+const ClarityLinter = require('./clarity-linter')
+
+class Readability {
+  constructor () {
+    this.config = {
+      complexWordSyllables: 3
+    }
+  }
+
+  measure (text) {
+    const sentences = this._splitSentences(text || '')
+    const words = sentences.flatMap(sentence => this._splitWords(sentence))
+
+    if (words.length === 0) {
+      return this._createEmptyMetrics()
+    }
+
+    const syllableCounts = words.map(word => this.countSyllables(word))
+    const totalSyllables = syllableCounts.reduce((sum, count) => sum + count, 0)
+    const complexWords = syllableCounts
+      .filter(count => count >= this.config.complexWordSyllables).length
+
+    const wordsPerSentence = words.length / sentences.length
+    const syllablesPerWord = totalSyllables / words.length
+
+    return {
+      wordCount: words.length,
+      sentenceCount: sentences.length,
+      fleschReadingEase: this._round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+      fleschKincaidGrade: this._round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59),
+      averageSentenceLength: this._round(wordsPerSentence),
+      complexWordPercentage: this._round(complexWords / words.length * 100),
+      passiveSentenceCount: sentences.filter(sentence => ClarityLinter.hasPassiveVoice(sentence))
+        .length
+    }
+  }
+
+  compare (originalText, improvedText) {
+    return {
+      original: this.measure(originalText),
+      improved: this.measure(improvedText)
+    }
+  }
+
+  countSyllables (word) {
+    const letters = word.toLowerCase().replace(/[^a-z]/g, '')
+    if (letters.length === 0) return 0
+    if (letters.length <= 3) return 1
+
+    // A silent final "e", "es" or "ed" is no syllable, unlike in "table" or "decided"
+    const trimmed = letters
+      .replace(/(?:[^laeiouy]es|[^laeiouytd]ed|[^laeiouy]e)$/, match => match.charAt(0))
+      .replace(/^y/, '')
+
+    const groups = trimmed.match(/[aeiouy]+/g)
+    return Math.max(groups ? groups.length : 0, 1)
+  }
+
+  // Utility methods
+  _splitSentences (text) {
+    return text
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(sentence => sentence.trim())
+      .filter(sentence => this._splitWords(sentence).length > 0)
+  }
+
+  _splitWords (sentence) {
+    return sentence.split(/\s+/).filter(word => /[a-z0-9]/i.test(word))
+  }
+
+  _round (value) {
+    return Math.round(value * 10) / 10
+  }
+
+  _createEmptyMetrics () {
+    return {
+      wordCount: 0,
+      sentenceCount: 0,
+      fleschReadingEase: 0,
+      fleschKincaidGrade: 0,
+      averageSentenceLength: 0,
+      complexWordPercentage: 0,
+      passiveSentenceCount: 0
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new Readability()
@@ -0,0 +1,113 @@
+// ABOUTME: Term protection service hiding protected terms and code from the model during a rewrite
+// ABOUTME: Masks spans with placeholders, restores them and applies preferred glossary wording
+
+// Identifiers a rewrite should never turn into prose: `code`, snake_case and camelCase words
+const CODE_PATTERNS = [
+  /`[^`\n]+`/g,
+  /\b[A-Za-z][A-Za-z0-9]*(?:_[A-Za-z0-9]+)+\b/g,
+  /\b[a-z]+[0-9]*(?:[A-Z][a-z0-9]*)+\b/g,
+  /\b[A-Z][a-z0-9]+(?:[A-Z][a-z0-9]*)+\b/g
+]
+
+class TermProtector {
+  constructor () {
+    this.config = {
+      protectCode: true
+    }
+  }
+
+  mask (text, protectedTerms = []) {
+    const spans = this._findProtectedSpans(text, protectedTerms)
+    const placeholders = []
+    let masked = ''
+    let cursor = 0
+
+    spans.forEach(span => {
+      const token = this._createToken(placeholders.length + 1)
+      placeholders.push({ token, term: span.term })
+      masked += text.slice(cursor, span.start) + token
+      cursor = span.end
+    })
+
+    return {
+      text: masked + text.slice(cursor),
+      placeholders,
+      terms: [...new Set(placeholders.map(placeholder => placeholder.term))]
+    }
+  }
+
+  restore (text, protection) {
+    if (!protection || typeof text !== 'string') return text
+
+    // Models sometimes repeat a placeholder; every copy becomes the original term again
+    return protection.placeholders.reduce((restored, { token, term }) =>
+      restored.split(token).join(term), text)
+  }
+
+  applyGlossary (text, glossary = []) {
+    if (typeof text !== 'string' || glossary.length === 0) return text
+
+    const replacements = new Map(glossary.map(entry =>
+      [entry.term.toLowerCase(), entry.replacement]))
+    const terms = [...replacements.keys()]
+      .sort((a, b) => b.length - a.length)
+      .map(term => this._escapeRegExp(term))
+    const pattern = new RegExp(`(?<![\\w⟦])(?:${terms.join('|')})(?![\\w⟧])`, 'gi')
+
+    return text.replace(pattern, match => {
+      const replacement = replacements.get(match.toLowerCase())
+      return /^[A-Z]/.test(match) && /^[a-z]/.test(replacement)
+        ? replacement.charAt(0).toUpperCase() + replacement.slice(1)
+        : replacement
+    })
+  }
+
+  // Span detection
+  _findProtectedSpans (text, protectedTerms) {
+    const candidates = []
+
+    // Longer user terms first, so "IsItClear Pro" wins over "IsItClear"
+    const terms = protectedTerms.filter(Boolean).sort((a, b) => b.length - a.length)
+    terms.forEach(term => {
+      const pattern = new RegExp(`(?<!\\w)${this._escapeRegExp(term)}(?!\\w)`, 'g')
+      for (const match of text.matchAll(pattern)) {
+        candidates.push({ start: match.index, end: match.index + term.length, term })
+      }
+    })
+
+    if (this.config.protectCode) {
+      CODE_PATTERNS.forEach(pattern => {
+        for (const match of text.matchAll(pattern)) {
+          candidates.push({
+            start: match.index,
+            end: match.index + match[0].length,
+            term: match[0]
+          })
+        }
+      })
+    }
+
+    // Earlier candidates take precedence over any that overlap them
+    const spans = []
+    candidates.forEach(candidate => {
+      const overlaps = spans.some(span => candidate.start < span.end && span.start < candidate.end)
+      if (!overlaps) {
+        spans.push(candidate)
+      }
+    })
+
+    return spans.sort((a, b) => a.start - b.start)
+  }
+
+  // Utility methods
+  _createToken (index) {
+    return `⟦${index}⟧`
+  }
+
+  _escapeRegExp (value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  }
+}
+
+// Export singleton instance
+module.exports = new TermProtector()
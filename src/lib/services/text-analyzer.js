@@ -2,13 +2,22 @@
 // ABOUTME: Integrates TextContent, ClarityImprovement models with AI service for complete analysis
 
 const TextContent = require('../models/text-content')
+const StyleGuide = require('../models/style-guide')
 const { ClarityImprovement, ChangeDetail } = require('../models/clarity-improvement')
 const AIService = require('./ai-service')
+const TextChunker = require('./text-chunker')
+const HistoryStore = require('./history-store')
+const ClarityLinter = require('./clarity-linter')
+const Readability = require('./readability')
+const MeaningGuard = require('./meaning-guard')
+const TermProtector = require('./term-protector')
+const TextDiff = require('./text-diff')
 
 class TextAnalyzer {
   constructor () {
     this.analysisHistory = []
     this.maxHistorySize = 10
+    this.maxShortenAttempts = 2
   }
 
   // Main analysis methods
@@ -42,7 +51,7 @@ class TextAnalyzer {
     }
   }
 
-  async analyzeTextContent (textContent, userPreferences = {}) {
+  async analyzeTextContent (textContent, userPreferences = {}, analysisOptions = {}) {
     if (!(textContent instanceof TextContent)) {
       throw new Error('textContent must be a TextContent instance')
     }
@@ -55,19 +64,61 @@ class TextAnalyzer {
       // Update text content state
       textContent.setAnalyzing()
 
-      // Prepare AI analysis request
+      // Prepare AI analysis request, hiding protected terms and code from the model
       const analysisRequest = this._createAnalysisRequest(textContent, userPreferences)
+      const protection = TermProtector.mask(
+        textContent.originalText,
+        userPreferences.protectedTerms || []
+      )
+      analysisRequest.text = protection.text
+
+      // Forward partial output for progressive rendering
+      if (typeof analysisOptions.onChunk === 'function') {
+        analysisRequest.onChunk = (partialText) =>
+          analysisOptions.onChunk(TermProtector.restore(partialText, protection))
+      }
+
+      // Forward cancellation so in-flight model calls can be aborted
+      if (analysisOptions.signal) {
+        analysisRequest.signal = analysisOptions.signal
+      }
+
+      // Selections are rewritten alone, with their paragraph as context
+      if (analysisOptions.surroundingText) {
+        analysisRequest.context.surroundingText = analysisOptions.surroundingText
+      }
+
+      // Fields with a character limit ask for a rewrite that fits it
+      if (analysisOptions.characterLimit) {
+        analysisRequest.context.characterLimit = analysisOptions.characterLimit
+      }
 
-      // Perform AI analysis
-      const aiResponse = await AIService.analyzeText(analysisRequest)
+      // Perform AI analysis, splitting text that exceeds the model input quota
+      let aiResponse = await this._analyzeWithinQuota(analysisRequest)
+
+      // Without any on-device model the offline linter still offers what it can fix
+      if (aiResponse?.error?.code === 'API_UNAVAILABLE') {
+        const lintResponse = ClarityLinter.analyze(protection.text)
+        if (lintResponse.success) {
+          aiResponse = lintResponse
+        }
+      }
 
       if (!aiResponse || !aiResponse.success) {
-        textContent.setRejected()
-        throw new Error(aiResponse?.error?.message || 'AI analysis failed')
+        throw this._createAnalysisError(aiResponse)
       }
 
-      // Create clarity improvement
-      const clarityImprovement = ClarityImprovement.createFromAIResponse(aiResponse, textContent.originalText)
+      // Every candidate is shortened to fit and checked the same way; the best is shown first
+      const candidates = []
+      for (const response of [aiResponse, ...(aiResponse.alternatives || [])]) {
+        const fitted = await this._fitCharacterLimit(response, analysisRequest, protection)
+        candidates.push(this._createCandidate(fitted, textContent.originalText, protection, {
+          userPreferences,
+          characterLimit: analysisRequest.context.characterLimit
+        }))
+      }
+      const ranked = this._rankCandidates(candidates)
+      const { clarityImprovement } = ranked[0]
 
       // Update text content state
       textContent.setAnalyzed()
@@ -75,20 +126,27 @@ class TextAnalyzer {
       // Create analysis result
       const analysisResult = {
         originalText: textContent.originalText,
-        improvedText: clarityImprovement.improvedText,
-        changes: clarityImprovement.changes.map(change => change.toJSON()),
-        confidenceScore: clarityImprovement.confidenceScore,
+        ...ranked[0].result,
         processingTime: clarityImprovement.processingTime,
         improvementType: clarityImprovement.improvementType,
-        textContentId: textContent.timestamp.toISOString() // For tracking
+        textContentId: textContent.timestamp.toISOString(), // For tracking
+        candidates: ranked.map(candidate => candidate.result)
       }
 
-      // Store in history
-      this._addToHistory(textContent.originalText, clarityImprovement)
+      // Store in history, keeping the id so the user's decision can be recorded later
+      const historyEntry = this._addToHistory(textContent.originalText, clarityImprovement, {
+        url: analysisOptions.url,
+        fieldType: textContent.fieldType
+      })
+      analysisResult.historyId = historyEntry.id
+      await this._persistHistoryEntry(historyEntry)
 
       return analysisResult
     } catch (error) {
-      textContent.setRejected()
+      // Content still being analyzed cannot be rejected; keep the original error and code
+      if (textContent.state === 'Analyzed') {
+        textContent.setRejected()
+      }
       throw error
     }
   }
@@ -110,12 +168,233 @@ class TextAnalyzer {
         options.fieldContext || 'temp-analysis'
       )
 
-      return await this.analyzeTextContent(textContent, options.userPreferences)
+      return await this.analyzeTextContent(textContent, options.userPreferences, {
+        onChunk: options.onChunk,
+        signal: options.signal,
+        surroundingText: options.surroundingText,
+        characterLimit: options.characterLimit,
+        url: options.url
+      })
     } catch (error) {
       throw error
     }
   }
 
+  _createCandidate (aiResponse, originalText, protection, { userPreferences, characterLimit }) {
+    const response = this._restoreProtectedTerms(
+      aiResponse,
+      protection,
+      originalText,
+      userPreferences.glossary || []
+    )
+
+    // Check the rewrite kept the facts, trusting it less for each one it lost
+    const verification = MeaningGuard.verify(originalText, response.improvedText, {
+      protectedTerms: protection.terms
+    })
+    const confidenceScore = response.confidenceScore || 0.7
+    const clarityImprovement = ClarityImprovement.createFromAIResponse({
+      ...response,
+      confidenceScore: MeaningGuard.adjustConfidence(confidenceScore, verification)
+    }, originalText)
+    const readability = Readability.compare(originalText, clarityImprovement.improvedText)
+
+    return {
+      clarityImprovement,
+      result: {
+        improvedText: clarityImprovement.improvedText,
+        changes: clarityImprovement.changes.map(change => change.toJSON()),
+        confidenceScore: clarityImprovement.confidenceScore,
+        variation: response.variation || 'Suggested',
+        readability,
+        readingTarget: this._checkReadingTarget(readability, userPreferences.targetGrade),
+        verification,
+        characterBudget: characterLimit
+          ? this._measureCharacterBudget(clarityImprovement.improvedText, characterLimit)
+          : null,
+        styleCheck: this._checkStyleGuide(clarityImprovement.improvedText, userPreferences),
+        // Issues the linter still finds in the suggestion, for the user to judge
+        notes: ClarityLinter.review(clarityImprovement.improvedText)
+      }
+    }
+  }
+
+  _rankCandidates (candidates) {
+    // Rewrites that fit, kept every fact and read at the target grade come first
+    const fits = candidate => candidate.result.characterBudget?.fits !== false
+    const readsAtTarget = candidate => candidate.result.readingTarget?.met !== false
+
+    return [...candidates].sort((a, b) =>
+      Number(fits(b)) - Number(fits(a)) ||
+      Number(b.result.verification.passed) - Number(a.result.verification.passed) ||
+      Number(readsAtTarget(b)) - Number(readsAtTarget(a)) ||
+      b.result.confidenceScore - a.result.confidenceScore
+    )
+  }
+
+  _checkReadingTarget (readability, targetGrade) {
+    if (!targetGrade) return null
+
+    const achievedGrade = readability.improved.fleschKincaidGrade
+    return { targetGrade, achievedGrade, met: achievedGrade <= targetGrade }
+  }
+
+  // Character limits
+  async _fitCharacterLimit (response, analysisRequest, protection) {
+    const { characterLimit } = analysisRequest.context
+    const measure = text => TermProtector.restore(text, protection).length
+    if (!characterLimit || measure(response.improvedText) <= characterLimit) {
+      return response
+    }
+
+    let fitted = response
+    for (let attempt = 0; attempt < this.maxShortenAttempts; attempt++) {
+      let shorter = null
+      try {
+        // The previous rewrite goes back in, so each attempt only has to trim it further
+        shorter = await AIService.analyzeText({
+          ...analysisRequest,
+          text: fitted.improvedText,
+          parameters: { ...analysisRequest.parameters, length: 'shorter' },
+          onChunk: null,
+          candidateCount: 1
+        })
+      } catch (error) {
+        break
+      }
+
+      if (shorter?.error?.code === 'ANALYSIS_CANCELLED') {
+        throw this._createAnalysisError(shorter)
+      }
+
+      // A failed or longer retry keeps the closest rewrite so far
+      if (!shorter?.success || measure(shorter.improvedText) >= measure(fitted.improvedText)) {
+        break
+      }
+
+      fitted = {
+        ...fitted,
+        improvedText: shorter.improvedText,
+        processingTime: (fitted.processingTime || 0) + (shorter.processingTime || 0)
+      }
+      if (measure(fitted.improvedText) <= characterLimit) break
+    }
+
+    // The retries rewrote a rewrite, so diff the result against the original again
+    return fitted === response
+      ? response
+      : { ...fitted, changes: TextDiff.generateChangeDetails(protection.text, fitted.improvedText) }
+  }
+
+  _measureCharacterBudget (text, limit) {
+    return { limit, length: text.length, fits: text.length <= limit }
+  }
+
+  _createAnalysisError (response) {
+    const error = new Error(response?.error?.message || 'AI analysis failed')
+    error.code = response?.error?.code || 'ANALYSIS_FAILED'
+    return error
+  }
+
+  _restoreProtectedTerms (aiResponse, protection, originalText, glossary) {
+    // The glossary runs before restoring, so it can never touch a protected span
+    const improvedText = TermProtector.restore(
+      TermProtector.applyGlossary(aiResponse.improvedText, glossary),
+      protection
+    )
+
+    if (improvedText === aiResponse.improvedText && protection.text === originalText) {
+      return aiResponse
+    }
+
+    // Change positions were computed against the masked text, so diff the real texts again
+    return {
+      ...aiResponse,
+      improvedText,
+      changes: TextDiff.generateChangeDetails(originalText, improvedText)
+    }
+  }
+
+  // Chunked analysis
+  async _analyzeWithinQuota (analysisRequest) {
+    const { apiType, parameters, context } = analysisRequest
+    const budget = await AIService.getInputBudget(apiType, parameters, context)
+    const chunks = await TextChunker.split(analysisRequest.text, {
+      maxTokens: budget.quota,
+      measure: budget.measure
+    })
+
+    if (chunks.length === 1) {
+      return AIService.analyzeText(analysisRequest)
+    }
+
+    return this._analyzeChunks(analysisRequest, chunks)
+  }
+
+  async _analyzeChunks (analysisRequest, chunks) {
+    const { onChunk, ...baseRequest } = analysisRequest
+    const improvedContents = []
+    const responses = []
+
+    // Chunks run one at a time so the model is never asked for more than one quota at once
+    for (const chunk of chunks) {
+      if (!chunk.content) {
+        improvedContents.push('')
+        continue
+      }
+
+      const completedText = TextChunker.stitch(
+        chunks.slice(0, improvedContents.length),
+        improvedContents
+      )
+
+      // Alternatives are only offered for text that fits in one request
+      const chunkRequest = { ...baseRequest, text: chunk.content, candidateCount: 1 }
+      if (typeof onChunk === 'function') {
+        chunkRequest.onChunk = (partialText) => onChunk(completedText + chunk.leading + partialText)
+      }
+
+      const response = await AIService.analyzeText(chunkRequest)
+      if (!response || !response.success) {
+        return response
+      }
+
+      improvedContents.push(response.improvedText)
+      responses.push({ chunk, response })
+    }
+
+    return this._mergeChunkResponses(TextChunker.stitch(chunks, improvedContents), responses)
+  }
+
+  _mergeChunkResponses (improvedText, responses) {
+    const totalLength = responses.reduce((sum, { chunk }) => sum + chunk.content.length, 0)
+    const processingTime = responses.reduce((sum, { response }) =>
+      sum + (response.processingTime || 0), 0)
+
+    // Per-chunk offsets are relative to the chunk, so shift them into the full text
+    const changes = responses.flatMap(({ chunk, response }) =>
+      (response.changes || []).map(change => ({
+        ...change,
+        startPosition: change.startPosition + chunk.contentStart,
+        endPosition: change.endPosition + chunk.contentStart
+      }))
+    )
+
+    // Longer chunks carry proportionally more weight in the overall confidence
+    const confidenceScore = responses.reduce((sum, { chunk, response }) =>
+      sum + (response.confidenceScore || 0) * chunk.content.length, 0) / (totalLength || 1)
+
+    return {
+      success: true,
+      improvedText,
+      confidenceScore,
+      processingTime,
+      apiUsed: responses[0].response.apiUsed,
+      changes,
+      chunkCount: responses.length
+    }
+  }
+
   _createAnalysisRequest (textContent, userPreferences = {}) {
     // Determine API preference
     const apiType = userPreferences.preferredApi || 'rewriter'
@@ -132,7 +411,8 @@ class TextAnalyzer {
       text: textContent.originalText,
       apiType,
       parameters,
-      context
+      context,
+      candidateCount: userPreferences.rewriteCandidates || 1
     }
   }
 
@@ -141,7 +421,7 @@ class TextAnalyzer {
       tone: preferences.preferredTone === 'formal'
         ? 'more-formal'
         : preferences.preferredTone === 'casual' ? 'more-casual' : 'as-is',
-      length: 'as-is',
+      length: preferences.preferredLength || 'as-is',
       format: 'plain-text'
     }
   }
@@ -159,6 +439,20 @@ class TextAnalyzer {
       context.detailedAnalysis = true
     }
 
+    const styleGuide = this._getStyleGuide(userPreferences)
+    if (styleGuide) {
+      context.styleInstructions = styleGuide.getInstructions()
+    }
+
+    // Who the text is for and how easy it should read
+    if (userPreferences.targetAudience && userPreferences.targetAudience !== 'general') {
+      context.audience = userPreferences.targetAudience
+    }
+
+    if (userPreferences.targetGrade) {
+      context.targetGrade = userPreferences.targetGrade
+    }
+
     // Add field-specific context
     if (textContent.fieldContext && textContent.fieldContext.includes('email')) {
       context.purpose = 'email'
@@ -171,6 +465,21 @@ class TextAnalyzer {
     return context
   }
 
+  _getStyleGuide (userPreferences = {}) {
+    return userPreferences.styleGuide ? StyleGuide.fromJSON(userPreferences.styleGuide) : null
+  }
+
+  _checkStyleGuide (improvedText, userPreferences) {
+    // Models follow instructions loosely, so the rewrite is checked against the guide here
+    const styleGuide = this._getStyleGuide(userPreferences)
+    if (!styleGuide) return null
+
+    return {
+      name: styleGuide.name,
+      violations: styleGuide.check(improvedText)
+    }
+  }
+
   _createChangeDetails (changes) {
     if (!Array.isArray(changes)) {
       return []
@@ -182,7 +491,8 @@ class TextAnalyzer {
       }
 
       // Validate change object has required properties
-      if (!change.changeType || !change.originalPhrase || !change.improvedPhrase) {
+      if (!change.changeType || typeof change.originalPhrase !== 'string' ||
+          typeof change.improvedPhrase !== 'string') {
         throw new Error('Invalid change object: missing required properties')
       }
 
@@ -192,7 +502,7 @@ class TextAnalyzer {
         change.improvedPhrase,
         change.reason || 'Text improvement',
         change.startPosition || 0,
-        change.endPosition || change.originalPhrase.length
+        change.endPosition ?? change.originalPhrase.length
       )
     })
   }
@@ -230,56 +540,123 @@ class TextAnalyzer {
   }
 
   // History management
-  _addToHistory (originalText, clarityImprovement) {
+  _addToHistory (originalText, clarityImprovement, details = {}) {
     const historyEntry = {
       originalText,
       clarityImprovement,
       timestamp: new Date(),
-      id: this._generateHistoryId()
+      id: this._generateHistoryId(),
+      url: details.url || null,
+      fieldType: details.fieldType || null,
+      outcome: 'pending'
     }
 
     this.analysisHistory.unshift(historyEntry)
 
-    // Keep history size manageable
+    // Keep the in-memory copy small; the full history lives in HistoryStore
     if (this.analysisHistory.length > this.maxHistorySize) {
       this.analysisHistory = this.analysisHistory.slice(0, this.maxHistorySize)
     }
+
+    return historyEntry
+  }
+
+  async _persistHistoryEntry (historyEntry) {
+    if (!HistoryStore.isAvailable()) return
+
+    try {
+      await HistoryStore.addEntry(this._toHistoryRecord(historyEntry))
+    } catch (error) {
+      // Losing a history entry must not fail the analysis itself
+      console.warn('Failed to persist analysis history:', error)
+    }
+  }
+
+  _toHistoryRecord (entry) {
+    const { clarityImprovement, applied } = entry
+
+    return HistoryStore.createRecord({
+      id: entry.id,
+      timestamp: entry.timestamp.getTime(),
+      originalText: entry.originalText,
+      improvedText: applied ? applied.improvedText : clarityImprovement.improvedText,
+      changes: applied
+        ? applied.changes
+        : clarityImprovement.changes.map(change => change.toJSON()),
+      confidenceScore: clarityImprovement.confidenceScore,
+      processingTime: clarityImprovement.processingTime,
+      improvementType: clarityImprovement.improvementType,
+      summary: clarityImprovement.getSummary(),
+      url: entry.url,
+      fieldType: entry.fieldType,
+      outcome: entry.outcome
+    })
   }
 
   _generateHistoryId () {
     return `analysis_${Date.now()}_${Math.random().toString(36).substring(2)}`
   }
 
-  getAnalysisHistory (limit = 10) {
-    return this.analysisHistory.slice(0, limit).map(entry => ({
+  searchHistory (filters = {}) {
+    if (HistoryStore.isAvailable()) {
+      return HistoryStore.search(filters)
+    }
+
+    // Without IndexedDB only this worker's recent analyses are known
+    return Promise.resolve(this.analysisHistory
+      .map(entry => this._toHistoryRecord(entry))
+      .filter(record => HistoryStore.matchesFilters(record, filters))
+      .slice(0, filters.limit || this.maxHistorySize))
+  }
+
+  async getAnalysisHistory (limit = 10) {
+    const history = await this.searchHistory({ limit })
+
+    return history.map(entry => ({
       id: entry.id,
-      timestamp: entry.timestamp,
+      timestamp: new Date(entry.timestamp),
       originalText: entry.originalText.length > 100
         ? entry.originalText.substring(0, 97) + '...'
         : entry.originalText,
-      summary: entry.clarityImprovement.getSummary()
+      summary: entry.summary
     }))
   }
 
   getHistoryById (id) {
+    if (HistoryStore.isAvailable()) {
+      return HistoryStore.getEntry(id)
+    }
+
     const entry = this.analysisHistory.find(entry => entry.id === id)
-    if (!entry) {
-      return null
+    return Promise.resolve(entry ? this._toHistoryRecord(entry) : null)
+  }
+
+  recordOutcome (id, outcome, applied = null) {
+    const entry = this.analysisHistory.find(entry => entry.id === id)
+    if (entry) {
+      entry.outcome = outcome
+      entry.applied = applied || entry.applied
     }
 
-    return {
-      originalText: entry.originalText,
-      improvedText: entry.clarityImprovement.improvedText,
-      changes: entry.clarityImprovement.changes.map(change => change.toJSON()),
-      confidenceScore: entry.clarityImprovement.confidenceScore,
-      processingTime: entry.clarityImprovement.processingTime,
-      improvementType: entry.clarityImprovement.improvementType,
-      timestamp: entry.timestamp
+    if (HistoryStore.isAvailable()) {
+      return HistoryStore.updateOutcome(id, outcome, applied)
     }
+    return Promise.resolve(entry ? this._toHistoryRecord(entry) : null)
   }
 
-  clearHistory () {
+  async clearHistory () {
     this.analysisHistory = []
+
+    if (HistoryStore.isAvailable()) {
+      await HistoryStore.clear()
+    }
+  }
+
+  applyHistoryRetention (retentionDays) {
+    if (!HistoryStore.isAvailable()) return Promise.resolve(null)
+
+    HistoryStore.configure({ retentionDays })
+    return HistoryStore.applyRetention()
   }
 
   // Analysis quality assessment
@@ -326,6 +703,22 @@ class TextAnalyzer {
       reasons.push('Significant length change - may have altered meaning')
     }
 
+    // Check objective readability, measuring here if the result does not carry it
+    const { original, improved } = analysisResult.readability ||
+      Readability.compare(analysisResult.originalText, analysisResult.improvedText)
+
+    if (improved.fleschReadingEase < original.fleschReadingEase) {
+      reasons.push('Lower reading ease than the original')
+    }
+
+    if (improved.passiveSentenceCount > original.passiveSentenceCount) {
+      reasons.push('More passive sentences than the original')
+    }
+
+    if (analysisResult.readingTarget && !analysisResult.readingTarget.met) {
+      reasons.push('Reads above the target grade level')
+    }
+
     return { quality, reasons }
   }
 
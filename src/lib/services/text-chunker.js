@@ -0,0 +1,154 @@
+// ABOUTME: Text chunking service that splits long text into pieces fitting the model input quota
+// ABOUTME: Splits on paragraph, then sentence, then word boundaries and stitches results back
+
+// Boundaries are tried from coarsest to finest; each piece keeps its trailing separator
+const BOUNDARY_PATTERNS = [
+  /\n[ \t]*\n\s*/g, // paragraphs
+  /[.!?]+["')\]]*\s+/g, // sentences
+  /\s+/g // words
+]
+
+class TextChunker {
+  constructor () {
+    this.charsPerToken = 4 // Rough estimate used when the model cannot measure input
+    this.shrinkFactor = 0.8
+    this.minChunkChars = 20
+  }
+
+  // Main chunking methods
+  async split (text, options = {}) {
+    if (typeof text !== 'string') {
+      throw new Error('Text must be a string')
+    }
+
+    const { maxTokens, measure = null } = options
+    if (typeof maxTokens !== 'number' || maxTokens <= 0) {
+      throw new Error('maxTokens must be a positive number')
+    }
+
+    const measureTokens = measure || (value => this.estimateTokens(value))
+    const totalTokens = await measureTokens(text)
+
+    if (totalTokens <= maxTokens) {
+      return [this._createChunk(text, 0, text.length, 0)]
+    }
+
+    // Start from the observed token density, then tighten until every chunk fits
+    let maxChars = Math.floor(maxTokens * text.length / totalTokens)
+
+    while (maxChars >= this.minChunkChars) {
+      const ranges = this._packRanges(text, maxChars)
+      const fits = await this._allRangesFit(text, ranges, maxTokens, measureTokens)
+
+      if (fits) {
+        return ranges.map((range, index) => this._createChunk(text, range.start, range.end, index))
+      }
+
+      maxChars = Math.floor(maxChars * this.shrinkFactor)
+    }
+
+    throw new Error('TEXT_TOO_LONG')
+  }
+
+  stitch (chunks, improvedContents) {
+    if (!Array.isArray(chunks) || !Array.isArray(improvedContents) ||
+        chunks.length !== improvedContents.length) {
+      throw new Error('Each chunk needs exactly one improved text')
+    }
+
+    return chunks
+      .map((chunk, index) => chunk.leading + improvedContents[index] + chunk.trailing)
+      .join('')
+  }
+
+  estimateTokens (text) {
+    return Math.ceil((text || '').length / this.charsPerToken)
+  }
+
+  // Helper methods
+  _packRanges (text, maxChars) {
+    const ranges = []
+    let start = 0
+    let end = 0
+
+    this._segment(text, 0, text.length, maxChars, 0).forEach(segment => {
+      if (segment.end - start > maxChars && end > start) {
+        ranges.push({ start, end })
+        start = end
+      }
+      end = segment.end
+    })
+
+    if (end > start) {
+      ranges.push({ start, end })
+    }
+
+    return ranges
+  }
+
+  _segment (text, start, end, maxChars, level) {
+    if (end - start <= maxChars) {
+      return [{ start, end }]
+    }
+
+    // No natural boundary left, so fall back to fixed-size slices
+    if (level >= BOUNDARY_PATTERNS.length) {
+      const slices = []
+      for (let position = start; position < end; position += maxChars) {
+        slices.push({ start: position, end: Math.min(position + maxChars, end) })
+      }
+      return slices
+    }
+
+    return this._splitAfter(text, start, end, BOUNDARY_PATTERNS[level])
+      .flatMap(piece => this._segment(text, piece.start, piece.end, maxChars, level + 1))
+  }
+
+  _splitAfter (text, start, end, pattern) {
+    const slice = text.slice(start, end)
+    const pieces = []
+    let pieceStart = 0
+
+    for (const match of slice.matchAll(pattern)) {
+      const cut = match.index + match[0].length
+      if (cut > pieceStart && cut < slice.length) {
+        pieces.push({ start: start + pieceStart, end: start + cut })
+        pieceStart = cut
+      }
+    }
+
+    pieces.push({ start: start + pieceStart, end })
+    return pieces
+  }
+
+  async _allRangesFit (text, ranges, maxTokens, measureTokens) {
+    for (const range of ranges) {
+      const tokens = await measureTokens(text.slice(range.start, range.end).trim())
+      if (tokens > maxTokens) {
+        return false
+      }
+    }
+    return true
+  }
+
+  _createChunk (text, start, end, index) {
+    const raw = text.slice(start, end)
+    const leading = raw.match(/^\s*/)[0]
+    const content = raw.trim()
+    const trailing = content ? raw.match(/\s*$/)[0] : ''
+
+    return {
+      index,
+      start,
+      end,
+      leading,
+      content,
+      trailing,
+      // Offset of the trimmed content within the full text
+      contentStart: start + leading.length
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new TextChunker()
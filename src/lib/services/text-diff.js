@@ -0,0 +1,320 @@
+// ABOUTME: Word-level diff service built on the Myers shortest edit script algorithm
+// ABOUTME: Groups token edits into hunks and turns them into classified ChangeDetail records
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*|\s+|[^\p{L}\p{N}\s]/gu
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu
+const STRUCTURE_PUNCTUATION = /[.!?;:,—–-]/g
+
+class TextDiff {
+  constructor () {
+    // Past this many token edits the texts are rewrites rather than edits
+    this.maxEditDistance = 2000
+  }
+
+  // Main diff methods
+  diff (originalText, improvedText) {
+    const originalTokens = this.tokenize(originalText)
+    const improvedTokens = this.tokenize(improvedText)
+
+    const operations = this._diffTokens(
+      originalTokens.map(token => token.value),
+      improvedTokens.map(token => token.value)
+    )
+
+    const hunks = this._mergeWhitespaceGaps(this._collectHunks(operations), originalTokens)
+
+    return hunks.map(hunk => this._toCharacterRanges(
+      hunk,
+      { tokens: originalTokens, text: originalText },
+      { tokens: improvedTokens, text: improvedText }
+    ))
+  }
+
+  generateChangeDetails (originalText, improvedText) {
+    if (!originalText || !improvedText || originalText === improvedText) {
+      return []
+    }
+
+    return this.diff(originalText, improvedText).map(hunk => {
+      const { changeType, reason } = this.classifyHunk(hunk.originalPhrase, hunk.improvedPhrase)
+
+      return {
+        changeType,
+        originalPhrase: hunk.originalPhrase,
+        improvedPhrase: hunk.improvedPhrase,
+        reason,
+        startPosition: hunk.startPosition,
+        endPosition: hunk.endPosition
+      }
+    })
+  }
+
+  applyChanges (originalText, changes) {
+    // Apply from the end so earlier positions stay valid
+    return [...changes]
+      .sort((a, b) => b.startPosition - a.startPosition)
+      .reduce((text, change) => text.slice(0, change.startPosition) +
+        change.improvedPhrase +
+        text.slice(change.endPosition), originalText)
+  }
+
+  tokenize (text) {
+    return Array.from((text || '').matchAll(TOKEN_PATTERN), match => ({
+      value: match[0],
+      start: match.index,
+      end: match.index + match[0].length
+    }))
+  }
+
+  // Hunk classification
+  classifyHunk (originalPhrase, improvedPhrase) {
+    const originalWords = this._words(originalPhrase)
+    const improvedWords = this._words(improvedPhrase)
+
+    if (originalWords.length === 0 && improvedWords.length === 0) {
+      return { changeType: 'sentence-structure', reason: 'Adjusted punctuation and spacing' }
+    }
+
+    if (this._isReordering(originalWords, improvedWords) ||
+        this._punctuation(originalPhrase) !== this._punctuation(improvedPhrase)) {
+      return {
+        changeType: 'sentence-structure',
+        reason: 'Restructured the sentence to read more easily'
+      }
+    }
+
+    if (improvedWords.length < originalWords.length) {
+      return {
+        changeType: 'conciseness',
+        reason: improvedWords.length === 0
+          ? 'Removed unnecessary words'
+          : 'Expressed the same idea in fewer words'
+      }
+    }
+
+    if (improvedWords.length === originalWords.length && originalWords.length <= 3) {
+      return { changeType: 'word-choice', reason: 'Used clearer, more precise wording' }
+    }
+
+    return {
+      changeType: 'clarity',
+      reason: originalWords.length === 0
+        ? 'Added words to make the meaning explicit'
+        : 'Rephrased to make the meaning clearer'
+    }
+  }
+
+  // Myers diff
+  _diffTokens (originalValues, improvedValues) {
+    // Shared prefix and suffix never need the full search
+    let prefix = 0
+    while (prefix < originalValues.length && prefix < improvedValues.length &&
+           originalValues[prefix] === improvedValues[prefix]) {
+      prefix++
+    }
+
+    let suffix = 0
+    while (suffix < originalValues.length - prefix && suffix < improvedValues.length - prefix &&
+           originalValues[originalValues.length - 1 - suffix] ===
+             improvedValues[improvedValues.length - 1 - suffix]) {
+      suffix++
+    }
+
+    const a = originalValues.slice(prefix, originalValues.length - suffix)
+    const b = improvedValues.slice(prefix, improvedValues.length - suffix)
+
+    // Too many edits to search, so treat the middle as one replacement
+    const middle = this._shortestEditScript(a, b) || [
+      ...a.map((_, index) => ({ type: 'delete', originalIndex: index })),
+      ...b.map((_, index) => ({ type: 'insert', improvedIndex: index }))
+    ]
+
+    const operations = []
+    for (let i = 0; i < prefix; i++) {
+      operations.push({ type: 'equal', originalIndex: i, improvedIndex: i })
+    }
+
+    const shift = index => index !== undefined ? index + prefix : undefined
+    middle.forEach(operation => {
+      operations.push({
+        ...operation,
+        originalIndex: shift(operation.originalIndex),
+        improvedIndex: shift(operation.improvedIndex)
+      })
+    })
+
+    for (let i = 0; i < suffix; i++) {
+      operations.push({
+        type: 'equal',
+        originalIndex: originalValues.length - suffix + i,
+        improvedIndex: improvedValues.length - suffix + i
+      })
+    }
+
+    return operations
+  }
+
+  _shortestEditScript (a, b) {
+    const n = a.length
+    const m = b.length
+    const max = n + m
+    const offset = max + 1
+    const v = new Int32Array(2 * max + 3)
+    const trace = []
+
+    for (let d = 0; d <= max; d++) {
+      if (d > this.maxEditDistance) {
+        return null
+      }
+
+      // Furthest x per diagonal after the previous round, kept for backtracking
+      trace.push(v.slice(offset - d - 1, offset + d + 2))
+
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1
+        let y = x - k
+
+        while (x < n && y < m && a[x] === b[y]) {
+          x++
+          y++
+        }
+
+        v[offset + k] = x
+
+        if (x >= n && y >= m) {
+          return this._backtrack(trace, n, m)
+        }
+      }
+    }
+
+    return []
+  }
+
+  _backtrack (trace, n, m) {
+    const operations = []
+    let x = n
+    let y = m
+
+    for (let d = trace.length - 1; d > 0; d--) {
+      const snapshot = trace[d]
+      const furthest = k => snapshot[k + d + 1]
+      const k = x - y
+      const previousK = (k === -d || (k !== d && furthest(k - 1) < furthest(k + 1))) ? k + 1 : k - 1
+      const previousX = furthest(previousK)
+      const previousY = previousX - previousK
+
+      while (x > previousX && y > previousY) {
+        operations.push({ type: 'equal', originalIndex: --x, improvedIndex: --y })
+      }
+
+      if (x === previousX) {
+        operations.push({ type: 'insert', improvedIndex: --y })
+      } else {
+        operations.push({ type: 'delete', originalIndex: --x })
+      }
+    }
+
+    while (x > 0 && y > 0) {
+      operations.push({ type: 'equal', originalIndex: --x, improvedIndex: --y })
+    }
+
+    return operations.reverse()
+  }
+
+  // Hunk helpers
+  _collectHunks (operations) {
+    const hunks = []
+    let current = null
+    let originalCursor = 0
+    let improvedCursor = 0
+
+    operations.forEach(operation => {
+      if (operation.type === 'equal') {
+        current = null
+        originalCursor = operation.originalIndex + 1
+        improvedCursor = operation.improvedIndex + 1
+        return
+      }
+
+      if (!current) {
+        current = {
+          originalStart: originalCursor,
+          originalEnd: originalCursor,
+          improvedStart: improvedCursor,
+          improvedEnd: improvedCursor
+        }
+        hunks.push(current)
+      }
+
+      if (operation.type === 'delete') {
+        current.originalEnd = originalCursor = operation.originalIndex + 1
+      } else {
+        current.improvedEnd = improvedCursor = operation.improvedIndex + 1
+      }
+    })
+
+    return hunks
+  }
+
+  _mergeWhitespaceGaps (hunks, originalTokens) {
+    // Edits separated only by a space read as one change
+    return hunks.reduce((merged, hunk) => {
+      const previous = merged[merged.length - 1]
+      const gap = previous ? originalTokens.slice(previous.originalEnd, hunk.originalStart) : []
+
+      if (previous && gap.length > 0 && gap.every(token => /^\s+$/.test(token.value))) {
+        previous.originalEnd = hunk.originalEnd
+        previous.improvedEnd = hunk.improvedEnd
+      } else {
+        merged.push({ ...hunk })
+      }
+
+      return merged
+    }, [])
+  }
+
+  _toCharacterRanges (hunk, original, improved) {
+    const [startPosition, endPosition] =
+      this._characterRange(original, hunk.originalStart, hunk.originalEnd)
+    const [improvedStart, improvedEnd] =
+      this._characterRange(improved, hunk.improvedStart, hunk.improvedEnd)
+
+    return {
+      startPosition,
+      endPosition,
+      improvedStart,
+      improvedEnd,
+      originalPhrase: original.text.slice(startPosition, endPosition),
+      improvedPhrase: improved.text.slice(improvedStart, improvedEnd)
+    }
+  }
+
+  _characterRange ({ tokens, text }, startIndex, endIndex) {
+    const start = startIndex < tokens.length ? tokens[startIndex].start : text.length
+    const end = endIndex > startIndex ? tokens[endIndex - 1].end : start
+    return [start, end]
+  }
+
+  _words (text) {
+    return (text || '').match(WORD_PATTERN) || []
+  }
+
+  _punctuation (text) {
+    return ((text || '').match(STRUCTURE_PUNCTUATION) || []).join('')
+  }
+
+  _isReordering (originalWords, improvedWords) {
+    if (originalWords.length < 2 || originalWords.length !== improvedWords.length) {
+      return false
+    }
+
+    const normalize = words => words.map(word => word.toLowerCase()).sort().join(' ')
+    return normalize(originalWords) === normalize(improvedWords) &&
+      originalWords.join(' ').toLowerCase() !== improvedWords.join(' ').toLowerCase()
+  }
+}
+
+// Export singleton instance
+module.exports = new TextDiff()
@@ -0,0 +1,147 @@
+// ABOUTME: Text replacement strategies that keep framework state and the browser undo stack intact
+// ABOUTME: Tries editing commands first, then native value setters or selection-based insertion
+
+class TextReplacer {
+  constructor () {
+    // Tried in order until the field shows the new text
+    this.strategies = {
+      value: ['execCommand', 'nativeSetter'],
+      contenteditable: ['execCommand', 'selection']
+    }
+  }
+
+  // Main interface methods
+  replace (element, newText, fieldType) {
+    const kind = fieldType === 'contenteditable' ? 'contenteditable' : 'value'
+
+    for (const strategy of this.strategies[kind]) {
+      if (this._applyStrategy(strategy, element, newText, kind)) {
+        return strategy
+      }
+    }
+
+    throw new Error('Failed to replace text in the field')
+  }
+
+  // Strategy implementations
+  _applyStrategy (strategy, element, newText, kind) {
+    try {
+      switch (strategy) {
+      case 'execCommand':
+        return this._replaceWithExecCommand(element, newText, kind)
+      case 'nativeSetter':
+        return this._replaceWithNativeSetter(element, newText)
+      case 'selection':
+        return this._replaceWithSelection(element, newText)
+      default:
+        return false
+      }
+    } catch (error) {
+      console.warn(`Text replacement strategy ${strategy} failed:`, error)
+      return false
+    }
+  }
+
+  _replaceWithExecCommand (element, newText, kind) {
+    // insertText fires beforeinput/input natively and is undoable with Ctrl+Z
+    const doc = element.ownerDocument
+    if (typeof doc.execCommand !== 'function') {
+      return false
+    }
+
+    element.focus()
+    this._selectAll(element, kind)
+
+    if (!doc.execCommand('insertText', false, newText)) {
+      return false
+    }
+
+    return this._matches(element, newText, kind)
+  }
+
+  _replaceWithNativeSetter (element, newText) {
+    // Frameworks like React shadow the value property to track changes, so
+    // assigning through it hides the edit from them. The prototype setter does not.
+    const setter = this._getNativeValueSetter(element)
+    if (setter) {
+      setter.call(element, newText)
+    } else {
+      element.value = newText
+    }
+
+    element.dispatchEvent(this._createInputEvent('input', newText))
+
+    return this._matches(element, newText, 'value')
+  }
+
+  _replaceWithSelection (element, newText) {
+    const range = this._selectAll(element, 'contenteditable')
+
+    // Editors that manage their own model cancel beforeinput and apply the edit themselves
+    const beforeInput = this._createInputEvent('beforeinput', newText, { cancelable: true })
+    if (!element.dispatchEvent(beforeInput)) {
+      return this._matches(element, newText, 'contenteditable')
+    }
+
+    range.deleteContents()
+    range.insertNode(element.ownerDocument.createTextNode(newText))
+    element.normalize()
+
+    element.dispatchEvent(this._createInputEvent('input', newText))
+
+    return this._matches(element, newText, 'contenteditable')
+  }
+
+  // Helper methods
+  _selectAll (element, kind) {
+    if (kind === 'value') {
+      element.select()
+      return null
+    }
+
+    const doc = element.ownerDocument
+    const range = doc.createRange()
+    range.selectNodeContents(element)
+
+    const selection = doc.getSelection()
+    selection.removeAllRanges()
+    selection.addRange(range)
+
+    return range
+  }
+
+  _getNativeValueSetter (element) {
+    // Use the element's own window so fields inside iframes resolve correctly
+    const view = element.ownerDocument.defaultView
+    const prototype = element.tagName === 'TEXTAREA'
+      ? view.HTMLTextAreaElement.prototype
+      : view.HTMLInputElement.prototype
+
+    const descriptor = Object.getOwnPropertyDescriptor(prototype, 'value')
+    return descriptor && descriptor.set
+  }
+
+  _createInputEvent (type, data, options = {}) {
+    const init = {
+      bubbles: true,
+      cancelable: options.cancelable || false,
+      inputType: 'insertReplacementText',
+      data
+    }
+
+    return typeof InputEvent === 'function' ? new InputEvent(type, init) : new Event(type, init)
+  }
+
+  _matches (element, newText, kind) {
+    if (kind === 'value') {
+      return element.value === newText
+    }
+
+    // Browsers turn line breaks into <br> or <div>, so compare loosely
+    const normalize = text => (text || '').replace(/\s+/g, ' ').trim()
+    return normalize(element.innerText || element.textContent) === normalize(newText)
+  }
+}
+
+// Export singleton instance
+module.exports = new TextReplacer()
@@ -0,0 +1,228 @@
+// ABOUTME: Usage metrics service keeping local-only analytics that survive service worker restarts
+// ABOUTME: Keeps running totals with per-day, per-domain, per-field-type, API and error breakdowns
+
+const MAX_DAYS = 30
+const MAX_DOMAINS = 100
+
+class UsageMetrics {
+  constructor () {
+    this.storageKey = 'usageMetrics'
+    this.metrics = this._createEmptyMetrics()
+    this.isLoaded = false
+  }
+
+  async initialize () {
+    if (this.isLoaded) return
+
+    await this._loadFromStorage()
+    this.isLoaded = true
+  }
+
+  // Recording
+  recordAnalysis (outcome, details = {}) {
+    const { url, fieldType, processingTime = 0, apiUsed, errorCode } = details
+
+    this._forEachBucket({ url, fieldType }, bucket => {
+      bucket.analyses++
+
+      switch (outcome) {
+      case 'completed':
+        bucket.completed++
+        bucket.totalProcessingTime += processingTime
+        break
+      case 'failed':
+        bucket.failed++
+        break
+      case 'cancelled':
+        bucket.cancelled++
+        break
+      }
+    })
+
+    if (outcome === 'completed' && apiUsed) {
+      this._increment(this.metrics.apis, apiUsed)
+    }
+
+    if (outcome === 'failed') {
+      this._increment(this.metrics.errors, errorCode || 'UNKNOWN_ERROR')
+    }
+
+    return this._saveToStorage()
+  }
+
+  recordUserAction (action, details = {}) {
+    const counter = { accept: 'accepted', reject: 'rejected', undo: 'undone' }[action]
+    if (!counter) return Promise.resolve()
+
+    this._forEachBucket(details, bucket => {
+      bucket[counter]++
+    })
+
+    return this._saveToStorage()
+  }
+
+  async reset () {
+    this.metrics = this._createEmptyMetrics()
+    await this._saveToStorage()
+  }
+
+  // Reporting
+  getSummary () {
+    const summarizeAll = (buckets) => Object.fromEntries(
+      Object.entries(buckets).map(([key, bucket]) => [key, this._summarizeBucket(bucket)])
+    )
+
+    return {
+      ...this._summarizeBucket(this.metrics.totals),
+      daily: Object.keys(this.metrics.daily).sort().map(date => ({
+        date,
+        ...this._summarizeBucket(this.metrics.daily[date])
+      })),
+      byDomain: summarizeAll(this.metrics.domains),
+      byFieldType: summarizeAll(this.metrics.fieldTypes),
+      apiUsage: { ...this.metrics.apis },
+      errorCodes: { ...this.metrics.errors },
+      since: this.metrics.since
+    }
+  }
+
+  _summarizeBucket (bucket) {
+    const decisions = bucket.accepted + bucket.rejected
+
+    return {
+      analysisCount: bucket.analyses,
+      completedCount: bucket.completed,
+      failedCount: bucket.failed,
+      cancelledCount: bucket.cancelled,
+      acceptedCount: bucket.accepted,
+      rejectedCount: bucket.rejected,
+      undoCount: bucket.undone,
+      // Only accepts and rejects are decisions; ignored suggestions do not count
+      acceptanceRate: decisions > 0 ? bucket.accepted / decisions : 0,
+      averageProcessingTime: bucket.completed > 0
+        ? bucket.totalProcessingTime / bucket.completed
+        : 0
+    }
+  }
+
+  // Bucket management
+  _forEachBucket ({ url, fieldType }, update) {
+    update(this.metrics.totals)
+    update(this._getBucket(this.metrics.daily, this._getDayKey()))
+
+    const domain = this._extractDomain(url)
+    if (domain) {
+      // Re-inserting the key keeps domains in least recently used order
+      const bucket = this._getBucket(this.metrics.domains, domain)
+      delete this.metrics.domains[domain]
+      this.metrics.domains[domain] = bucket
+      update(bucket)
+    }
+
+    if (fieldType) {
+      update(this._getBucket(this.metrics.fieldTypes, fieldType))
+    }
+
+    this._pruneBuckets()
+  }
+
+  _getBucket (buckets, key) {
+    if (!buckets[key]) {
+      buckets[key] = this._createBucket()
+    }
+    return buckets[key]
+  }
+
+  _pruneBuckets () {
+    // Day keys sort chronologically, so the oldest days come first
+    const days = Object.keys(this.metrics.daily).sort()
+    days.slice(0, Math.max(0, days.length - MAX_DAYS)).forEach(day => {
+      delete this.metrics.daily[day]
+    })
+
+    // Forget the least recently used domains, so a newly recorded one is never dropped
+    const domains = Object.keys(this.metrics.domains)
+    domains.slice(0, Math.max(0, domains.length - MAX_DOMAINS)).forEach(domain => {
+      delete this.metrics.domains[domain]
+    })
+  }
+
+  _createBucket () {
+    return {
+      analyses: 0,
+      completed: 0,
+      failed: 0,
+      cancelled: 0,
+      accepted: 0,
+      rejected: 0,
+      undone: 0,
+      totalProcessingTime: 0
+    }
+  }
+
+  _createEmptyMetrics () {
+    return {
+      totals: this._createBucket(),
+      daily: {},
+      domains: {},
+      fieldTypes: {},
+      apis: {},
+      errors: {},
+      since: new Date().toISOString()
+    }
+  }
+
+  // Utility methods
+  _increment (counts, key) {
+    counts[key] = (counts[key] || 0) + 1
+  }
+
+  _getDayKey (date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0')
+    const day = String(date.getDate()).padStart(2, '0')
+    return `${date.getFullYear()}-${month}-${day}`
+  }
+
+  _extractDomain (url) {
+    if (!url) return null
+
+    try {
+      return new URL(url).hostname || null
+    } catch (error) {
+      return null
+    }
+  }
+
+  // Storage integration
+  async _saveToStorage () {
+    if (typeof chrome === 'undefined' || !chrome.storage) return
+
+    try {
+      await chrome.storage.local.set({ [this.storageKey]: this.metrics })
+    } catch (error) {
+      console.warn('Failed to persist usage metrics:', error)
+    }
+  }
+
+  async _loadFromStorage () {
+    if (typeof chrome === 'undefined' || !chrome.storage) return
+
+    try {
+      const result = await chrome.storage.local.get(this.storageKey)
+      const saved = result && result[this.storageKey]
+      if (!saved) return
+
+      // Fill in anything an older version of the extension did not store
+      const empty = this._createEmptyMetrics()
+      this.metrics = {
+        ...empty,
+        ...saved,
+        totals: { ...empty.totals, ...saved.totals }
+      }
+    } catch (error) {
+      console.warn('Failed to load usage metrics:', error)
+    }
+  }
+}
+
+module.exports = new UsageMetrics()
@@ -0,0 +1,249 @@
+// ABOUTME: Minimal YAML parser for hand-written configuration files such as style guides
+// ABOUTME: Supports block mappings and lists, inline collections, quoted strings and comments
+
+class YamlParser {
+  parse (text) {
+    const lines = this._tokenize(text)
+    if (lines.length === 0) return null
+
+    const [value, next] = this._parseBlock(lines, 0, lines[0].indent)
+    if (next < lines.length) {
+      throw this._createError(lines[next], 'unexpected indentation')
+    }
+    return value
+  }
+
+  // Block structure
+  _parseBlock (lines, start, indent) {
+    return this._isListItem(lines[start].content)
+      ? this._parseList(lines, start, indent)
+      : this._parseMapping(lines, start, indent)
+  }
+
+  _parseList (lines, start, indent) {
+    const items = []
+    let index = start
+
+    while (index < lines.length && lines[index].indent === indent &&
+           this._isListItem(lines[index].content)) {
+      const line = lines[index]
+      const rest = line.content.slice(1).trimStart()
+
+      if (rest === '') {
+        const [value, next] = this._parseNested(lines, index, indent)
+        items.push(value)
+        index = next
+      } else if (this._isMappingEntry(rest)) {
+        // "- key: value" opens a mapping aligned with the text after the dash
+        const itemIndent = indent + line.content.length - rest.length
+        lines[index] = { ...line, indent: itemIndent, content: rest }
+        const [value, next] = this._parseMapping(lines, index, itemIndent)
+        items.push(value)
+        index = next
+      } else {
+        items.push(this._parseScalar(rest, line))
+        index++
+      }
+    }
+
+    return [items, index]
+  }
+
+  _parseMapping (lines, start, indent) {
+    const mapping = {}
+    let index = start
+
+    while (index < lines.length && lines[index].indent === indent) {
+      const line = lines[index]
+      if (!this._isMappingEntry(line.content)) {
+        throw this._createError(line, 'expected "key: value"')
+      }
+
+      const separator = this._findKeySeparator(line.content)
+      const key = this._parseKey(line.content.slice(0, separator).trim())
+      const rest = line.content.slice(separator + 1).trim()
+
+      if (rest !== '') {
+        mapping[key] = this._parseScalar(rest, line)
+        index++
+        continue
+      }
+
+      // A list may sit at the same indentation as its key
+      const next = lines[index + 1]
+      if (next && next.indent === indent && this._isListItem(next.content)) {
+        const [value, after] = this._parseList(lines, index + 1, indent)
+        mapping[key] = value
+        index = after
+      } else {
+        const [value, after] = this._parseNested(lines, index, indent)
+        mapping[key] = value
+        index = after
+      }
+    }
+
+    return [mapping, index]
+  }
+
+  _parseNested (lines, index, indent) {
+    const next = lines[index + 1]
+    if (!next || next.indent <= indent) {
+      return [null, index + 1]
+    }
+    return this._parseBlock(lines, index + 1, next.indent)
+  }
+
+  // Scalars
+  _parseScalar (text, line) {
+    if (text.startsWith('"')) {
+      try {
+        return JSON.parse(text)
+      } catch (error) {
+        throw this._createError(line, 'invalid double-quoted string')
+      }
+    }
+
+    if (text.startsWith('\'')) {
+      if (!text.endsWith('\'') || text.length < 2) {
+        throw this._createError(line, 'unterminated single-quoted string')
+      }
+      return text.slice(1, -1).replace(/''/g, '\'')
+    }
+
+    if (text.startsWith('[')) {
+      return this._splitFlow(text, '[', ']', line).map(item => this._parseScalar(item, line))
+    }
+
+    if (text.startsWith('{')) {
+      return Object.fromEntries(this._splitFlow(text, '{', '}', line).map(item => {
+        const separator = this._findKeySeparator(item)
+        if (separator === -1) {
+          throw this._createError(line, 'expected "key: value" inside {}')
+        }
+        return [
+          this._parseKey(item.slice(0, separator).trim()),
+          this._parseScalar(item.slice(separator + 1).trim(), line)
+        ]
+      }))
+    }
+
+    if (/^(?:true|false)$/i.test(text)) return text.toLowerCase() === 'true'
+    if (/^(?:null|~)$/i.test(text)) return null
+    if (/^-?\d+(?:\.\d+)?$/.test(text)) return Number(text)
+
+    return text
+  }
+
+  _splitFlow (text, open, close, line) {
+    if (!text.endsWith(close)) {
+      throw this._createError(line, `missing "${close}"`)
+    }
+
+    const inner = text.slice(1, -1).trim()
+    if (inner === '') return []
+
+    const items = []
+    let quote = null
+    let current = ''
+
+    for (let i = 0; i < inner.length; i++) {
+      const char = inner[i]
+      if (quote) {
+        quote = char === quote ? null : quote
+      } else if (this._opensQuote(inner, i)) {
+        quote = char
+      } else if (char === ',') {
+        items.push(current.trim())
+        current = ''
+        continue
+      } else if (char === open) {
+        throw this._createError(line, 'nested inline collections are not supported')
+      }
+      current += char
+    }
+    items.push(current.trim())
+
+    return items
+  }
+
+  _parseKey (text) {
+    return /^["']/.test(text) ? this._parseScalar(text) : text
+  }
+
+  // Line handling
+  _tokenize (text) {
+    const lines = []
+
+    String(text || '').split(/\r?\n/).forEach((raw, index) => {
+      const line = {
+        number: index + 1,
+        indent: raw.length - raw.trimStart().length,
+        content: this._stripComment(raw).trim()
+      }
+      if (line.content === '' || line.content === '---') return
+
+      if (raw.slice(0, line.indent).includes('\t')) {
+        throw this._createError(line, 'tabs are not allowed for indentation')
+      }
+      lines.push(line)
+    })
+
+    return lines
+  }
+
+  _stripComment (raw) {
+    let quote = null
+
+    for (let i = 0; i < raw.length; i++) {
+      const char = raw[i]
+      if (quote) {
+        quote = char === quote ? null : quote
+      } else if (this._opensQuote(raw, i)) {
+        quote = char
+      } else if (char === '#' && (i === 0 || /\s/.test(raw[i - 1]))) {
+        return raw.slice(0, i)
+      }
+    }
+
+    return raw
+  }
+
+  _findKeySeparator (content) {
+    // The first colon followed by a space or the end of the line, outside quotes
+    let quote = null
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i]
+      if (quote) {
+        quote = char === quote ? null : quote
+      } else if (this._opensQuote(content, i)) {
+        quote = char
+      } else if (char === ':' && (i === content.length - 1 || content[i + 1] === ' ')) {
+        return i
+      }
+    }
+
+    return -1
+  }
+
+  _opensQuote (text, index) {
+    // Only a quote starting a value opens a string, so "don't" stays plain text
+    return (text[index] === '"' || text[index] === '\'') &&
+      (index === 0 || /[\s:,[{-]/.test(text[index - 1]))
+  }
+
+  _isListItem (content) {
+    return content === '-' || content.startsWith('- ')
+  }
+
+  _isMappingEntry (content) {
+    return !/^[[{]/.test(content) && this._findKeySeparator(content) > 0
+  }
+
+  _createError (line, message) {
+    return new Error(`Invalid YAML on line ${line.number}: ${message}`)
+  }
+}
+
+// Export singleton instance
+module.exports = new YamlParser()
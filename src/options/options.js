@@ -0,0 +1,737 @@
+// ABOUTME: Options page JavaScript for IsItClear extension
+// ABOUTME: Edits every user preference and manages history, statistics and stored data
+
+const UserPreferences = require('../lib/models/user-preferences')
+const StyleGuide = require('../lib/models/style-guide')
+
+class OptionsPage {
+  constructor () {
+    this.preferences = null
+    this.shortcutHandler = null
+    this.statusTimer = null
+    this.historyLimit = 50
+    this.history = []
+    this.historySearchTimer = null
+    this.historySearchDelay = 250
+  }
+
+  async initialize () {
+    try {
+      // Load initial data
+      await this._loadPreferences()
+
+      // Set up event listeners
+      this._setupEventListeners()
+
+      // Update UI
+      this._updatePreferencesUI()
+      await Promise.all([this._loadHistory(), this._loadStatistics()])
+
+      console.log('Options page initialized successfully')
+    } catch (error) {
+      console.error('Failed to initialize options page:', error)
+      this._showStatus('Failed to load settings', true)
+    }
+  }
+
+  // Data loading methods
+  async _loadPreferences () {
+    const response = await this._sendMessage({ type: 'GET_PREFERENCES' })
+    if (!response.success) {
+      throw new Error(response.error)
+    }
+
+    this.preferences = UserPreferences.fromJSON(response.preferences)
+  }
+
+  async _loadHistory () {
+    try {
+      const response = await this._sendMessage({
+        type: 'GET_HISTORY',
+        payload: this._getHistoryFilters()
+      })
+
+      if (response.success) {
+        this.history = response.history
+        this._updateHistoryDisplay(response.history)
+      }
+    } catch (error) {
+      console.error('Error loading history:', error)
+    }
+  }
+
+  async _loadStatistics () {
+    try {
+      const response = await this._sendMessage({ type: 'GET_ANALYTICS' })
+      if (response.success) {
+        this._updateStatisticsDisplay(response.analytics)
+      }
+    } catch (error) {
+      console.error('Error loading statistics:', error)
+    }
+  }
+
+  // Event handler setup
+  _setupEventListeners () {
+    // Activation
+    this._on('activation-method', 'change', (e) => {
+      this._applyChange(preferences => preferences.updateActivationMethod(e.target.value))
+    })
+
+    this._on('record-shortcut-button', 'click', () => {
+      this._startShortcutRecording()
+    })
+
+    this._on('min-words', 'change', (e) => {
+      this._handleMinWordsChange(e.target.value)
+    })
+
+    // Suggestions
+    this._on('preferred-tone', 'change', (e) => {
+      this._applyChange(preferences => preferences.updatePreferredTone(e.target.value))
+    })
+
+    this._on('preferred-length', 'change', (e) => {
+      this._applyChange(preferences => preferences.updatePreferredLength(e.target.value))
+    })
+
+    this._on('target-audience', 'change', (e) => {
+      this._applyChange(preferences => preferences.updateTargetAudience(e.target.value))
+    })
+
+    this._on('target-grade', 'change', (e) => {
+      const grade = e.target.value === '' ? null : Number(e.target.value)
+      this._applyChange(preferences => preferences.updateTargetGrade(grade))
+    })
+
+    this._on('rewrite-candidates', 'change', (e) => {
+      this._applyChange(preferences =>
+        preferences.updateRewriteCandidates(Number(e.target.value)))
+    })
+
+    this._on('show-change-details', 'change', (e) => {
+      this._applyChange(preferences => {
+        preferences.showChangeDetails = e.target.checked
+      })
+    })
+
+    // History
+    this._on('history-retention', 'change', (e) => {
+      this._handleRetentionChange(e.target.value)
+    })
+
+    this._on('history-search', 'input', () => this._scheduleHistorySearch())
+    this._on('history-domain', 'input', () => this._scheduleHistorySearch())
+    this._on('history-outcome', 'change', () => this._loadHistory())
+    this._on('history-from', 'change', () => this._loadHistory())
+    this._on('history-to', 'change', () => this._loadHistory())
+
+    this._on('history-list', 'click', (e) => {
+      const button = e.target.closest('[data-copy-history]')
+      if (button) {
+        this._handleCopyHistoryEntry(button.dataset.copyHistory)
+      }
+    })
+
+    // Sites
+    this._setupDomainList('enabled')
+    this._setupDomainList('disabled')
+
+    // Glossary
+    this._on('add-protected-term', 'click', () => this._handleAddProtectedTerm())
+    this._on('add-glossary-entry', 'click', () => this._handleAddGlossaryEntry())
+    this._onEnter('protected-term-input', () => this._handleAddProtectedTerm())
+    this._onEnter('glossary-replacement-input', () => this._handleAddGlossaryEntry())
+
+    this._on('protected-terms', 'click', (e) => {
+      const button = e.target.closest('[data-remove-term]')
+      if (button) {
+        this._applyChange(preferences => preferences.removeProtectedTerm(button.dataset.removeTerm))
+      }
+    })
+
+    this._on('glossary-entries', 'click', (e) => {
+      const button = e.target.closest('[data-remove-glossary]')
+      if (button) {
+        this._applyChange(preferences =>
+          preferences.removeGlossaryEntry(button.dataset.removeGlossary))
+      }
+    })
+
+    // Style guide
+    this._on('import-style-guide-button', 'click', () => {
+      document.getElementById('import-style-guide-file').click()
+    })
+    this._on('import-style-guide-file', 'change', (e) => {
+      this._handleImportStyleGuide(e.target.files[0])
+      e.target.value = ''
+    })
+    this._on('remove-style-guide-button', 'click', () => {
+      this._applyChange(preferences => preferences.updateStyleGuide(null), 'style-guide-error')
+    })
+
+    // Data management
+    this._on('export-settings-button', 'click', () => this._handleExportSettings())
+    this._on('import-settings-button', 'click', () => {
+      document.getElementById('import-settings-file').click()
+    })
+    this._on('import-settings-file', 'change', (e) => {
+      this._handleImportSettings(e.target.files[0])
+      e.target.value = ''
+    })
+    this._on('reset-settings-button', 'click', () => this._handleResetSettings())
+    this._on('clear-history-button', 'click', () => this._handleClearHistory())
+    this._on('clear-statistics-button', 'click', () => this._handleClearStatistics())
+
+    // Settings changed from the popup while this page is open
+    if (chrome.storage) {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        const change = changes.userPreferences
+        if (areaName === 'local' && change && change.newValue) {
+          this.preferences = UserPreferences.fromJSON(change.newValue)
+          this._updatePreferencesUI()
+        }
+      })
+    }
+  }
+
+  _setupDomainList (listName) {
+    const input = document.getElementById(`${listName}-domain-input`)
+
+    this._on(`add-${listName}-domain`, 'click', () => {
+      this._handleAddDomain(listName, input.value)
+    })
+
+    this._onEnter(`${listName}-domain-input`, () => this._handleAddDomain(listName, input.value))
+
+    this._on(`${listName}-domains`, 'click', (e) => {
+      const button = e.target.closest('[data-remove-domain]')
+      if (button) {
+        this._handleRemoveDomain(listName, button.dataset.removeDomain)
+      }
+    })
+  }
+
+  // Event handlers
+  _handleMinWordsChange (value) {
+    const minWords = Number(value)
+
+    if (!Number.isInteger(minWords)) {
+      this._showFieldError('min-words-error', 'Enter a whole number between 1 and 100')
+      return Promise.resolve(false)
+    }
+
+    return this._applyChange(
+      preferences => preferences.updateAutoActivateMinWords(minWords),
+      'min-words-error'
+    )
+  }
+
+  async _handleRetentionChange (value) {
+    const days = Number(value)
+
+    if (!Number.isInteger(days)) {
+      this._showFieldError('history-retention-error', 'Enter a whole number between 1 and 365')
+      return false
+    }
+
+    const saved = await this._applyChange(
+      preferences => preferences.updateHistoryRetentionDays(days),
+      'history-retention-error'
+    )
+
+    // The background drops expired entries as soon as the setting is saved
+    if (saved) {
+      await this._loadHistory()
+    }
+    return saved
+  }
+
+  _scheduleHistorySearch () {
+    clearTimeout(this.historySearchTimer)
+    this.historySearchTimer = setTimeout(() => {
+      this._loadHistory()
+    }, this.historySearchDelay)
+  }
+
+  async _handleCopyHistoryEntry (id) {
+    const entry = this.history.find(entry => entry.id === id)
+    if (!entry) return false
+
+    try {
+      await navigator.clipboard.writeText(entry.improvedText)
+      this._showStatus('Improved text copied')
+      return true
+    } catch (error) {
+      console.error('Error copying history entry:', error)
+      this._showStatus('Failed to copy text', true)
+      return false
+    }
+  }
+
+  async _handleAddDomain (listName, value) {
+    const domain = value.trim()
+    const errorId = `${listName}-domain-error`
+
+    if (!this.preferences._isValidDomainPattern(domain)) {
+      this._showFieldError(errorId, 'Enter a domain like example.com, *.example.com or a full URL')
+      return false
+    }
+
+    const saved = await this._applyChange(preferences => {
+      if (listName === 'enabled') {
+        preferences.addEnabledDomain(domain)
+      } else {
+        preferences.addDisabledDomain(domain)
+      }
+    }, errorId)
+
+    if (saved) {
+      document.getElementById(`${listName}-domain-input`).value = ''
+    }
+    return saved
+  }
+
+  _handleRemoveDomain (listName, domain) {
+    return this._applyChange(preferences => {
+      if (listName === 'enabled') {
+        preferences.removeEnabledDomain(domain)
+      } else {
+        preferences.removeDisabledDomain(domain)
+      }
+    })
+  }
+
+  async _handleAddProtectedTerm () {
+    const input = document.getElementById('protected-term-input')
+
+    const saved = await this._applyChange(
+      preferences => preferences.addProtectedTerm(input.value),
+      'protected-term-error'
+    )
+
+    if (saved) {
+      input.value = ''
+    }
+    return saved
+  }
+
+  async _handleAddGlossaryEntry () {
+    const termInput = document.getElementById('glossary-term-input')
+    const replacementInput = document.getElementById('glossary-replacement-input')
+
+    const saved = await this._applyChange(
+      preferences => preferences.setGlossaryEntry(termInput.value, replacementInput.value),
+      'glossary-error'
+    )
+
+    if (saved) {
+      termInput.value = ''
+      replacementInput.value = ''
+    }
+    return saved
+  }
+
+  async _handleImportStyleGuide (file) {
+    if (!file) return false
+
+    let styleGuide
+    try {
+      styleGuide = StyleGuide.parse(await file.text(), file.name)
+    } catch (error) {
+      this._showFieldError('style-guide-error', `Could not import style guide: ${error.message}`)
+      return false
+    }
+
+    return this._applyChange(
+      preferences => preferences.updateStyleGuide(styleGuide.toJSON()),
+      'style-guide-error'
+    )
+  }
+
+  _startShortcutRecording () {
+    const input = document.getElementById('keyboard-shortcut')
+    this._stopShortcutRecording()
+
+    input.classList.add('recording')
+    input.value = 'Press a shortcut...'
+    this._showFieldError('keyboard-shortcut-error', '')
+
+    this.shortcutHandler = (event) => this._handleShortcutKeydown(event)
+    document.addEventListener('keydown', this.shortcutHandler, true)
+  }
+
+  _stopShortcutRecording () {
+    if (this.shortcutHandler) {
+      document.removeEventListener('keydown', this.shortcutHandler, true)
+      this.shortcutHandler = null
+    }
+
+    document.getElementById('keyboard-shortcut').classList.remove('recording')
+  }
+
+  _handleShortcutKeydown (event) {
+    event.preventDefault()
+    event.stopPropagation()
+
+    if (event.key === 'Escape') {
+      this._stopShortcutRecording()
+      this._updatePreferencesUI()
+      return null
+    }
+
+    // Wait for the letter that completes the combination
+    if (['Control', 'Meta', 'Alt', 'Shift'].includes(event.key)) {
+      return null
+    }
+
+    const shortcut = this._formatShortcut(event)
+    this._stopShortcutRecording()
+    this._applyChange(
+      preferences => preferences.updateKeyboardShortcut(shortcut),
+      'keyboard-shortcut-error'
+    )
+    return shortcut
+  }
+
+  _handleExportSettings () {
+    const data = {
+      exportedAt: new Date().toISOString(),
+      preferences: this.preferences.toJSON()
+    }
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+
+    const link = document.createElement('a')
+    link.href = url
+    link.download = 'isitclear-settings.json'
+    link.click()
+
+    URL.revokeObjectURL(url)
+  }
+
+  async _handleImportSettings (file) {
+    if (!file) return false
+
+    let imported
+    try {
+      const data = JSON.parse(await file.text())
+
+      // Accept our export format as well as a bare preferences object
+      imported = new UserPreferences(data.preferences || data)
+    } catch (error) {
+      this._showFieldError('data-error', `Could not import settings: ${error.message}`)
+      return false
+    }
+
+    this._showFieldError('data-error', '')
+    return this._savePreferences(imported)
+  }
+
+  _handleResetSettings () {
+    if (!window.confirm('Reset all settings to their defaults?')) return false
+
+    return this._savePreferences(UserPreferences.createDefault())
+  }
+
+  async _handleClearHistory () {
+    if (!window.confirm('Delete the analysis history?')) return false
+
+    try {
+      await this._sendMessage({ type: 'CLEAR_HISTORY' })
+      await this._loadHistory()
+      this._showStatus('History cleared')
+      return true
+    } catch (error) {
+      console.error('Error clearing history:', error)
+      this._showStatus('Failed to clear history', true)
+      return false
+    }
+  }
+
+  async _handleClearStatistics () {
+    if (!window.confirm('Reset all usage statistics?')) return false
+
+    try {
+      await this._sendMessage({ type: 'RESET_ANALYTICS' })
+      await this._loadStatistics()
+      this._showStatus('Statistics cleared')
+      return true
+    } catch (error) {
+      console.error('Error clearing statistics:', error)
+      this._showStatus('Failed to clear statistics', true)
+      return false
+    }
+  }
+
+  // Preference persistence
+  async _applyChange (update, errorElementId = null) {
+    const previous = this.preferences.toJSON()
+    const updated = UserPreferences.fromJSON(previous)
+
+    // The model's update methods validate, so their errors are shown next to the field
+    try {
+      update(updated)
+    } catch (error) {
+      this._showFieldError(errorElementId, error.message)
+      this._updatePreferencesUI()
+      return false
+    }
+
+    this._showFieldError(errorElementId, '')
+    const saved = await this._savePreferences(updated)
+    return saved
+  }
+
+  async _savePreferences (preferences) {
+    try {
+      const response = await this._sendMessage({
+        type: 'UPDATE_PREFERENCES',
+        payload: preferences.toJSON()
+      })
+
+      if (!response.success) {
+        throw new Error(response.error)
+      }
+
+      this.preferences = preferences
+      this._showStatus('Settings saved')
+      return true
+    } catch (error) {
+      console.error('Error saving preferences:', error)
+      this._showStatus('Failed to save settings', true)
+      return false
+    } finally {
+      this._updatePreferencesUI()
+    }
+  }
+
+  // UI update methods
+  _updatePreferencesUI () {
+    if (!this.preferences) return
+
+    document.getElementById('activation-method').value = this.preferences.activationMethod
+    document.getElementById('keyboard-shortcut').value = this.preferences.keyboardShortcut
+    document.getElementById('min-words').value = this.preferences.autoActivateMinWords
+    document.getElementById('history-retention').value = this.preferences.historyRetentionDays
+    document.getElementById('preferred-tone').value = this.preferences.preferredTone
+    document.getElementById('preferred-length').value = this.preferences.preferredLength
+    document.getElementById('target-audience').value = this.preferences.targetAudience
+    document.getElementById('target-grade').value = this.preferences.targetGrade ?? ''
+    document.getElementById('rewrite-candidates').value = this.preferences.rewriteCandidates
+    document.getElementById('show-change-details').checked = this.preferences.showChangeDetails
+
+    this._renderDomainList('enabled-domains', this.preferences.enabledDomains)
+    this._renderDomainList('disabled-domains', this.preferences.disabledDomains)
+    this._renderTermList('protected-terms', this.preferences.protectedTerms.map(term => ({
+      label: term,
+      removeKey: 'removeTerm',
+      value: term
+    })))
+    this._renderTermList('glossary-entries', this.preferences.glossary.map(entry => ({
+      label: `${entry.term} → ${entry.replacement}`,
+      removeKey: 'removeGlossary',
+      value: entry.term
+    })))
+    this._updateStyleGuideDisplay()
+  }
+
+  _updateStyleGuideDisplay () {
+    const styleGuide = this.preferences.getStyleGuide()
+    const rules = document.getElementById('style-guide-rules')
+    rules.innerHTML = ''
+
+    document.getElementById('style-guide-status').textContent = styleGuide
+      ? styleGuide.name
+      : 'No style guide imported'
+    document.getElementById('remove-style-guide-button').disabled = !styleGuide
+
+    if (!styleGuide) return
+
+    styleGuide.getInstructions().forEach(instruction => {
+      const item = document.createElement('li')
+      item.textContent = instruction
+      rules.appendChild(item)
+    })
+  }
+
+  _renderDomainList (listId, domains) {
+    this._renderTermList(listId, domains.map(domain => ({
+      label: domain,
+      removeKey: 'removeDomain',
+      value: domain
+    })))
+  }
+
+  _renderTermList (listId, items) {
+    const list = document.getElementById(listId)
+    list.innerHTML = ''
+
+    items.forEach(({ label, removeKey, value }) => {
+      const item = document.createElement('li')
+      item.className = 'domain-item'
+
+      const name = document.createElement('span')
+      name.textContent = label
+
+      const remove = document.createElement('button')
+      remove.className = 'option-button small'
+      remove.dataset[removeKey] = value
+      remove.setAttribute('aria-label', `Remove ${label}`)
+      remove.textContent = 'Remove'
+
+      item.append(name, remove)
+      list.appendChild(item)
+    })
+  }
+
+  _updateHistoryDisplay (history = []) {
+    const list = document.getElementById('history-list')
+    list.innerHTML = ''
+    document.getElementById('history-empty').style.display = history.length ? 'none' : 'block'
+
+    const outcomeLabels = {
+      accepted: 'Accepted',
+      rejected: 'Rejected',
+      undone: 'Undone',
+      pending: 'No decision'
+    }
+
+    history.forEach(entry => {
+      const item = document.createElement('li')
+      item.className = 'history-item'
+
+      const text = document.createElement('div')
+      text.className = 'history-text'
+      text.textContent = entry.originalText
+
+      const improved = document.createElement('div')
+      improved.className = 'history-improved'
+      improved.textContent = entry.improvedText
+
+      const details = document.createElement('span')
+      const changeCount = entry.summary ? entry.summary.changeCount : 0
+      details.textContent = [
+        new Date(entry.timestamp).toLocaleString(),
+        entry.domain,
+        `${changeCount} ${changeCount === 1 ? 'change' : 'changes'}`,
+        outcomeLabels[entry.outcome]
+      ].filter(Boolean).join(' · ')
+
+      const copy = document.createElement('button')
+      copy.className = 'option-button small'
+      copy.dataset.copyHistory = entry.id
+      copy.textContent = 'Copy'
+
+      const meta = document.createElement('div')
+      meta.className = 'history-meta'
+      meta.append(details, copy)
+
+      item.append(text, improved, meta)
+      list.appendChild(item)
+    })
+  }
+
+  _getHistoryFilters () {
+    const value = (id) => document.getElementById(id).value.trim()
+    const filters = { limit: this.historyLimit }
+
+    if (value('history-search')) filters.query = value('history-search')
+    if (value('history-domain')) filters.domain = value('history-domain').toLowerCase()
+    if (value('history-outcome')) filters.outcome = value('history-outcome')
+
+    // Date inputs are local calendar days, so cover the whole of each day
+    if (value('history-from')) {
+      filters.from = new Date(`${value('history-from')}T00:00:00`).getTime()
+    }
+    if (value('history-to')) {
+      filters.to = new Date(`${value('history-to')}T23:59:59.999`).getTime()
+    }
+
+    return filters
+  }
+
+  _updateStatisticsDisplay (analytics) {
+    document.getElementById('analysis-count').textContent = analytics.analysisCount || 0
+
+    const rate = Math.round((analytics.acceptanceRate || 0) * 100)
+    document.getElementById('acceptance-rate').textContent = `${rate}%`
+
+    const time = Math.round(analytics.averageProcessingTime || 0)
+    document.getElementById('avg-processing-time').textContent = `${time}ms`
+
+    document.getElementById('undo-count').textContent = analytics.undoCount || 0
+  }
+
+  _showFieldError (elementId, message) {
+    if (!elementId) return
+
+    document.getElementById(elementId).textContent = message
+  }
+
+  _showStatus (message, isError = false) {
+    const status = document.getElementById('save-status')
+    status.textContent = message
+    status.classList.toggle('error', isError)
+
+    clearTimeout(this.statusTimer)
+    this.statusTimer = setTimeout(() => {
+      status.textContent = ''
+    }, 3000)
+  }
+
+  // Utility methods
+  _on (elementId, eventName, handler) {
+    document.getElementById(elementId).addEventListener(eventName, handler)
+  }
+
+  _onEnter (elementId, handler) {
+    this._on(elementId, 'keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault()
+        handler()
+      }
+    })
+  }
+
+  _formatShortcut (event) {
+    const modifiers = [
+      event.ctrlKey && 'Ctrl',
+      event.metaKey && 'Cmd',
+      event.altKey && 'Alt',
+      event.shiftKey && 'Shift'
+    ].filter(Boolean)
+
+    // event.key changes with Alt and keyboard layouts, the physical key code does not
+    const codeMatch = /^Key([A-Z])$/.exec(event.code || '')
+    const key = codeMatch ? codeMatch[1] : (event.key || '').toUpperCase()
+
+    return [...modifiers, key].join('+')
+  }
+
+  _sendMessage (message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message))
+        } else {
+          resolve(response)
+        }
+      })
+    })
+  }
+}
+
+// Initialize options page when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  const optionsPage = new OptionsPage()
+  optionsPage.initialize()
+
+  // Make available globally for debugging
+  window.optionsPage = optionsPage
+})
+
+// Export for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OptionsPage
+}
@@ -5,7 +5,10 @@ class PopupInterface {
   constructor () {
     this.backgroundResponse = null
     this.currentPreferences = null
+    this.modelStatus = null
+    this.overallModelStatus = null
     this.updateInProgress = false
+    this.recentHistory = []
   }
 
   async initialize () {
@@ -22,6 +25,7 @@ class PopupInterface {
       this._updateStatusDisplay()
       this._updatePreferencesUI()
       this._loadStatistics()
+      this._loadRecentHistory()
 
       console.log('Popup initialized successfully')
     } catch (error) {
@@ -61,12 +65,15 @@ class PopupInterface {
 
   async _checkAIAvailability () {
     try {
-      // Check if AI APIs are available
-      const rewriterAvailable = typeof Rewriter !== 'undefined'
-      const promptAvailable = typeof Prompt !== 'undefined'
+      // Ask the background worker for the on-device model state machine
+      const response = await this._sendMessage({
+        type: 'GET_MODEL_STATUS',
+        payload: { refresh: true }
+      })
 
-      this._updateAIStatus('rewriter', rewriterAvailable)
-      this._updateAIStatus('prompt', promptAvailable)
+      if (response.success) {
+        this._applyModelStatus(response)
+      }
 
       // Get Chrome version
       const chromeVersion = this._getChromeVersion()
@@ -91,6 +98,19 @@ class PopupInterface {
     }
   }
 
+  async _loadRecentHistory () {
+    try {
+      const response = await this._sendMessage({ type: 'GET_HISTORY', payload: { limit: 5 } })
+      if (response.success && response.history.length > 0) {
+        this.recentHistory = response.history
+        this._updateHistoryDisplay()
+        document.getElementById('history-section').style.display = 'block'
+      }
+    } catch (error) {
+      console.error('Error loading history:', error)
+    }
+  }
+
   // Event handler setup
   _setupEventListeners () {
     // Analyze button
@@ -113,6 +133,27 @@ class PopupInterface {
       this._handleFeedbackClick()
     })
 
+    // Model download button
+    document.getElementById('download-model-button').addEventListener('click', () => {
+      this._handleDownloadModelClick()
+    })
+
+    // Live model download progress
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.type === 'MODEL_STATUS_CHANGED') {
+        this._applyModelStatus(message.payload)
+        this._updateStatusDisplay()
+      }
+    })
+
+    // Recent improvements
+    document.getElementById('history-list').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-history-action]')
+      if (button) {
+        this._handleHistoryAction(button.dataset.historyAction, button.dataset.historyId)
+      }
+    })
+
     // Settings controls
     document.getElementById('activation-method').addEventListener('change', (e) => {
       this._handlePreferenceChange('activationMethod', e.target.value)
@@ -122,6 +163,10 @@ class PopupInterface {
       this._handlePreferenceChange('preferredTone', e.target.value)
     })
 
+    document.getElementById('preferred-length').addEventListener('change', (e) => {
+      this._handlePreferenceChange('preferredLength', e.target.value)
+    })
+
     document.getElementById('show-change-details').addEventListener('change', (e) => {
       this._handlePreferenceChange('showChangeDetails', e.target.checked)
     })
@@ -158,6 +203,59 @@ class PopupInterface {
     }
   }
 
+  async _handleHistoryAction (action, id) {
+    const entry = this.recentHistory.find(entry => entry.id === id)
+    if (!entry) return
+
+    try {
+      if (action === 'copy') {
+        await navigator.clipboard.writeText(entry.improvedText)
+        this._showSuccess('Copied')
+        return
+      }
+
+      // Re-apply offers the past improvement again in the page's focused field
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true })
+      const response = await chrome.tabs.sendMessage(tab.id, {
+        type: 'APPLY_HISTORY_ENTRY',
+        payload: entry
+      })
+
+      if (response.success) {
+        window.close()
+      } else {
+        this._showError(response.error || 'Could not apply the improvement')
+      }
+    } catch (error) {
+      console.error('Error handling history action:', error)
+      this._showError(action === 'copy' ? 'Failed to copy text' : 'Failed to apply improvement')
+    }
+  }
+
+  async _handleDownloadModelClick () {
+    const button = document.getElementById('download-model-button')
+
+    try {
+      button.disabled = true
+
+      // Prefer the Rewriter model; fall back to whichever model can be downloaded
+      const apiType = this.modelStatus?.rewriter?.state === 'downloadable' ? 'rewriter' : 'prompt'
+      const response = await this._sendMessage({
+        type: 'DOWNLOAD_MODEL',
+        payload: { apiType }
+      })
+
+      if (!response.success) {
+        throw new Error(response.error || 'Model download is not possible on this device')
+      }
+    } catch (error) {
+      console.error('Error starting model download:', error)
+      this._showError(error.message)
+    } finally {
+      button.disabled = false
+    }
+  }
+
   _handleSettingsClick () {
     // Open full settings page
     chrome.runtime.openOptionsPage()
@@ -213,11 +311,16 @@ class PopupInterface {
 
   // UI update methods
   _updateStatusDisplay () {
-    const statusCard = document.getElementById('status-card')
     const statusIndicator = document.getElementById('status-indicator')
     const statusTitle = document.getElementById('status-title')
     const statusSubtitle = document.getElementById('status-subtitle')
     const analyzeButton = document.getElementById('analyze-button')
+    const downloadButton = document.getElementById('download-model-button')
+    const progress = document.getElementById('model-progress')
+    const progressFill = document.getElementById('model-progress-fill')
+
+    downloadButton.style.display = 'none'
+    progress.style.display = 'none'
 
     if (!this.backgroundResponse) {
       statusTitle.textContent = 'Extension Error'
@@ -227,19 +330,42 @@ class PopupInterface {
       return
     }
 
-    const state = this.backgroundResponse.state
     const aiStatus = this.backgroundResponse.aiServiceStatus
+    const modelStatus = this.overallModelStatus || aiStatus.overallModelStatus ||
+      { state: 'unavailable' }
 
-    if (!aiStatus.availableApis || aiStatus.availableApis.length === 0) {
-      statusTitle.textContent = 'AI Not Available'
-      statusSubtitle.textContent = 'Chrome AI APIs are not available'
-      statusIndicator.className = 'status-indicator error'
-      analyzeButton.disabled = true
-    } else {
+    switch (modelStatus.state) {
+    case 'ready':
       statusTitle.textContent = 'Ready to Analyze'
-      statusSubtitle.textContent = `${aiStatus.availableApis.join(', ')} available`
+      statusSubtitle.textContent = `${this._getReadyApis().join(', ') || 'AI'} ready`
       statusIndicator.className = 'status-indicator'
       analyzeButton.disabled = false
+      break
+
+    case 'downloading':
+      statusTitle.textContent = 'Downloading AI Model'
+      statusSubtitle.textContent = modelStatus.progress !== null
+        ? `${modelStatus.progress}% complete`
+        : 'Download in progress'
+      statusIndicator.className = 'status-indicator processing'
+      progress.style.display = 'block'
+      progressFill.style.width = `${modelStatus.progress || 0}%`
+      analyzeButton.disabled = true
+      break
+
+    case 'downloadable':
+      statusTitle.textContent = 'AI Model Not Downloaded'
+      statusSubtitle.textContent = 'Download Gemini Nano to start improving text'
+      statusIndicator.className = 'status-indicator inactive'
+      downloadButton.style.display = 'block'
+      analyzeButton.disabled = true
+      break
+
+    default:
+      statusTitle.textContent = 'AI Not Available'
+      statusSubtitle.textContent = modelStatus.reason || 'Chrome AI APIs are not available'
+      statusIndicator.className = 'status-indicator error'
+      analyzeButton.disabled = true
     }
   }
 
@@ -254,6 +380,10 @@ class PopupInterface {
     const toneSelect = document.getElementById('preferred-tone')
     toneSelect.value = this.currentPreferences.preferredTone || 'neutral'
 
+    // Preferred length
+    const lengthSelect = document.getElementById('preferred-length')
+    lengthSelect.value = this.currentPreferences.preferredLength || 'as-is'
+
     // Show change details
     const showDetailsCheckbox = document.getElementById('show-change-details')
     showDetailsCheckbox.checked = this.currentPreferences.showChangeDetails !== false
@@ -275,12 +405,70 @@ class PopupInterface {
     avgTime.textContent = `${time}ms`
   }
 
-  _updateAIStatus (apiName, available) {
+  _updateHistoryDisplay () {
+    const list = document.getElementById('history-list')
+    list.innerHTML = ''
+
+    this.recentHistory.forEach(entry => {
+      const item = document.createElement('li')
+      item.className = 'history-item'
+
+      const text = document.createElement('span')
+      text.className = 'history-text'
+      text.textContent = entry.improvedText
+      text.title = entry.improvedText
+
+      item.appendChild(text)
+      item.appendChild(this._createHistoryButton('copy', 'Copy', entry.id))
+      item.appendChild(this._createHistoryButton('apply', 'Re-apply', entry.id))
+      list.appendChild(item)
+    })
+  }
+
+  _createHistoryButton (action, label, id) {
+    const button = document.createElement('button')
+    button.className = 'history-action'
+    button.dataset.historyAction = action
+    button.dataset.historyId = id
+    button.textContent = label
+    return button
+  }
+
+  _applyModelStatus ({ status, overall }) {
+    this.modelStatus = status
+    this.overallModelStatus = overall
+
+    this._updateAIStatus('rewriter', status.rewriter)
+    this._updateAIStatus('prompt', status.prompt)
+  }
+
+  _getReadyApis () {
+    if (!this.modelStatus) return []
+
+    return Object.values(this.modelStatus)
+      .filter(status => status.state === 'ready')
+      .map(status => status.apiType)
+  }
+
+  _updateAIStatus (apiName, status) {
     const statusElement = document.getElementById(`${apiName}-status`)
-    if (statusElement) {
-      statusElement.textContent = available ? 'Available' : 'Unavailable'
-      statusElement.className = `api-status ${available ? 'available' : 'unavailable'}`
+    if (!statusElement || !status) return
+
+    const labels = {
+      ready: 'Ready',
+      downloading: status.progress !== null ? `Downloading ${status.progress}%` : 'Downloading',
+      downloadable: 'Download required',
+      unavailable: 'Unavailable'
     }
+    const cssClasses = {
+      ready: 'available',
+      downloading: 'downloading',
+      downloadable: 'downloadable',
+      unavailable: 'unavailable'
+    }
+
+    statusElement.textContent = labels[status.state] || labels.unavailable
+    statusElement.className = `api-status ${cssClasses[status.state] || 'unavailable'}`
   }
 
   // Utility methods
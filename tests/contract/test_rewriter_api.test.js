@@ -150,7 +150,7 @@ describe('Chrome Rewriter API Contract Tests', () => {
       }
 
       // Clear module cache so updated mocks take effect
-      delete require.cache[require.resolve('../../src/lib/services/ai-service')]
+      jest.resetModules()
       const RewriterService = require('../../src/lib/services/ai-service')
       const response = await RewriterService.analyzeText(request)
 
@@ -218,7 +218,7 @@ describe('Chrome Rewriter API Contract Tests', () => {
       }
 
       // Clear module cache so updated mocks take effect
-      delete require.cache[require.resolve('../../src/lib/services/ai-service')]
+      jest.resetModules()
       const RewriterService = require('../../src/lib/services/ai-service')
       const response = await RewriterService.analyzeText(request)
 
@@ -284,7 +284,7 @@ describe('Chrome Rewriter API Contract Tests', () => {
       }
 
       // Clear module cache so updated mocks take effect
-      delete require.cache[require.resolve('../../src/lib/services/ai-service')]
+      jest.resetModules()
       const RewriterService = require('../../src/lib/services/ai-service')
       const response = await RewriterService.analyzeText(request)
 
@@ -297,4 +297,133 @@ describe('Chrome Rewriter API Contract Tests', () => {
       })
     })
   })
+
+  describe('Streaming Analysis', () => {
+    const createChunkStream = (chunks) => ({
+      async * [Symbol.asyncIterator] () {
+        for (const chunk of chunks) yield chunk
+      }
+    })
+
+    test('should stream partial rewrites to the chunk handler', async () => {
+      const session = createMockAISession('rewriter')
+      session.rewriteStreaming = jest.fn(() => createChunkStream(['Clear', ' and', ' concise.']))
+      global.Rewriter = { create: jest.fn().mockResolvedValue(session) }
+
+      jest.resetModules()
+      const RewriterService = require('../../src/lib/services/ai-service')
+      const onChunk = jest.fn()
+
+      const response = await RewriterService.analyzeText({
+        text: 'This text is not very clear at all.',
+        apiType: 'rewriter',
+        parameters: {},
+        onChunk
+      })
+
+      expect(response.success).toBe(true)
+      expect(response.improvedText).toBe('Clear and concise.')
+      expect(onChunk.mock.calls.map(call => call[0])).toEqual([
+        'Clear',
+        'Clear and',
+        'Clear and concise.'
+      ])
+      expect(session.rewrite).not.toHaveBeenCalled()
+    })
+
+    test('should accept cumulative chunks from older streaming builds', async () => {
+      const session = createMockAISession('rewriter')
+      session.rewriteStreaming = jest.fn(() => createChunkStream(['Clear', 'Clear and', 'Clear and concise.']))
+      global.Rewriter = { create: jest.fn().mockResolvedValue(session) }
+
+      jest.resetModules()
+      const RewriterService = require('../../src/lib/services/ai-service')
+
+      const response = await RewriterService.analyzeText({
+        text: 'This text is not very clear at all.',
+        apiType: 'rewriter',
+        parameters: {},
+        onChunk: jest.fn()
+      })
+
+      expect(response.improvedText).toBe('Clear and concise.')
+    })
+
+    test('should use the non-streaming call when no chunk handler is given', async () => {
+      const session = createMockAISession('rewriter')
+      session.rewriteStreaming = jest.fn()
+      global.Rewriter = { create: jest.fn().mockResolvedValue(session) }
+
+      jest.resetModules()
+      const RewriterService = require('../../src/lib/services/ai-service')
+
+      const response = await RewriterService.analyzeText({
+        text: 'This text is not very clear at all.',
+        apiType: 'rewriter',
+        parameters: {}
+      })
+
+      expect(response.improvedText).toBe('Improved text for clarity.')
+      expect(session.rewriteStreaming).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Cancellation', () => {
+    test('should return ANALYSIS_CANCELLED when the signal is already aborted', async () => {
+      global.Rewriter = { create: jest.fn(() => createMockAISession('rewriter')) }
+
+      jest.resetModules()
+      const RewriterService = require('../../src/lib/services/ai-service')
+      const controller = new AbortController()
+      controller.abort()
+
+      const response = await RewriterService.analyzeText({
+        text: 'This text is not very clear at all.',
+        apiType: 'rewriter',
+        parameters: {},
+        signal: controller.signal
+      })
+
+      expect(response).toMatchObject({
+        success: false,
+        error: expect.objectContaining({ code: 'ANALYSIS_CANCELLED' })
+      })
+      expect(global.Rewriter.create).not.toHaveBeenCalled()
+    })
+
+    test('should abort an in-flight rewrite without falling back to Prompt', async () => {
+      const controller = new AbortController()
+      const session = createMockAISession('rewriter')
+      session.rewrite = jest.fn((text, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => {
+          const error = new Error('The operation was aborted')
+          error.name = 'AbortError'
+          reject(error)
+        })
+      }))
+      global.Rewriter = { create: jest.fn().mockResolvedValue(session) }
+      global.Prompt = { create: jest.fn(() => createMockAISession('prompt')) }
+
+      jest.resetModules()
+      const RewriterService = require('../../src/lib/services/ai-service')
+
+      const pending = RewriterService.analyzeText({
+        text: 'This text is not very clear at all.',
+        apiType: 'rewriter',
+        parameters: {},
+        signal: controller.signal
+      })
+      await new Promise(resolve => setTimeout(resolve, 0))
+      controller.abort()
+
+      const response = await pending
+
+      expect(response.error.code).toBe('ANALYSIS_CANCELLED')
+      expect(session.rewrite).toHaveBeenCalledWith(
+        'This text is not very clear at all.',
+        expect.objectContaining({ signal: controller.signal })
+      )
+      expect(global.Prompt.create).not.toHaveBeenCalled()
+    })
+  })
 })
@@ -0,0 +1,210 @@
+// ABOUTME: Unit tests for the analysis history kept by TextAnalyzer and HistoryStore
+// ABOUTME: Tests search and filters, recording outcomes and re-applying a past improvement
+
+const { describe, it, expect, beforeEach } = require('@jest/globals')
+
+describe('Analysis History', () => {
+  describe('HistoryStore filters', () => {
+    let HistoryStore
+    let record
+
+    beforeEach(() => {
+      jest.resetModules()
+      HistoryStore = require('../../src/lib/services/history-store')
+      record = HistoryStore.createRecord({
+        timestamp: new Date(2026, 2, 10, 12).getTime(),
+        originalText: 'We basically need to utilize the new tool.',
+        improvedText: 'We need to use the new tool.',
+        url: 'https://mail.example.com/compose?draft=1',
+        fieldType: 'textarea'
+      })
+    })
+
+    it('should store the domain rather than the full page URL', () => {
+      expect(record.domain).toBe('mail.example.com')
+      expect(record.outcome).toBe('pending')
+      expect(record).not.toHaveProperty('url')
+    })
+
+    it('should match every search term against original and improved text', () => {
+      expect(HistoryStore.matchesFilters(record, { query: 'UTILIZE tool' })).toBe(true)
+      expect(HistoryStore.matchesFilters(record, { query: 'use basically' })).toBe(true)
+      expect(HistoryStore.matchesFilters(record, { query: 'utilize hammer' })).toBe(false)
+    })
+
+    it('should filter by domain, outcome and date', () => {
+      const day = (date) => new Date(2026, 2, date).getTime()
+
+      expect(HistoryStore.matchesFilters(record, { domain: 'mail.example.com' })).toBe(true)
+      expect(HistoryStore.matchesFilters(record, { domain: 'example.com' })).toBe(false)
+      expect(HistoryStore.matchesFilters(record, { outcome: 'accepted' })).toBe(false)
+      expect(HistoryStore.matchesFilters(record, { from: day(10), to: day(11) })).toBe(true)
+      expect(HistoryStore.matchesFilters(record, { from: day(11) })).toBe(false)
+    })
+  })
+
+  describe('TextAnalyzer history', () => {
+    let TextAnalyzer
+
+    beforeEach(() => {
+      jest.resetModules()
+      global.Rewriter = {
+        create: jest.fn(() => Promise.resolve({
+          inputQuota: 1000,
+          measureInputUsage: jest.fn(value => Promise.resolve(Math.ceil(value.length / 4))),
+          // Resolve on a later tick so the analysis reports a non-zero processing time
+          rewrite: jest.fn(value => new Promise(resolve => {
+            setTimeout(() => resolve(value.replace('utilize', 'use')), 1)
+          })),
+          destroy: jest.fn()
+        }))
+      }
+      global.Prompt = undefined
+      TextAnalyzer = require('../../src/lib/services/text-analyzer')
+    })
+
+    it('should return a history id and find the analysis by search', async () => {
+      const result = await TextAnalyzer.analyzeText('Please utilize the form.', {
+        url: 'https://forms.example.com/new'
+      })
+
+      const history = await TextAnalyzer.searchHistory({ query: 'use form' })
+
+      expect(result.historyId).toEqual(expect.any(String))
+      expect(history).toHaveLength(1)
+      expect(history[0]).toMatchObject({
+        id: result.historyId,
+        originalText: 'Please utilize the form.',
+        improvedText: 'Please use the form.',
+        domain: 'forms.example.com',
+        outcome: 'pending'
+      })
+    })
+
+    it('should record the user\'s decision so history can be filtered by outcome', async () => {
+      const accepted = await TextAnalyzer.analyzeText('We utilize it daily.')
+      await TextAnalyzer.analyzeText('They utilize it weekly.')
+
+      await TextAnalyzer.recordOutcome(accepted.historyId, 'accepted')
+
+      const history = await TextAnalyzer.searchHistory({ outcome: 'accepted' })
+      expect(history.map(entry => entry.id)).toEqual([accepted.historyId])
+      expect((await TextAnalyzer.getHistoryById(accepted.historyId)).outcome).toBe('accepted')
+    })
+
+    it('should keep the text the user accepted rather than the suggestion', async () => {
+      const result = await TextAnalyzer.analyzeText('We utilize it daily.')
+
+      await TextAnalyzer.recordOutcome(result.historyId, 'accepted', {
+        improvedText: 'We utilize it.',
+        changes: []
+      })
+
+      expect(await TextAnalyzer.getHistoryById(result.historyId)).toMatchObject({
+        improvedText: 'We utilize it.',
+        changes: [],
+        outcome: 'accepted'
+      })
+    })
+  })
+
+  describe('Re-applying an improvement', () => {
+    let contentScript
+    let field
+
+    beforeEach(async () => {
+      jest.resetModules()
+      document.body.innerHTML = ''
+      field = document.createElement('textarea')
+      field.value = 'Hello team. We basically need to utilize the new tool. Thanks!'
+      document.body.appendChild(field)
+      field.focus()
+
+      contentScript = require('../../src/content/content-script')
+      await contentScript.initialize()
+    })
+
+    const applyEntry = (entry) => new Promise(resolve => {
+      contentScript._handleMessage({ type: 'APPLY_HISTORY_ENTRY', payload: entry }, {}, resolve)
+    })
+
+    const entry = {
+      id: 'analysis_1',
+      originalText: 'We basically need to utilize the new tool.',
+      improvedText: 'We need to use the new tool.',
+      changes: [],
+      confidenceScore: 0.9
+    }
+
+    it('should offer the past improvement for the matching text in the focused field', async () => {
+      const response = await applyEntry(entry)
+
+      expect(response).toEqual({ success: true })
+      expect(contentScript.overlay.isVisible).toBe(true)
+      expect(contentScript.overlay.currentAnalysisResult).toMatchObject({
+        improvedText: 'We need to use the new tool.',
+        historyId: 'analysis_1',
+        selection: { start: 12, end: 54 }
+      })
+    })
+
+    it('should report only the changes the user kept when accepting', async () => {
+      const [filler, wording] = [
+        { originalPhrase: 'basically ', improvedPhrase: '', startPosition: 3, endPosition: 13 },
+        { originalPhrase: 'utilize', improvedPhrase: 'use', startPosition: 21, endPosition: 28 }
+      ]
+      chrome.runtime.sendMessage.mockClear()
+
+      await contentScript._handleAcceptSuggestion({
+        ...entry,
+        changes: [filler, wording],
+        historyId: 'analysis_1',
+        selection: { start: 12, end: 54 }
+      }, field, { acceptedChanges: [wording], rejectedChanges: [filler] })
+
+      const accept = chrome.runtime.sendMessage.mock.calls
+        .map(([message]) => message)
+        .find(message => message.type === 'USER_ACTION')
+      expect(accept.payload.applied).toEqual({
+        improvedText: 'We basically need to use the new tool.',
+        changes: [wording]
+      })
+    })
+
+    it('should refuse when the field no longer contains the original text', async () => {
+      field.value = 'Something else entirely.'
+
+      const response = await applyEntry(entry)
+
+      expect(response.success).toBe(false)
+      expect(contentScript.overlay.isVisible).toBe(false)
+    })
+
+    it('should leave the answer to the child frame that holds the focus', async () => {
+      const iframe = document.createElement('iframe')
+      document.body.appendChild(iframe)
+      iframe.focus()
+      contentScript.childFrameReplyMs = 20
+      const sendResponse = jest.fn()
+
+      contentScript._handleMessage({ type: 'APPLY_HISTORY_ENTRY', payload: entry }, {}, sendResponse)
+      await new Promise(resolve => setTimeout(resolve, 0))
+      expect(sendResponse).not.toHaveBeenCalled()
+
+      await new Promise(resolve => setTimeout(resolve, 30))
+      expect(sendResponse).toHaveBeenCalledWith({ success: false, error: 'No active input field' })
+    })
+
+    it('should stay silent in a child frame without a focused field', async () => {
+      const FrameCoordinator = require('../../src/lib/services/frame-coordinator')
+      jest.spyOn(FrameCoordinator, 'isTopFrame').mockReturnValue(false)
+      field.blur()
+      const sendResponse = jest.fn()
+
+      await contentScript._handleMessage({ type: 'APPLY_HISTORY_ENTRY', payload: entry }, {},
+        sendResponse)
+
+      expect(sendResponse).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,111 @@
+// ABOUTME: Unit tests for targeting a rewrite at an audience and a reading grade
+// ABOUTME: Tests the preferences, the model instructions and checking the result against the target
+
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals')
+
+describe('Audience targeting', () => {
+  const UserPreferences = require('../../src/lib/models/user-preferences')
+
+  describe('Preferences', () => {
+    it('should validate and keep the audience and target grade', () => {
+      const preferences = new UserPreferences({ targetAudience: 'non-native', targetGrade: 8 })
+      const restored = UserPreferences.fromJSON(preferences.toJSON())
+
+      expect(restored.targetAudience).toBe('non-native')
+      expect(restored.targetGrade).toBe(8)
+      expect(new UserPreferences().targetGrade).toBeNull()
+      expect(() => preferences.updateTargetAudience('children')).toThrow('Invalid audience')
+      expect(() => preferences.updateTargetGrade(20)).toThrow('between 1 and 16')
+    })
+  })
+
+  describe('in the analysis', () => {
+    let TextAnalyzer
+    let AIService
+    let savedRewriter
+
+    const originalText = 'We basically need to make a decision about the launch date soon.'
+    const improvedText = 'We must determine the appropriate commercialization timeline expeditiously.'
+
+    beforeEach(() => {
+      jest.resetModules()
+      savedRewriter = global.Rewriter
+      global.Rewriter = {
+        create: jest.fn(() => Promise.resolve({
+          inputQuota: 1000,
+          measureInputUsage: jest.fn(value => Promise.resolve(Math.ceil(value.length / 4))),
+          rewrite: jest.fn(() => new Promise(resolve => {
+            setTimeout(() => resolve(improvedText), 1)
+          })),
+          destroy: jest.fn()
+        }))
+      }
+      TextAnalyzer = require('../../src/lib/services/text-analyzer')
+      AIService = require('../../src/lib/services/ai-service')
+    })
+
+    afterEach(() => {
+      global.Rewriter = savedRewriter
+    })
+
+    it('should describe the audience in the prompt', () => {
+      const prompt = AIService._createClarityPrompt(originalText, {}, null, {
+        audience: 'executive',
+        targetGrade: 8
+      })
+
+      expect(prompt).toContain('Write for busy executives')
+      expect(prompt).toContain('grade 8 reading level')
+    })
+
+    it('should give the rewriter the audience and check the grade it reached', async () => {
+      const userPreferences = new UserPreferences({
+        targetAudience: 'non-native',
+        targetGrade: 6,
+        rewriteCandidates: 1
+      })
+
+      const result = await TextAnalyzer.analyzeText(originalText, { userPreferences })
+
+      const sessionOptions = global.Rewriter.create.mock.calls.map(call => call[0])
+      expect(sessionOptions).toContainEqual(expect.objectContaining({
+        sharedContext: expect.stringContaining('first language is not English')
+      }))
+      expect(result.readingTarget).toMatchObject({ targetGrade: 6, met: false })
+      expect(result.readingTarget.achievedGrade)
+        .toBe(result.readability.improved.fleschKincaidGrade)
+      expect(TextAnalyzer.assessAnalysisQuality(result).reasons)
+        .toContain('Reads above the target grade level')
+    })
+  })
+
+  describe('in the overlay', () => {
+    let overlay
+
+    afterEach(() => {
+      overlay.destroy()
+    })
+
+    it('should show the grade reached against the target', () => {
+      const ClarityOverlay = require('../../src/lib/components/clarity-overlay')
+      const Readability = require('../../src/lib/services/readability')
+      const target = createMockInput('textarea', 'We need to ship it.')
+      document.body.appendChild(target)
+
+      overlay = new ClarityOverlay()
+      overlay.show(target, {
+        originalText: 'We basically need to ship it.',
+        improvedText: 'We need to ship it.',
+        changes: [],
+        confidenceScore: 0.8,
+        readability: Readability.compare('We basically need to ship it.', 'We need to ship it.'),
+        readingTarget: { targetGrade: 2, achievedGrade: 2.3, met: false }
+      })
+
+      const readingTarget = overlay.overlay.querySelector('.isitclear-overlay__reading-target')
+      expect(readingTarget.textContent).toContain('Grade 2.3, above the target of grade 2')
+      expect(readingTarget.classList.contains('isitclear-overlay__reading-target--missed'))
+        .toBe(true)
+    })
+  })
+})
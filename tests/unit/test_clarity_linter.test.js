@@ -0,0 +1,141 @@
+// ABOUTME: Unit tests for the offline rule-based clarity linter
+// ABOUTME: Tests each rule, ChangeDetail-compatible output and the fallback when no model exists
+
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals')
+const ClarityLinter = require('../../src/lib/services/clarity-linter')
+const TextDiff = require('../../src/lib/services/text-diff')
+const { ChangeDetail } = require('../../src/lib/models/clarity-improvement')
+
+describe('ClarityLinter', () => {
+  const rulesOf = items => items.map(item => item.rule)
+
+  describe('rules', () => {
+    it('should replace redundant phrases and nominalizations, keeping capitals', () => {
+      const text = 'In order to ship, we must make a decision due to the fact that time is short.'
+
+      const { changes } = ClarityLinter.lint(text)
+
+      expect(changes.map(change => [change.originalPhrase, change.improvedPhrase])).toEqual([
+        ['In order to', 'To'],
+        ['make a decision', 'decide'],
+        ['due to the fact that', 'because']
+      ])
+      expect(rulesOf(changes)).toEqual(['redundant-phrase', 'nominalization', 'redundant-phrase'])
+    })
+
+    it('should remove filler and weasel words and recapitalize a sentence start', () => {
+      const text = 'Basically, the fix is very small. It obviously works.'
+
+      const { changes } = ClarityLinter.lint(text)
+
+      expect(TextDiff.applyChanges(text, changes)).toBe('The fix is small. It works.')
+      expect(rulesOf(changes)).toEqual(['filler-word', 'filler-word', 'weasel-word'])
+      expect(changes[0].reason).toContain('basically')
+    })
+
+    it('should split an overly long sentence at a conjunction near its middle', () => {
+      const text = 'We reviewed the proposal in detail with everyone on the committee over ' +
+        'several weeks of meetings, and we agreed that the plan needs one more round of ' +
+        'changes before the next budget cycle.'
+
+      const { changes } = ClarityLinter.lint(text)
+
+      expect(changes).toHaveLength(1)
+      expect(changes[0]).toMatchObject({ rule: 'long-sentence', improvedPhrase: '. W' })
+      expect(TextDiff.applyChanges(text, changes)).toContain('meetings. We agreed')
+    })
+
+    it('should only warn about passive voice, vague attributions and unsplittable sentences', () => {
+      const text = 'The report was written last week. It is believed that sales will grow.'
+
+      const { changes, warnings } = ClarityLinter.lint(text)
+
+      expect(changes).toEqual([])
+      expect(warnings.map(warning => [warning.rule, warning.originalPhrase])).toEqual([
+        ['passive-voice', 'was written'],
+        ['weasel-word', 'It is believed']
+      ])
+    })
+  })
+
+  it('should emit changes that construct valid ChangeDetails', () => {
+    const text = 'Basically, we need to conduct an investigation of the past history of the bug.'
+
+    const { changes } = ClarityLinter.lint(text)
+
+    expect(changes.length).toBeGreaterThan(0)
+    changes.forEach(change => {
+      const detail = new ChangeDetail(change.changeType, change.originalPhrase,
+        change.improvedPhrase, change.reason, change.startPosition, change.endPosition)
+      expect(text.slice(detail.startPosition, detail.endPosition)).toBe(detail.originalPhrase)
+    })
+  })
+
+  it('should report an error from analyze when nothing can be fixed', () => {
+    const response = ClarityLinter.analyze('The cat sat on the mat.')
+
+    expect(response.success).toBe(false)
+    expect(response.error.code).toBe('NO_LINT_CHANGES')
+  })
+
+  describe('TextAnalyzer integration', () => {
+    let TextAnalyzer
+    let savedRewriter
+    let savedPrompt
+
+    beforeEach(() => {
+      jest.resetModules()
+      savedRewriter = global.Rewriter
+      savedPrompt = global.Prompt
+    })
+
+    afterEach(() => {
+      global.Rewriter = savedRewriter
+      global.Prompt = savedPrompt
+    })
+
+    it('should fall back to the linter when no on-device model is available', async () => {
+      global.Rewriter = undefined
+      global.Prompt = undefined
+      TextAnalyzer = require('../../src/lib/services/text-analyzer')
+
+      const result = await TextAnalyzer.analyzeText('We basically need to utilize it in order to win.')
+
+      expect(result.improvementType).toBe('linter')
+      expect(result.improvedText).toBe('We need to utilize it to win.')
+      expect(result.changes).toHaveLength(2)
+    })
+
+    it('should still fail with API_UNAVAILABLE when the linter finds nothing to fix', async () => {
+      global.Rewriter = undefined
+      global.Prompt = undefined
+      TextAnalyzer = require('../../src/lib/services/text-analyzer')
+
+      await expect(TextAnalyzer.analyzeText('The cat sat on the mat.'))
+        .rejects.toMatchObject({ code: 'API_UNAVAILABLE' })
+    })
+
+    it('should add notes about issues left in an AI suggestion', async () => {
+      global.Rewriter = {
+        create: jest.fn(() => Promise.resolve({
+          inputQuota: 1000,
+          measureInputUsage: jest.fn(value => Promise.resolve(Math.ceil(value.length / 4))),
+          rewrite: jest.fn(() => new Promise(resolve => {
+            setTimeout(() => resolve('The form was reviewed by the team.'), 1)
+          })),
+          destroy: jest.fn()
+        }))
+      }
+      TextAnalyzer = require('../../src/lib/services/text-analyzer')
+
+      const result = await TextAnalyzer.analyzeText('The team looked over the form.')
+
+      expect(result.improvementType).toBe('rewriter')
+      expect(result.notes).toEqual([expect.objectContaining({
+        rule: 'passive-voice',
+        originalPhrase: 'was reviewed',
+        startPosition: 9
+      })])
+    })
+  })
+})
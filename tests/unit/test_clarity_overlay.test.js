@@ -0,0 +1,104 @@
+// ABOUTME: Unit tests for the ClarityOverlay inline diff view
+// ABOUTME: Tests change highlighting, per-change toggling and the showChangeDetails preference
+
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals')
+const ClarityOverlay = require('../../src/lib/components/clarity-overlay')
+const TextDiff = require('../../src/lib/services/text-diff')
+
+describe('ClarityOverlay Inline Diff', () => {
+  const originalText = 'We basically need to utilize the new tool.'
+  const improvedText = 'We need to use the new tool.'
+  let overlay
+  let target
+  let analysisResult
+
+  const query = selector => overlay.overlay.querySelector(selector)
+  const queryAll = selector => overlay.overlay.querySelectorAll(selector)
+
+  beforeEach(() => {
+    document.body.innerHTML = ''
+    target = createMockInput('textarea', originalText)
+    document.body.appendChild(target)
+
+    analysisResult = {
+      originalText,
+      improvedText,
+      changes: TextDiff.generateChangeDetails(originalText, improvedText),
+      confidenceScore: 0.8
+    }
+
+    overlay = new ClarityOverlay()
+  })
+
+  afterEach(() => {
+    overlay.destroy()
+  })
+
+  it('should highlight removed and added text for each change', () => {
+    overlay.show(target, analysisResult)
+
+    expect(queryAll('.isitclear-overlay__change')).toHaveLength(analysisResult.changes.length)
+    expect(query('.isitclear-overlay__removed').textContent).toContain('basically')
+    expect(query('.isitclear-overlay__added').textContent).toBe('use')
+    expect(query('.isitclear-overlay__diff').textContent).toContain('need to')
+  })
+
+  it('should toggle individual changes and report only the accepted subset', () => {
+    const onAccept = jest.fn()
+    overlay.setCallbacks({ onAccept })
+    overlay.show(target, analysisResult)
+
+    query('[data-change-index="0"] del').click()
+
+    expect(query('[data-change-index="0"]').classList)
+      .toContain('isitclear-overlay__change--rejected')
+    expect(query('[data-action="accept"]').textContent.trim()).toBe('Accept 1 of 2')
+
+    query('[data-action="accept"]').click()
+
+    const [, , selection] = onAccept.mock.calls[0]
+    expect(selection.rejectedChanges).toEqual([analysisResult.changes[0]])
+    expect(TextDiff.applyChanges(originalText, selection.acceptedChanges))
+      .toBe('We basically need to use the new tool.')
+  })
+
+  it('should toggle changes from the keyboard', () => {
+    overlay.show(target, analysisResult)
+
+    const change = query('[data-change-index="1"]')
+    change.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }))
+
+    expect(query('[data-change-index="1"]').getAttribute('aria-pressed')).toBe('false')
+  })
+
+  it('should disable accept when every change is rejected', () => {
+    overlay.show(target, analysisResult)
+
+    query('[data-change-index="0"]').click()
+    query('[data-change-index="1"]').click()
+
+    expect(query('[data-action="accept"]').disabled).toBe(true)
+  })
+
+  it('should show only the improved text when change details are turned off', () => {
+    const onAccept = jest.fn()
+    overlay.setCallbacks({ onAccept })
+    overlay.setShowChangeDetails(false)
+    overlay.show(target, analysisResult)
+
+    expect(query('.isitclear-overlay__diff')).toBeNull()
+    expect(query('.isitclear-overlay__improvement-text').textContent.trim()).toBe(improvedText)
+
+    query('[data-action="accept"]').click()
+    expect(onAccept.mock.calls[0][2]).toBeNull()
+  })
+
+  it('should fall back to the plain view when change positions do not match the text', () => {
+    overlay.show(target, {
+      ...analysisResult,
+      changes: [{ ...analysisResult.changes[0], startPosition: 1 }]
+    })
+
+    expect(query('.isitclear-overlay__diff')).toBeNull()
+  })
+})
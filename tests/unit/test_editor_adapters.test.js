@@ -0,0 +1,235 @@
+// ABOUTME: Unit tests for the rich-text editor adapter registry in InputDetector
+// ABOUTME: Tests text mapping, editor detection and formatting-preserving edits per editor
+
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals')
+const { EditorAdapter } = require('../../src/lib/services/editor-adapters')
+
+const createEditor = (className, html, attributes = {}) => {
+  const editor = document.createElement('div')
+  editor.className = className
+  editor.setAttribute('contenteditable', 'true')
+  Object.entries(attributes).forEach(([name, value]) => editor.setAttribute(name, value))
+  editor.innerHTML = html
+  return editor
+}
+
+describe('Rich-text Editor Adapters', () => {
+  let InputDetector
+
+  beforeEach(() => {
+    jest.resetModules()
+    InputDetector = require('../../src/lib/services/input-detector')
+    document.body.innerHTML = ''
+  })
+
+  afterEach(() => {
+    delete window.tinymce
+  })
+
+  describe('Detection', () => {
+    it.each([
+      ['prosemirror', 'ProseMirror', {}],
+      ['quill', 'ql-editor', {}],
+      ['draft', 'public-DraftEditor-content', {}],
+      ['ckeditor', 'ck-editor__editable ck-content', {}],
+      ['tinymce', 'mce-content-body', {}],
+      ['lexical', 'editor-input', { 'data-lexical-editor': 'true' }]
+    ])('should detect %s editors', (name, className, attributes) => {
+      const editor = createEditor(className, '<p><span>Hello</span></p>', attributes)
+      document.body.appendChild(editor)
+
+      expect(InputDetector.getEditorAdapter(editor.querySelector('span')).name).toBe(name)
+    })
+
+    it('should leave plain contenteditable fields to the default replacement', () => {
+      const field = createEditor('comment-box', 'Hello')
+      document.body.appendChild(field)
+
+      expect(InputDetector.getEditorAdapter(field)).toBeNull()
+    })
+
+    it('should let registered adapters take precedence', () => {
+      const custom = new EditorAdapter({ name: 'prosemirror', rootSelector: '.ProseMirror' })
+      InputDetector.registerEditorAdapter(custom)
+      const editor = createEditor('ProseMirror', 'Hello')
+      document.body.appendChild(editor)
+
+      expect(InputDetector.getEditorAdapter(editor)).toBe(custom)
+      expect(InputDetector.editorAdapters.filter(a => a.name === 'prosemirror')).toHaveLength(1)
+      expect(() => InputDetector.registerEditorAdapter({})).toThrow('Editor adapter must have')
+    })
+  })
+
+  describe('Text mapping', () => {
+    it('should separate blocks and skip editor-only nodes', () => {
+      const editor = createEditor('ProseMirror', [
+        '<p>We <strong>basically</strong> need</p>',
+        '<p><br class="ProseMirror-trailingBreak"></p>',
+        '<ul><li>to utilize</li><li>the tool<img class="ProseMirror-separator"></li></ul>'
+      ].join(''))
+      document.body.appendChild(editor)
+
+      const mapping = InputDetector.getTextMapping(editor)
+
+      expect(mapping.text).toBe('We basically need\n\nto utilize\nthe tool')
+      expect(InputDetector.getText(editor)).toBe(mapping.text)
+
+      const range = mapping.adapter.createRange(editor, mapping, 3, 12)
+      expect(range.toString()).toBe('basically')
+      expect(range.startContainer.parentNode.tagName).toBe('STRONG')
+    })
+
+    it('should place the cursor through the mapping', () => {
+      const editor = createEditor('ProseMirror', '<p>First</p><p>Second <em>line</em></p>')
+      document.body.appendChild(editor)
+
+      InputDetector.setCursorPosition(editor, 14)
+
+      const range = document.getSelection().getRangeAt(0)
+      expect(range.startContainer.data).toBe('line')
+      expect(range.startOffset).toBe(1)
+    })
+  })
+
+  describe('Formatting-preserving edits', () => {
+    let editorBridge
+
+    const loadEditorBridge = () => {
+      editorBridge = require('../../src/content/editor-bridge')
+    }
+
+    afterEach(() => {
+      if (editorBridge) {
+        editorBridge.cleanup()
+        editorBridge = null
+      }
+    })
+
+    it('should only touch changed words when falling back to DOM edits', async () => {
+      const editor = createEditor('ProseMirror',
+        '<p>We <strong>really</strong> need to utilize the <em>new</em> tool.</p>')
+      document.body.appendChild(editor)
+
+      await InputDetector.replaceText(editor, 'We really need to use the new tool.', false)
+
+      expect(editor.innerHTML)
+        .toBe('<p>We <strong>really</strong> need to use the <em>new</em> tool.</p>')
+    })
+
+    it('should leave editor instances to the page-world bridge', async () => {
+      const editor = createEditor('ProseMirror', '<p>Please utilize it.</p>')
+      document.body.appendChild(editor)
+      const dispatch = jest.fn()
+      editor.editor = { view: { posAtDOM: jest.fn(), state: { tr: {} }, dispatch } }
+
+      const method = await InputDetector.replaceText(editor, 'Please use it.', false)
+
+      expect(method).toBe('dom')
+      expect(dispatch).not.toHaveBeenCalled()
+      expect(editor.textContent).toBe('Please use it.')
+    })
+
+    it('should apply edits as ProseMirror transactions through the bridge', async () => {
+      loadEditorBridge()
+      const editor = createEditor('ProseMirror', '<p>Please utilize it.</p>')
+      document.body.appendChild(editor)
+      const tr = { insertText: jest.fn(() => tr) }
+      editor.editor = {
+        view: {
+          posAtDOM: jest.fn((node, offset) => offset + 1),
+          state: { tr },
+          dispatch: jest.fn()
+        }
+      }
+
+      const method = await InputDetector.replaceText(editor, 'Please use it.', false)
+
+      expect(method).toBe('prosemirror')
+      expect(tr.insertText).toHaveBeenCalledWith('use', 8, 15)
+      expect(editor.editor.view.dispatch).toHaveBeenCalledWith(tr)
+    })
+
+    it('should apply edits through the Quill API with the existing format', async () => {
+      loadEditorBridge()
+      const container = document.createElement('div')
+      const editor = createEditor('ql-editor', '<p>Please <u>utilize</u> it.</p>')
+      container.appendChild(editor)
+      document.body.appendChild(container)
+
+      const blots = new Map([...editor.querySelectorAll('p, u')]
+        .map(element => [element.firstChild, element.tagName === 'P' ? 0 : 7]))
+      class FakeQuill {
+        static find (node) { return blots.has(node) ? node : null }
+        getIndex (blot) { return blots.get(blot) }
+      }
+      const quill = new FakeQuill()
+      quill.getFormat = jest.fn(() => ({ underline: true }))
+      quill.deleteText = jest.fn()
+      quill.insertText = jest.fn()
+      container.__quill = quill
+
+      await InputDetector.replaceText(editor, 'Please use it.', false)
+
+      expect(quill.getFormat).toHaveBeenCalledWith(7, 7)
+      expect(quill.deleteText).toHaveBeenCalledWith(7, 7, 'user')
+      expect(quill.insertText).toHaveBeenCalledWith(7, 'use', { underline: true }, 'user')
+    })
+
+    it('should apply edits through the TinyMCE undo manager', async () => {
+      loadEditorBridge()
+      const editor = createEditor('mce-content-body', '<p>Use <b>a &lt;tag&gt;</b> here.</p>')
+      document.body.appendChild(editor)
+      const tinymceEditor = {
+        getBody: () => editor,
+        undoManager: { transact: jest.fn(callback => callback()) },
+        selection: { setRng: jest.fn(), setContent: jest.fn() }
+      }
+      window.tinymce = { get: () => [tinymceEditor] }
+
+      await InputDetector.replaceText(editor, 'Use a <div> here.', false)
+
+      expect(tinymceEditor.undoManager.transact).toHaveBeenCalled()
+      expect(tinymceEditor.selection.setRng.mock.calls[0][0].toString()).toBe('tag')
+      expect(tinymceEditor.selection.setContent).toHaveBeenCalledWith('div')
+    })
+
+    it('should fall back when a TinyMCE frame is embedded cross-origin', () => {
+      loadEditorBridge()
+      const frameWindow = {
+        get parent () {
+          throw new DOMException('Blocked a frame from accessing a cross-origin frame.',
+            'SecurityError')
+        }
+      }
+
+      expect(editorBridge._findTinyMCEEditor({ ownerDocument: { defaultView: frameWindow } }))
+        .toBeNull()
+    })
+
+    it('should hand Lexical edits to its beforeinput handling', async () => {
+      const editor = createEditor('editor-input', '<p><span>Please utilize it.</span></p>',
+        { 'data-lexical-editor': 'true' })
+      document.body.appendChild(editor)
+      const inputs = []
+      editor.addEventListener('beforeinput', event => {
+        event.preventDefault()
+        inputs.push({ inputType: event.inputType, data: event.data })
+      })
+
+      await InputDetector.replaceText(editor, 'Please use it.', false)
+
+      expect(inputs).toEqual([{ inputType: 'insertText', data: 'use' }])
+      expect(editor.textContent).toBe('Please utilize it.')
+    })
+
+    it('should refuse to rewrite the DOM of editors that own their state', async () => {
+      const editor = createEditor('public-DraftEditor-content',
+        '<div data-contents="true"><span data-text="true">Please utilize it.</span></div>')
+      document.body.appendChild(editor)
+
+      await expect(InputDetector.replaceText(editor, 'Please use it.', false))
+        .rejects.toThrow('The draft editor did not accept the edit')
+      expect(editor.textContent).toBe('Please utilize it.')
+    })
+  })
+})
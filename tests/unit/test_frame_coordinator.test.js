@@ -0,0 +1,289 @@
+// ABOUTME: Unit tests for coordinating the overlay across a tab's frames
+// ABOUTME: Tests frame offsets, forwarding overlay calls to the top frame and routing actions back
+
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals')
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0))
+
+describe('Frame Coordination', () => {
+  let FrameCoordinator
+  let frameMessages
+
+  beforeEach(() => {
+    jest.resetModules()
+    document.body.innerHTML = ''
+    FrameCoordinator = require('../../src/lib/services/frame-coordinator')
+
+    frameMessages = []
+    chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+      if (message.type === 'FRAME_MESSAGE') {
+        frameMessages.push(message.payload)
+        callback({ success: true, handled: true })
+      }
+    })
+  })
+
+  afterEach(() => {
+    FrameCoordinator.cleanup()
+  })
+
+  describe('Frame offsets', () => {
+    it('should report where a child frame sits in the viewport', async () => {
+      const iframe = document.createElement('iframe')
+      iframe.style.padding = '4px'
+      document.body.appendChild(iframe)
+      iframe.getBoundingClientRect = () => ({ left: 100, top: 200 })
+      const postMessage = jest.spyOn(iframe.contentWindow, 'postMessage')
+        .mockImplementation(() => {})
+
+      FrameCoordinator.initialize()
+      window.dispatchEvent(new MessageEvent('message', {
+        data: { source: 'isitclear-frame', type: 'frame-offset-request', id: 'abc' },
+        source: iframe.contentWindow
+      }))
+      await flush()
+
+      expect(postMessage).toHaveBeenCalledWith(
+        { source: 'isitclear-frame', type: 'frame-offset', id: 'abc', left: 104, top: 204 },
+        '*'
+      )
+    })
+
+    it('should look a child frame up only once for repeated offset requests', async () => {
+      const InputDetector = require('../../src/lib/services/input-detector')
+      const iframe = document.createElement('iframe')
+      document.body.appendChild(iframe)
+      jest.spyOn(iframe.contentWindow, 'postMessage').mockImplementation(() => {})
+      const querySelectorAllDeep = jest.spyOn(InputDetector, 'querySelectorAllDeep')
+
+      FrameCoordinator.initialize()
+      const requestOffset = (id) => window.dispatchEvent(new MessageEvent('message', {
+        data: { source: 'isitclear-frame', type: 'frame-offset-request', id },
+        source: iframe.contentWindow
+      }))
+      requestOffset('first')
+      requestOffset('second')
+      await flush()
+
+      expect(querySelectorAllDeep).toHaveBeenCalledTimes(1)
+      expect(iframe.contentWindow.postMessage).toHaveBeenCalledTimes(2)
+    })
+
+    it('should ignore offset requests from windows that are not child frames', async () => {
+      const iframe = document.createElement('iframe')
+      document.body.appendChild(iframe)
+      const postMessage = jest.spyOn(iframe.contentWindow, 'postMessage')
+
+      FrameCoordinator.initialize()
+      window.dispatchEvent(new MessageEvent('message', {
+        data: { source: 'isitclear-frame', type: 'frame-offset-request', id: 'abc' },
+        source: window
+      }))
+      await flush()
+
+      expect(postMessage).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Child frame overlay', () => {
+    let FrameOverlay
+    let field
+
+    beforeEach(() => {
+      FrameOverlay = require('../../src/lib/components/frame-overlay')
+      jest.spyOn(FrameCoordinator, 'getFrameOffset').mockResolvedValue({ left: 100, top: 200 })
+
+      field = document.createElement('textarea')
+      document.body.appendChild(field)
+      field.getBoundingClientRect = () =>
+        ({ left: 10, top: 20, right: 110, bottom: 60, width: 100, height: 40 })
+    })
+
+    it('should render through the top frame at translated coordinates', async () => {
+      const overlay = new FrameOverlay(() => { throw new Error('should not render locally') })
+
+      overlay.show(field)
+      await overlay.showLoading('Analyzing text...')
+
+      expect(frameMessages).toEqual([
+        {
+          targetFrameId: 0,
+          message: {
+            type: 'FRAME_OVERLAY_CALL',
+            payload: {
+              method: 'show',
+              args: [{ left: 110, top: 220, right: 210, bottom: 260, width: 100, height: 40 }, null]
+            }
+          }
+        },
+        {
+          targetFrameId: 0,
+          message: {
+            type: 'FRAME_OVERLAY_CALL',
+            payload: { method: 'showLoading', args: ['Analyzing text...'] }
+          }
+        }
+      ])
+    })
+
+    it('should replay actions from the top frame against the local field', () => {
+      const overlay = new FrameOverlay(() => null)
+      const onAccept = jest.fn()
+      overlay.setCallbacks({ onAccept })
+      const analysisResult = { originalText: 'a', improvedText: 'b' }
+      overlay.show(field)
+      overlay.updateWithAnalysisResult(analysisResult)
+
+      const changeSelection = { acceptedChanges: [], rejectedChanges: [] }
+      expect(overlay.handleAction({ action: 'accept', changeSelection })).toBe(true)
+
+      expect(onAccept).toHaveBeenCalledWith(analysisResult, field, changeSelection)
+    })
+
+    it('should accept the candidate the top frame showed', () => {
+      const overlay = new FrameOverlay(() => null)
+      const onAccept = jest.fn()
+      overlay.setCallbacks({ onAccept })
+      const shown = { originalText: 'a', improvedText: 'c' }
+      overlay.show(field)
+      overlay.updateWithAnalysisResult({ originalText: 'a', improvedText: 'b' })
+
+      overlay.handleAction({ action: 'accept', analysisResult: shown, changeSelection: null })
+
+      expect(onAccept).toHaveBeenCalledWith(shown, field, null)
+    })
+
+    it('should fall back to a local overlay when the top frame does not answer', async () => {
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+        callback({ success: false, error: 'Could not establish connection' })
+      })
+      const ClarityOverlay = require('../../src/lib/components/clarity-overlay')
+      const overlay = new FrameOverlay(() => new ClarityOverlay())
+
+      overlay.show(field)
+      await overlay.showError(new Error('Analysis failed'))
+
+      expect(overlay.getState().rendersInTopFrame).toBe(false)
+      expect(overlay.localOverlay.isVisible).toBe(true)
+      expect(overlay.localOverlay.overlay.textContent).toContain('Analysis failed')
+      overlay.destroy()
+    })
+  })
+
+  describe('Child frame content script', () => {
+    it('should analyze a field through the top frame\'s overlay', async () => {
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+        if (message.type === 'FRAME_MESSAGE') {
+          frameMessages.push(message.payload)
+          callback({ success: true, handled: true })
+        } else if (message.type === 'ANALYZE_TEXT') {
+          callback({
+            success: true,
+            result: { originalText: 'We utilize it.', improvedText: 'We use it.', changes: [] }
+          })
+        } else {
+          callback({ success: false, error: 'Not needed' })
+        }
+      })
+      jest.spyOn(FrameCoordinator, 'isTopFrame').mockReturnValue(false)
+      jest.spyOn(FrameCoordinator, 'getFrameOffset').mockResolvedValue({ left: 0, top: 0 })
+
+      const field = document.createElement('textarea')
+      field.setAttribute('maxlength', '40')
+      field.value = 'We utilize it.'
+      document.body.appendChild(field)
+
+      const contentScript = require('../../src/content/content-script')
+      await contentScript.initialize()
+      contentScript.extensionState.activate(field)
+      contentScript.overlay.show(field)
+      await contentScript._handleAnalyzeRequest(field)
+      await contentScript.overlay.pendingCalls
+
+      const methods = frameMessages.map(payload => payload.message.payload.method)
+      expect(methods).toContain('updateWithAnalysisResult')
+      expect(methods).not.toContain('showError')
+      expect(frameMessages.find(payload => payload.message.payload.method === 'setCharacterLimit')
+        .message.payload.args).toEqual([40])
+    })
+  })
+
+  describe('Top frame content script', () => {
+    let contentScript
+
+    beforeEach(async () => {
+      contentScript = require('../../src/content/content-script')
+      await contentScript.initialize()
+    })
+
+    const callFromFrame = (sourceFrameId, method, args) => new Promise(resolve => {
+      contentScript._handleMessage({
+        type: 'FRAME_OVERLAY_CALL',
+        payload: { method, args, sourceFrameId }
+      }, {}, resolve)
+    })
+
+    it('should show the overlay for a field in a child frame', async () => {
+      const rect = { left: 110, top: 220, right: 210, bottom: 260, width: 100, height: 40 }
+
+      const response = await callFromFrame(3, 'show', [rect, null])
+
+      expect(response).toEqual({ success: true, handled: true })
+      expect(contentScript.overlay.isVisible).toBe(true)
+      expect(contentScript.overlay.overlay.style.top).toBe('268px')
+      expect(contentScript.overlay.currentTargetElement.frameId).toBe(3)
+    })
+
+    it('should route the user\'s choice back to the frame that owns the field', async () => {
+      const result = { originalText: 'We utilize it.', improvedText: 'We use it.', changes: [] }
+      await callFromFrame(3, 'show', [{ left: 0, top: 0, bottom: 20 }, null])
+      await callFromFrame(3, 'updateWithAnalysisResult', [result])
+
+      contentScript.overlay.overlay.querySelector('[data-action="accept"]').click()
+
+      expect(frameMessages).toEqual([{
+        targetFrameId: 3,
+        message: {
+          type: 'FRAME_OVERLAY_ACTION',
+          payload: { action: 'accept', analysisResult: result, changeSelection: null }
+        }
+      }])
+    })
+
+    it('should route the candidate on screen, not the top-ranked one', async () => {
+      const candidates = [
+        { improvedText: 'Use it.', changes: [], variation: 'Shorter' },
+        { improvedText: 'We shall use it.', changes: [], variation: 'More formal' }
+      ]
+      const result = { originalText: 'We utilize it.', ...candidates[0], candidates }
+      await callFromFrame(3, 'show', [{ left: 0, top: 0, bottom: 20 }, null])
+      await callFromFrame(3, 'updateWithAnalysisResult', [result])
+
+      contentScript.overlay.overlay.querySelector('[data-action="next-candidate"]').click()
+      contentScript.overlay.overlay.querySelector('[data-action="accept"]').click()
+
+      expect(frameMessages[0].message.payload.analysisResult).toMatchObject({
+        improvedText: 'We shall use it.',
+        variation: 'More formal'
+      })
+    })
+
+    it('should give the overlay the character limit of a field in a child frame', async () => {
+      await callFromFrame(3, 'show', [{ left: 0, top: 0, bottom: 20 }, null])
+
+      const response = await callFromFrame(3, 'setCharacterLimit', [40])
+
+      expect(response).toEqual({ success: true, handled: true })
+      expect(contentScript.overlay.characterLimit).toBe(40)
+    })
+
+    it('should ignore calls from a frame whose overlay was taken over', async () => {
+      await callFromFrame(3, 'show', [{ left: 0, top: 0, bottom: 20 }, null])
+
+      const response = await callFromFrame(5, 'showError', ['Stale error'])
+
+      expect(response).toEqual({ success: true, handled: false })
+      expect(contentScript.overlay.overlay.textContent).not.toContain('Stale error')
+    })
+  })
+})
@@ -0,0 +1,205 @@
+// ABOUTME: Unit tests for length modes and character budgets on rewrites
+// ABOUTME: Tests limit detection, shortening rewrites until they fit and the overlay counter
+
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals')
+
+describe('Length control', () => {
+  describe('Length modes', () => {
+    const UserPreferences = require('../../src/lib/models/user-preferences')
+
+    it('should send the preferred length to the model', () => {
+      const preferences = new UserPreferences({ preferredLength: 'shorter' })
+
+      expect(preferences.getAIParameters().length).toBe('shorter')
+      expect(new UserPreferences().getAIParameters().length).toBe('as-is')
+      expect(() => preferences.updatePreferredLength('tiny')).toThrow('Invalid length')
+    })
+  })
+
+  describe('Character limits', () => {
+    const InputDetector = require('../../src/lib/services/input-detector')
+
+    it('should read the limit from maxlength or the site\'s known limit', () => {
+      const textarea = document.createElement('textarea')
+      const composer = document.createElement('div')
+      const search = document.createElement('input')
+      textarea.setAttribute('maxlength', '140')
+      composer.setAttribute('contenteditable', 'true')
+
+      expect(InputDetector.getCharacterLimit(textarea, 'example.com')).toBe(140)
+      expect(InputDetector.getCharacterLimit(composer, 'bsky.app')).toBe(300)
+      expect(InputDetector.getCharacterLimit(composer, 'www.x.com')).toBe(280)
+      expect(InputDetector.getCharacterLimit(search, 'x.com')).toBeNull()
+      expect(InputDetector.getCharacterLimit(composer, 'example.com')).toBeNull()
+    })
+  })
+
+  describe('in the analysis', () => {
+    let TextAnalyzer
+    let TextDiff
+    let savedRewriter
+    let rewrite
+
+    const originalText = 'We basically need to make a decision about the launch date soon.'
+
+    const mockRewrites = (...outputs) => {
+      rewrite.mockImplementation(() => new Promise(resolve => {
+        setTimeout(() => resolve(outputs.shift()), 1)
+      }))
+    }
+
+    beforeEach(() => {
+      jest.resetModules()
+      savedRewriter = global.Rewriter
+      rewrite = jest.fn()
+      global.Rewriter = {
+        create: jest.fn(() => Promise.resolve({
+          inputQuota: 1000,
+          measureInputUsage: jest.fn(value => Promise.resolve(Math.ceil(value.length / 4))),
+          rewrite,
+          destroy: jest.fn()
+        }))
+      }
+      TextAnalyzer = require('../../src/lib/services/text-analyzer')
+      TextDiff = require('../../src/lib/services/text-diff')
+    })
+
+    afterEach(() => {
+      global.Rewriter = savedRewriter
+    })
+
+    it('should shorten the rewrite again until it fits the limit', async () => {
+      mockRewrites(
+        'We need to make a decision about the launch date soon.',
+        'We need to decide the launch date soon.',
+        'Decide the launch date soon.'
+      )
+
+      const result = await TextAnalyzer.analyzeText(originalText, { characterLimit: 30 })
+
+      expect(rewrite).toHaveBeenCalledTimes(3)
+      expect(rewrite.mock.calls[0][1].context).toContain('in at most 30 characters')
+      expect(rewrite.mock.calls[1][1].length).toBe('shorter')
+      expect(rewrite.mock.calls[1][0]).toBe('We need to make a decision about the launch date soon.')
+      expect(result.improvedText).toBe('Decide the launch date soon.')
+      expect(result.characterBudget).toEqual({ limit: 30, length: 28, fits: true })
+      expect(TextDiff.applyChanges(originalText, result.changes)).toBe(result.improvedText)
+    })
+
+    it('should keep the closest rewrite when it never fits', async () => {
+      mockRewrites(
+        'We need to decide the launch date soon.',
+        'We need to decide the launch date soon.'
+      )
+
+      const result = await TextAnalyzer.analyzeText(originalText, { characterLimit: 20 })
+
+      expect(rewrite).toHaveBeenCalledTimes(2)
+      expect(result.improvedText).toBe('We need to decide the launch date soon.')
+      expect(result.characterBudget.fits).toBe(false)
+    })
+  })
+
+  describe('in the overlay', () => {
+    let overlay
+
+    const query = selector => overlay.overlay.querySelector(selector)
+
+    beforeEach(() => {
+      const ClarityOverlay = require('../../src/lib/components/clarity-overlay')
+      const target = createMockInput('textarea', 'We basically need to ship it.')
+      document.body.appendChild(target)
+
+      overlay = new ClarityOverlay()
+      overlay.setCharacterLimit(20)
+      overlay.show(target, {
+        originalText: 'We basically need to ship it.',
+        improvedText: 'We need to ship it.',
+        changes: [{
+          changeType: 'conciseness',
+          originalPhrase: 'basically ',
+          improvedPhrase: '',
+          reason: 'Filler word',
+          startPosition: 3,
+          endPosition: 13
+        }],
+        confidenceScore: 0.8
+      })
+    })
+
+    afterEach(() => {
+      overlay.destroy()
+    })
+
+    it('should count the characters that would go into the field', () => {
+      expect(query('.isitclear-overlay__character-count').textContent).toBe('19/20')
+
+      query('[data-change-index="0"]').click()
+
+      const counter = query('.isitclear-overlay__character-count')
+      expect(counter.textContent).toBe('29/20')
+      expect(counter.classList.contains('isitclear-overlay__character-count--over')).toBe(true)
+    })
+
+    it('should update the count while the rewrite streams in', () => {
+      overlay.showPartialResult('We need')
+      overlay.showPartialResult('We need to ship')
+
+      expect(query('.isitclear-overlay__character-count').textContent).toBe('15/20')
+    })
+  })
+
+  describe('in the content script', () => {
+    it('should give a selection what the field has left', async () => {
+      jest.resetModules()
+      let analyzePayload = null
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+        if (message.type === 'ANALYZE_TEXT') {
+          analyzePayload = message.payload
+        }
+        callback({ success: false, error: 'Not needed' })
+      })
+
+      const textarea = document.createElement('textarea')
+      textarea.setAttribute('maxlength', '60')
+      textarea.value = 'Thanks for the update.\nWe basically need to ship it.'
+      document.body.appendChild(textarea)
+
+      const contentScript = require('../../src/content/content-script')
+      await contentScript.initialize()
+      contentScript.extensionState.activate(textarea)
+      textarea.setSelectionRange(23, textarea.value.length)
+      await contentScript._handleAnalyzeRequest(textarea)
+
+      expect(analyzePayload.characterLimit).toBe(60 - 23)
+      expect(contentScript.overlay.characterLimit).toBe(60 - 23)
+    })
+
+    it('should not rewrite a selection when the rest of the field fills the limit', async () => {
+      jest.resetModules()
+      const analyzeRequests = []
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+        if (message.type === 'ANALYZE_TEXT') {
+          analyzeRequests.push(message.payload)
+        }
+        callback({ success: false, error: 'Not needed' })
+      })
+
+      const textarea = document.createElement('textarea')
+      textarea.setAttribute('maxlength', '23')
+      textarea.value = 'Thanks for the update.\nWe basically need to ship it.'
+      document.body.appendChild(textarea)
+
+      const contentScript = require('../../src/content/content-script')
+      await contentScript.initialize()
+      const showError = jest.spyOn(contentScript.overlay, 'showError')
+      contentScript.extensionState.activate(textarea)
+      textarea.setSelectionRange(23, textarea.value.length)
+      await contentScript._handleAnalyzeRequest(textarea)
+
+      expect(analyzeRequests).toHaveLength(0)
+      expect(contentScript.overlay.characterLimit).toBe(0)
+      expect(showError).toHaveBeenCalledWith(expect.stringContaining('whole character limit'))
+    })
+  })
+})
@@ -0,0 +1,134 @@
+// ABOUTME: Unit tests for the meaning-preservation guard applied to every rewrite
+// ABOUTME: Tests fact checks, the confidence penalty and blocking accept in the overlay
+
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals')
+const MeaningGuard = require('../../src/lib/services/meaning-guard')
+
+describe('MeaningGuard', () => {
+  const originalText = 'Please ask @maria to send the $1,200 invoice to bob@example.com by ' +
+    'March 5, 2026. We will not extend it past Friday; see https://example.com/terms. ' +
+    'Our partner Acme called it a "final offer" and gave us 3 days.'
+
+  const typesOf = verification => verification.violations.map(violation => violation.type)
+
+  it('should pass a rewrite that keeps every fact', () => {
+    const improvedText = 'Ask @maria to send the $1200 invoice to bob@example.com by ' +
+      'March 5, 2026. We will not extend it past Friday (https://example.com/terms). ' +
+      'Acme gave us 3 days and called it a "final offer".'
+
+    expect(MeaningGuard.verify(originalText, improvedText)).toEqual({
+      passed: true,
+      violations: []
+    })
+  })
+
+  it('should report each kind of fact a rewrite dropped or changed', () => {
+    const improvedText = 'Ask Maria to send the invoice soon. We will extend the deadline. ' +
+      'The partner made an offer and gave us 4 days.'
+
+    const verification = MeaningGuard.verify(originalText, improvedText)
+
+    expect(verification.passed).toBe(false)
+    expect(typesOf(verification)).toEqual([
+      'url', 'email', 'mention', 'currency', 'date', 'date', 'number',
+      'proper-noun', 'quote', 'negation'
+    ])
+    expect(verification.violations[3]).toMatchObject({
+      value: '$1,200',
+      reason: 'An amount of money changed or is missing'
+    })
+  })
+
+  it('should not treat capitals at the start of a sentence as names', () => {
+    const verification = MeaningGuard.verify(
+      'Thanks for the notes. Maybe we can meet with Priya later.',
+      'We can meet with Priya later.'
+    )
+
+    expect(verification.passed).toBe(true)
+  })
+
+  it('should lower confidence for every violation down to a floor', () => {
+    const verification = { passed: false, violations: [{}, {}] }
+
+    expect(MeaningGuard.adjustConfidence(0.9, verification)).toBeCloseTo(0.6)
+    expect(MeaningGuard.adjustConfidence(0.9, { passed: true, violations: [] })).toBe(0.9)
+    expect(MeaningGuard.adjustConfidence(0.2, verification)).toBe(0.1)
+  })
+
+  describe('in the analysis result', () => {
+    let TextAnalyzer
+    let savedRewriter
+
+    beforeEach(() => {
+      jest.resetModules()
+      savedRewriter = global.Rewriter
+      global.Rewriter = {
+        create: jest.fn(() => Promise.resolve({
+          inputQuota: 1000,
+          measureInputUsage: jest.fn(value => Promise.resolve(Math.ceil(value.length / 4))),
+          rewrite: jest.fn(() => new Promise(resolve => {
+            setTimeout(() => resolve('We do need to ship by Friday.'), 1)
+          })),
+          destroy: jest.fn()
+        }))
+      }
+      TextAnalyzer = require('../../src/lib/services/text-analyzer')
+    })
+
+    afterEach(() => {
+      global.Rewriter = savedRewriter
+    })
+
+    it('should attach the verification and reduce the confidence score', async () => {
+      const result = await TextAnalyzer.analyzeText('We do not need to ship 2 builds by Friday.')
+
+      expect(typesOf(result.verification)).toEqual(['number', 'negation'])
+      expect(result.confidenceScore).toBeLessThanOrEqual(1 - 2 * 0.15)
+    })
+  })
+
+  describe('in the overlay', () => {
+    let overlay
+    let onAccept
+
+    const query = selector => overlay.overlay.querySelector(selector)
+
+    beforeEach(() => {
+      const ClarityOverlay = require('../../src/lib/components/clarity-overlay')
+      const target = createMockInput('textarea', 'We do not ship on Friday.')
+      document.body.appendChild(target)
+
+      onAccept = jest.fn()
+      overlay = new ClarityOverlay()
+      overlay.setCallbacks({ onAccept })
+      overlay.show(target, {
+        originalText: 'We do not ship on Friday.',
+        improvedText: 'We ship on Friday.',
+        changes: [],
+        confidenceScore: 0.55,
+        verification: MeaningGuard.verify('We do not ship on Friday.', 'We ship on Friday.')
+      })
+    })
+
+    afterEach(() => {
+      overlay.destroy()
+    })
+
+    it('should list violations and block accepting until the user confirms', () => {
+      expect(query('.isitclear-overlay__verification').textContent)
+        .toContain('A negation was dropped')
+      expect(query('[data-action="accept"]').disabled).toBe(true)
+
+      query('[data-action="accept"]').click()
+      expect(onAccept).not.toHaveBeenCalled()
+
+      query('[data-action="confirm-meaning"]').click()
+      expect(query('[data-action="confirm-meaning"]')).toBeNull()
+      expect(query('[data-action="accept"]').disabled).toBe(false)
+
+      query('[data-action="accept"]').click()
+      expect(onAccept).toHaveBeenCalled()
+    })
+  })
+})
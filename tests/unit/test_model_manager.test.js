@@ -0,0 +1,144 @@
+// ABOUTME: Unit tests for ModelManager availability checks and download tracking
+// ABOUTME: Tests the on-device model state machine with mocked Chrome AI APIs
+
+const { describe, it, expect, beforeEach } = require('@jest/globals')
+
+describe('ModelManager Unit Tests', () => {
+  let ModelManager
+
+  beforeEach(() => {
+    jest.resetModules()
+    global.Rewriter = {
+      availability: jest.fn().mockResolvedValue('available'),
+      create: jest.fn(() => createMockAISession('rewriter'))
+    }
+    global.Prompt = {
+      availability: jest.fn().mockResolvedValue('unavailable'),
+      create: jest.fn(() => createMockAISession('prompt'))
+    }
+    ModelManager = require('../../src/lib/services/model-manager')
+  })
+
+  describe('Availability Checks', () => {
+    it('should map availability() results onto model states', async () => {
+      Rewriter.availability.mockResolvedValue('downloadable')
+      Prompt.availability.mockResolvedValue('downloading')
+
+      const status = await ModelManager.refreshAvailability()
+
+      expect(status.rewriter.state).toBe('downloadable')
+      expect(status.prompt.state).toBe('downloading')
+    })
+
+    it('should accept legacy availability values', async () => {
+      Rewriter.availability.mockResolvedValue('readily')
+      Prompt.availability.mockResolvedValue('after-download')
+
+      const status = await ModelManager.refreshAvailability()
+
+      expect(status.rewriter.state).toBe('ready')
+      expect(status.prompt.state).toBe('downloadable')
+    })
+
+    it('should report missing APIs as unavailable with a reason', async () => {
+      global.Prompt = undefined
+
+      const status = await ModelManager.checkAvailability('prompt')
+
+      expect(status.state).toBe('unavailable')
+      expect(status.reason).toContain('not available')
+    })
+
+    it('should reject unknown API types', async () => {
+      await expect(ModelManager.checkAvailability('summarizer')).rejects.toThrow('Invalid API type')
+    })
+
+    it('should prefer the most usable API for the overall status', async () => {
+      Rewriter.availability.mockResolvedValue('downloadable')
+      Prompt.availability.mockResolvedValue('available')
+
+      await ModelManager.refreshAvailability()
+
+      expect(ModelManager.getOverallStatus()).toMatchObject({ apiType: 'prompt', state: 'ready' })
+    })
+  })
+
+  describe('Downloads', () => {
+    it('should track download progress until the model is ready', async () => {
+      Rewriter.availability.mockResolvedValue('downloadable')
+      Rewriter.create.mockImplementation(({ monitor }) => {
+        const target = new EventTarget()
+        monitor(target)
+        for (const loaded of [0.25, 0.5, 1]) {
+          const event = new Event('downloadprogress')
+          event.loaded = loaded
+          target.dispatchEvent(event)
+        }
+        return Promise.resolve(createMockAISession('rewriter'))
+      })
+
+      const updates = []
+      ModelManager.onStatusChange(status => updates.push(`${status.state}:${status.progress}`))
+
+      const result = await ModelManager.startDownload('rewriter')
+
+      expect(result.state).toBe('ready')
+      expect(updates).toEqual([
+        'downloadable:null',
+        'downloading:0',
+        'downloading:25',
+        'downloading:50',
+        'downloading:100',
+        'ready:null'
+      ])
+      expect(ModelManager.isDownloading('rewriter')).toBe(false)
+    })
+
+    it('should return to downloadable when the download fails', async () => {
+      Rewriter.availability.mockResolvedValue('downloadable')
+      Rewriter.create.mockRejectedValue(new Error('Not enough disk space'))
+
+      await expect(ModelManager.startDownload('rewriter')).rejects.toThrow('Not enough disk space')
+
+      expect(ModelManager.getStatus().rewriter).toMatchObject({
+        state: 'downloadable',
+        reason: 'Not enough disk space'
+      })
+    })
+
+    it('should refuse to download on unsupported devices', async () => {
+      Rewriter.availability.mockResolvedValue('unavailable')
+
+      await expect(ModelManager.startDownload('rewriter')).rejects.toThrow('cannot be downloaded')
+      expect(Rewriter.create).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Content script status polling', () => {
+    it('should stop polling a download it started for an analysis', async () => {
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+        callback(message.type === 'ANALYZE_TEXT'
+          ? { success: false, error: 'Model not ready', modelStatus: { state: 'downloading' } }
+          : { success: false, error: 'Not needed' })
+      })
+      const textarea = createMockInput('textarea', 'We basically need to ship it.')
+      document.body.appendChild(textarea)
+
+      const contentScript = require('../../src/content/content-script')
+      await contentScript.initialize()
+      contentScript.extensionState.activate(textarea)
+      contentScript.overlay.show(textarea)
+      await contentScript._handleAnalyzeRequest(textarea)
+
+      const poller = contentScript.modelStatusPoller
+      expect(poller).not.toBeNull()
+
+      const clearIntervalSpy = jest.spyOn(global, 'clearInterval')
+      contentScript._handleCloseOverlay()
+
+      expect(clearIntervalSpy).toHaveBeenCalledWith(poller)
+      expect(contentScript.modelStatusPoller).toBeNull()
+      clearIntervalSpy.mockRestore()
+    })
+  })
+})
@@ -0,0 +1,320 @@
+// ABOUTME: Unit tests for the extension options page
+// ABOUTME: Tests preference editing and validation, the shortcut recorder and data management
+
+const { describe, it, expect, beforeEach } = require('@jest/globals')
+const fs = require('fs')
+const path = require('path')
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0))
+
+const optionsHtml = fs.readFileSync(
+  path.join(__dirname, '../../src/options/options.html'),
+  'utf8'
+)
+
+describe('Options Page', () => {
+  let OptionsPage
+  let page
+  let sentMessages
+  let responses
+
+  const byId = (id) => document.getElementById(id)
+  const updates = () => sentMessages.filter(message => message.type === 'UPDATE_PREFERENCES')
+
+  beforeEach(async () => {
+    jest.resetModules()
+    document.body.innerHTML = optionsHtml.match(/<body>([\s\S]*)<\/body>/)[1]
+
+    sentMessages = []
+    responses = {
+      GET_PREFERENCES: {
+        success: true,
+        preferences: {
+          activationMethod: 'shortcut',
+          keyboardShortcut: 'Ctrl+Shift+C',
+          autoActivateMinWords: 5,
+          preferredTone: 'formal',
+          showChangeDetails: false,
+          enabledDomains: ['example.com'],
+          disabledDomains: [],
+          lastModified: '2026-01-01T00:00:00.000Z'
+        }
+      },
+      GET_ANALYTICS: {
+        success: true,
+        analytics: { analysisCount: 12, acceptanceRate: 0.75, averageProcessingTime: 840.4, undoCount: 2 }
+      },
+      GET_HISTORY: {
+        success: true,
+        history: [{
+          id: 'analysis_1',
+          timestamp: new Date('2026-01-05T10:00:00Z'),
+          originalText: '<b>We basically need</b> to utilize it.',
+          summary: { changeCount: 2, confidenceLevel: 'high' }
+        }]
+      },
+      UPDATE_PREFERENCES: { success: true },
+      CLEAR_HISTORY: { success: true },
+      RESET_ANALYTICS: { success: true }
+    }
+    chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+      sentMessages.push(message)
+      callback(responses[message.type])
+    })
+
+    OptionsPage = require('../../src/options/options')
+    page = new OptionsPage()
+    await page.initialize()
+  })
+
+  describe('Preferences', () => {
+    it('should show every stored preference', () => {
+      expect(byId('activation-method').value).toBe('shortcut')
+      expect(byId('keyboard-shortcut').value).toBe('Ctrl+Shift+C')
+      expect(byId('min-words').value).toBe('5')
+      expect(byId('preferred-tone').value).toBe('formal')
+      expect(byId('show-change-details').checked).toBe(false)
+      expect(byId('enabled-domains').textContent).toContain('example.com')
+    })
+
+    it('should save a changed preference', async () => {
+      byId('preferred-tone').value = 'casual'
+      byId('preferred-tone').dispatchEvent(new Event('change'))
+      await flush()
+
+      expect(updates()).toHaveLength(1)
+      expect(updates()[0].payload.preferredTone).toBe('casual')
+      expect(byId('save-status').textContent).toBe('Settings saved')
+    })
+
+    it('should save how many suggestions to compare', async () => {
+      expect(byId('rewrite-candidates').value).toBe('1')
+
+      byId('rewrite-candidates').value = '5'
+      byId('rewrite-candidates').dispatchEvent(new Event('change'))
+      await flush()
+
+      expect(updates()[0].payload.rewriteCandidates).toBe(5)
+    })
+
+    it('should save the audience and clear the target reading level', async () => {
+      byId('target-audience').value = 'technical'
+      byId('target-audience').dispatchEvent(new Event('change'))
+      await flush()
+
+      byId('target-grade').value = '8'
+      byId('target-grade').dispatchEvent(new Event('change'))
+      await flush()
+
+      byId('target-grade').value = ''
+      byId('target-grade').dispatchEvent(new Event('change'))
+      await flush()
+
+      expect(updates()[1].payload).toMatchObject({ targetAudience: 'technical', targetGrade: 8 })
+      expect(updates()[2].payload.targetGrade).toBeNull()
+    })
+
+    it('should reject a minimum word count outside the allowed range', async () => {
+      byId('min-words').value = '500'
+      byId('min-words').dispatchEvent(new Event('change'))
+      await flush()
+
+      expect(updates()).toHaveLength(0)
+      expect(byId('min-words-error').textContent).not.toBe('')
+      expect(byId('min-words').value).toBe('5')
+    })
+  })
+
+  describe('Domain lists', () => {
+    it('should show a validation error for an invalid domain', async () => {
+      byId('disabled-domain-input').value = 'not a domain'
+      byId('add-disabled-domain').click()
+      await flush()
+
+      expect(updates()).toHaveLength(0)
+      expect(byId('disabled-domain-error').textContent).toContain('example.com')
+    })
+
+    it('should move a domain between lists when it is added to the other one', async () => {
+      byId('disabled-domain-input').value = 'example.com'
+      byId('add-disabled-domain').click()
+      await flush()
+
+      const payload = updates()[0].payload
+      expect(payload.disabledDomains).toEqual(['example.com'])
+      expect(payload.enabledDomains).toEqual([])
+      expect(byId('disabled-domain-input').value).toBe('')
+      expect(byId('enabled-domains').children).toHaveLength(0)
+    })
+
+    it('should remove a domain', async () => {
+      byId('enabled-domains').querySelector('[data-remove-domain="example.com"]').click()
+      await flush()
+
+      expect(updates()[0].payload.enabledDomains).toEqual([])
+    })
+  })
+
+  describe('Glossary', () => {
+    it('should save protected terms and preferred wording', async () => {
+      byId('protected-term-input').value = 'IsItClear'
+      byId('add-protected-term').click()
+      await flush()
+
+      byId('glossary-term-input').value = 'utilize'
+      byId('glossary-replacement-input').value = 'use'
+      byId('add-glossary-entry').click()
+      await flush()
+
+      expect(updates()[1].payload).toMatchObject({
+        protectedTerms: ['IsItClear'],
+        glossary: [{ term: 'utilize', replacement: 'use' }]
+      })
+      expect(byId('glossary-entries').textContent).toContain('utilize → use')
+    })
+
+    it('should require a replacement for a glossary term', async () => {
+      byId('glossary-term-input').value = 'utilize'
+      byId('add-glossary-entry').click()
+      await flush()
+
+      expect(updates()).toHaveLength(0)
+      expect(byId('glossary-error').textContent).toContain('Glossary terms')
+    })
+  })
+
+  describe('Style guide', () => {
+    it('should import a YAML style guide and list its rules', async () => {
+      const file = {
+        name: 'house-style.yaml',
+        text: () => Promise.resolve('name: Acme house style\nbannedWords: [leverage]\n')
+      }
+
+      expect(await page._handleImportStyleGuide(file)).toBe(true)
+
+      expect(updates()[0].payload.styleGuide).toMatchObject({
+        name: 'Acme house style',
+        bannedWords: ['leverage']
+      })
+      expect(byId('style-guide-status').textContent).toBe('Acme house style')
+      expect(byId('style-guide-rules').textContent).toContain('leverage')
+    })
+
+    it('should report a style guide with unknown rules', async () => {
+      const file = { name: 'style.json', text: () => Promise.resolve('{"bannedWrods": []}') }
+
+      expect(await page._handleImportStyleGuide(file)).toBe(false)
+
+      expect(updates()).toHaveLength(0)
+      expect(byId('style-guide-error').textContent).toContain('Unknown style guide rule')
+    })
+  })
+
+  describe('Shortcut recorder', () => {
+    const pressKey = (init) => document.dispatchEvent(new KeyboardEvent('keydown', init))
+
+    it('should record a modifier and letter combination', async () => {
+      byId('record-shortcut-button').click()
+      expect(byId('keyboard-shortcut').classList.contains('recording')).toBe(true)
+
+      pressKey({ key: 'Alt', altKey: true })
+      pressKey({ key: 'k', code: 'KeyK', altKey: true, shiftKey: true })
+      await flush()
+
+      expect(updates()[0].payload.keyboardShortcut).toBe('Alt+Shift+K')
+      expect(byId('keyboard-shortcut').value).toBe('Alt+Shift+K')
+      expect(byId('keyboard-shortcut').classList.contains('recording')).toBe(false)
+    })
+
+    it('should reject a letter pressed without a modifier', async () => {
+      byId('record-shortcut-button').click()
+      pressKey({ key: 'k', code: 'KeyK' })
+      await flush()
+
+      expect(updates()).toHaveLength(0)
+      expect(byId('keyboard-shortcut-error').textContent).not.toBe('')
+      expect(byId('keyboard-shortcut').value).toBe('Ctrl+Shift+C')
+    })
+  })
+
+  describe('History and statistics', () => {
+    it('should render history entries as text', () => {
+      const item = byId('history-list').querySelector('.history-item')
+
+      expect(item.querySelector('.history-text').textContent)
+        .toBe('<b>We basically need</b> to utilize it.')
+      expect(item.querySelector('b')).toBeNull()
+      expect(item.querySelector('.history-meta').textContent).toContain('2 changes')
+      expect(byId('history-empty').style.display).toBe('none')
+    })
+
+    it('should render statistics', () => {
+      expect(byId('analysis-count').textContent).toBe('12')
+      expect(byId('acceptance-rate').textContent).toBe('75%')
+      expect(byId('avg-processing-time').textContent).toBe('840ms')
+    })
+
+    it('should search history with the chosen filters', async () => {
+      byId('history-search').value = ' utilize '
+      byId('history-domain').value = 'Mail.Example.com'
+      byId('history-from').value = '2026-01-05'
+      byId('history-outcome').value = 'accepted'
+      byId('history-outcome').dispatchEvent(new Event('change'))
+      await flush()
+
+      const request = sentMessages.filter(message => message.type === 'GET_HISTORY').pop()
+      expect(request.payload).toEqual({
+        limit: 50,
+        query: 'utilize',
+        domain: 'mail.example.com',
+        outcome: 'accepted',
+        from: new Date(2026, 0, 5).getTime()
+      })
+    })
+
+    it('should clear history after confirmation', async () => {
+      window.confirm = jest.fn(() => true)
+      responses.GET_HISTORY = { success: true, history: [] }
+
+      await page._handleClearHistory()
+
+      expect(sentMessages.map(message => message.type)).toContain('CLEAR_HISTORY')
+      expect(byId('history-list').children).toHaveLength(0)
+      expect(byId('history-empty').style.display).toBe('block')
+    })
+  })
+
+  describe('Data management', () => {
+    it('should import settings from an exported file', async () => {
+      const file = {
+        text: () => Promise.resolve(JSON.stringify({
+          preferences: { activationMethod: 'manual', disabledDomains: ['*.internal.net'] }
+        }))
+      }
+
+      expect(await page._handleImportSettings(file)).toBe(true)
+
+      expect(updates()[0].payload.activationMethod).toBe('manual')
+      expect(byId('activation-method').value).toBe('manual')
+      expect(byId('disabled-domains').textContent).toContain('*.internal.net')
+    })
+
+    it('should refuse an import that fails validation', async () => {
+      const file = { text: () => Promise.resolve('{"preferredTone":"sarcastic"}') }
+
+      expect(await page._handleImportSettings(file)).toBe(false)
+
+      expect(updates()).toHaveLength(0)
+      expect(byId('data-error').textContent).toContain('Could not import settings')
+    })
+
+    it('should reset settings to the defaults', async () => {
+      window.confirm = jest.fn(() => true)
+
+      await page._handleResetSettings()
+
+      expect(updates()[0].payload.activationMethod).toBe('auto')
+      expect(updates()[0].payload.enabledDomains).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,103 @@
+// ABOUTME: Unit tests for isolating the ClarityOverlay from the host page
+// ABOUTME: Tests closed shadow root rendering, hostile page styles and event retargeting
+
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals')
+const ClarityOverlay = require('../../src/lib/components/clarity-overlay')
+
+describe('ClarityOverlay Isolation', () => {
+  const analysisResult = {
+    originalText: 'We basically need to utilize the new tool.',
+    improvedText: 'We need to use the new tool.',
+    changes: [],
+    confidenceScore: 0.8
+  }
+  let overlay
+  let target
+
+  const host = () => document.querySelector('isitclear-overlay-host')
+
+  const addPageStyles = (css) => {
+    const style = document.createElement('style')
+    style.textContent = css
+    document.head.appendChild(style)
+  }
+
+  beforeEach(() => {
+    document.head.innerHTML = ''
+    document.body.innerHTML = ''
+    target = document.createElement('textarea')
+    target.value = analysisResult.originalText
+    document.body.appendChild(target)
+
+    overlay = new ClarityOverlay()
+  })
+
+  afterEach(() => {
+    overlay.destroy()
+  })
+
+  it('should render inside a closed shadow root without touching the page head', () => {
+    overlay.show(target, analysisResult)
+
+    expect(host()).not.toBeNull()
+    expect(host().shadowRoot).toBeNull()
+    expect(document.querySelector('.isitclear-overlay')).toBeNull()
+    expect(document.head.querySelectorAll('style')).toHaveLength(0)
+    expect(overlay.overlay.getRootNode().querySelector('style').textContent)
+      .toContain('.isitclear-overlay__header')
+  })
+
+  it('should keep the host visible under hostile page styles', () => {
+    addPageStyles([
+      '* { all: unset; }',
+      'div { display: none; }',
+      'isitclear-overlay-host { display: none !important; position: static !important; }'
+    ].join('\n'))
+
+    overlay.show(target, analysisResult)
+    const style = window.getComputedStyle(host())
+
+    expect(style.display).toBe('block')
+    expect(style.position).toBe('fixed')
+    expect(host().style.getPropertyPriority('display')).toBe('important')
+  })
+
+  it('should not be reachable by page selectors', () => {
+    addPageStyles('div { display: none; }')
+
+    overlay.show(target, analysisResult)
+
+    expect(Array.from(document.querySelectorAll('div'))).not.toContain(overlay.overlay)
+    expect(overlay.overlay.querySelector('.isitclear-overlay__improvement-text').textContent)
+      .toContain(analysisResult.improvedText)
+  })
+
+  it('should stay open for clicks inside the overlay and close for clicks outside', () => {
+    const onClose = jest.fn()
+    overlay.setCallbacks({ onClose })
+    overlay.show(target, analysisResult)
+
+    overlay.overlay.querySelector('.isitclear-overlay__header')
+      .dispatchEvent(new MouseEvent('click', { bubbles: true, composed: true }))
+    expect(overlay.getState().isVisible).toBe(true)
+
+    document.body.dispatchEvent(new MouseEvent('click', { bubbles: true, composed: true }))
+    expect(overlay.getState().isVisible).toBe(false)
+    expect(onClose).toHaveBeenCalled()
+  })
+
+  it('should keep the callback and state API unchanged', () => {
+    const onAccept = jest.fn()
+    overlay.setCallbacks({ onAccept })
+    overlay.show(target, analysisResult)
+
+    overlay.overlay.querySelector('[data-action="accept"]').click()
+
+    expect(onAccept).toHaveBeenCalledWith(analysisResult, target, null)
+    expect(overlay.getState()).toEqual({
+      isVisible: true,
+      hasAnalysisResult: true,
+      targetElement: target
+    })
+  })
+})
@@ -0,0 +1,123 @@
+// ABOUTME: Unit tests for protected terms and the personal glossary
+// ABOUTME: Tests masking before the model call, restoring, glossary wording and flagging damage
+
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals')
+const TermProtector = require('../../src/lib/services/term-protector')
+const UserPreferences = require('../../src/lib/models/user-preferences')
+
+describe('Protected Terms', () => {
+  describe('TermProtector', () => {
+    it('should mask protected terms and code identifiers with placeholders', () => {
+      const protection = TermProtector.mask(
+        'IsItClear Pro sends GET_PREFERENCES through `chrome.runtime` to sendMessage.',
+        ['IsItClear Pro', 'IsItClear']
+      )
+
+      expect(protection.text).toBe('⟦1⟧ sends ⟦2⟧ through ⟦3⟧ to ⟦4⟧.')
+      expect(protection.terms).toEqual([
+        'IsItClear Pro', 'GET_PREFERENCES', '`chrome.runtime`', 'sendMessage'
+      ])
+    })
+
+    it('should restore every placeholder, including repeated ones', () => {
+      const protection = TermProtector.mask('Ask about GET_PREFERENCES.', [])
+
+      expect(TermProtector.restore('⟦1⟧ returns data; call ⟦1⟧ once.', protection))
+        .toBe('GET_PREFERENCES returns data; call GET_PREFERENCES once.')
+    })
+
+    it('should apply preferred wording as whole words, keeping a leading capital', () => {
+      const glossary = [{ term: 'utilize', replacement: 'use' }]
+
+      expect(TermProtector.applyGlossary('Utilize it, but do not overutilize ⟦1⟧.', glossary))
+        .toBe('Use it, but do not overutilize ⟦1⟧.')
+    })
+  })
+
+  describe('UserPreferences', () => {
+    it('should store terms and glossary entries and round-trip them through JSON', () => {
+      const preferences = new UserPreferences()
+      preferences.addProtectedTerm(' IsItClear ')
+      preferences.addProtectedTerm('IsItClear')
+      preferences.setGlossaryEntry('utilize', 'use')
+      preferences.setGlossaryEntry('Utilize', 'employ')
+
+      const restored = UserPreferences.fromJSON(preferences.toJSON())
+
+      expect(restored.protectedTerms).toEqual(['IsItClear'])
+      expect(restored.glossary).toEqual([{ term: 'Utilize', replacement: 'employ' }])
+    })
+
+    it('should reject empty terms', () => {
+      const preferences = new UserPreferences()
+
+      expect(() => preferences.addProtectedTerm('  ')).toThrow('Protected term')
+      expect(() => new UserPreferences({ glossary: [{ term: 'x' }] })).toThrow('glossary')
+    })
+  })
+
+  describe('TextAnalyzer', () => {
+    let TextAnalyzer
+    let savedRewriter
+    let rewrite
+
+    const preferences = new UserPreferences({
+      protectedTerms: ['IsItClear'],
+      glossary: [{ term: 'utilize', replacement: 'use' }]
+    })
+
+    beforeEach(() => {
+      jest.resetModules()
+      savedRewriter = global.Rewriter
+      rewrite = jest.fn()
+      global.Rewriter = {
+        create: jest.fn(() => Promise.resolve({
+          inputQuota: 1000,
+          measureInputUsage: jest.fn(value => Promise.resolve(Math.ceil(value.length / 4))),
+          rewrite,
+          destroy: jest.fn()
+        }))
+      }
+      TextAnalyzer = require('../../src/lib/services/text-analyzer')
+    })
+
+    afterEach(() => {
+      global.Rewriter = savedRewriter
+    })
+
+    const respondWith = (text) => rewrite.mockImplementation(() => new Promise(resolve => {
+      setTimeout(() => resolve(text), 1)
+    }))
+
+    it('should hide protected terms from the model and restore them afterwards', async () => {
+      respondWith('We utilize ⟦1⟧ to check ⟦2⟧ quickly.')
+
+      const result = await TextAnalyzer.analyzeText(
+        'We basically utilize IsItClear for checking GET_PREFERENCES quickly.',
+        { userPreferences: preferences }
+      )
+
+      expect(rewrite.mock.calls[0][0])
+        .toBe('We basically utilize ⟦1⟧ for checking ⟦2⟧ quickly.')
+      expect(result.improvedText).toBe('We use IsItClear to check GET_PREFERENCES quickly.')
+      expect(result.verification.passed).toBe(true)
+      result.changes.forEach(change => {
+        expect(result.originalText.slice(change.startPosition, change.endPosition))
+          .toBe(change.originalPhrase)
+      })
+    })
+
+    it('should flag a protected term the model altered anyway', async () => {
+      respondWith('We use the checker for ⟦2⟧.')
+
+      const result = await TextAnalyzer.analyzeText(
+        'We utilize IsItClear for GET_PREFERENCES.',
+        { userPreferences: preferences }
+      )
+
+      expect(result.verification.violations).toEqual([
+        expect.objectContaining({ type: 'protected-term', value: 'IsItClear' })
+      ])
+    })
+  })
+})
@@ -0,0 +1,126 @@
+// ABOUTME: Unit tests for the local readability metrics and their before/after comparison
+// ABOUTME: Tests syllable counting, Flesch scores, the analysis result and the overlay table
+
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals')
+const Readability = require('../../src/lib/services/readability')
+
+describe('Readability', () => {
+  it('should count syllables with common English spelling rules', () => {
+    const counts = ['cat', 'table', 'make', 'jumped', 'decided', 'recommendation']
+      .map(word => Readability.countSyllables(word))
+
+    expect(counts).toEqual([1, 2, 1, 1, 3, 5])
+  })
+
+  it('should compute Flesch scores, sentence length and complex words', () => {
+    const metrics = Readability.measure('The cat sat on the mat. The dog ran to the recommendation.')
+
+    expect(metrics).toMatchObject({
+      wordCount: 12,
+      sentenceCount: 2,
+      averageSentenceLength: 6,
+      complexWordPercentage: 8.3,
+      passiveSentenceCount: 0
+    })
+    // 16 syllables over 12 words and 2 sentences
+    expect(metrics.fleschReadingEase).toBeCloseTo(206.835 - 1.015 * 6 - 84.6 * 16 / 12, 1)
+    expect(metrics.fleschKincaidGrade).toBeCloseTo(0.39 * 6 + 11.8 * 16 / 12 - 15.59, 1)
+  })
+
+  it('should count sentences written in the passive voice', () => {
+    const metrics = Readability.measure(
+      'The report was written by Ana. She sent it. The budget is approved.'
+    )
+
+    expect(metrics.passiveSentenceCount).toBe(2)
+  })
+
+  it('should return zeroed metrics for text without words', () => {
+    expect(Readability.measure('  ...  ')).toMatchObject({ wordCount: 0, fleschReadingEase: 0 })
+  })
+
+  describe('in the analysis result', () => {
+    let TextAnalyzer
+    let savedRewriter
+
+    const originalText = 'Due to the fact that the implementation was delayed by the ' +
+      'organization, the committee made a decision to reconsider the proposal.'
+    const improvedText = 'The team delayed the work. So the committee chose to look at the plan again.'
+
+    beforeEach(() => {
+      jest.resetModules()
+      savedRewriter = global.Rewriter
+      global.Rewriter = {
+        create: jest.fn(() => Promise.resolve({
+          inputQuota: 1000,
+          measureInputUsage: jest.fn(value => Promise.resolve(Math.ceil(value.length / 4))),
+          rewrite: jest.fn(() => new Promise(resolve => {
+            setTimeout(() => resolve(improvedText), 1)
+          })),
+          destroy: jest.fn()
+        }))
+      }
+      TextAnalyzer = require('../../src/lib/services/text-analyzer')
+    })
+
+    afterEach(() => {
+      global.Rewriter = savedRewriter
+    })
+
+    it('should measure both the original and the improved text', async () => {
+      const result = await TextAnalyzer.analyzeText(originalText)
+
+      expect(result.readability.original).toEqual(Readability.measure(originalText))
+      expect(result.readability.improved).toEqual(Readability.measure(improvedText))
+      expect(result.readability.improved.fleschReadingEase)
+        .toBeGreaterThan(result.readability.original.fleschReadingEase)
+      expect(result.readability.original.passiveSentenceCount).toBe(1)
+    })
+
+    it('should flag a rewrite that reads worse than the original', () => {
+      const { reasons } = TextAnalyzer.assessAnalysisQuality({
+        originalText: improvedText,
+        improvedText: originalText,
+        confidenceScore: 0.9,
+        processingTime: 100,
+        changes: [{}]
+      })
+
+      expect(reasons).toEqual(expect.arrayContaining([
+        'Lower reading ease than the original',
+        'More passive sentences than the original'
+      ]))
+    })
+  })
+
+  describe('in the overlay', () => {
+    let overlay
+
+    afterEach(() => {
+      overlay.destroy()
+    })
+
+    it('should show a before/after comparison marking improvements', () => {
+      const ClarityOverlay = require('../../src/lib/components/clarity-overlay')
+      const target = createMockInput('textarea', 'Some text.')
+      document.body.appendChild(target)
+      overlay = new ClarityOverlay()
+
+      overlay.show(target, {
+        originalText: 'Some text.',
+        improvedText: 'Text.',
+        changes: [],
+        confidenceScore: 0.8,
+        readability: Readability.compare(
+          'The proposal was reconsidered by the organization.',
+          'The group looked at the plan again.'
+        )
+      })
+
+      const rows = overlay.overlay.querySelectorAll('.isitclear-overlay__readability tbody tr')
+      expect(rows).toHaveLength(5)
+      expect(rows[0].textContent).toContain('Reading ease')
+      expect(rows[4].querySelector('.isitclear-overlay__metric--better').textContent).toBe('0')
+    })
+  })
+})
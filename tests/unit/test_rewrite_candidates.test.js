@@ -0,0 +1,173 @@
+// ABOUTME: Unit tests for offering several rewrite candidates for the same text
+// ABOUTME: Tests generating variations, ranking them and paging through them in the overlay
+
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals')
+
+describe('Rewrite candidates', () => {
+  describe('in the analysis', () => {
+    let TextAnalyzer
+    let AIService
+    let savedRewriter
+    let rewrite
+
+    const originalText = 'We basically need to ship 2 builds by Friday.'
+    const rewrites = {
+      'as-is': 'We need to ship builds by Friday.',
+      shorter: 'Ship 2 builds by Friday.',
+      'more-casual': 'Ship 2 builds by Friday.',
+      'more-formal': 'We must ship 2 builds by Friday.'
+    }
+
+    beforeEach(() => {
+      jest.resetModules()
+      savedRewriter = global.Rewriter
+      rewrite = jest.fn((text, options) => new Promise(resolve => {
+        const key = options.length === 'shorter' ? 'shorter' : options.tone
+        setTimeout(() => resolve(rewrites[key]), 1)
+      }))
+      global.Rewriter = {
+        create: jest.fn(() => Promise.resolve({
+          inputQuota: 1000,
+          measureInputUsage: jest.fn(value => Promise.resolve(Math.ceil(value.length / 4))),
+          rewrite,
+          destroy: jest.fn()
+        }))
+      }
+      TextAnalyzer = require('../../src/lib/services/text-analyzer')
+      AIService = require('../../src/lib/services/ai-service')
+    })
+
+    afterEach(() => {
+      global.Rewriter = savedRewriter
+    })
+
+    it('should offer distinct variations and rank those that keep the facts first', async () => {
+      const result = await TextAnalyzer.analyzeText(originalText, {
+        userPreferences: { rewriteCandidates: 3 }
+      })
+
+      // The casual rewrite repeats the shorter one, so the formal one replaces it
+      expect(rewrite).toHaveBeenCalledTimes(4)
+      expect(result.candidates.map(candidate => candidate.variation))
+        .toEqual(['Shorter', 'More formal', 'Suggested'])
+      expect(result.candidates[2].verification.passed).toBe(false)
+      expect(result.improvedText).toBe('Ship 2 builds by Friday.')
+      expect(result.variation).toBe('Shorter')
+    })
+
+    it('should write every variation with the session of the first rewrite', async () => {
+      await TextAnalyzer.analyzeText(originalText, {
+        userPreferences: { rewriteCandidates: 5 }
+      })
+
+      expect(rewrite).toHaveBeenCalledTimes(5)
+      expect(Rewriter.create).toHaveBeenCalledTimes(1)
+      expect(AIService.sessions.size).toBe(1)
+    })
+
+    it('should make a single rewrite when only one candidate is wanted', async () => {
+      const result = await TextAnalyzer.analyzeText(originalText, {
+        userPreferences: { rewriteCandidates: 1 }
+      })
+
+      expect(rewrite).toHaveBeenCalledTimes(1)
+      expect(result.candidates).toHaveLength(1)
+    })
+
+    it('should leave extra candidates to users who ask for them', async () => {
+      const UserPreferences = require('../../src/lib/models/user-preferences')
+
+      const result = await TextAnalyzer.analyzeText(originalText, {
+        userPreferences: new UserPreferences()
+      })
+
+      expect(rewrite).toHaveBeenCalledTimes(1)
+      expect(result.candidates).toHaveLength(1)
+    })
+
+    it('should skip variations that match the user\'s own settings', () => {
+      const variations = AIService._getCandidateVariations({ tone: 'more-casual', length: 'as-is' })
+
+      expect(variations.map(variation => variation.label))
+        .toEqual(['Shorter', 'More formal', 'Longer'])
+    })
+  })
+
+  describe('in the overlay', () => {
+    let overlay
+    let target
+    let onAccept
+
+    const query = selector => overlay.overlay.querySelector(selector)
+    const pressKey = (element, key) =>
+      element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }))
+
+    const candidates = [
+      { improvedText: 'Ship 2 builds by Friday.', confidenceScore: 0.9, variation: 'Shorter' },
+      {
+        improvedText: 'We must ship 2 builds by Friday.',
+        confidenceScore: 0.8,
+        variation: 'More formal'
+      }
+    ].map(candidate => ({ ...candidate, changes: [] }))
+
+    beforeEach(() => {
+      const ClarityOverlay = require('../../src/lib/components/clarity-overlay')
+      target = createMockInput('textarea', 'We basically need to ship 2 builds by Friday.')
+      document.body.appendChild(target)
+
+      onAccept = jest.fn()
+      overlay = new ClarityOverlay()
+      overlay.setCallbacks({ onAccept })
+      overlay.show(target, {
+        originalText: 'We basically need to ship 2 builds by Friday.',
+        ...candidates[0],
+        historyId: 'analysis_1',
+        candidates
+      })
+    })
+
+    afterEach(() => {
+      overlay.destroy()
+    })
+
+    it('should page through candidates with the arrow keys and accept the one shown', () => {
+      expect(query('.isitclear-overlay__candidate-label').textContent)
+        .toContain('1 of 2 · Shorter')
+
+      pressKey(query('[data-action="next-candidate"]'), 'ArrowRight')
+
+      expect(query('.isitclear-overlay__candidate-label').textContent)
+        .toContain('2 of 2 · More formal')
+      expect(query('.isitclear-overlay__improvement-text').textContent)
+        .toContain('We must ship 2 builds by Friday.')
+      expect(query('[data-action="next-candidate"]').disabled).toBe(true)
+
+      query('[data-action="accept"]').click()
+
+      expect(onAccept.mock.calls[0][0]).toMatchObject({
+        improvedText: 'We must ship 2 builds by Friday.',
+        historyId: 'analysis_1'
+      })
+    })
+
+    it('should leave arrow keys typed in a field to the field', () => {
+      pressKey(target, 'ArrowRight')
+
+      expect(query('.isitclear-overlay__candidate-label').textContent).toContain('1 of 2')
+    })
+
+    it('should leave arrow keys typed in a field inside a shadow root to the field', () => {
+      const host = document.createElement('div')
+      document.body.appendChild(host)
+      const field = document.createElement('textarea')
+      host.attachShadow({ mode: 'open' }).appendChild(field)
+      const event = new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true, composed: true })
+
+      field.dispatchEvent(event)
+
+      expect(event.defaultPrevented).toBe(false)
+      expect(query('.isitclear-overlay__candidate-label').textContent).toContain('1 of 2')
+    })
+  })
+})
@@ -0,0 +1,147 @@
+// ABOUTME: Unit tests for checking text selected on read-only pages
+// ABOUTME: Tests the content script's selection analysis, the result popover and copy-to-clipboard
+
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals')
+
+describe('Read-only Selection Analysis', () => {
+  const selectedText = 'We basically need to utilize the new tool.'
+  const improvedText = 'We need to use the new tool.'
+
+  describe('Content script', () => {
+    let contentScript
+    let respond
+    let messages
+    let getSelection
+
+    const selectSpan = () => {
+      const range = document.createRange()
+      range.selectNodeContents(document.querySelector('#selected'))
+      const selection = document.getSelection()
+      selection.removeAllRanges()
+      selection.addRange(range)
+    }
+
+    const panel = () => contentScript.selectionResult.panel
+
+    beforeEach(async () => {
+      jest.resetModules()
+      document.body.innerHTML =
+        `<p>Release notes. <span id="selected">${selectedText}</span> It ships Friday.</p>`
+
+      getSelection = window.getSelection
+      window.getSelection = () => document.getSelection()
+
+      // jsdom does not lay out ranges
+      Range.prototype.getBoundingClientRect = () => ({ left: 40, top: 100, bottom: 120 })
+
+      messages = []
+      respond = message => ({
+        success: true,
+        result: { originalText: message.payload.text, improvedText, changes: [] }
+      })
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+        messages.push(message)
+        const response = respond(message)
+        if (response) callback(response)
+      })
+
+      contentScript = require('../../src/content/content-script')
+      await contentScript.initialize()
+    })
+
+    afterEach(() => {
+      window.getSelection = getSelection
+      delete Range.prototype.getBoundingClientRect
+      delete navigator.clipboard
+    })
+
+    it('should analyze the selection with its paragraph as context', async () => {
+      selectSpan()
+
+      const analyzed = await contentScript._handleSelectionAnalysis({ selectionText: selectedText })
+
+      expect(analyzed).toBe(true)
+      expect(messages[0].payload).toMatchObject({
+        text: selectedText,
+        fieldType: 'selection',
+        selectionContext: `Release notes. ${selectedText} It ships Friday.`
+      })
+      expect(panel().classList).toContain('visible')
+      expect(panel().querySelector('.isitclear-selection__text').textContent).toBe(improvedText)
+    })
+
+    it('should add the popover to the page only once a selection is checked', async () => {
+      expect(contentScript.selectionResult.host).toBeNull()
+
+      selectSpan()
+      await contentScript._handleSelectionAnalysis({})
+
+      const host = contentScript.selectionResult.host
+      expect(host.parentNode).toBe(document.documentElement)
+      expect(host.shadowRoot).toBeNull()
+      expect(document.querySelector('.isitclear-selection')).toBeNull()
+      expect(document.getElementById('isitclear-selection-styles')).toBeNull()
+      expect(panel().getRootNode().querySelector('style').textContent)
+        .toContain('.isitclear-selection__button')
+    })
+
+    it('should stay open for clicks inside the popover', async () => {
+      selectSpan()
+      await contentScript._handleSelectionAnalysis({})
+
+      panel().querySelector('.isitclear-selection__text')
+        .dispatchEvent(new MouseEvent('click', { bubbles: true, composed: true }))
+
+      expect(panel().classList).toContain('visible')
+    })
+
+    it('should copy the clearer version to the clipboard', async () => {
+      const writeText = jest.fn().mockResolvedValue()
+      Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true })
+      selectSpan()
+      await contentScript._handleSelectionAnalysis({})
+
+      panel().querySelector('[data-action="copy"]').click()
+      await new Promise(resolve => setTimeout(resolve, 0))
+
+      expect(writeText).toHaveBeenCalledWith(improvedText)
+      expect(panel().querySelector('[data-action="copy"]').textContent).toBe('Copied')
+    })
+
+    it('should fall back to the menu text when the page selection is gone', async () => {
+      document.getSelection().removeAllRanges()
+
+      await contentScript._handleSelectionAnalysis({ selectionText: ` ${selectedText} ` })
+
+      expect(messages[0].payload.text).toBe(selectedText)
+      expect(messages[0].payload.selectionContext).toBeNull()
+    })
+
+    it('should stream partial text and cancel the request when closed', () => {
+      respond = () => null
+      selectSpan()
+      contentScript._handleSelectionAnalysis({})
+      const requestId = contentScript.selectionRequestId
+
+      contentScript._handleAnalysisChunk({ requestId, partialText: 'We need' })
+      expect(panel().querySelector('.isitclear-selection__text--partial').textContent)
+        .toBe('We need')
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }))
+
+      expect(panel().classList).not.toContain('visible')
+      expect(messages[1]).toMatchObject({ type: 'CANCEL_ANALYSIS', payload: { requestId } })
+    })
+
+    it('should show analysis errors in the popover', async () => {
+      respond = () => ({ success: false, error: 'Model unavailable' })
+      selectSpan()
+
+      const analyzed = await contentScript._handleSelectionAnalysis({})
+
+      expect(analyzed).toBe(false)
+      expect(panel().querySelector('.isitclear-selection__status--error').textContent)
+        .toBe('Model unavailable')
+    })
+  })
+})
@@ -0,0 +1,166 @@
+// ABOUTME: Unit tests for rewriting only the selected part of a field
+// ABOUTME: Tests selection scoping, paragraph context for the model and splicing the result back
+
+const { describe, it, expect, beforeEach } = require('@jest/globals')
+
+describe('Selection Rewrite', () => {
+  const firstParagraph = 'Thanks for the update.'
+  const secondParagraph = 'We basically need to utilize the new tool. It ships on Friday.'
+  const fieldText = `${firstParagraph}\n${secondParagraph}`
+  const selectedText = 'We basically need to utilize the new tool.'
+  const improvedSelection = 'We need to use the new tool.'
+
+  describe('Content script', () => {
+    let contentScript
+    let textarea
+    let analyzePayload
+
+    beforeEach(async () => {
+      jest.resetModules()
+      document.body.innerHTML = ''
+
+      analyzePayload = null
+      chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+        if (message.type === 'ANALYZE_TEXT') {
+          analyzePayload = message.payload
+          callback({
+            success: true,
+            result: {
+              originalText: message.payload.text,
+              improvedText: improvedSelection,
+              changes: [],
+              confidenceScore: 0.8
+            }
+          })
+        }
+      })
+
+      textarea = document.createElement('textarea')
+      textarea.value = fieldText
+      document.body.appendChild(textarea)
+
+      contentScript = require('../../src/content/content-script')
+      await contentScript.initialize()
+      contentScript.extensionState.activate(textarea)
+    })
+
+    const selectAndAnalyze = async (start, end) => {
+      textarea.setSelectionRange(start, end)
+      await contentScript._handleAnalyzeRequest(textarea)
+      return contentScript.overlay.currentAnalysisResult
+    }
+
+    it('should send only the selection with its paragraph as context', async () => {
+      const start = fieldText.indexOf(selectedText)
+      const result = await selectAndAnalyze(start, start + selectedText.length)
+
+      expect(analyzePayload.text).toBe(selectedText)
+      expect(analyzePayload.selectionContext).toBe(secondParagraph)
+      expect(result.selection).toEqual({ start, end: start + selectedText.length })
+    })
+
+    it('should replace only the selected span and keep the rest of the field', async () => {
+      const start = fieldText.indexOf(selectedText)
+      const result = await selectAndAnalyze(start, start + selectedText.length)
+
+      await contentScript._handleAcceptSuggestion(result, textarea)
+
+      expect(textarea.value)
+        .toBe(`${firstParagraph}\n${improvedSelection} It ships on Friday.`)
+      expect(textarea.selectionStart).toBe(start + improvedSelection.length)
+
+      await contentScript._handleUndo(textarea)
+      expect(textarea.value).toBe(fieldText)
+    })
+
+    it('should analyze the whole field when nothing is selected', async () => {
+      const result = await selectAndAnalyze(5, 5)
+
+      expect(analyzePayload.text).toBe(fieldText)
+      expect(analyzePayload.selectionContext).toBeNull()
+      expect(result.selection).toBeUndefined()
+    })
+
+    it('should not apply a selection result after the selected text was edited', async () => {
+      const start = fieldText.indexOf(selectedText)
+      const result = await selectAndAnalyze(start, start + selectedText.length)
+      textarea.value = fieldText.replace('basically', 'really')
+
+      await contentScript._handleAcceptSuggestion(result, textarea)
+
+      expect(textarea.value).toBe(fieldText.replace('basically', 'really'))
+    })
+
+    it('should trim whitespace around the selection and ignore whole-field selections', () => {
+      const scope = contentScript._getSelectionScope({
+        text: fieldText,
+        selectionStart: firstParagraph.length,
+        selectionEnd: firstParagraph.length + 13
+      })
+
+      expect(scope).toMatchObject({ start: firstParagraph.length + 1, text: 'We basically' })
+      expect(contentScript._getSelectionScope({
+        text: fieldText,
+        selectionStart: 0,
+        selectionEnd: fieldText.length
+      })).toBeNull()
+    })
+  })
+
+  describe('Contenteditable selection offsets', () => {
+    it('should measure the selection against the whole field text', () => {
+      jest.resetModules()
+      const InputDetector = require('../../src/lib/services/input-detector')
+      const field = document.createElement('div')
+      field.setAttribute('contenteditable', 'true')
+      field.innerHTML = 'Thanks. <b>We basically</b> need this.'
+      document.body.appendChild(field)
+
+      const range = document.createRange()
+      range.setStart(field.querySelector('b').firstChild, 3)
+      range.setEnd(field.lastChild, 5)
+      const getSelection = window.getSelection
+      window.getSelection = () => ({ rangeCount: 1, getRangeAt: () => range })
+
+      try {
+        const info = InputDetector._getCursorInfo(field)
+        expect(field.textContent.slice(info.selectionStart, info.selectionEnd))
+          .toBe('basically need')
+      } finally {
+        window.getSelection = getSelection
+      }
+    })
+  })
+
+  describe('Model context', () => {
+    let AIService
+    let session
+
+    beforeEach(() => {
+      jest.resetModules()
+      session = createMockAISession('rewriter')
+      session.rewrite.mockResolvedValue(improvedSelection)
+      global.Rewriter = { create: jest.fn().mockResolvedValue(session) }
+      AIService = require('../../src/lib/services/ai-service')
+    })
+
+    it('should pass the paragraph to the rewriter context', async () => {
+      const response = await AIService.analyzeText({
+        text: selectedText,
+        apiType: 'rewriter',
+        context: { surroundingText: secondParagraph }
+      })
+
+      expect(response.success).toBe(true)
+      const [, options] = session.rewrite.mock.calls[0]
+      expect(options.context).toContain(secondParagraph)
+    })
+
+    it('should include the paragraph in the clarity prompt', () => {
+      const prompt = AIService._createClarityPrompt(selectedText, {}, secondParagraph)
+
+      expect(prompt).toContain('return only the improved excerpt')
+      expect(prompt).toContain(`Paragraph: "${secondParagraph}"`)
+    })
+  })
+})
@@ -0,0 +1,107 @@
+// ABOUTME: Unit tests for finding and tracking input fields inside web components
+// ABOUTME: Tests composed-path detection, open shadow root traversal, host-chain selectors and anchoring
+
+const { describe, it, expect, beforeEach } = require('@jest/globals')
+
+const createComponent = (tagName, html, mode = 'open') => {
+  const host = document.createElement(tagName)
+  const shadowRoot = host.attachShadow({ mode })
+  shadowRoot.innerHTML = html
+  return { host, shadowRoot }
+}
+
+describe('Shadow DOM Support', () => {
+  let InputDetector
+
+  beforeEach(() => {
+    jest.resetModules()
+    InputDetector = require('../../src/lib/services/input-detector')
+    document.body.innerHTML = '<textarea id="light"></textarea>'
+  })
+
+  describe('Field discovery', () => {
+    it('should find fields in nested open shadow roots but not closed ones', () => {
+      const outer = createComponent('lightning-card', '<div class="body"></div>')
+      const inner = createComponent('lightning-textarea', '<textarea name="notes"></textarea>')
+      const closed = createComponent('secret-input', '<input type="text">', 'closed')
+      outer.shadowRoot.querySelector('.body').appendChild(inner.host)
+      document.body.append(outer.host, closed.host)
+
+      const fields = InputDetector.findAllInputFields()
+
+      expect(fields).toEqual([
+        document.getElementById('light'),
+        inner.shadowRoot.querySelector('textarea')
+      ])
+    })
+
+    it('should address shadow-internal fields through their host chain', () => {
+      const outer = createComponent('lightning-card', '<div></div>')
+      const inner = createComponent('lightning-textarea', '<label>x</label><textarea></textarea>')
+      outer.shadowRoot.firstChild.appendChild(inner.host)
+      document.body.appendChild(outer.host)
+      const textarea = inner.shadowRoot.querySelector('textarea')
+
+      const selector = InputDetector.getFieldContext(textarea).selector
+
+      expect(selector).toBe('lightning-card >>> lightning-textarea >>> textarea')
+      expect(InputDetector.querySelectorDeep(selector)).toBe(textarea)
+      expect(InputDetector.querySelectorDeep('lightning-card >>> input')).toBeNull()
+    })
+
+    it('should read labels from the shadow root the field lives in', () => {
+      const { host, shadowRoot } = createComponent('x-field',
+        '<label for="summary">Summary</label><input id="summary" type="text">')
+      document.body.appendChild(host)
+
+      expect(InputDetector.getAssociatedLabels(shadowRoot.querySelector('input')))
+        .toEqual(['Summary'])
+    })
+  })
+
+  describe('Focus tracking', () => {
+    it('should detect fields focused inside a web component', async () => {
+      const { host, shadowRoot } = createComponent('x-editor', '<textarea>Hello</textarea>')
+      document.body.appendChild(host)
+      const textarea = shadowRoot.querySelector('textarea')
+      const callback = jest.fn()
+
+      const cleanup = InputDetector.setupFieldDetection(callback, { debounceMs: 0 })
+      textarea.dispatchEvent(new FocusEvent('focusin', { bubbles: true, composed: true }))
+      await new Promise(resolve => setTimeout(resolve, 10))
+      cleanup()
+
+      expect(callback).toHaveBeenCalledTimes(1)
+      const [fieldData, element] = callback.mock.calls[0]
+      expect(element).toBe(textarea)
+      expect(fieldData).toMatchObject({ element: 'x-editor >>> textarea', text: 'Hello' })
+    })
+
+    it('should resolve the focused element through shadow roots', () => {
+      const { host, shadowRoot } = createComponent('x-editor', '<textarea></textarea>')
+      document.body.appendChild(host)
+      const textarea = shadowRoot.querySelector('textarea')
+
+      textarea.focus()
+
+      expect(document.activeElement).toBe(host)
+      expect(InputDetector.getActiveElement()).toBe(textarea)
+    })
+  })
+
+  describe('Overlay anchoring', () => {
+    it('should anchor to the host when the native field is visually hidden', () => {
+      const ClarityOverlay = require('../../src/lib/components/clarity-overlay')
+      const { host, shadowRoot } = createComponent('x-editor', '<textarea></textarea>')
+      document.body.appendChild(host)
+      const hostRect = { left: 40, top: 100, bottom: 140, width: 300, height: 40 }
+      host.getBoundingClientRect = () => hostRect
+
+      const overlay = new ClarityOverlay()
+      const rect = overlay._getAnchorRect(shadowRoot.querySelector('textarea'))
+
+      expect(rect).toBe(hostRect)
+      overlay.destroy()
+    })
+  })
+})
@@ -0,0 +1,138 @@
+// ABOUTME: Unit tests for importing and enforcing a team style guide
+// ABOUTME: Tests YAML parsing, rule validation, prompt instructions and per-rule violations
+
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals')
+const StyleGuide = require('../../src/lib/models/style-guide')
+const YamlParser = require('../../src/lib/services/yaml-parser')
+
+describe('Style Guide', () => {
+  const yaml = [
+    '# Acme writing rules',
+    'name: Acme house style',
+    'bannedWords:',
+    '  - leverage',
+    '  - "synergy"  # buzzword',
+    'preferredSpellings:',
+    '  colour: color',
+    '  e-mail: email',
+    'oxfordComma: true',
+    'maxSentenceWords: 12',
+    'voice: active'
+  ].join('\n')
+
+  describe('YamlParser', () => {
+    it('should parse mappings, lists, inline collections and scalars', () => {
+      expect(YamlParser.parse(yaml)).toEqual({
+        name: 'Acme house style',
+        bannedWords: ['leverage', 'synergy'],
+        preferredSpellings: { colour: 'color', 'e-mail': 'email' },
+        oxfordComma: true,
+        maxSentenceWords: 12,
+        voice: 'active'
+      })
+      expect(YamlParser.parse('tags: [a, \'b, c\']\nitems:\n- term: x\n  note: don\'t\n')).toEqual({
+        tags: ['a', 'b, c'],
+        items: [{ term: 'x', note: 'don\'t' }]
+      })
+    })
+
+    it('should report the line of a syntax error', () => {
+      expect(() => YamlParser.parse('name: Acme\n    voice: active')).toThrow('line 2')
+    })
+  })
+
+  describe('StyleGuide', () => {
+    it('should load the same rules from YAML and JSON', () => {
+      const fromYaml = StyleGuide.parse(yaml, 'style.yml')
+      const fromJson = StyleGuide.parse(JSON.stringify(fromYaml.toJSON()), 'style.json')
+
+      expect(fromJson.toJSON()).toEqual(fromYaml.toJSON())
+    })
+
+    it('should reject unknown and invalid rules', () => {
+      expect(() => new StyleGuide({ bannedWrods: [] })).toThrow('Unknown style guide rule')
+      expect(() => new StyleGuide({ voice: 'passive' })).toThrow('voice')
+      expect(() => new StyleGuide({ maxSentenceWords: 2 })).toThrow('maxSentenceWords')
+    })
+
+    it('should turn every rule into a prompt instruction', () => {
+      const instructions = StyleGuide.parse(yaml).getInstructions()
+
+      expect(instructions).toEqual([
+        'Never use these words: leverage, synergy.',
+        'Use these spellings: "color" not "colour", "email" not "e-mail".',
+        'Put a comma before "and" or "or" at the end of a list.',
+        'Keep every sentence under 12 words.',
+        'Write in the active voice.'
+      ])
+    })
+
+    it('should report each violation with the rule name as the reason', () => {
+      const violations = StyleGuide.parse(yaml).check(
+        'We leverage red, green and blue. Send an e-mail. ' +
+        'The plan was approved by the board after a very long meeting on Friday.'
+      )
+
+      expect(violations.map(violation => [violation.reason, violation.originalPhrase]))
+        .toEqual([
+          ['Banned words', 'leverage'],
+          ['Oxford comma', 'red, green and blue'],
+          ['Preferred spellings', 'e-mail'],
+          ['Sentence length limit', 'The plan was approved by the board after a very ' +
+            'long meeting on Friday.'],
+          ['Active voice', 'was approved']
+        ])
+      expect(violations[2].suggestion).toBe('email')
+    })
+  })
+
+  describe('in the analysis', () => {
+    let TextAnalyzer
+    let savedRewriter
+    let rewrite
+
+    const UserPreferences = require('../../src/lib/models/user-preferences')
+    const preferences = new UserPreferences({ styleGuide: StyleGuide.parse(yaml).toJSON() })
+
+    beforeEach(() => {
+      jest.resetModules()
+      savedRewriter = global.Rewriter
+      rewrite = jest.fn(() => new Promise(resolve => {
+        setTimeout(() => resolve('We will leverage the new colour scheme.'), 1)
+      }))
+      global.Rewriter = {
+        create: jest.fn(() => Promise.resolve({
+          inputQuota: 1000,
+          measureInputUsage: jest.fn(value => Promise.resolve(Math.ceil(value.length / 4))),
+          rewrite,
+          destroy: jest.fn()
+        }))
+      }
+      TextAnalyzer = require('../../src/lib/services/text-analyzer')
+    })
+
+    afterEach(() => {
+      global.Rewriter = savedRewriter
+    })
+
+    it('should pass the rules to the model and check its rewrite locally', async () => {
+      const text = 'We will basically use the new colour scheme.'
+      const result = await TextAnalyzer.analyzeText(text, { userPreferences: preferences })
+
+      expect(rewrite.mock.calls[0][1].context).toContain('Never use these words: leverage')
+      expect(result.styleCheck.name).toBe('Acme house style')
+      expect(result.styleCheck.violations.map(violation => violation.reason))
+        .toEqual(['Banned words', 'Preferred spellings'])
+    })
+
+    it('should add the rules to prompts for the Prompt API', () => {
+      const AIService = require('../../src/lib/services/ai-service')
+
+      const prompt = AIService._createClarityPrompt('Some text.', {}, null, {
+        styleInstructions: ['Write in the active voice.']
+      })
+
+      expect(prompt).toContain('Follow the team style guide:\n- Write in the active voice.')
+    })
+  })
+})
@@ -0,0 +1,231 @@
+// ABOUTME: Unit tests for TextChunker splitting and chunked analysis in TextAnalyzer
+// ABOUTME: Tests boundary-aware splitting, token budgets, stitching and merged change offsets
+
+const { describe, it, expect, beforeEach } = require('@jest/globals')
+
+const paragraph = (label, sentences) =>
+  Array.from({ length: sentences }, (_, i) => `${label} sentence number ${i + 1} is here.`).join(' ')
+
+describe('TextChunker Unit Tests', () => {
+  let TextChunker
+
+  beforeEach(() => {
+    jest.resetModules()
+    TextChunker = require('../../src/lib/services/text-chunker')
+  })
+
+  describe('Splitting', () => {
+    it('should return a single chunk when the text fits the budget', async () => {
+      const chunks = await TextChunker.split('Short text.', { maxTokens: 100 })
+
+      expect(chunks).toHaveLength(1)
+      expect(chunks[0]).toMatchObject({ start: 0, end: 11, content: 'Short text.' })
+    })
+
+    it('should split on paragraph boundaries first', async () => {
+      const text = [paragraph('Alpha', 5), paragraph('Beta', 5), paragraph('Gamma', 5)].join('\n\n')
+
+      const chunks = await TextChunker.split(text, { maxTokens: 80 })
+
+      expect(chunks.length).toBeGreaterThan(1)
+      chunks.forEach(chunk => {
+        expect(chunk.content).toMatch(/^(Alpha|Beta|Gamma) sentence number 1 /)
+        expect(chunk.content.endsWith('is here.')).toBe(true)
+      })
+    })
+
+    it('should fall back to sentence boundaries for long paragraphs', async () => {
+      const text = paragraph('Delta', 20)
+
+      const chunks = await TextChunker.split(text, { maxTokens: 40 })
+
+      expect(chunks.length).toBeGreaterThan(1)
+      chunks.forEach(chunk => {
+        expect(chunk.content).toMatch(/^Delta sentence number \d+ .*is here\.$/)
+        expect(TextChunker.estimateTokens(chunk.content)).toBeLessThanOrEqual(40)
+      })
+    })
+
+    it('should cover the whole text with contiguous ranges', async () => {
+      const text = `  ${paragraph('One', 8)}\n\n\n${paragraph('Two', 8)}  `
+
+      const chunks = await TextChunker.split(text, { maxTokens: 50 })
+
+      expect(chunks[0].start).toBe(0)
+      expect(chunks[chunks.length - 1].end).toBe(text.length)
+      chunks.slice(1).forEach((chunk, index) => {
+        expect(chunk.start).toBe(chunks[index].end)
+      })
+      expect(TextChunker.stitch(chunks, chunks.map(chunk => chunk.content))).toBe(text)
+    })
+
+    it('should use the supplied token measurement instead of character estimates', async () => {
+      const text = paragraph('Echo', 10)
+      const measure = jest.fn(value => Promise.resolve(value.split(/\s+/).length))
+
+      const chunks = await TextChunker.split(text, { maxTokens: 12, measure })
+
+      expect(measure).toHaveBeenCalled()
+      for (const chunk of chunks) {
+        expect(chunk.content.split(/\s+/).length).toBeLessThanOrEqual(12)
+      }
+    })
+
+    it('should reject invalid budgets', async () => {
+      await expect(TextChunker.split('Some text', { maxTokens: 0 }))
+        .rejects.toThrow('maxTokens must be a positive number')
+    })
+  })
+
+  describe('Stitching', () => {
+    it('should keep the original separators between improved chunks', async () => {
+      const text = `${paragraph('First', 4)}\n\n${paragraph('Second', 4)}`
+      const chunks = await TextChunker.split(text, { maxTokens: 50 })
+
+      const stitched = TextChunker.stitch(chunks, chunks.map((_, index) => `Chunk ${index}.`))
+
+      expect(stitched).toBe('Chunk 0.\n\nChunk 1.')
+    })
+
+    it('should require one improved text per chunk', () => {
+      expect(() => TextChunker.stitch([{ leading: '', trailing: '' }], []))
+        .toThrow('Each chunk needs exactly one improved text')
+    })
+  })
+})
+
+describe('Chunked Analysis', () => {
+  let TextAnalyzer
+
+  beforeEach(() => {
+    jest.resetModules()
+    global.Rewriter = {
+      create: jest.fn(() => Promise.resolve({
+        inputQuota: 60,
+        measureInputUsage: jest.fn(value => Promise.resolve(Math.ceil(value.length / 4))),
+        // Resolve on a later tick so each chunk reports a non-zero processing time
+        rewrite: jest.fn(value => new Promise(resolve => {
+          setTimeout(() => resolve(value.replace('sentence number', 'line')), 1)
+        })),
+        destroy: jest.fn()
+      }))
+    }
+    global.Prompt = undefined
+    TextAnalyzer = require('../../src/lib/services/text-analyzer')
+  })
+
+  it('should analyze text longer than 5000 characters', async () => {
+    const text = Array.from({ length: 40 }, (_, i) => paragraph(`Part${i}`, 4)).join('\n\n')
+    expect(text.length).toBeGreaterThan(5000)
+
+    const result = await TextAnalyzer.analyzeText(text)
+
+    expect(result.improvedText).toBe(text.replace(/(Part\d+) sentence number 1 /g, '$1 line 1 '))
+    expect(result.improvedText.split('\n\n')).toHaveLength(40)
+  })
+
+  it('should merge per-chunk change offsets into the full text', async () => {
+    const text = [paragraph('Alpha', 4), paragraph('Beta', 4), paragraph('Gamma', 4)].join('\n\n')
+
+    const result = await TextAnalyzer.analyzeText(text)
+
+    expect(result.changes).toHaveLength(3)
+    const starts = result.changes.map(change => change.startPosition)
+    expect(starts).toEqual([...starts].sort((a, b) => a - b))
+    result.changes.forEach(change => {
+      expect(text.slice(change.startPosition, change.endPosition)).toBe(change.originalPhrase)
+    })
+  })
+
+  it('should measure and rewrite every chunk with the same session', async () => {
+    const UserPreferences = require('../../src/lib/models/user-preferences')
+    const text = [paragraph('Alpha', 4), paragraph('Beta', 4)].join('\n\n')
+
+    await TextAnalyzer.analyzeText(text, {
+      userPreferences: new UserPreferences({ targetAudience: 'technical' })
+    })
+
+    expect(Rewriter.create).toHaveBeenCalledTimes(1)
+    const session = await Rewriter.create.mock.results[0].value
+    expect(session.measureInputUsage).toHaveBeenCalled()
+    expect(session.rewrite).toHaveBeenCalledTimes(2)
+    expect(Rewriter.create.mock.calls[0][0].sharedContext).toContain('technical')
+  })
+
+  it('should count the context sent with each chunk against the quota', async () => {
+    const rewrite = jest.fn(value => Promise.resolve(value.replace('sentence number', 'line')))
+    Rewriter.create.mockImplementation(() => Promise.resolve({
+      inputQuota: 60,
+      // Like Chrome, the context passed with the text is measured too
+      measureInputUsage: jest.fn((value, options = {}) =>
+        Promise.resolve(Math.ceil((value.length + (options.context || '').length) / 4))),
+      rewrite,
+      destroy: jest.fn()
+    }))
+    const text = paragraph('Alpha', 4)
+
+    await TextAnalyzer.analyzeText(text, {
+      surroundingText: `The release notes say this. ${text}`.slice(0, 60)
+    })
+
+    expect(rewrite.mock.calls.length).toBeGreaterThan(1)
+    rewrite.mock.calls.forEach(([value, options]) => {
+      expect(Math.ceil((value.length + options.context.length) / 4)).toBeLessThanOrEqual(60)
+    })
+  })
+
+  it('should measure the fallback API before sending it the text', async () => {
+    Rewriter.create.mockImplementation(() => Promise.resolve({
+      inputQuota: 60,
+      measureInputUsage: jest.fn(value => Promise.resolve(Math.ceil(value.length / 4))),
+      rewrite: jest.fn(() => Promise.reject(new Error('Rewriter crashed'))),
+      destroy: jest.fn()
+    }))
+    const prompt = jest.fn(() => Promise.resolve('Improved.'))
+    global.Prompt = {
+      create: jest.fn(() => Promise.resolve({
+        inputQuota: 40,
+        measureInputUsage: jest.fn(value => Promise.resolve(Math.ceil(value.length / 4))),
+        prompt,
+        destroy: jest.fn()
+      }))
+    }
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    const AIService = require('../../src/lib/services/ai-service')
+
+    await expect(AIService.analyzeText({
+      text: paragraph('Alpha', 1),
+      apiType: 'rewriter',
+      parameters: {}
+    })).rejects.toThrow('TEXT_TOO_LONG')
+
+    expect(prompt).not.toHaveBeenCalled()
+  })
+
+  it('should stream stitched partial text across chunks', async () => {
+    const text = [paragraph('Alpha', 4), paragraph('Beta', 4)].join('\n\n')
+    const partials = []
+
+    Rewriter.create.mockImplementation(() => Promise.resolve({
+      inputQuota: 60,
+      rewrite: jest.fn(),
+      rewriteStreaming: jest.fn(value => (async function * () {
+        yield value.slice(0, 5)
+        yield value.slice(5).replace('sentence number', 'line')
+      })()),
+      destroy: jest.fn()
+    }))
+
+    const improve = value => value.replace('sentence number', 'line')
+
+    const result = await TextAnalyzer.analyzeText(text, { onChunk: partial => partials.push(partial) })
+
+    expect(partials).toEqual([
+      'Alpha',
+      improve(paragraph('Alpha', 4)),
+      `${improve(paragraph('Alpha', 4))}\n\nBeta `,
+      result.improvedText
+    ])
+    expect(result.improvedText).toBe(text.replace(/sentence number 1 /g, 'line 1 '))
+  })
+})
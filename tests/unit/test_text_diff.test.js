@@ -0,0 +1,103 @@
+// ABOUTME: Unit tests for the TextDiff word-level diff engine
+// ABOUTME: Tests hunk positions against the original text and change type classification
+
+const { describe, it, expect, beforeEach } = require('@jest/globals')
+
+describe('TextDiff Unit Tests', () => {
+  let TextDiff
+
+  beforeEach(() => {
+    jest.resetModules()
+    TextDiff = require('../../src/lib/services/text-diff')
+  })
+
+  const applyChanges = (originalText, changes) => TextDiff.applyChanges(originalText, changes)
+
+  describe('Tokenizing', () => {
+    it('should split words, whitespace and punctuation with offsets', () => {
+      const tokens = TextDiff.tokenize('It’s done, really.')
+
+      expect(tokens.map(token => token.value)).toEqual(['It’s', ' ', 'done', ',', ' ', 'really', '.'])
+      expect(tokens[2]).toMatchObject({ start: 5, end: 9 })
+    })
+  })
+
+  describe('Change Details', () => {
+    it('should return no changes for identical text', () => {
+      expect(TextDiff.generateChangeDetails('Same text.', 'Same text.')).toEqual([])
+    })
+
+    it('should report separate hunks with positions in the original text', () => {
+      const original = 'The meeting is at 3pm and we will discuss the very important budget.'
+      const improved = 'The meeting starts at 3pm and we will discuss the important budget.'
+
+      const changes = TextDiff.generateChangeDetails(original, improved)
+
+      expect(changes).toHaveLength(2)
+      changes.forEach(change => {
+        expect(original.slice(change.startPosition, change.endPosition)).toBe(change.originalPhrase)
+      })
+      expect(changes[0]).toMatchObject({ originalPhrase: 'is', improvedPhrase: 'starts' })
+      expect(changes[1].improvedPhrase).toBe('')
+      expect(changes[1].originalPhrase.trim()).toBe('very')
+    })
+
+    it('should rebuild the improved text when every change is applied', () => {
+      const original = 'In order to get started, you need to basically click on the button that is blue.'
+      const improved = 'To get started, click the blue button.'
+
+      const changes = TextDiff.generateChangeDetails(original, improved)
+
+      expect(applyChanges(original, changes)).toBe(improved)
+    })
+
+    it('should represent insertions as zero-width ranges', () => {
+      const changes = TextDiff.generateChangeDetails('Send the report.', 'Send the final report.')
+
+      expect(changes).toHaveLength(1)
+      expect(changes[0]).toMatchObject({ originalPhrase: '', startPosition: changes[0].endPosition })
+      expect(applyChanges('Send the report.', changes)).toBe('Send the final report.')
+    })
+
+    it('should fall back to one replacement when the edit distance is too large', () => {
+      TextDiff.maxEditDistance = 2
+      const changes = TextDiff.generateChangeDetails('one two three four', 'five six seven eight')
+
+      expect(changes).toHaveLength(1)
+      expect(applyChanges('one two three four', changes)).toBe('five six seven eight')
+    })
+  })
+
+  describe('Applying Changes', () => {
+    it('should apply only the selected subset of changes', () => {
+      const original = 'We basically need to utilize the new tool.'
+      const improved = 'We need to use the new tool.'
+      const changes = TextDiff.generateChangeDetails(original, improved)
+      const wordChoice = changes.filter(change => change.changeType === 'word-choice')
+
+      expect(changes.length).toBeGreaterThan(1)
+      expect(TextDiff.applyChanges(original, wordChoice)).toBe('We basically need to use the new tool.')
+    })
+  })
+
+  describe('Classification', () => {
+    it('should classify removed words as conciseness', () => {
+      expect(TextDiff.classifyHunk('really very ', '').changeType).toBe('conciseness')
+      expect(TextDiff.classifyHunk('in order to', 'to').changeType).toBe('conciseness')
+    })
+
+    it('should classify short one-for-one swaps as word choice', () => {
+      expect(TextDiff.classifyHunk('utilize', 'use').changeType).toBe('word-choice')
+    })
+
+    it('should classify reordering and punctuation changes as sentence structure', () => {
+      expect(TextDiff.classifyHunk('report the', 'the report').changeType).toBe('sentence-structure')
+      expect(TextDiff.classifyHunk('and then', '. Then').changeType).toBe('sentence-structure')
+    })
+
+    it('should classify added or expanded wording as clarity', () => {
+      expect(TextDiff.classifyHunk('', 'final ').changeType).toBe('clarity')
+      expect(TextDiff.classifyHunk('it', 'the quarterly report').changeType).toBe('clarity')
+    })
+  })
+})
@@ -0,0 +1,182 @@
+// ABOUTME: Unit tests for framework-safe text replacement
+// ABOUTME: Uses fixtures that mimic how React, Vue, Angular and rich-text editors observe edits
+
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals')
+const InputDetector = require('../../src/lib/services/input-detector')
+const TextReplacer = require('../../src/lib/services/text-replacer')
+
+// React tracks the last value it rendered on the element itself and drops
+// input events whose value matches it, so plain assignment goes unnoticed
+const createReactInput = (initialValue, onChange) => {
+  const input = document.createElement('input')
+  input.type = 'text'
+  input.value = initialValue
+
+  const descriptor = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value')
+  let trackedValue = initialValue
+  Object.defineProperty(input, 'value', {
+    configurable: true,
+    get () { return descriptor.get.call(this) },
+    set (value) {
+      trackedValue = String(value)
+      descriptor.set.call(this, value)
+    }
+  })
+
+  input.addEventListener('input', () => {
+    if (input.value !== trackedValue) {
+      trackedValue = input.value
+      onChange(input.value)
+    }
+  })
+
+  return input
+}
+
+// Vue's v-model and Angular's DefaultValueAccessor read the value on input
+const createModelBoundField = (tagName, initialValue) => {
+  const field = document.createElement(tagName)
+  field.value = initialValue
+  const model = { value: initialValue, events: [] }
+
+  field.addEventListener('input', event => {
+    model.value = event.target.value
+    model.events.push(event.inputType)
+  })
+
+  return { field, model }
+}
+
+// Editors like ProseMirror or Lexical own their document model, cancel
+// beforeinput and re-render the DOM from the model
+const createModelEditor = (initialText) => {
+  const editor = document.createElement('div')
+  editor.setAttribute('contenteditable', 'true')
+  editor.textContent = initialText
+  const model = { text: initialText }
+
+  editor.addEventListener('beforeinput', event => {
+    event.preventDefault()
+    if (event.inputType === 'insertReplacementText') {
+      model.text = event.data
+      editor.textContent = model.text
+    }
+  })
+
+  return { editor, model }
+}
+
+describe('Framework-safe Text Replacement', () => {
+  const originalText = 'We basically need to utilize the new tool.'
+  const improvedText = 'We need to use the new tool.'
+
+  beforeEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  afterEach(() => {
+    delete document.execCommand
+  })
+
+  describe('Controlled inputs', () => {
+    it('should notify React-style value trackers', async () => {
+      const onChange = jest.fn()
+      const input = createReactInput(originalText, onChange)
+      document.body.appendChild(input)
+
+      const strategy = await InputDetector.replaceText(input, improvedText)
+
+      expect(strategy).toBe('nativeSetter')
+      expect(onChange).toHaveBeenCalledWith(improvedText)
+    })
+
+    it('should update Vue and Angular style bindings on textareas', async () => {
+      const { field, model } = createModelBoundField('textarea', originalText)
+      document.body.appendChild(field)
+
+      await InputDetector.replaceText(field, improvedText)
+
+      expect(model.value).toBe(improvedText)
+      expect(model.events).toEqual(['insertReplacementText'])
+    })
+
+    it('should fire change after the input event for form libraries', async () => {
+      const { field } = createModelBoundField('input', originalText)
+      document.body.appendChild(field)
+      const events = []
+      field.addEventListener('input', () => events.push('input'))
+      field.addEventListener('change', () => events.push('change'))
+
+      await InputDetector.replaceText(field, improvedText)
+
+      expect(events).toEqual(['input', 'change'])
+    })
+  })
+
+  describe('Editing commands', () => {
+    it('should prefer insertText so the browser undo stack records the edit', async () => {
+      const textarea = createMockInput('textarea', originalText)
+      document.body.appendChild(textarea)
+      document.execCommand = jest.fn((command, showUi, value) => {
+        textarea.setRangeText(value, textarea.selectionStart, textarea.selectionEnd, 'end')
+        return true
+      })
+
+      const strategy = await InputDetector.replaceText(textarea, improvedText)
+
+      expect(strategy).toBe('execCommand')
+      expect(document.execCommand).toHaveBeenCalledWith('insertText', false, improvedText)
+      expect(textarea.value).toBe(improvedText)
+    })
+
+    it('should fall back when the command is blocked', async () => {
+      const textarea = createMockInput('textarea', originalText)
+      document.body.appendChild(textarea)
+      document.execCommand = jest.fn(() => false)
+
+      const strategy = await InputDetector.replaceText(textarea, improvedText)
+
+      expect(strategy).toBe('nativeSetter')
+      expect(textarea.value).toBe(improvedText)
+    })
+  })
+
+  describe('Contenteditable editors', () => {
+    it('should let editors apply the edit through their own model', async () => {
+      const { editor, model } = createModelEditor(originalText)
+      document.body.appendChild(editor)
+
+      const strategy = await InputDetector.replaceText(editor, improvedText)
+
+      expect(strategy).toBe('selection')
+      expect(model.text).toBe(improvedText)
+      expect(editor.textContent).toBe(improvedText)
+    })
+
+    it('should replace the selected contents of plain contenteditable fields', async () => {
+      const editor = document.createElement('div')
+      editor.setAttribute('contenteditable', 'true')
+      editor.innerHTML = 'We <b>basically</b> need to utilize the new tool.'
+      document.body.appendChild(editor)
+      const inputTypes = []
+      editor.addEventListener('input', event => inputTypes.push(event.inputType))
+
+      await InputDetector.replaceText(editor, improvedText)
+
+      expect(editor.textContent).toBe(improvedText)
+      expect(inputTypes).toEqual(['insertReplacementText'])
+    })
+
+    it('should report a failure when no strategy changes the text', () => {
+      const editor = document.createElement('div')
+      editor.setAttribute('contenteditable', 'true')
+      editor.textContent = originalText
+      editor.addEventListener('beforeinput', event => event.preventDefault())
+      document.body.appendChild(editor)
+      jest.spyOn(console, 'warn').mockImplementation(() => {})
+
+      expect(() => TextReplacer.replace(editor, improvedText, 'contenteditable'))
+        .toThrow('Failed to replace text in the field')
+    })
+  })
+})
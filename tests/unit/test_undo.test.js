@@ -0,0 +1,177 @@
+// ABOUTME: Unit tests for undoing applied suggestions
+// ABOUTME: Tests the ActionProcessor undo branch and the content script's per-field undo stack
+
+const { describe, it, expect, beforeEach } = require('@jest/globals')
+
+describe('Undo Applied Suggestions', () => {
+  describe('ActionProcessor undo branch', () => {
+    const { processUserAction } = require('../../src/lib/services/action-processor')
+
+    it('should return the original text and cursor to restore', async () => {
+      const result = await processUserAction({
+        actionType: 'undo',
+        improvementId: 'improvement-1',
+        timestamp: new Date(),
+        previousState: { originalText: 'Original text', cursorPosition: 4 }
+      })
+
+      expect(result).toMatchObject({
+        success: true,
+        actionType: 'undo',
+        result: { textRestored: 'Original text', cursorPosition: 4 }
+      })
+    })
+
+    it('should clamp the cursor to the restored text', async () => {
+      const { result } = await processUserAction({
+        actionType: 'undo',
+        improvementId: 'improvement-1',
+        timestamp: new Date(),
+        previousState: { originalText: 'Short', cursorPosition: 40 }
+      })
+
+      expect(result.cursorPosition).toBe(5)
+    })
+
+    it('should require the previous field state', async () => {
+      await expect(processUserAction({
+        actionType: 'undo',
+        improvementId: 'improvement-1',
+        timestamp: new Date()
+      })).rejects.toThrow('Undo action requires the previous field state')
+    })
+  })
+
+  describe('Content script undo stack', () => {
+    const originalText = 'We basically need to utilize the new tool.'
+    const improvedText = 'We need to use the new tool.'
+    let contentScript
+    let textarea
+
+    const accept = () => contentScript._handleAcceptSuggestion(
+      { originalText, improvedText, changes: [], textContentId: 'analysis-1' },
+      textarea
+    )
+
+    beforeEach(async () => {
+      jest.resetModules()
+      document.body.innerHTML = ''
+      chrome.runtime.sendMessage.mockClear()
+
+      textarea = document.createElement('textarea')
+      textarea.value = originalText
+      document.body.appendChild(textarea)
+      textarea.setSelectionRange(10, 10)
+
+      contentScript = require('../../src/content/content-script')
+      await contentScript.initialize()
+    })
+
+    it('should restore the original text and cursor after accepting', async () => {
+      await accept()
+
+      expect(textarea.value).toBe(improvedText)
+      expect(contentScript.canUndo(textarea)).toBe(true)
+      expect(contentScript.undoToast.isVisible).toBe(true)
+
+      const undone = await contentScript._handleUndo(textarea)
+
+      expect(undone).toBe(true)
+      expect(textarea.value).toBe(originalText)
+      expect(textarea.selectionStart).toBe(10)
+      expect(contentScript.canUndo(textarea)).toBe(false)
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: 'USER_ACTION',
+          payload: expect.objectContaining({ action: 'undo' })
+        }),
+        expect.any(Function)
+      )
+    })
+
+    it('should undo from the toast button', async () => {
+      await accept()
+
+      contentScript.undoToast.toast.querySelector('[data-action="undo"]').click()
+      await new Promise(resolve => setTimeout(resolve, 0))
+
+      expect(textarea.value).toBe(originalText)
+    })
+
+    it('should add the toast to the page only once a suggestion is applied', async () => {
+      expect(contentScript.undoToast.host).toBeNull()
+
+      await accept()
+
+      const host = contentScript.undoToast.host
+      expect(host.parentNode).toBe(document.documentElement)
+      expect(host.shadowRoot).toBeNull()
+      expect(document.querySelector('.isitclear-toast')).toBeNull()
+      expect(document.getElementById('isitclear-toast-styles')).toBeNull()
+      expect(contentScript.undoToast.toast.getRootNode().querySelector('style').textContent)
+        .toContain('.isitclear-toast__button')
+    })
+
+    it('should leave Ctrl+Z to the browser after an editing command applied it', async () => {
+      const execCommand = document.execCommand
+      document.execCommand = jest.fn((command, showUi, value) => {
+        textarea.setRangeText(value, textarea.selectionStart, textarea.selectionEnd, 'end')
+        return true
+      })
+      await accept()
+      document.execCommand = execCommand
+
+      const event = new KeyboardEvent('keydown', {
+        key: 'z', ctrlKey: true, bubbles: true, cancelable: true
+      })
+      textarea.dispatchEvent(event)
+      await new Promise(resolve => setTimeout(resolve, 0))
+
+      expect(event.defaultPrevented).toBe(false)
+      expect(textarea.value).toBe(improvedText)
+      expect(contentScript.canUndo(textarea)).toBe(true)
+    })
+
+    it('should take over Ctrl+Z while the field still shows the suggestion', async () => {
+      await accept()
+
+      const event = new KeyboardEvent('keydown', {
+        key: 'z', ctrlKey: true, bubbles: true, cancelable: true
+      })
+      textarea.dispatchEvent(event)
+      await new Promise(resolve => setTimeout(resolve, 0))
+
+      expect(event.defaultPrevented).toBe(true)
+      expect(textarea.value).toBe(originalText)
+    })
+
+    it('should not overwrite edits made after the suggestion was applied', async () => {
+      await accept()
+      textarea.value = `${improvedText} Extra typing.`
+
+      const event = new KeyboardEvent('keydown', {
+        key: 'z', ctrlKey: true, bubbles: true, cancelable: true
+      })
+      textarea.dispatchEvent(event)
+      const undone = await contentScript._handleUndo(textarea)
+
+      expect(event.defaultPrevented).toBe(false)
+      expect(undone).toBe(false)
+      expect(textarea.value).toBe(`${improvedText} Extra typing.`)
+    })
+
+    it('should undo several accepted suggestions in reverse order', async () => {
+      await accept()
+      await contentScript._handleAcceptSuggestion(
+        { originalText: improvedText, improvedText: 'Use the new tool.', changes: [] },
+        textarea
+      )
+
+      await contentScript._handleUndo(textarea)
+      expect(textarea.value).toBe(improvedText)
+
+      await contentScript._handleUndo(textarea)
+      expect(textarea.value).toBe(originalText)
+    })
+  })
+})
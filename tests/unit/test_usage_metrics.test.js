@@ -0,0 +1,145 @@
+// ABOUTME: Unit tests for the persistent usage metrics service
+// ABOUTME: Tests running aggregates, breakdowns, day buckets and restoring metrics from storage
+
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals')
+
+describe('UsageMetrics', () => {
+  let UsageMetrics
+  let stored
+
+  beforeEach(async () => {
+    jest.resetModules()
+
+    stored = {}
+    global.chrome.storage = {
+      local: {
+        get: jest.fn(key => Promise.resolve({ [key]: stored[key] })),
+        set: jest.fn(items => {
+          stored = { ...stored, ...JSON.parse(JSON.stringify(items)) }
+          return Promise.resolve()
+        })
+      }
+    }
+
+    UsageMetrics = require('../../src/lib/services/usage-metrics')
+    await UsageMetrics.initialize()
+  })
+
+  afterEach(() => {
+    delete global.chrome.storage
+  })
+
+  const page = { url: 'https://mail.example.com/inbox', fieldType: 'textarea' }
+
+  it('should average processing time over every completed analysis', async () => {
+    await UsageMetrics.recordAnalysis('completed', { ...page, processingTime: 100 })
+    await UsageMetrics.recordAnalysis('completed', { ...page, processingTime: 200 })
+    await UsageMetrics.recordAnalysis('completed', { ...page, processingTime: 600 })
+    await UsageMetrics.recordAnalysis('failed', { ...page, errorCode: 'API_UNAVAILABLE' })
+
+    const summary = UsageMetrics.getSummary()
+    expect(summary.analysisCount).toBe(4)
+    expect(summary.completedCount).toBe(3)
+    expect(summary.averageProcessingTime).toBe(300)
+  })
+
+  it('should compute the acceptance rate from decisions only', async () => {
+    for (let i = 0; i < 5; i++) {
+      await UsageMetrics.recordAnalysis('completed', { ...page, processingTime: 10 })
+    }
+    await UsageMetrics.recordUserAction('accept', page)
+    await UsageMetrics.recordUserAction('accept', page)
+    await UsageMetrics.recordUserAction('reject', page)
+    await UsageMetrics.recordUserAction('undo', page)
+
+    const summary = UsageMetrics.getSummary()
+    expect(summary.acceptanceRate).toBeCloseTo(2 / 3)
+    expect(summary.undoCount).toBe(1)
+  })
+
+  it('should break metrics down by domain, field type, API and error code', async () => {
+    await UsageMetrics.recordAnalysis('completed', {
+      ...page, processingTime: 50, apiUsed: 'rewriter'
+    })
+    await UsageMetrics.recordAnalysis('completed', {
+      url: 'https://docs.example.org/d/1',
+      fieldType: 'contenteditable',
+      processingTime: 70,
+      apiUsed: 'prompt'
+    })
+    await UsageMetrics.recordAnalysis('failed', { ...page, errorCode: 'PROCESSING_ERROR' })
+    await UsageMetrics.recordAnalysis('cancelled', page)
+    await UsageMetrics.recordUserAction('accept', { url: page.url, fieldType: 'textarea' })
+
+    const summary = UsageMetrics.getSummary()
+    expect(summary.byDomain['mail.example.com']).toMatchObject({
+      analysisCount: 3, failedCount: 1, cancelledCount: 1, acceptedCount: 1, acceptanceRate: 1
+    })
+    expect(summary.byDomain['docs.example.org'].averageProcessingTime).toBe(70)
+    expect(summary.byFieldType.contenteditable.analysisCount).toBe(1)
+    expect(summary.apiUsage).toEqual({ rewriter: 1, prompt: 1 })
+    expect(summary.errorCodes).toEqual({ PROCESSING_ERROR: 1 })
+  })
+
+  it('should keep per-day buckets for the last 30 days', async () => {
+    jest.useFakeTimers('modern')
+    try {
+      const start = new Date(2026, 0, 1, 12)
+      for (let day = 0; day < 32; day++) {
+        jest.setSystemTime(new Date(start.getTime() + day * 24 * 60 * 60 * 1000))
+        await UsageMetrics.recordAnalysis('completed', { ...page, processingTime: 10 })
+      }
+    } finally {
+      jest.useRealTimers()
+    }
+
+    const { daily, analysisCount } = UsageMetrics.getSummary()
+    expect(analysisCount).toBe(32)
+    expect(daily).toHaveLength(30)
+    expect(daily[0].date).toBe('2026-01-03')
+    expect(daily[29]).toMatchObject({ date: '2026-02-01', analysisCount: 1 })
+  })
+
+  it('should forget the least recently used domains once there are too many', async () => {
+    const record = (host) => UsageMetrics.recordAnalysis('completed', { url: `https://${host}/` })
+    for (let i = 0; i < 100; i++) {
+      await record(`site${i}.example.com`)
+      await record(`site${i}.example.com`)
+    }
+    await record('site0.example.com')
+
+    await record('new.example.com')
+
+    const { byDomain } = UsageMetrics.getSummary()
+    expect(Object.keys(byDomain)).toHaveLength(100)
+    expect(byDomain['new.example.com'].analysisCount).toBe(1)
+    expect(byDomain['site0.example.com'].analysisCount).toBe(3)
+    expect(byDomain['site1.example.com']).toBeUndefined()
+  })
+
+  it('should restore metrics saved by an earlier service worker', async () => {
+    await UsageMetrics.recordAnalysis('completed', { ...page, processingTime: 40 })
+    await UsageMetrics.recordUserAction('reject', page)
+
+    jest.resetModules()
+    const RestartedMetrics = require('../../src/lib/services/usage-metrics')
+    await RestartedMetrics.initialize()
+
+    expect(RestartedMetrics.getSummary()).toMatchObject({
+      analysisCount: 1,
+      rejectedCount: 1,
+      averageProcessingTime: 40
+    })
+  })
+
+  it('should clear everything on reset', async () => {
+    await UsageMetrics.recordAnalysis('failed', { ...page, errorCode: 'TEXT_TOO_LONG' })
+
+    await UsageMetrics.reset()
+
+    const summary = UsageMetrics.getSummary()
+    expect(summary.analysisCount).toBe(0)
+    expect(summary.errorCodes).toEqual({})
+    expect(stored.usageMetrics.totals.analyses).toBe(0)
+  })
+})